@@ -82,9 +82,3 @@ function upsertBy(keys, rows) {
         errorMerssage: "" 
     };
 }
-
-//TODO: Prune 90 Days
-function pruneLedger(days)
-{
-const sh = sheetInst; 
-}
\ No newline at end of file
@@ -0,0 +1,241 @@
+/* global SpreadsheetApp, PropertiesService, MailApp, UrlFetchApp, LoggerEx, getOrCreateSheet */
+
+/**
+ * Alerts — Routes job failures and trading signals to pluggable sinks.
+ *
+ * Sinks live in Config_AlertSinks (seeded with a 'local' sink on first use):
+ *   name          Unique handle.
+ *   type          email | webhook | local
+ *   target        email: comma-separated addresses. webhook: URL (Discord/Slack-compatible JSON).
+ *                 local: sheet name (default Alert_Log) — the stand-in for testing routing without sending anything.
+ *   min_severity  info | warning | critical. Lower-severity alerts skip the sink.
+ *   alert_types   Comma-separated types this sink accepts. Blank = all.
+ *   max_per_hour  Rate limit per sink. 0 = unlimited.
+ *   enabled       FALSE parks the sink.
+ *
+ * Dedup: the same type + dedup key is sent at most once per ALERT_DEDUP_MIN (default 60).
+ * raise() never throws; a failing sink is logged and the others still fire.
+ */
+var Alerts = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ALERTS') : console;
+
+  const REGISTRY_SHEET = 'Config_AlertSinks';
+  const REGISTRY_HEADERS = ['name', 'type', 'target', 'min_severity', 'alert_types', 'max_per_hour', 'enabled'];
+  const DEFAULT_SINKS = [['local', 'local', 'Alert_Log', 'info', '', 0, true]];
+  const LOCAL_HEADERS = ['raised_at', 'severity', 'type', 'subject', 'message', 'sink'];
+
+  const SEVERITY = { INFO: 'info', WARNING: 'warning', CRITICAL: 'critical' };
+  const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+  const TYPES = {
+    CIRCUIT_TRIPPED: 'circuit_tripped',
+    JOB_FAILED: 'job_failed',
+    STALE_MARKET: 'stale_market_data',
+    PVP_TRAP: 'pvp_trap_hit',
+    CRITICAL_REQUIREMENT: 'critical_requirement'
+  };
+
+  // --- Script Property Keys (Config + State) ---
+  const PROP_DEDUP_MIN = 'ALERT_DEDUP_MIN';
+  const PROP_JOB_FAIL_THRESHOLD = 'ALERT_JOB_FAIL_THRESHOLD';
+  const PROP_STATE = 'ALERT_STATE';             // { dedup: {key: ts}, rate: {sink: {hour, count}} }
+  const PROP_FAIL_STREAKS = 'ALERT_JOB_FAIL_STREAKS'; // { job: consecutiveErrors }
+
+  const DEFAULTS = { dedupMin: 60, jobFailThreshold: 3 };
+  const HOUR_MS = 60 * 60 * 1000;
+  const MAX_MESSAGE_LEN = 1800; // Discord caps content at 2000
+
+  let sinks_ = null; // Per-execution memo
+
+  function getConfig() {
+    const p = PropertiesService.getScriptProperties();
+    const num = (k, d) => {
+      const n = parseInt(p.getProperty(k) || '', 10);
+      return (isFinite(n) && n > 0) ? n : d;
+    };
+    return {
+      dedupMin: num(PROP_DEDUP_MIN, DEFAULTS.dedupMin),
+      jobFailThreshold: num(PROP_JOB_FAIL_THRESHOLD, DEFAULTS.jobFailThreshold)
+    };
+  }
+
+  function toSink_(r) {
+    return {
+      name: String(r[0]).trim(),
+      type: String(r[1] || '').trim().toLowerCase(),
+      target: String(r[2] || '').trim(),
+      minSeverity: SEVERITY_RANK[String(r[3] || '').trim().toLowerCase()] !== undefined ? String(r[3]).trim().toLowerCase() : SEVERITY.INFO,
+      types: String(r[4] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+      maxPerHour: Math.max(0, Number(r[5]) || 0),
+      enabled: String(r[6] === '' ? 'TRUE' : r[6]).toUpperCase() !== 'FALSE'
+    };
+  }
+
+  function load_(ss) {
+    if (sinks_) return sinks_;
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const sh = getOrCreateSheet(ss, REGISTRY_SHEET, REGISTRY_HEADERS);
+    if (sh.getLastRow() < 2) {
+      sh.getRange(2, 1, DEFAULT_SINKS.length, REGISTRY_HEADERS.length).setValues(DEFAULT_SINKS);
+      LOG.info(`Seeded ${REGISTRY_SHEET} with the local sink.`);
+    }
+    sinks_ = sh.getRange(2, 1, sh.getLastRow() - 1, REGISTRY_HEADERS.length).getValues()
+      .filter(r => r[0])
+      .map(toSink_);
+    return sinks_;
+  }
+
+  function readState_(props) {
+    try {
+      const s = JSON.parse(props.getProperty(PROP_STATE) || '{}');
+      return { dedup: s.dedup || {}, rate: s.rate || {} };
+    } catch (e) {
+      return { dedup: {}, rate: {} };
+    }
+  }
+
+  function writeState_(props, state, nowMs, dedupMs) {
+    // Drop expired dedup entries so the property doesn't grow without bound
+    Object.keys(state.dedup).forEach(k => { if (nowMs - state.dedup[k] >= dedupMs) delete state.dedup[k]; });
+    props.setProperty(PROP_STATE, JSON.stringify(state));
+  }
+
+  // --- Sinks ---
+
+  const SENDERS = {
+    email: (sink, alert) => {
+      if (!sink.target) throw new Error('No recipient in target.');
+      MailApp.sendEmail(sink.target, `[${alert.severity.toUpperCase()}] ${alert.subject}`, alert.message);
+    },
+    webhook: (sink, alert) => {
+      if (!sink.target) throw new Error('No URL in target.');
+      const text = `**[${alert.severity.toUpperCase()}] ${alert.subject}**\n${alert.message}`.slice(0, MAX_MESSAGE_LEN);
+      const resp = UrlFetchApp.fetch(sink.target, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify({ content: text, text: text }), // Discord reads content, Slack reads text
+        muteHttpExceptions: true
+      });
+      const code = resp.getResponseCode();
+      if (code < 200 || code >= 300) throw new Error(`Webhook HTTP ${code}`);
+    },
+    local: (sink, alert, ss) => {
+      const sh = getOrCreateSheet(ss, sink.target || 'Alert_Log', LOCAL_HEADERS);
+      sh.appendRow([new Date(alert.raisedAt), alert.severity, alert.type, alert.subject, alert.message, sink.name]);
+    }
+  };
+
+  const accepts_ = (sink, alert) =>
+    sink.enabled &&
+    SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[sink.minSeverity] &&
+    (sink.types.length === 0 || sink.types.indexOf(alert.type) !== -1);
+
+  /**
+   * Sends an alert to every sink that accepts its type and severity.
+   * @param {string} type One of Alerts.TYPES.
+   * @param {string} severity info | warning | critical
+   * @param {string} subject One line.
+   * @param {string} [message]
+   * @param {{dedupKey?: string, force?: boolean, ss?: Spreadsheet}} [opts] force skips dedup and rate limits.
+   * @returns {{sent: Array<string>, suppressed: (string|null)}}
+   */
+  function raise(type, severity, subject, message, opts = {}) {
+    const result = { sent: [], suppressed: null };
+    try {
+      const props = PropertiesService.getScriptProperties();
+      const cfg = getConfig();
+      const nowMs = Date.now();
+      const dedupMs = cfg.dedupMin * 60000;
+      const alert = {
+        type: type, severity: SEVERITY_RANK[severity] !== undefined ? severity : SEVERITY.WARNING,
+        subject: subject, message: String(message || subject), raisedAt: nowMs
+      };
+
+      const state = readState_(props);
+      const dedupKey = `${type}|${opts.dedupKey || subject}`;
+      if (!opts.force && state.dedup[dedupKey] && nowMs - state.dedup[dedupKey] < dedupMs) {
+        result.suppressed = 'duplicate';
+        return result;
+      }
+
+      const ss = opts.ss || SpreadsheetApp.getActiveSpreadsheet();
+      const hour = Math.floor(nowMs / HOUR_MS);
+      load_(ss).filter(s => accepts_(s, alert)).forEach(sink => {
+        const sender = SENDERS[sink.type];
+        if (!sender) return LOG.warn(`Sink '${sink.name}' has unknown type '${sink.type}'.`);
+
+        const rate = state.rate[sink.name] && state.rate[sink.name].hour === hour ? state.rate[sink.name] : { hour: hour, count: 0 };
+        if (!opts.force && sink.maxPerHour && rate.count >= sink.maxPerHour) {
+          LOG.warn(`Sink '${sink.name}' rate-limited (${sink.maxPerHour}/h). Dropped: ${alert.subject}`);
+          return;
+        }
+        try {
+          sender(sink, alert, ss);
+          rate.count++;
+          state.rate[sink.name] = rate;
+          result.sent.push(sink.name);
+        } catch (e) {
+          LOG.error(`Sink '${sink.name}' failed: ${e.message}`);
+        }
+      });
+
+      if (result.sent.length > 0) state.dedup[dedupKey] = nowMs;
+      else result.suppressed = 'no sink accepted';
+      writeState_(props, state, nowMs, dedupMs);
+    } catch (e) {
+      LOG.error(`raise(${type}) failed: ${e.message}`);
+      result.suppressed = 'error';
+    }
+    return result;
+  }
+
+  /**
+   * JobRuns hook: counts consecutive error outcomes per job and raises JOB_FAILED
+   * once the streak reaches ALERT_JOB_FAIL_THRESHOLD. Any other outcome clears the streak.
+   */
+  function recordJobOutcome(job, outcome, error) {
+    try {
+      const props = PropertiesService.getScriptProperties();
+      let streaks = {};
+      try { streaks = JSON.parse(props.getProperty(PROP_FAIL_STREAKS) || '{}'); } catch (e) { streaks = {}; }
+
+      if (outcome !== 'error') {
+        if (!streaks[job]) return;
+        delete streaks[job];
+        props.setProperty(PROP_FAIL_STREAKS, JSON.stringify(streaks));
+        return;
+      }
+
+      streaks[job] = (streaks[job] || 0) + 1;
+      props.setProperty(PROP_FAIL_STREAKS, JSON.stringify(streaks));
+
+      const threshold = getConfig().jobFailThreshold;
+      if (streaks[job] >= threshold) {
+        raise(TYPES.JOB_FAILED, streaks[job] >= threshold * 2 ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+          `${job} failed ${streaks[job]} times in a row`, String(error || '').split('\n')[0], { dedupKey: job });
+      }
+    } catch (e) {
+      LOG.warn(`recordJobOutcome(${job}) failed: ${e.message}`);
+    }
+  }
+
+  /** Drops the per-execution sink memo (after editing Config_AlertSinks in the same run). */
+  function reload() {
+    sinks_ = null;
+  }
+
+  return {
+    REGISTRY_SHEET, SEVERITY, TYPES,
+    getConfig, raise, recordJobOutcome, reload
+  };
+})();
+
+/** Manual check: sends one test alert through every enabled sink, ignoring dedup and rate limits. */
+function testAlertSinks() {
+  const res = Alerts.raise('test', Alerts.SEVERITY.CRITICAL, 'Alert sink test', `Sent ${new Date().toISOString()}`, { force: true });
+  console.log(`Test alert sent to: ${res.sent.join(', ') || 'none'}${res.suppressed ? ` (${res.suppressed})` : ''}`);
+  return res;
+}
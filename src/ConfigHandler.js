@@ -0,0 +1,215 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, JobRuns, getOrCreateSheet */
+
+/**
+ * ConfigHandler — External data-source registry.
+ * Replaces spreadsheet IDs / A1 ranges that used to be hardcoded in the sync functions.
+ *
+ * Registry sheet: Config_DataSources (seeded with the built-in defaults on first use).
+ *   name          Unique handle used by callers (e.g. 'esi_region').
+ *   source_id     External spreadsheet ID.
+ *   source_range  "Sheet!A1" range, or just "Sheet" for its whole data range.
+ *   target_sheet  Local sheet to mirror into. Blank = read-only source (see DataSources.read).
+ *   named_range   Optional named range stretched over the mirrored data.
+ *   refresh_min   Minimum minutes between imports. 0 = every call.
+ *   run_with      'finalize' | 'maintenance' | 'manual' — which runner picks it up.
+ *   skip_blank    TRUE drops rows whose first column is empty.
+ *   enabled       FALSE parks the source without deleting it.
+ */
+var DataSources = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('DATA_SOURCES') : console;
+
+  const REGISTRY_SHEET = 'Config_DataSources';
+  const REGISTRY_HEADERS = ['name', 'source_id', 'source_range', 'target_sheet', 'named_range', 'refresh_min', 'run_with', 'skip_blank', 'enabled'];
+  const PROP_LAST_RUN_PREFIX = 'DATA_SOURCE_LAST_RUN_';
+
+  // Seed rows: the values that were previously hardcoded in Orchestrator / GESI Extentions.
+  const DEFAULT_SOURCES = [
+    ['filtered_prices', '1L37sYZPznkNu3EJy554nmaclXQl6DpvERc_N6ans76M', "'filtered prices'!E7:L750", 'market price Tracker', '', 0, 'finalize', true, true],
+    ['esi_region', '1L37sYZPznkNu3EJy554nmaclXQl6DpvERc_N6ans76M', 'Publish_ESI_Region', 'ESI_Region', 'ESI_Region_Data', 0, 'finalize', false, true],
+    ['raw_loot', '1qESXdN_BabqiJmwHS7fHkmQxntEkU7_Zfh6mhUwLfIg', 'Raw_loot!A:D', '', '', 0, 'manual', false, true]
+  ];
+
+  let registry_ = null; // Per-execution memo: Map<name, source>
+
+  const bool_ = (v, fallback) => (v === '' || v === null || v === undefined) ? fallback : String(v).toUpperCase() === 'TRUE';
+
+  function toSource_(r) {
+    return {
+      name: String(r[0]).trim(),
+      sourceId: String(r[1]).trim(),
+      sourceRange: String(r[2]).trim(),
+      targetSheet: String(r[3] || '').trim(),
+      namedRange: String(r[4] || '').trim(),
+      refreshMin: Math.max(0, Number(r[5]) || 0),
+      runWith: String(r[6] || 'manual').trim().toLowerCase(),
+      skipBlank: bool_(r[7], false),
+      enabled: bool_(r[8], true)
+    };
+  }
+
+  function load_(ss) {
+    if (registry_) return registry_;
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const sh = getOrCreateSheet(ss, REGISTRY_SHEET, REGISTRY_HEADERS);
+    if (sh.getLastRow() < 2) {
+      sh.getRange(2, 1, DEFAULT_SOURCES.length, REGISTRY_HEADERS.length).setValues(DEFAULT_SOURCES);
+      LOG.info(`Seeded ${REGISTRY_SHEET} with ${DEFAULT_SOURCES.length} default sources.`);
+    }
+
+    registry_ = new Map();
+    sh.getRange(2, 1, sh.getLastRow() - 1, REGISTRY_HEADERS.length).getValues().forEach(r => {
+      if (!r[0]) return;
+      const src = toSource_(r);
+      if (registry_.has(src.name)) LOG.warn(`Duplicate data source '${src.name}'. Later row wins.`);
+      registry_.set(src.name, src);
+    });
+    return registry_;
+  }
+
+  /** @returns {Array<Object>} All registered sources (enabled or not). */
+  function list(ss) {
+    return Array.from(load_(ss).values());
+  }
+
+  /** @throws if the source is not registered. */
+  function getSource(name, ss) {
+    const src = load_(ss).get(name);
+    if (!src) throw new Error(`Data source '${name}' is not registered in ${REGISTRY_SHEET}.`);
+    return src;
+  }
+
+  /**
+   * Reads a source's values without writing anything locally.
+   * @returns {{sheet: Sheet, values: Array<Array>}}
+   */
+  function read(name, ss) {
+    const src = getSource(name, ss);
+    const book = SpreadsheetApp.openById(src.sourceId);
+    const bang = src.sourceRange.lastIndexOf('!');
+    const sheetName = (bang === -1 ? src.sourceRange : src.sourceRange.slice(0, bang)).replace(/^'|'$/g, '');
+    const sheet = book.getSheetByName(sheetName);
+    if (!sheet) throw new Error(`Source sheet '${sheetName}' not found for data source '${name}'.`);
+
+    const range = (bang === -1) ? sheet.getDataRange() : sheet.getRange(src.sourceRange.slice(bang + 1));
+    return { sheet: sheet, values: range.getValues() };
+  }
+
+  /**
+   * Mirrors a source into its target sheet: widen, clear, write, stretch named range, trim.
+   * Respects refresh_min unless opts.force. Never throws.
+   * @param {string} name
+   * @param {Spreadsheet} [ss]
+   * @param {{force?: boolean}} [opts]
+   * @returns {{success: boolean, skipped: boolean, rows: number, error: (string|null)}}
+   */
+  function importSource(name, ss, opts = {}) {
+    const result = { success: false, skipped: false, rows: 0, error: null };
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const props = PropertiesService.getScriptProperties();
+
+    try {
+      const src = getSource(name, ss);
+      if (!src.enabled) return Object.assign(result, { success: true, skipped: true });
+      if (!src.targetSheet) throw new Error(`Data source '${name}' has no target_sheet (read-only).`);
+
+      const lastRunKey = PROP_LAST_RUN_PREFIX + name;
+      const lastRun = parseInt(props.getProperty(lastRunKey) || '0', 10);
+      if (!opts.force && src.refreshMin > 0 && (Date.now() - lastRun) < src.refreshMin * 60000) {
+        return Object.assign(result, { success: true, skipped: true });
+      }
+
+      let values = read(name, ss).values;
+      if (src.skipBlank) {
+        const clean = values.filter(row => row[0] !== "" && row[0] != null);
+        if (clean.length > 0) values = clean;
+      }
+      if (!values || values.length === 0 || values[0].length === 0) {
+        LOG.warn(`Import '${name}' aborted: no data found in the source range.`);
+        return Object.assign(result, { error: 'Empty source range.' });
+      }
+
+      let target = ss.getSheetByName(src.targetSheet);
+      if (!target) {
+        target = ss.insertSheet(src.targetSheet);
+        LOG.info(`Created new target sheet: ${src.targetSheet}`);
+      }
+
+      // 1. Widen the destination if the incoming data is wider
+      const requiredCols = values[0].length;
+      const currentCols = target.getMaxColumns();
+      if (currentCols < requiredCols) target.insertColumnsAfter(currentCols, requiredCols - currentCols);
+
+      // 2. Clear & write
+      target.clearContents();
+      const newRange = target.getRange(1, 1, values.length, requiredCols);
+      newRange.setValues(values);
+
+      // 3. Stretch named range
+      if (src.namedRange) ss.setNamedRange(src.namedRange, newRange);
+
+      // 4. Trim excess rows
+      const currentMax = target.getMaxRows();
+      if (currentMax > values.length) target.deleteRows(values.length + 1, currentMax - values.length);
+
+      props.setProperty(lastRunKey, Date.now().toString());
+      LOG.info(`Import '${name}' complete. Wrote ${values.length} rows to ${src.targetSheet}.`);
+      return Object.assign(result, { success: true, rows: values.length });
+
+    } catch (e) {
+      LOG.error(`Import '${name}' failed: ${e.message}`);
+      return Object.assign(result, { error: e.message });
+    }
+  }
+
+  /**
+   * Imports every enabled source registered for a runner ('finalize' | 'maintenance').
+   * @returns {Object<string, Object>} importSource result per source name.
+   */
+  function importAll(runWith, ss) {
+    const results = {};
+    list(ss)
+      .filter(src => src.enabled && src.targetSheet && src.runWith === runWith)
+      .forEach(src => { results[src.name] = importSource(src.name, ss); });
+    return results;
+  }
+
+  /** Drops the per-execution memo (after editing the registry sheet in the same run). */
+  function reload() {
+    registry_ = null;
+  }
+
+  return {
+    REGISTRY_SHEET, REGISTRY_HEADERS,
+    list, getSource, read, importSource, importAll, reload
+  };
+})();
+
+/**
+ * Generic importer, callable by name from the finalizer, maintenance queue or a menu.
+ * @param {string} name Data source name in Config_DataSources.
+ * @param {Spreadsheet} [ss]
+ * @param {{force?: boolean}} [opts]
+ */
+function importDataSource(name, ss, opts) {
+  return DataSources.importSource(name, ss, opts);
+}
+
+/**
+ * Maintenance-queue entry point: imports every source with run_with = 'maintenance'
+ * whose refresh_min has elapsed.
+ * @returns {{rows:number, outcome:(string|undefined), error:(string|undefined)}} Rows imported; any
+ *   failed source makes the run an ERROR (the others still import).
+ */
+function runDataSourceImports() {
+  const results = DataSources.importAll('maintenance', SpreadsheetApp.getActiveSpreadsheet());
+  const names = Object.keys(results);
+  const failed = names.filter(n => !results[n].success);
+  const out = { rows: names.reduce((sum, n) => sum + (results[n].rows || 0), 0) };
+  if (failed.length > 0) {
+    Object.assign(out, { outcome: JobRuns.OUTCOME.ERROR, error: failed.map(n => `${n}: ${results[n].error}`).join('; ') });
+  }
+  return out;
+}
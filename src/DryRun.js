@@ -0,0 +1,169 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, getOrCreateSheet, MarketProfiles, generateDumpToBuyOrder, generateRestockQuery,
+  generateRestockItemsOnHand, generatePVPTrap, generateFullBOMData, generateConsolidatedRequirements, processInternalBuffer,
+  ML, LedgerSchema */
+
+/**
+ * DryRun — Run a generator's full computation, but diff the result against its target instead of writing.
+ * Switch: per call via `opts.dryRun` (true/false wins), else globally via DRY_RUN_ENABLED = TRUE.
+ * Each previewed target replaces its own rows in DryRun_Report:
+ *   summary   +added -removed ~changed, with row counts before/after.
+ *   added / removed   One row per key.
+ *   changed   One row per changed cell (key, column, before, after).
+ * Rows are matched on `keyCols` (default: first column); repeated keys match in order of appearance.
+ */
+var DryRun = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('DRY_RUN') : console;
+
+  const REPORT_SHEET = 'DryRun_Report';
+  const REPORT_HEADERS = ['run_at', 'target', 'change', 'key', 'column', 'before', 'after'];
+  const CHANGE = { SUMMARY: 'summary', ADDED: 'added', REMOVED: 'removed', CHANGED: 'changed', TRUNCATED: 'truncated' };
+
+  // --- Script Property Keys (Config) ---
+  const PROP_ENABLED = 'DRY_RUN_ENABLED';
+
+  const MAX_DETAIL_ROWS = 500; // per target
+
+  function isGlobal() {
+    return String(PropertiesService.getScriptProperties().getProperty(PROP_ENABLED) || '').toUpperCase() === 'TRUE';
+  }
+
+  /** @param {{dryRun?: boolean}} [opts] @returns {boolean} */
+  function active(opts) {
+    if (opts && opts.dryRun !== undefined && opts.dryRun !== null) return !!opts.dryRun;
+    return isGlobal();
+  }
+
+  /** Comparison form of a cell: numbers to 6 dp, dates to ISO, everything else trimmed text. */
+  function norm_(v) {
+    if (v instanceof Date) return isNaN(v) ? '' : v.toISOString();
+    if (typeof v === 'number') return isFinite(v) ? String(Math.round(v * 1e6) / 1e6) : '';
+    return String(v == null ? '' : v).trim();
+  }
+
+  function index_(rows, keyCols) {
+    const out = new Map();
+    rows.forEach(r => {
+      const base = keyCols.map(i => norm_(r[i])).join('|');
+      let key = base;
+      for (let n = 2; out.has(key); n++) key = `${base}#${n}`;
+      out.set(key, r);
+    });
+    return out;
+  }
+
+  /**
+   * The block a generator is about to clear, blank-key rows dropped.
+   * @returns {Array<Array<*>>}
+   */
+  function readBlock(sheet, startRow, startCol, width, keyCols = [0]) {
+    const last = sheet.getLastRow();
+    if (last < startRow) return [];
+    return sheet.getRange(startRow, startCol, last - startRow + 1, width).getValues()
+      .filter(r => keyCols.some(i => norm_(r[i]) !== ''));
+  }
+
+  /**
+   * @param {Array<Array<*>>} before Current target rows.
+   * @param {Array<Array<*>>} after  Rows the generator would write.
+   * @param {{keyCols?: Array<number>, headers?: Array<string>}} [opts]
+   * @returns {{added:number, removed:number, changed:number, unchanged:number, details:Array<Object>}}
+   */
+  function diff(before, after, opts = {}) {
+    const keyCols = opts.keyCols || [0];
+    const headers = opts.headers || [];
+    const was = index_(before, keyCols);
+    const now = index_(after, keyCols);
+    const res = { added: 0, removed: 0, changed: 0, unchanged: 0, details: [] };
+
+    now.forEach((row, key) => {
+      const old = was.get(key);
+      if (!old) {
+        res.added++;
+        res.details.push({ change: CHANGE.ADDED, key: key, column: '', before: '', after: row.map(norm_).join(' | ') });
+        return;
+      }
+      let rowChanged = false;
+      const width = Math.max(old.length, row.length);
+      for (let c = 0; c < width; c++) {
+        if (norm_(old[c]) === norm_(row[c])) continue;
+        rowChanged = true;
+        res.details.push({ change: CHANGE.CHANGED, key: key, column: headers[c] || `col ${c + 1}`, before: old[c], after: row[c] });
+      }
+      if (rowChanged) res.changed++;
+      else res.unchanged++;
+    });
+
+    was.forEach((row, key) => {
+      if (now.has(key)) return;
+      res.removed++;
+      res.details.push({ change: CHANGE.REMOVED, key: key, column: '', before: row.map(norm_).join(' | '), after: '' });
+    });
+    return res;
+  }
+
+  /**
+   * Diffs and writes the target's section of DryRun_Report (previous rows for the same target are replaced).
+   * @param {Spreadsheet} ss
+   * @param {string} target Sheet (or ledger) name the generator would have written.
+   * @param {{before: Array<Array<*>>, after: Array<Array<*>>, keyCols?: Array<number>, headers?: Array<string>}} spec
+   * @returns {{target:string, added:number, removed:number, changed:number, unchanged:number}}
+   */
+  function report(ss, target, spec) {
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const d = diff(spec.before || [], spec.after || [], spec);
+    const at = new Date();
+
+    const rows = [[at, target, CHANGE.SUMMARY, `+${d.added} -${d.removed} ~${d.changed}`, '', (spec.before || []).length, (spec.after || []).length]];
+    d.details.slice(0, MAX_DETAIL_ROWS).forEach(x => rows.push([at, target, x.change, x.key, x.column, x.before, x.after]));
+    if (d.details.length > MAX_DETAIL_ROWS) {
+      rows.push([at, target, CHANGE.TRUNCATED, '', '', `${d.details.length - MAX_DETAIL_ROWS} more`, '']);
+    }
+
+    try {
+      const sh = getOrCreateSheet(ss, REPORT_SHEET, REPORT_HEADERS);
+      const last = sh.getLastRow();
+      const kept = last > 1
+        ? sh.getRange(2, 1, last - 1, REPORT_HEADERS.length).getValues().filter(r => r[1] !== target)
+        : [];
+      const out = kept.concat(rows);
+      if (last > 1) sh.getRange(2, 1, last - 1, REPORT_HEADERS.length).clearContent();
+      if (sh.getMaxRows() < out.length + 1) sh.insertRowsAfter(sh.getMaxRows(), out.length + 1 - sh.getMaxRows());
+      sh.getRange(2, 1, out.length, REPORT_HEADERS.length).setValues(out);
+    } catch (e) {
+      LOG.warn(`Could not write ${REPORT_SHEET} for ${target}: ${e.message}`);
+    }
+
+    LOG.info(`${target}: +${d.added} -${d.removed} ~${d.changed} (${d.unchanged} unchanged). Nothing written.`);
+    return { target: target, added: d.added, removed: d.removed, changed: d.changed, unchanged: d.unchanged };
+  }
+
+  return {
+    REPORT_SHEET, CHANGE,
+    isGlobal, active, readBlock, diff, report
+  };
+})();
+
+/**
+ * Menu / manual entry point: previews every market generator against the active profile
+ * (plus the BOM and Consolidated_Requirements) without touching their sheets, and the ledger
+ * writes (ML) behind the internal buffer release and a default prune.
+ */
+function previewGenerators(profileName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const profile = MarketProfiles.resolve(ss, typeof profileName === 'string' ? profileName : null);
+  const opts = { dryRun: true };
+
+  const fullData = ss.getSheetByName(profile.overviewSheet).getDataRange().getValues();
+  const dumpedItems = generateDumpToBuyOrder(ss, fullData, profile.name, opts) || new Set();
+  generateRestockQuery(ss, fullData, dumpedItems, profile.name, opts);
+  generateRestockItemsOnHand(ss, fullData, profile.name, opts);
+  generatePVPTrap(ss, fullData, profile.name, opts);
+  generateFullBOMData(ss, opts);
+  generateConsolidatedRequirements(ss, opts);
+  if (ss.getSheetByName('_Internal_Ledger_Buffer')) processInternalBuffer(ss, opts);
+  LedgerSchema.LEDGERS.forEach(name => ML.forSheet(name).prune(90, opts));
+
+  ss.toast(`Dry run complete. See ${DryRun.REPORT_SHEET}.`, 'Engine Room', 5);
+}
@@ -8,7 +8,7 @@
 //    * All major functions now accept an optional 'ss' (Spreadsheet) argument.
 //    * Uses executeLocked pattern for top-level locking and retry.
 //
-/* global GESI, CacheService, SpreadsheetApp, LockService, Utilities, Session, LoggerEx, ML, getOrCreateSheet, PT, _charIdMap, _getData_, _toNumberISK_, executeLocked, scheduleOneTimeTrigger, deleteTriggersByName, _measureSpreadsheetLatency */
+/* global GESI, CacheService, SpreadsheetApp, LockService, Utilities, Session, LoggerEx, ML, getOrCreateSheet, PT, _charIdMap, _getData_, _toNumberISK_, executeLocked, scheduleOneTimeTrigger, deleteTriggersByName, _measureSpreadsheetLatency, ScheduleWindows, JobRuns, JobRegistry, DryRun */
 
 // ==========================================================================================
 // CONFIG & CONSTANTS
@@ -56,9 +56,8 @@ const CORP_JOURNAL_LAST_ID = 'CORP_JOURNAL_LAST_TRANSACTION_ID';
 const RAW_LOOT_SHEET = 'Raw_loot';
 const SNAP_KEY = 'raw_loot:snapshot:v2'; // doc properties key
 
-// NEW EXTERNAL LOOT SOURCE CONFIG (Replaces IMPORTRANGE formula)
-const EXTERNAL_LOOT_SHEET_ID = "1qESXdN_BabqiJmwHS7fHkmQxntEkU7_Zfh6mhUwLfIg";
-const EXTERNAL_LOOT_RANGE = "Raw_loot!A:D";
+// EXTERNAL LOOT SOURCE (Replaces IMPORTRANGE formula): see Config_DataSources
+const EXTERNAL_LOOT_SOURCE = 'raw_loot';
 
 
 // ENDPOINTS (canonical; let GESI handle versioning)
@@ -238,26 +237,32 @@ function _invokeGesiWithRetry(endpoint, params, maxRetries = 3) {
  * PROCESS INTERNAL BUFFER (De-duplication Enforced)
  * Reads the hidden buffer sheet, filters out duplicates that already exist 
  * in Sales_Ledger, and writes valid paired/timed-out transactions.
+ * opts.dryRun (or DRY_RUN_ENABLED) previews the Sales_Ledger write and leaves the buffer as it is.
+ * @returns {number} Rows released to Sales_Ledger. Throws if either sheet is missing.
  */
-function processInternalBuffer(ss) {
+function processInternalBuffer(ss, opts) {
   const log = LoggerEx.withTag('BUFFER_PROC');
   ss = ss || SpreadsheetApp.getActiveSpreadsheet();
+  const dryRun = DryRun.active(opts);
 
   // 1. Get Sheets
   const bufferSheet = ss.getSheetByName("_Internal_Ledger_Buffer");
   const ledgerSheet = ss.getSheetByName("Sales_Ledger");
 
   if (!bufferSheet || !ledgerSheet) {
-    log.error("Missing Buffer or Ledger sheet.");
-    return;
+    throw new Error("processInternalBuffer: missing _Internal_Ledger_Buffer or Sales_Ledger sheet.");
   }
 
   // 2. LOAD EXISTING IDs (The "Stop-Loss" Fix)
   // We read the existing Sales_Ledger to ensure we never write a duplicate ID.
-  // 'contract_id' is in Column G (Index 6)
-  const ledgerData = ledgerSheet.getDataRange().getValues();
+  const ledgerData = ledgerSheet.getLastRow() > 0 ? ledgerSheet.getDataRange().getValues() : [];
   const existingIds = new Set();
-  const CONTRACT_ID_INDEX = 6;
+  const CONTRACT_ID_INDEX = ledgerData.length > 0 ? LedgerSchema.indexMap(ledgerData[0]).contract_id : -1;
+  if (CONTRACT_ID_INDEX === -1) {
+    // Without the header we can't dedupe; keep the buffer until the ledger is restored (fixMaterialLedgerHeaders).
+    log.warn("Sales_Ledger is empty or has no ledger header. Leaving the buffer untouched.");
+    return 0;
+  }
 
   // Start at 1 to skip header
   for (let i = 1; i < ledgerData.length; i++) {
@@ -317,7 +322,10 @@ function processInternalBuffer(ss) {
         unit_value_filled: entry.data.amount - actualTax, // Net Amount
         source: 'JOURNAL',
         contract_id: id,
-        char: authToon
+        char: authToon,
+        tax: actualTax,
+        wallet_division: 3, // the corp sales division the buffer is filled from
+        ref_type: entry.data.ref_type || 'market_transaction'
       });
 
     } else {
@@ -331,13 +339,17 @@ function processInternalBuffer(ss) {
     const SalesLedger = ML.forSheet("Sales_Ledger");
     // upsert matches keys to update or insert. 
     // Since we filtered dupes above, this is safe.
-    SalesLedger.upsert(['contract_id'], readyToPost);
+    SalesLedger.upsert(['contract_id'], readyToPost, { mode: ML.MODE.INCREMENTAL, dryRun: dryRun });
+    if (dryRun) {
+      log.info(`Dry run: ${readyToPost.length} items would be released. Buffer left as is.`);
+      return 0;
+    }
     log.info(`Durable Sync: Released ${readyToPost.length} items from buffer.`);
   }
 
   // 6. UPDATE BUFFER SHEET
   // Only write back if the count changed (meaning we processed or deleted something)
-  if (bufferData.length !== keptInBuffer.length) {
+  if (!dryRun && bufferData.length !== keptInBuffer.length) {
     // Clear the whole sheet (except header)
     if (bufferSheet.getMaxRows() > 1) {
       bufferSheet.getRange(2, 1, bufferSheet.getMaxRows() - 1, bufferSheet.getMaxColumns()).clearContent();
@@ -350,6 +362,7 @@ function processInternalBuffer(ss) {
 
     log.info(`Buffer Sheet updated. ${keptInBuffer.length} items remaining.`);
   }
+  return readyToPost.length;
 }
 
 /**
@@ -498,25 +511,8 @@ function _fetchProcessedLootData() {
   const log = LoggerEx.withTag('LOOT_SYNC');
 
   try {
-    // 1. Open external sheet
-    const externalSs = SpreadsheetApp.openById(EXTERNAL_LOOT_SHEET_ID);
-    const sourceSheetName = EXTERNAL_LOOT_RANGE.split('!')[0];
-    const sourceRange = EXTERNAL_LOOT_RANGE.split('!')[1];
-
-    if (!externalSs) {
-      log.error('External Loot Sheet not found.', { id: EXTERNAL_LOOT_SHEET_ID });
-      return null;
-    }
-
-    // 2. Read the entire required range from the external source
-    const externalSheet = externalSs.getSheetByName(sourceSheetName);
-    if (!externalSheet) {
-      log.error('External Loot Sheet not found.', { name: sourceSheetName });
-      return null;
-    }
-
-    // Use the specified range (A:D in this case)
-    const values = externalSheet.getRange(sourceRange).getValues();
+    // 1-2. Open the external sheet and read the registered range (A:D by default)
+    const { sheet: externalSheet, values } = DataSources.read(EXTERNAL_LOOT_SOURCE);
 
     if (values.length < 2) { // Need at least header + 1 row
       log.warn('External loot source returned insufficient data (less than 1 data row).');
@@ -920,7 +916,10 @@ function processJournalDurable(ss) {
         unit_value_filled: item.data.amount - finalTax,
         source: 'JOURNAL',
         contract_id: id,
-        char: item.data.first_party_id // Attribution
+        char: item.data.first_party_id, // Attribution
+        tax: finalTax,
+        wallet_division: 3,
+        ref_type: item.data.ref_type
       });
     } else {
       // Still waiting for the tax twin... keep it in the buffer
@@ -928,14 +927,15 @@ function processJournalDurable(ss) {
     }
   });
 
-  // 4. Save the "Waiting Room" for the next pulse
-  SCRIPT_PROP.setProperty(BUFFER_KEY, JSON.stringify(nextBuffer));
-
-  // 5. Atomic Write to Sales Ledger (Zero Duplicates)
+  // 4. Atomic Write to Sales Ledger (Zero Duplicates)
   if (finalizedRows.length > 0) {
-    ML.forSheet("Sales_Ledger").upsert(['contract_id'], finalizedRows);
+    const result = ML.forSheet("Sales_Ledger").upsert(['contract_id'], finalizedRows, { mode: ML.MODE.INCREMENTAL });
+    if (result.status === "DRY_RUN") return; // keep the finalized rows waiting for a real run
     log.info(`Durable Sync: Finalized ${finalizedRows.length} transactions.`);
   }
+
+  // 5. Save the "Waiting Room" for the next pulse (after the write, so a failed write keeps them)
+  SCRIPT_PROP.setProperty(BUFFER_KEY, JSON.stringify(nextBuffer));
 }
 
 // ==========================================================================================
@@ -1270,13 +1270,15 @@ function _runLootDeltaImport(ss, lootData, asOfDate, sourceLabel, writeNegatives
     return 0;
   }
 
-  // 2. Write to Ledger (Using UUID key = Append)
+  // 2. Write to Ledger (UUID keys never collide, so skip the merge read)
   // FIX: Check the result object to ensure success BEFORE saving snapshot.
-  const result = MaterialLedger.upsert(['contract_id'], outRows);
+  const result = MaterialLedger.upsert(['contract_id'], outRows, { mode: ML.MODE.APPEND });
   const count = result.rows || 0;
 
-  // 3. Safe Snapshot Save
-  if (result.status === "SUCCESS" || count > 0) {
+  // 3. Safe Snapshot Save (a dry run previews the deltas again next time)
+  if (result.status === "DRY_RUN") {
+    log.log('loot_import', { status: "DRY_RUN_SNAPSHOT_NOT_SAVED", date: dateStr });
+  } else if (result.status === "SUCCESS" || count > 0) {
     const nextSnap = {};
     for (const [tid, cur] of curr.entries()) {
       nextSnap[String(tid)] = { qty: cur.qty, val: cur.val };
@@ -1427,8 +1429,9 @@ function Ledger_Import_CorpJournal(ss, opts) {
 
         Utilities.sleep(50);
       } catch (e) {
+        // A partial fetch would advance the anchor past the pages that failed; retry the phase instead.
         log.error("ESI Fetch Error: " + e.message);
-        fetchMore = false;
+        throw e;
       }
     } while (fetchMore);
 
@@ -1461,7 +1464,10 @@ function Ledger_Import_CorpJournal(ss, opts) {
         source: SOURCE_NAME,
         contract_id: String(e.transaction_id || e.id),
         char: authToon,
-        unit_value_filled: finalUnitValue
+        unit_value_filled: finalUnitValue,
+        location_id: e.location_id || '',
+        wallet_division: TARGET_DIVISION,
+        ref_type: 'market_transaction' // wallet transactions are the market_transaction journal entries
       };
 
       if (isBuy) freshBuys.push(row); else freshSells.push(row);
@@ -1483,16 +1489,18 @@ function Ledger_Import_CorpJournal(ss, opts) {
   }
 
   // --- LOGIC BLOCK 3: WRITE & UPDATE ANCHOR ---
+  let rowsWritten = 0;
   if (targetRows.length > 0) {
     try {
-      const result = activeLedger.upsert(['contract_id'], targetRows);
+      const result = activeLedger.upsert(['contract_id'], targetRows, { mode: ML.MODE.INCREMENTAL });
+      rowsWritten = result.rows || 0;
       log.info(`Phase ${currentPhase}: Processed ${result.rows} rows.`);
-      if (newestTransactionId) {
+      if (newestTransactionId && result.status !== "DRY_RUN") {
         SCRIPT_PROP.setProperty(persistentAnchorKey, newestTransactionId);
       }
     } catch (e) {
       log.error(`Ledger Write Failed: ${e.message}`);
-      return;
+      throw e;
     }
   }
 
@@ -1500,33 +1508,30 @@ function Ledger_Import_CorpJournal(ss, opts) {
   const nextPhase = (currentPhase === 'BUYS') ? 'SELLS' : 'BUYS';
   SCRIPT_PROP.setProperty(PHASE_KEY, nextPhase);
   log.info(`Phase Complete. Switched to ${nextPhase}.`);
+  return rowsWritten;
 }
 
 
 /**
  * NEW: Helper function to run all loot delta processing steps
  * Assumes lock is held by caller.
+ * @returns {number} Rows written to the ledger. Throws if the loot source can't be read or the import fails.
  */
 function runLootDeltaPhase(ss) {
   const log = LoggerEx.withTag('MASTER_SYNC');
-  let lootData = null;
-  try {
-    log.info('Running _fetchProcessedLootData (External Data Sync)...');
-    lootData = _fetchProcessedLootData();
-  } catch (e) {
-    log.error('_fetchProcessedLootData FAILED', e.message);
+  log.info('Running _fetchProcessedLootData (External Data Sync)...');
+  const lootData = _fetchProcessedLootData();
+  if (!lootData) {
+    throw new Error('runLootDeltaPhase: loot data could not be fetched/processed.');
   }
 
   try {
-    if (lootData) {
-      log.info('Executing loot delta calculation and import...');
-      // Assumes _runLootDeltaImport no longer uses internal withSheetLock
-      _runLootDeltaImport(ss, lootData, null, null, false);
-    } else {
-      log.warn('Skipping loot delta import: Loot data could not be fetched/processed.');
-    }
+    log.info('Executing loot delta calculation and import...');
+    // Assumes _runLootDeltaImport no longer uses internal withSheetLock
+    return _runLootDeltaImport(ss, lootData, null, null, false);
   } catch (e) {
     log.error('Loot Delta Phase FAILED', e.message);
+    throw e;
   }
 }
 
@@ -1763,11 +1768,11 @@ function contractsToMaterialLedger(ss, charIdMap, buyData) {
   const MaterialLedger = ML.forSheet(LEDGER_BUY_SHEET);
 
   // Define header indices based on the column positions written by syncContracts
-  const hC_Names = ["char", "contract_id", "type", "status", "acceptor_id", "date_issued"];
+  const hC_Names = ["char", "contract_id", "type", "status", "issuer_id", "acceptor_id", "date_issued", "date_expired", "price", "reward", "collateral", "volume", "title", "availability", "start_location_id", "end_location_id"];
   const hI_Names = ["char", "contract_id", "type_id", "quantity", "is_included"];
 
   const ix = (arr, name) => arr.indexOf(name);
-  const colC = { char: ix(hC_Names, "char"), contract_id: ix(hC_Names, "contract_id"), date_issued: ix(hC_Names, "date_issued") };
+  const colC = { char: ix(hC_Names, "char"), contract_id: ix(hC_Names, "contract_id"), date_issued: ix(hC_Names, "date_issued"), start_location_id: ix(hC_Names, "start_location_id") };
   const colI = { contract_id: ix(hI_Names, "contract_id"), type_id: ix(hI_Names, "type_id"), quantity: ix(hI_Names, "quantity"), is_included: ix(hI_Names, "is_included") };
 
   // ... rest of the function remains the same ...
@@ -1816,7 +1821,8 @@ function contractsToMaterialLedger(ss, charIdMap, buyData) {
         qty: it.qty,
         source: "CONTRACT",
         contract_id: cid2,
-        char: contractChar
+        char: contractChar,
+        location_id: rowC[colC.start_location_id] || ''
       });
     }
   }
@@ -1829,7 +1835,7 @@ function contractsToMaterialLedger(ss, charIdMap, buyData) {
 
   try {
     const keys = ['source', 'char', 'contract_id', 'type_id'];
-    const upsertResult = MaterialLedger.upsert(keys, outRows);
+    const upsertResult = MaterialLedger.upsert(keys, outRows, { mode: ML.MODE.INCREMENTAL });
     const count = upsertResult.rows; // FIX: Extract the count from the object
 
     log.log('contracts->ledger', { appended_or_updated: count, processed_rows: outRows.length });
@@ -1867,45 +1873,44 @@ function _runRebuildContractUnitCostsWorker() {
   const SCRIPT_PROP = PropertiesService.getScriptProperties();
   const funcName = '_runRebuildContractUnitCostsWorker';
 
+  if (ScheduleWindows.deferTrigger(funcName)) return;
+
   const workerFunc = () => {
     const log = LoggerEx.withTag('COGS_WORKER');
     log.info('Running contract unit costs worker.');
 
-    // --- 1. DEPENDENCY CHECK (NEW) ---
-    // Check if the upstream data sources have run at least once successfully.
-    // These keys match what runMaintenanceJobs uses in Orchestrator.js.
-    const tsPrefix = 'MAINTENANCE_LAST_RUN_TS_';
-    const lastLoot = parseInt(SCRIPT_PROP.getProperty(tsPrefix + 'runLootDeltaPhase') || '0', 10);
-    const lastJournal = parseInt(SCRIPT_PROP.getProperty(tsPrefix + 'Ledger_Import_CorpJournal') || '0', 10);
-    const lastContracts = parseInt(SCRIPT_PROP.getProperty(tsPrefix + 'runContractLedgerPhase') || '0', 10);
-
-    if (lastLoot === 0 || lastJournal === 0 || lastContracts === 0) {
+    // --- 1. DEPENDENCY CHECK ---
+    // Upstream jobs (Loot, Journal, Contracts) are declared in JobRegistry and must have run at least once.
+    if (!JobRegistry.dependenciesMet('rebuildContractUnitCosts')) {
+      const status = JobRegistry.get('rebuildContractUnitCosts').dependsOn.map(d => `${d}=${JobRegistry.getLastRun(d) > 0}`).join(', ');
       log.warn('ABORTING COGS: Dependencies missing. Loot, Journal, and Contracts must complete at least once.');
-      log.info(`Debug Status: Loot=${lastLoot > 0}, Journal=${lastJournal > 0}, Contracts=${lastContracts > 0}`);
+      log.info(`Debug Status: ${status}`);
 
       // CRITICAL: We clear the flag so the Orchestrator doesn't get stuck in an infinite "Nudge" loop
       // trying to run this worker when it is destined to fail.
       SCRIPT_PROP.deleteProperty(PROP_KEY_COGS_STEP);
-      return;
+      return { outcome: JobRuns.OUTCOME.SKIPPED, error: `Dependencies missing: ${status}` };
     }
     // --------------------------------
 
     // 2. CHECK STATE: Ensure we are in the correct state for finalization
     if (SCRIPT_PROP.getProperty(PROP_KEY_COGS_STEP) !== STATE_FLAGS_COGS.FINALIZING) {
       log.warn('COGS worker called outside FINALIZING state. Aborting.');
-      return;
+      return { outcome: JobRuns.OUTCOME.SKIPPED, error: 'Not in FINALIZING state' };
     }
 
     // 3. EXECUTE CORE WORK
-    rebuildContractUnitCosts(ss);
+    const rows = rebuildContractUnitCosts(ss);
+    JobRegistry.markRun('rebuildContractUnitCosts');
 
     // 4. CLEAR FLAG: Clear the finalize flag on successful completion
     SCRIPT_PROP.deleteProperty(PROP_KEY_COGS_STEP);
     log.info('COGS Finalization flag removed on success.');
+    return { rows: rows || 0 };
   };
 
-  // Use executeWithTryLock from Orchestrator.js to manage the lock
-  executeWithTryLock(workerFunc, funcName);
+  // Use executeWithTryLock from Orchestrator.js to manage the lock; each pass is recorded in Job_Runs
+  executeWithTryLock(() => JobRuns.track('rebuildContractUnitCosts', workerFunc), funcName);
 }
 
 /**
@@ -1960,7 +1965,7 @@ function contractsToSalesLedger(ss, charIdMap) {
   if (C.length === 0 || I.length === 0) { log.log('contracts->sales_ledger', { status: 'Skipped: No raw data found.' }); return 0; }
 
   const ix = (arr, name) => arr.indexOf(name);
-  const colC = { char: ix(hC, "char"), contract_id: ix(hC, "contract_id"), type: ix(hC, "type"), status: ix(hC, "status"), issuer_id: ix(hC, "issuer_id"), date_issued: ix(hC, "date_issued"), price: ix(hC, "price") };
+  const colC = { char: ix(hC, "char"), contract_id: ix(hC, "contract_id"), type: ix(hC, "type"), status: ix(hC, "status"), issuer_id: ix(hC, "issuer_id"), date_issued: ix(hC, "date_issued"), price: ix(hC, "price"), start_location_id: ix(hC, "start_location_id") };
   const colI = { contract_id: ix(hI, "contract_id"), type_id: ix(hI, "type_id"), quantity: ix(hI, "quantity"), is_included: ix(hI, "is_included") };
 
   const itemsByCid = {};
@@ -1969,16 +1974,16 @@ function contractsToSalesLedger(ss, charIdMap) {
 
   const outRows = [];
   // ... (logic to populate outRows based on C and itemsByCid remains the same) ...
-  for (let q = 0; q < C.length; q++) { const rowC = C[q]; /* ... filtering logic ... */ const cid2 = rowC[colC.contract_id]; const issued = rowC[colC.date_issued] ? _isoDate(rowC[colC.date_issued]) : ""; const items = itemsByCid[cid2] || []; const price = Number(rowC[colC.price] || 0); for (const it of items) { if (!it.is_included || it.qty <= 0) continue; let unit_price_filled = it.qty > 0 ? price / it.qty : 0; outRows.push({ date: issued, type_id: it.type_id, qty: -it.qty, unit_value: '', unit_value_filled: unit_price_filled, source: "SALE", contract_id: cid2, char: rowC[colC.char] || "" }); } }
+  for (let q = 0; q < C.length; q++) { const rowC = C[q]; /* ... filtering logic ... */ const cid2 = rowC[colC.contract_id]; const issued = rowC[colC.date_issued] ? _isoDate(rowC[colC.date_issued]) : ""; const items = itemsByCid[cid2] || []; const price = Number(rowC[colC.price] || 0); for (const it of items) { if (!it.is_included || it.qty <= 0) continue; let unit_price_filled = it.qty > 0 ? price / it.qty : 0; outRows.push({ date: issued, type_id: it.type_id, qty: -it.qty, unit_value: '', unit_value_filled: unit_price_filled, source: "SALE", contract_id: cid2, char: rowC[colC.char] || "", location_id: colC.start_location_id === -1 ? '' : (rowC[colC.start_location_id] || '') }); } }
 
 
   if (outRows.length === 0) { log.log('contracts->sales_ledger', { status: 'Skipped: No qualifying deltas.' }); return 0; }
 
   // --- Code previously inside withSheetLock now runs directly ---
   const keys = ['source', 'char', 'contract_id', 'type_id'];
-  const count = SalesLedger.upsert(keys, outRows);
-  log.log('contracts->sales_ledger', { appended_or_updated: count, processed_rows: outRows.length });
-  return count; // Return actual count
+  const result = SalesLedger.upsert(keys, outRows, { mode: ML.MODE.INCREMENTAL });
+  log.log('contracts->sales_ledger', { appended_or_updated: result.rows, processed_rows: outRows.length });
+  return result.rows || 0;
 }
 
 // ==========================================================================================
@@ -2325,7 +2330,7 @@ function rebuildContractUnitCosts(ss) {
   try {
     const MaterialLedger = ML.forSheet(LEDGER_BUY_SHEET);
     const keys = ['source', 'char', 'contract_id', 'type_id'];
-    const result = MaterialLedger.upsert(keys, outRows);
+    const result = MaterialLedger.upsert(keys, outRows, { mode: ML.MODE.INCREMENTAL });
 
     log.info(`Upserted ${result.rows} rows to ${LEDGER_BUY_SHEET}.`);
     return result.rows;
@@ -2387,6 +2392,8 @@ function resetCorpJournalImport() {
 /**
  * MONOLITH BREAKER: Consumes segregated data and runs ledger posts conditionally.
  * Implements a 1-hour lease to manage long execution cycles.
+ * @returns {number|{rows:number, outcome:string, error:string}} Ledger rows written; reported as an
+ *   error (rows still counted) if the COGS finalizer could not be scheduled.
  */
 function runContractLedgerPhase(ss) {
   const log = LoggerEx.withTag('MASTER_SYNC');
@@ -2415,41 +2422,51 @@ function runContractLedgerPhase(ss) {
 
       // Release the lease immediately if no work was found.
       SCRIPT_PROP.deleteProperty(PROP_KEY_CONTRACT_LEASE);
-      return;
+      return 0;
     }
 
     // --- STEP 3 & 4: POST BUY-SIDE / SALES LEDGER ---
+    let rowsWritten = 0;
     if (syncResult.buyData.contracts.length > 0) {
       log.info('Running contractsToMaterialLedger (Contract Buys)...');
-      contractsToMaterialLedger(ss, charIdMap, syncResult.buyData);
+      rowsWritten += contractsToMaterialLedger(ss, charIdMap, syncResult.buyData) || 0;
     } else {
       log.info('contractsToMaterialLedger skipped: No buy contracts found.');
     }
 
     if (syncResult.saleData.contracts.length > 0) {
       log.info('Running contractsToSalesLedger (Contract Sells)...');
-      contractsToSalesLedger(ss, charIdMap);
+      rowsWritten += contractsToSalesLedger(ss, charIdMap) || 0;
     } else {
       log.warn('contractsToSalesLedger skipped: No sales contracts found.');
     }
     // --- STEP 6: SAVE LAST PROCESSED ID (NEW) ---
-    if (syncResult.maxContractId && syncResult.maxContractId > 0) {
+    // Not on a dry run: the ledger writes above were only previewed.
+    if (syncResult.maxContractId && syncResult.maxContractId > 0 && !DryRun.active()) {
       SCRIPT_PROP.setProperty(PROP_KEY_LAST_CONTRACT_ID, String(syncResult.maxContractId));
       log.info(`Saved new last processed Contract ID: ${syncResult.maxContractId}`);
     }
    // --- STEP 5: COST ALLOCATION (COGS) ---
+    let cogsError = null;
     try {
       log.info('Decoupling COGS finalization to asynchronous trigger.');
       triggerContractUnitCostsFinalization();
     } catch (e) {
       log.error('rebuildContractUnitCosts FAILED', e.message);
+      cogsError = e;
     }
 
     // --- RELEASE LEASE ON SUCCESS ---
     SCRIPT_PROP.deleteProperty(PROP_KEY_CONTRACT_LEASE);
     
     // FIX: Explicitly set the timestamp so the COGS finalizer passes its dependency check
-    SCRIPT_PROP.setProperty('MAINTENANCE_LAST_RUN_TS_runContractLedgerPhase', String(new Date().getTime()));
+    JobRegistry.markRun('runContractLedgerPhase');
+
+    // The ledgers and anchor are already written; report the COGS failure without redoing them.
+    if (cogsError) {
+      return { rows: rowsWritten, outcome: JobRuns.OUTCOME.ERROR, error: `COGS finalizer not scheduled: ${cogsError.message}` };
+    }
+    return rowsWritten;
 
   } catch (e) {
     log.error('runContractLedgerPhase FAILED', e.message);
@@ -2480,6 +2497,9 @@ function runAllLedgerImports() {
   const log = LoggerEx.withTag('MASTER_SYNC');
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
+  // Fired by its own retry trigger: re-fire after the window. Deferred is not failed, so report success.
+  if (ScheduleWindows.deferTrigger('runAllLedgerImports')) return true;
+
   log.info('--- Starting Full Ledger Import Cycle (Lock Acquired) ---');
 
   // --- PHASE 1: CORE LEDGERS (Journal & Loot) ---
@@ -2531,6 +2551,9 @@ function triggerLedgerImportCycle() {
   const FUNC_NAME = 'runAllLedgerImports'; // The function containing the actual work
   const RETRY_DELAY_MS = 10 * 60 * 1000; // 10 minutes retry
 
+  // Recurring: stand down; the next hourly tick picks the cycle up.
+  if (ScheduleWindows.blackout('triggerLedgerImportCycle')) return;
+
   console.log(`Trigger received for ${FUNC_NAME}. Attempting to acquire lock...`);
 
   // --- Potential: Add a custom failure handler if needed ---
@@ -72,8 +72,9 @@ function _getColIndexMap(headers, requiredHeaders) {
  * NITRO BOM ENGINE (NUCLEAR OPTION)
  * Ignores 'Units Per Run' from the sheet and forces SDE lookup.
  * Fixes the 9.8B Tritanium bug permanently.
+ * @returns {number} Full_BOM_Data rows written (0 in a dry run). Throws if an input or output sheet is missing.
  */
-function generateFullBOMData(ss) {
+function generateFullBOMData(ss, opts) {
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
   const LOG = (typeof LoggerEx !== 'undefined') ? LoggerEx.withTag('BOM_Engine') : console;
   const clean = (v) => (typeof v === 'number') ? v : parseFloat(String(v).replace(/[^0-9.-]/g, '')) || 0;
@@ -83,7 +84,11 @@ function generateFullBOMData(ss) {
   const sdeMatSheet = ss.getSheetByName("SDE_industryActivityMaterials");
   const sdeProdSheet = ss.getSheetByName("SDE_industryActivityProducts");
 
-  if (!prodSheet || !sdeMatSheet || !sdeProdSheet) return;
+  const outSheet = ss.getSheetByName("Full_BOM_Data");
+
+  if (!prodSheet || !sdeMatSheet || !sdeProdSheet || !outSheet) {
+    throw new Error("generateFullBOMData: missing ProductionList, SDE industry or Full_BOM_Data sheet.");
+  }
 
   const prodRaw = prodSheet.getDataRange().getValues();
   const pHeaders = prodRaw[4]; 
@@ -165,22 +170,28 @@ function generateFullBOMData(ss) {
   }
 
   // --- 4. Output ---
-  const outSheet = ss.getSheetByName("Full_BOM_Data");
+  const OUT_HEADERS = ["BP ID", "Act ID", "Mat ID", "Base Qty", "ME", "Runs", "Adj Qty", "Total Req"];
+  if (DryRun.active(opts)) {
+    DryRun.report(ss, "Full_BOM_Data", { headers: OUT_HEADERS, keyCols: [0, 1, 2], before: DryRun.readBlock(outSheet, 2, 1, 8, [0, 1, 2]), after: outputRows });
+    return 0;
+  }
+
   outSheet.clearContents();
-  outSheet.getRange(1, 1, 1, 8).setValues([["BP ID", "Act ID", "Mat ID", "Base Qty", "ME", "Runs", "Adj Qty", "Total Req"]]);
+  outSheet.getRange(1, 1, 1, 8).setValues([OUT_HEADERS]);
   if (outputRows.length > 0) {
     outSheet.getRange(2, 1, outputRows.length, 8).setValues(outputRows);
     outSheet.getRange(2, 8, outputRows.length, 1).setNumberFormat("#,##0");
   }
   
   LOG.info(`BOM NUCLEAR FIX: Processed ${outputRows.length} lines using SDE yields.`);
+  return outputRows.length;
 }
 
 /**
  * NITRO CONSOLIDATOR: Generates a 100% static requirement and shopping list.
  * Logic: Aggregates BOM, calculates Shopping List/Cost, and outputs static values.
  */
-function generateConsolidatedRequirements(ss) {
+function generateConsolidatedRequirements(ss, opts) {
   const TARGET_SHEET_NAME = 'Consolidated_Requirements';
   const SOURCE_SHEET_NAME = 'Manufaturing Inputs Effective Cost';
   
@@ -258,6 +269,11 @@ function generateConsolidatedRequirements(ss) {
   results.sort((a, b) => a.sortKey - b.sortKey);
   const output = results.map(r => r.data);
 
+  if (DryRun.active(opts)) {
+    DryRun.report(ss, TARGET_SHEET_NAME, { headers: OUT_HEADERS, before: DryRun.readBlock(sheet, 2, 1, OUT_HEADERS.length), after: output });
+    return;
+  }
+
   // Write to sheet
   sheet.clearContents();
   sheet.getRange(1, 1, 1, OUT_HEADERS.length).setValues([OUT_HEADERS]).setFontWeight("bold");
@@ -269,66 +285,81 @@ function generateConsolidatedRequirements(ss) {
     sheet.getRange(2, 2, output.length, 1).setNumberFormat("0.00%");
     sheet.getRange(2, 3, output.length, 2).setNumberFormat("#,##0");
   }
+
+  const critical = output.filter(r => String(r[5]).indexOf('CRITICAL') === 0);
+  if (critical.length > 0) {
+    Alerts.raise(Alerts.TYPES.CRITICAL_REQUIREMENT, Alerts.SEVERITY.CRITICAL,
+      `${critical.length} material(s) at critical buffer`,
+      critical.map(r => `${r[0]}: buffer ${(r[1] * 100).toFixed(1)}%, 31d deficit ${r[2]}, siphon ${r[3]}/day`).join('\n'),
+      { dedupKey: critical.map(r => r[0]).sort().join('|') });
+  }
 }
 
 // ----------------------------------------------------------------------
 // --- MASTER ADD-ON INTEGRATION ---
 // ----------------------------------------------------------------------
+/**
+ * Maintenance entry point (JobRegistry): runs the industry ledger phases.
+ * @returns {{rows:number, outcome:(string|undefined), error:(string|undefined)}} Ledger rows written this
+ *   dispatch; a failed or aborted phase is reported as an ERROR outcome.
+ */
 function runIndustryLedgerPhase(ss) {
   const log = LoggerEx.withTag('MASTER_SYNC');
   const SCRIPT_PROP = PropertiesService.getScriptProperties();
+  const RUN = JobRuns.OUTCOME;
 
   const cogsState = SCRIPT_PROP.getProperty('cogsJobStep');
   if (cogsState === 'FINALIZING') {
     log.warn('Skipping Industry Ledger Phase: Contract COGS calculation is pending.');
-    return;
+    return { rows: 0, outcome: RUN.SKIPPED, error: 'Contract COGS calculation pending' };
   }
-  const START_TIME = new Date().getTime();
 
   log.info('--- Starting Industry Ledger Phase ---');
+  const jobRun = { rows: 0 };
+  return JobRuns.notePhasedResult(jobRun, _industryLedgerJob().run({ ss: ss, args: { jobRun: jobRun } }));
+}
 
-  let phase = parseInt(SCRIPT_PROP.getProperty(INDUSTRY_JOB_PHASE) || '0', 10);
-
-  if (phase === 0) {
-    try {
-      log.info('Phase 0: Fetching ESI Corp Jobs...');
-      _getCorporateJobsRaw(false);
-      SCRIPT_PROP.setProperty(INDUSTRY_JOB_PHASE, '1');
-      phase = 1;
-    } catch (e) {
-      log.error('Phase 0 (Fetch) FAILED.', e);
-      return;
-    }
-  }
-
-  if (phase === 1) {
-    if (Date.now() - START_TIME > SOFT_TIME_LIMIT_MS) return;
-    try {
-      log.info('Phase 1: Running BPC Creation Ledger...');
-      runBpcCreationLedger(ss);
-      SCRIPT_PROP.setProperty(INDUSTRY_JOB_PHASE, '2');
-      phase = 2;
-    } catch (e) {
-      log.error('Phase 1 FAILED:', e);
-    }
-  }
-
-  if (phase === 2) {
-    if (Date.now() - START_TIME > SOFT_TIME_LIMIT_MS) return;
-    try {
-      log.info('Phase 2: Running Manufacturing Ledger Update...');
-      runIndustryLedgerUpdate(ss);
-      SCRIPT_PROP.setProperty(INDUSTRY_JOB_PHASE, '3');
-      phase = 3;
-    } catch (e) {
-      log.error('Phase 2 FAILED:', e);
-    }
-  }
-
-  if (phase === 3) {
-    SCRIPT_PROP.deleteProperty(INDUSTRY_JOB_PHASE);
-    log.info('Phase 3: Cleanup complete.');
-  }
+/**
+ * Industry ledger phases (PhasedJob). No resume trigger: a phase that runs out of
+ * time or fails is picked up again by the next maintenance dispatch.
+ * Ledger rows written (manufacturing only; BPC costs live in script properties) are added to ctx.args.jobRun.rows.
+ */
+let industryLedgerJob_ = null;
+function _industryLedgerJob() {
+  if (industryLedgerJob_) return industryLedgerJob_;
+  industryLedgerJob_ = PhasedJob.define({
+    name: 'IndustryLedger',
+    stateKey: INDUSTRY_JOB_PHASE,
+    softLimitMs: SOFT_TIME_LIMIT_MS,
+    phases: [
+      {
+        name: 'FETCH_JOBS',
+        run: (ctx) => {
+          LOG_INDUSTRY.info('Fetching ESI Corp Jobs...');
+          if (!_getCorporateJobsRaw(false)) throw new Error('Corp industry jobs could not be fetched.');
+          return ctx.next();
+        }
+      },
+      {
+        name: 'BPC_LEDGER',
+        run: (ctx) => {
+          LOG_INDUSTRY.info('Running BPC Creation Ledger...');
+          runBpcCreationLedger(ctx.ss);
+          return ctx.next();
+        }
+      },
+      {
+        name: 'MFG_LEDGER',
+        run: (ctx) => {
+          LOG_INDUSTRY.info('Running Manufacturing Ledger Update...');
+          const rows = runIndustryLedgerUpdate(ctx.ss);
+          if (ctx.args.jobRun) ctx.args.jobRun.rows += rows;
+          return ctx.complete();
+        }
+      }
+    ]
+  });
+  return industryLedgerJob_;
 }
 
 /**
@@ -491,12 +522,13 @@ function runBpcCreationLedger() {
 // --- STAGE 2: Manufacturing Ledger ---
 // ----------------------------------------------------------------------
 
+/** @returns {number} Material_Ledger rows written. */
 function runIndustryLedgerUpdate() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const SCRIPT_PROP = PropertiesService.getScriptProperties();
 
   const { sdeMatMap, sdeProdMap } = _getSdeMaps(ss);
-  if (sdeMatMap.size === 0) { LOG_INDUSTRY.warn("SDE Sheets empty."); return; }
+  if (sdeMatMap.size === 0) throw new Error("SDE Sheets empty.");
 
   const nameMap = _getSdeNameMap(ss);
   const processedJobIds = new Set(JSON.parse(SCRIPT_PROP.getProperty(INDUSTRY_JOB_KEY) || '[]'));
@@ -504,7 +536,7 @@ function runIndustryLedgerUpdate() {
 
   if (newJobs.length === 0) {
     LOG_INDUSTRY.info("No new manufacturing jobs.");
-    return;
+    return 0;
   }
 
   // 3. Collect ALL unique material IDs (Filtered by Activity)
@@ -605,19 +637,25 @@ function runIndustryLedgerUpdate() {
       source: "INDUSTRY",
       contract_id: job.job_id,
       char: job.installer_id,
-      unit_value_filled: unitManufacturingCost
+      unit_value_filled: unitManufacturingCost,
+      location_id: job.location_id || '',
+      fee: totalJobInstallationCost // informational: already part of unit_value_filled
     });
 
     newlyProcessedIds.push(job.job_id);
   }
 
+  let rowsWritten = 0;
   if (ledgerObjects.length > 0) {
-    ledgerAPI.upsert(['source', 'contract_id'], ledgerObjects);
+    const result = ledgerAPI.upsert(['source', 'contract_id'], ledgerObjects, { mode: ML.MODE.INCREMENTAL });
+    if (result.status === "DRY_RUN") return 0; // previewed only: leave the jobs unprocessed
+    rowsWritten = result.rows || 0;
     LOG_INDUSTRY.info(`Processed ${ledgerObjects.length} jobs.`);
   }
 
   newlyProcessedIds.forEach(id => processedJobIds.add(id));
   SCRIPT_PROP.setProperty(INDUSTRY_JOB_KEY, JSON.stringify(Array.from(processedJobIds).slice(-1000)));
+  return rowsWritten;
 }
 
 // ----------------------------------------------------------------------
@@ -636,7 +674,12 @@ function _getBlendedCostMap(ss, requiredMaterialIds) {
   const allItemCosts = new Map();
   const tier3FetchList = new Set();
 
-  // Tier 1: Blended Cost
+  // Tier 1a: Remaining-lot cost (LotCost.js), when COST_BASIS_SOURCE = LOTS
+  if (LotCost.isSelected()) {
+    LotCost.readCostMap(ss).forEach((cost, tid) => allItemCosts.set(tid, cost));
+  }
+
+  // Tier 1b: Blended Cost (fills types the lot engine has no stock for)
   if (sheet && sheet.getLastRow() >= 2) {
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     try {
@@ -644,7 +687,8 @@ function _getBlendedCostMap(ss, requiredMaterialIds) {
       const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).getValues();
       data.forEach(row => {
         const cost = Number(row[col.unit_weighted_average]);
-        if (cost > 0) allItemCosts.set(Number(row[col.type_id]), cost);
+        const tid = Number(row[col.type_id]);
+        if (cost > 0 && !allItemCosts.has(tid)) allItemCosts.set(tid, cost);
       });
     } catch (e) { console.warn(e.message); }
   }
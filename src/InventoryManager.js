@@ -1,4 +1,4 @@
-/* global GESI, SpreadsheetApp, Logger, UrlFetchApp, Utilities, LockService, PropertiesService, scheduleOneTimeTrigger, executeWithTryLock, getCorpAuthChar, CacheService, writeDataToSheet, guardedSheetTransaction, atomicSwapAndFlush, deleteTriggersByName, _chunkAndPut, _getAndDechunk, _deleteShardedData */
+/* global GESI, SpreadsheetApp, Logger, UrlFetchApp, Utilities, LockService, PropertiesService, PhasedJob, JobRuns, scheduleOneTimeTrigger, executeWithTryLock, getCorpAuthChar, CacheService, writeDataToSheet, guardedSheetTransaction, atomicSwapAndFlush, deleteTriggersByName, _chunkAndPut, _getAndDechunk, _deleteShardedData */
 
 // ======================================================================
 // EVE ONLINE ASSET AND LOCATION MANAGEMENT MODULE
@@ -12,20 +12,15 @@ const log = (typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('InventoryManage
 
 // --- TRIGGER MANAGEMENT ---
 
+/**
+ * Maintenance entry point (JobRegistry). Starts or advances the asset cache job;
+ * skipped while a resume trigger for it is already pending.
+ * The dispatch only fetches and stages; rows are written by the worker passes, which
+ * cacheAllCorporateAssetsWorker records in Job_Runs under this job's name.
+ */
 function cacheAllCorporateAssetsTrigger() {
-    const SCRIPT_PROP = PropertiesService.getScriptProperties();
-    const ASSET_JOB_STATUS_KEY = 'AssetCache_JobStatus';
-    const status = SCRIPT_PROP.getProperty(ASSET_JOB_STATUS_KEY);
-
-    if (status === 'FINALIZING') {
-        log.info("Trigger: Job is in FINALIZING state. Dispatching finalizer.");
-        finalizeAssetCacheJob();
-        return; // [FIX] Stop here! Do not run the worker.
-    }
-
-    // Only run the worker if NOT finalizing
-    const funcName = 'cacheAllCorporateAssetsWorker';
-    executeWithTryLock(cacheAllCorporateAssetsWorker, funcName);
+    const jobRun = { rows: 0 };
+    return JobRuns.notePhasedResult(jobRun, _assetCacheJob().run({ args: { jobRun: jobRun } }));
 }
 
 // ------------------------------------------------------------------------
@@ -172,164 +167,164 @@ function _fetchAssetsConcurrently(authName) {
 
 
 /**
- * Corporate Asset Cache Worker (Nitro Edition - HYBRID)
- * Phase 1: Pauses briefly to create sheet safely.
- * Phase 2: Runs LIVE (Unpaused) to keep dashboard usable.
+ * Corporate Asset Cache Job (Nitro Edition - HYBRID), declared as PhasedJob phases:
+ *   NEW_RUN     Fetch all pages, stash them, and prepare the temp sheet under a surgical pause.
+ *   WRITING     Live (unpaused) Nitro write into the temp sheet, checkpointing the batch index.
+ *   FINALIZING  Atomic swap into CorpWarehouseStock and named range repair.
+ * Phase names match the old 'AssetCache_JobStatus' values.
  */
-function cacheAllCorporateAssetsWorker() {
-    const START_TIME = new Date().getTime();
-    const SCRIPT_PROP = PropertiesService.getScriptProperties();
-    // Use the global log instance or create a specific one, ensure consistency
-    const workerLog = (typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ASSET_WORKER') : console);
-
-    const PROP_KEY_STEP = 'AssetCache_JobStatus';
-    const PROP_KEY_WRITE_INDEX = 'AssetCache_RowIndex';
-    const PROP_KEY_CHUNK_SIZE = 'AssetCache_ChunkSize';
-    const ASSET_CACHE_DATA_KEY = 'AssetCache_Data_Shard';
-
+let assetCacheJob_ = null;
+function _assetCacheJob() {
+    if (assetCacheJob_) return assetCacheJob_;
 
     const START_ROW = 3;
     const START_COL = 1;
+    const LIVE_SHEET_NAME = 'CorpWarehouseStock';
     const TEMP_SHEET_NAME = 'CorpWarehouseStock_Temp';
-    const ASSET_CACHE_HEADERS = [["is_blueprint_copy", "is_singleton", "item_id", "location_flag", "location_id", "location_type", "quantity", "type_id"]];
-
-    // Load State
-    let currentStep = SCRIPT_PROP.getProperty(PROP_KEY_STEP);
-
-    // DEBUG: Log the state to diagnose silent exits
-    if (!currentStep) {
-        workerLog.info(`[Worker] No job state found. Defaulting to NEW_RUN.`);
-        currentStep = 'NEW_RUN';
-    } else {
-        workerLog.info(`[Worker] Loaded job state: ${currentStep}`);
-    }
-
-    var ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-
-    // ==========================================================================
-    // PHASE 1: FETCH & PREPARE (SURGICAL PAUSE)
-    // ==========================================================================
-    if (currentStep === 'NEW_RUN' || currentStep === 'FETCHED') {
-        workerLog.info(`[Worker] State: ${currentStep}. Starting Fetch & Prep.`);
-
-        const authName = (typeof getCorpAuthChar === 'function') ? getCorpAuthChar() : null;
-        if (!authName) workerLog.warn('[Worker] No authorized character found.');
-
-        // 1. Fetch Data (Live - No Pause yet)
-        if (typeof _fetchAssetsConcurrently !== 'function') { workerLog.error('[Worker] missing _fetchAssetsConcurrently'); return; }
-        let allAssets = [];
-        try { allAssets = _fetchAssetsConcurrently(authName); } catch (e) { workerLog.error(`[Worker] Fetch failed: ${e.message}`); return; }
-        if (!allAssets || allAssets.length <= 1) { workerLog.warn('[Worker] No assets retrieved. Aborting.'); return; }
-
-        const processedAssets = allAssets.slice(1);
-        if (typeof _chunkAndPut === 'function') _chunkAndPut(ASSET_CACHE_DATA_KEY, JSON.stringify(processedAssets), 21600);
-
-        // 2. PAUSE (Crucial for Sheet Creation)
-        var needsWakeUp = pauseSheet(ss_anchor);
-
-        const setupResult = guardedSheetTransaction(() => {
-            // prepareTempSheet now returns { success, state, error }
-            const result = prepareTempSheet(ss_anchor, TEMP_SHEET_NAME, ASSET_CACHE_HEADERS[0]);
-
-            if (!result.success) {
-                throw new Error(result.error);
-            }
-            // Return the sheet object so the wrapper puts it in setupResult.state
-            return result.state;
-        }, 60000);
-
-        // 3. WAKE UP IMMEDIATELY (Do not leave it paused for Phase 2)
-        if (needsWakeUp) {
-            wakeUpSheet(ss_anchor);
-            console.log("[Worker] Surgical Pause complete. Sheet woken up for Write Phase.");
-        }
-
-        if (!setupResult.success) {
-            workerLog.warn(`[Worker] Sheet prep failed (${setupResult.error}). Rescheduling.`);
-            scheduleOneTimeTrigger('cacheAllCorporateAssetsWorker', RESCHEDULE_DELAY_MS);
-            return;
-        }
-
-        SCRIPT_PROP.setProperty(PROP_KEY_WRITE_INDEX, '0');
-        SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-        SCRIPT_PROP.setProperty(PROP_KEY_STEP, 'WRITING');
-
-        workerLog.info(`[Worker] Prep Success. Transitioning to WRITING (Live Mode).`);
-        scheduleOneTimeTrigger('cacheAllCorporateAssetsWorker', 1000);
-        return;
-    }
+    const CACHE_NAMED_RANGE = 'warehouse_unfiltered';
+    const HEADERS = ["is_blueprint_copy", "is_singleton", "item_id", "location_flag", "location_id", "location_type", "quantity", "type_id"];
+    const workerLog = (typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ASSET_WORKER') : console);
 
-    // ==========================================================================
-    // PHASE 2: WRITE (Nitro Mode - LIVE/UNPAUSED)
-    // ==========================================================================
-    if (currentStep === 'WRITING') {
-        let cachedJson = _getAndDechunk(ASSET_CACHE_DATA_KEY);
-        if (!cachedJson) {
-            workerLog.error(`[Worker] CRITICAL: Cache Loss. Resetting Job.`);
-            SCRIPT_PROP.deleteProperty(PROP_KEY_STEP);
-            return;
-        }
-        let allRowsToWrite = JSON.parse(cachedJson);
-
-        ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-
-        let writeState = {
-            logInfo: workerLog.info, logError: workerLog.error, logWarn: workerLog.warn,
-            nextBatchIndex: parseInt(SCRIPT_PROP.getProperty(PROP_KEY_WRITE_INDEX) || '0'),
-            ss: ss_anchor,
-            metrics: { startTime: START_TIME },
-            config: {
-                // Shared Settings
-                ...(typeof NITRO_CONFIG !== 'undefined' ? NITRO_CONFIG : {}),
-
-                // OVERRIDES FOR HEAVY ASSETS
-                MAX_CELLS_PER_CHUNK: 30000, // Reduced from standard
-                MAX_CHUNK_SIZE: 2000,       // Force smaller bites
-                SOFT_LIMIT_MS: 280000,      // 4.5 Minutes (BAIL EARLY)
-
-                // Dynamic State
-                currentChunkSize: parseInt(SCRIPT_PROP.getProperty(PROP_KEY_CHUNK_SIZE) || '500')
+    assetCacheJob_ = PhasedJob.define({
+        name: 'AssetCache',
+        stateKey: 'AssetCache_JobStatus',
+        trigger: 'cacheAllCorporateAssetsWorker',
+        legacyTriggers: ['finalizeAssetCacheJob'],
+        phases: [
+            {
+                // PHASE 1: FETCH & PREPARE (SURGICAL PAUSE)
+                name: 'NEW_RUN',
+                run: (ctx) => {
+                    const authName = (typeof getCorpAuthChar === 'function') ? getCorpAuthChar() : null;
+                    if (!authName) workerLog.warn('[Worker] No authorized character found.');
+
+                    // 1. Fetch Data (Live - No Pause yet)
+                    const allAssets = _fetchAssetsConcurrently(authName);
+                    if (!allAssets || allAssets.length <= 1) {
+                        throw new Error('No assets retrieved.');
+                    }
+                    ctx.stash('assets', allAssets.slice(1));
+
+                    // 2. PAUSE (Crucial for Sheet Creation)
+                    const ss_anchor = ctx.ss;
+                    const needsWakeUp = pauseSheet(ss_anchor);
+                    const setupResult = guardedSheetTransaction(() => {
+                        const result = prepareTempSheet(ss_anchor, TEMP_SHEET_NAME, HEADERS);
+                        if (!result.success) throw new Error(result.error);
+                        return result.state;
+                    }, 60000);
+
+                    // 3. WAKE UP IMMEDIATELY (Do not leave it paused for Phase 2)
+                    if (needsWakeUp) {
+                        wakeUpSheet(ss_anchor);
+                        console.log("[Worker] Surgical Pause complete. Sheet woken up for Write Phase.");
+                    }
+
+                    if (!setupResult.success) {
+                        workerLog.warn(`[Worker] Sheet prep failed (${setupResult.error}). Rescheduling.`);
+                        return ctx.retry(RESCHEDULE_DELAY_MS);
+                    }
+
+                    ctx.checkpoint.nextBatchIndex = 0;
+                    ctx.checkpoint.chunkSize = 500;
+                    workerLog.info(`[Worker] Prep Success. Transitioning to WRITING (Live Mode).`);
+                    return ctx.next('WRITING', 1000);
+                }
+            },
+            {
+                // PHASE 2: WRITE (Nitro Mode - LIVE/UNPAUSED)
+                name: 'WRITING',
+                run: (ctx) => {
+                    const allRowsToWrite = ctx.unstash('assets');
+                    if (!allRowsToWrite) return ctx.abort('Cache loss during WRITING');
+
+                    const writeState = {
+                        logInfo: workerLog.info, logError: workerLog.error, logWarn: workerLog.warn,
+                        nextBatchIndex: ctx.checkpoint.nextBatchIndex || 0,
+                        ss: ctx.ss,
+                        metrics: { startTime: ctx.startMs },
+                        config: {
+                            // Shared Settings
+                            ...(typeof NITRO_CONFIG !== 'undefined' ? NITRO_CONFIG : {}),
+
+                            // OVERRIDES FOR HEAVY ASSETS
+                            MAX_CELLS_PER_CHUNK: 30000, // Reduced from standard
+                            MAX_CHUNK_SIZE: 2000,       // Force smaller bites
+                            SOFT_LIMIT_MS: 280000,      // 4.5 Minutes (BAIL EARLY)
+
+                            // Dynamic State
+                            currentChunkSize: ctx.checkpoint.chunkSize || 500
+                        }
+                    };
+
+                    workerLog.info(`[Worker] Writing to '${TEMP_SHEET_NAME}' (Index: ${writeState.nextBatchIndex}).`);
+                    const writeResult = writeDataToSheet(TEMP_SHEET_NAME, allRowsToWrite, START_ROW, START_COL, writeState);
+
+                    if (writeResult.success) {
+                        if (ctx.args.jobRun) ctx.args.jobRun.rows = allRowsToWrite.length;
+                        workerLog.info("Write SUCCESS. Transitioning to FINALIZING.");
+                        return ctx.next('FINALIZING', RESCHEDULE_DELAY_MS);
+                    }
+                    if (writeResult.bailout_reason === "PREDICTIVE_BAILOUT" || (writeResult.error && writeResult.error.includes("timed out"))) {
+                        const reason = writeResult.error ? writeResult.error : "Predictive Bailout";
+                        workerLog.warn(`[Worker] Interrupted (${reason}). Rescheduling.`);
+
+                        let nextChunkSize = writeResult.state.config.currentChunkSize;
+                        if (writeResult.error) nextChunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(nextChunkSize / 2));
+                        ctx.checkpoint.nextBatchIndex = writeResult.state.nextBatchIndex;
+                        ctx.checkpoint.chunkSize = nextChunkSize;
+                        return ctx.retry(30000);
+                    }
+                    throw new Error(`Fatal Write Failure: ${writeResult.error}`);
+                }
+            },
+            {
+                // PHASE 3: ATOMIC SWAP
+                name: 'FINALIZING',
+                run: (ctx) => {
+                    // [ANESTHESIA]
+                    const needsWakeUp = pauseSheet(ctx.ss);
+                    // REFRESH CONNECTION
+                    const ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
+
+                    workerLog.info('[Finalizer] Performing ATOMIC SWAP.');
+                    updateHangarNamedRange();
+
+                    const repairMap = { [CACHE_NAMED_RANGE]: `A3:H` };
+                    const transactionResult = guardedSheetTransaction(() => {
+                        return atomicSwapAndFlush(ss_anchor, LIVE_SHEET_NAME, TEMP_SHEET_NAME, repairMap);
+                    }, 60000);
+
+                    // [WAKE UP] Immediately
+                    if (needsWakeUp) wakeUpSheet(ss_anchor);
+
+                    const swapResult = transactionResult.success
+                        ? transactionResult.state
+                        : { success: false, errorMessage: transactionResult.error };
+
+                    if (!swapResult.success) {
+                        if (swapResult.errorMessage && swapResult.errorMessage.includes("not found")) {
+                            return ctx.abort('Temp sheet missing at FINALIZING');
+                        }
+                        workerLog.warn(`[Finalizer] Swap Failed: ${swapResult.errorMessage}. Retrying.`);
+                        return ctx.retry(120000);
+                    }
+
+                    workerLog.info(`[Finalizer] Job Complete. Swap successful.`);
+                    return ctx.complete();
+                }
             }
-        };
-
-        if (writeState.nextBatchIndex === 0) writeState.config.currentChunkSize = 500;
-
-        // [NO PAUSE HERE] - Running Live
-
-        workerLog.info(`[Worker] Writing to '${TEMP_SHEET_NAME}' (Index: ${writeState.nextBatchIndex}).`);
-
-        const writeResult = writeDataToSheet(TEMP_SHEET_NAME, allRowsToWrite, START_ROW, START_COL, writeState);
-
-        if (writeResult.success) {
-            workerLog.info("Write SUCCESS. Transitioning to FINALIZING.");
-            SCRIPT_PROP.setProperty(PROP_KEY_STEP, 'FINALIZING');
-            SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-            SCRIPT_PROP.deleteProperty(PROP_KEY_WRITE_INDEX);
-            scheduleOneTimeTrigger('finalizeAssetCacheJob', RESCHEDULE_DELAY_MS);
-        }
-        else if (writeResult.bailout_reason === "PREDICTIVE_BAILOUT" || (writeResult.error && writeResult.error.includes("timed out"))) {
-            const reason = writeResult.error ? writeResult.error : "Predictive Bailout";
-            workerLog.warn(`[Worker] Interrupted (${reason}). Rescheduling.`);
-
-            const nextIndex = writeResult.state.nextBatchIndex.toString();
-            let nextChunkSize = writeResult.state.config.currentChunkSize;
-            if (writeResult.error) nextChunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(nextChunkSize / 2));
-
-            SCRIPT_PROP.setProperty(PROP_KEY_WRITE_INDEX, nextIndex);
-            SCRIPT_PROP.setProperty(PROP_KEY_CHUNK_SIZE, nextChunkSize.toString());
-
-            Utilities.sleep(1000);
-            scheduleOneTimeTrigger('cacheAllCorporateAssetsWorker', 30000);
-        }
-        else {
-            workerLog.error(`[Worker] Fatal Write Failure: ${writeResult.error}`);
-        }
-    }
+        ]
+    });
+    return assetCacheJob_;
+}
 
-    // Final fallback check
-    if (currentStep !== 'NEW_RUN' && currentStep !== 'FETCHED' && currentStep !== 'WRITING') {
-        workerLog.warn(`[Worker] Unhandled state encountered: '${currentStep}'. Job may be stuck.`);
-    }
+/** Resume trigger for the asset cache job (scheduled by PhasedJob). Each pass is recorded in Job_Runs. */
+function cacheAllCorporateAssetsWorker() {
+    return JobRuns.track('cacheAllCorporateAssetsTrigger', (jobRun) => {
+        JobRuns.notePhasedResult(jobRun, _assetCacheJob().resume({ args: { jobRun: jobRun } }));
+        return null;
+    });
 }
 
 /* Add this to your maintenance script to 'snap' the hangar range */
@@ -346,95 +341,7 @@ function updateHangarNamedRange() {
     console.log(`Hangar Snapped: NR_MATERIAL_HANGAR is now ${lastRow} rows.`);
 }
 
+/** Legacy trigger name for the swap phase; any still-pending trigger just resumes the job. */
 function finalizeAssetCacheJob() {
-    const funcName = 'finalizeAssetCacheJob';
-    const log = (typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ASSET_FINALIZER') : console);
-
-    var ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-
-    // Attempt to acquire lock
-    const lock = LockService.getScriptLock();
-    if (!lock.tryLock(5000)) {
-        log.warn(`[Finalizer] Could not acquire lock. Previous job might be active. Rescheduling.`);
-        scheduleOneTimeTrigger(funcName, 10000);
-        return;
-    }
-
-    try {
-        const SCRIPT_PROP = PropertiesService.getScriptProperties();
-        const ASSET_JOB_STATUS_KEY = 'AssetCache_JobStatus';
-        const CACHE_NAMED_RANGE = 'warehouse_unfiltered';
-        const CACHE_SHEET_NAME = 'CorpWarehouseStock';
-        const TEMP_SHEET_NAME = 'CorpWarehouseStock_Temp';
-        const ASSET_CACHE_DATA_KEY = 'AssetCache_Data_Shard';
-        const ASSET_CACHE_ROW_INDEX_KEY = 'AssetCache_RowIndex';
-        const PROP_KEY_CHUNK_SIZE = 'AssetCache_ChunkSize';
-        const NUM_ASSET_COLS = 8;
-
-        const status = SCRIPT_PROP.getProperty(ASSET_JOB_STATUS_KEY);
-
-        if (status !== 'FINALIZING') {
-            log.warn(`[Finalizer] Called in wrong state (${status}). Aborting.`);
-            return;
-        }
-
-        // [ANESTHESIA]
-        var needsWakeUp = pauseSheet(ss_anchor);
-
-        // REFRESH CONNECTION
-        ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-
-        log.info('[Finalizer] Performing ATOMIC SWAP.');
-
-        // Add this at the very bottom of your asset caching function
-        updateHangarNamedRange();
-
-        const repairMap = {
-            [CACHE_NAMED_RANGE]: `A3:H`
-        };
-
-        const transactionResult = guardedSheetTransaction(() => {
-            return atomicSwapAndFlush(ss_anchor, CACHE_SHEET_NAME, TEMP_SHEET_NAME, repairMap);
-        }, 60000);
-
-        // [WAKE UP] Immediately
-        if (needsWakeUp) wakeUpSheet(ss_anchor);
-
-        let swapResult;
-        if (!transactionResult.success) {
-            swapResult = { success: false, errorMessage: transactionResult.error };
-        } else {
-            swapResult = transactionResult.state;
-        }
-
-        if (!swapResult.success) {
-            if (swapResult.errorMessage && swapResult.errorMessage.includes("not found")) {
-                log.error(`[Finalizer] CRITICAL: Temp sheet missing. Clearing state.`);
-                if (typeof _deleteShardedData === 'function') _deleteShardedData(ASSET_CACHE_DATA_KEY);
-                SCRIPT_PROP.deleteProperty(ASSET_CACHE_ROW_INDEX_KEY);
-                SCRIPT_PROP.deleteProperty(ASSET_JOB_STATUS_KEY);
-                SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-                deleteTriggersByName('cacheAllCorporateAssetsWorker');
-                return;
-            }
-            log.warn(`[Finalizer] Swap Failed: ${swapResult.errorMessage}. Retrying.`);
-            scheduleOneTimeTrigger('finalizeAssetCacheJob', 120000);
-            return;
-        }
-
-        // Named Range resizing is handled in atomicSwapAndFlush
-
-        if (typeof _deleteShardedData === 'function') _deleteShardedData(ASSET_CACHE_DATA_KEY);
-        SCRIPT_PROP.deleteProperty(ASSET_CACHE_ROW_INDEX_KEY);
-        SCRIPT_PROP.deleteProperty(ASSET_JOB_STATUS_KEY);
-        SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-
-        deleteTriggersByName('cacheAllCorporateAssetsWorker');
-        deleteTriggersByName('finalizeAssetCacheJob');
-
-        log.info(`[Finalizer] Job Complete. Swap successful.`);
-
-    } finally {
-        lock.releaseLock();
-    }
+    return _assetCacheJob().resume();
 }
@@ -0,0 +1,244 @@
+/* global PropertiesService, LoggerEx, JobRuns, generateFullBOMData, runLootDeltaPhase, Ledger_Import_CorpJournal, processInternalBuffer,
+  runContractLedgerPhase, runIndustryLedgerPhase, cacheAllCorporateAssetsTrigger, runDataSourceImports, rebuildContractUnitCosts,
+  collectPropertyGarbage, reconcileTriggers, rebuildLotCosts, generateRealizedPnL */
+
+/**
+ * JobRegistry — Declarative maintenance job graph.
+ * Each job declares:
+ *   interval      ms between runs.
+ *   lease         ms the job is locked out after dispatch (cleared on success). 0 = none; a failed run
+ *                 still backs off for min(interval, 30 min).
+ *   dependsOn     Jobs that must have run before this one; overdue dependencies are dispatched first.
+ *   priority      Weight among due jobs, scaled by how overdue each is (see nextRunnable).
+ *   maxRuntimeMs  Expected worst case. Not dispatched unless that much execution budget is left.
+ *   scheduled     false = never picked by the scheduler (triggered elsewhere, but still tracked/gated).
+ *   run           Invoked with no arguments (same as the old `fn()` dispatch). Returns the rows it wrote,
+ *                 or { rows, outcome, error } (JobRuns.OUTCOME) to report a skip or a failure it handled
+ *                 itself. An ERROR outcome counts as a failed run, the same as a throw.
+ * A job whose dependencies are unknown or cyclic is logged and disabled at load (never scheduled).
+ *
+ * Last-run stamps live under MAINTENANCE_LAST_RUN_TS_<name> — the prefix the COGS worker and
+ * runContractLedgerPhase already use. The old scheduler wrote LAST_RUN_<name>; those are read as a fallback.
+ */
+var JobRegistry = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('JOB_REGISTRY') : console;
+
+  // Script globals are evaluated at the start of every execution, so this approximates its start time.
+  const EXECUTION_START_MS = Date.now();
+  const EXECUTION_BUDGET_MS = 330000; // 5.5 min of the 6 min hard limit
+
+  const PROP_LAST_RUN_PREFIX = 'MAINTENANCE_LAST_RUN_TS_';
+  const LEGACY_LAST_RUN_PREFIX = 'LAST_RUN_';
+  const PROP_LEASE_PREFIX = 'JOB_LEASE_';
+
+  const MIN = 60 * 1000;
+  const HOUR = 60 * MIN;
+  const FAILURE_BACKOFF_MS = 30 * MIN;
+
+  const JOBS = [
+    { name: 'processInternalBuffer', interval: 10 * MIN, priority: 90, maxRuntimeMs: 60000, run: () => processInternalBuffer() },
+    { name: 'Ledger_Import_CorpJournal', interval: 30 * MIN, priority: 80, maxRuntimeMs: 180000, run: () => Ledger_Import_CorpJournal() },
+    { name: 'runLootDeltaPhase', interval: HOUR, priority: 70, maxRuntimeMs: 120000, run: () => runLootDeltaPhase() },
+    {
+      name: 'runContractLedgerPhase', interval: HOUR, priority: 60, maxRuntimeMs: 240000,
+      dependsOn: ['runLootDeltaPhase', 'Ledger_Import_CorpJournal'], run: () => runContractLedgerPhase()
+    },
+    { name: 'runIndustryLedgerPhase', interval: HOUR, priority: 50, maxRuntimeMs: 240000, run: () => runIndustryLedgerPhase() },
+    {
+      name: 'generateFullBOMData', interval: 45 * MIN, lease: 20 * MIN, leaseKey: 'BOM_MAINTENANCE_LEASE',
+      priority: 40, maxRuntimeMs: 240000, run: () => generateFullBOMData()
+    },
+    { name: 'cacheAllCorporateAssetsTrigger', interval: HOUR, priority: 30, maxRuntimeMs: 240000, run: () => cacheAllCorporateAssetsTrigger() },
+    { name: 'runDataSourceImports', interval: 10 * MIN, priority: 20, maxRuntimeMs: 120000, run: () => runDataSourceImports() }, // per-source cadence lives in Config_DataSources
+    { name: 'collectPropertyGarbage', interval: 24 * HOUR, priority: 10, maxRuntimeMs: 60000, run: () => collectPropertyGarbage() },
+    { name: 'reconcileTriggers', interval: 6 * HOUR, priority: 10, maxRuntimeMs: 30000, run: () => reconcileTriggers() },
+    {
+      name: 'rebuildLotCosts', interval: HOUR, priority: 25, maxRuntimeMs: 120000,
+      dependsOn: ['Ledger_Import_CorpJournal', 'runContractLedgerPhase', 'runIndustryLedgerPhase'], run: () => rebuildLotCosts()
+    },
+    {
+      name: 'generateRealizedPnL', interval: 6 * HOUR, priority: 15, maxRuntimeMs: 150000,
+      dependsOn: ['processInternalBuffer', 'rebuildLotCosts'], run: () => generateRealizedPnL()
+    },
+    {
+      // COGS: dispatched by runContractLedgerPhase's finalizer trigger, gated here.
+      name: 'rebuildContractUnitCosts', interval: HOUR, priority: 0, maxRuntimeMs: 300000, scheduled: false,
+      dependsOn: ['runLootDeltaPhase', 'Ledger_Import_CorpJournal', 'runContractLedgerPhase'], run: () => rebuildContractUnitCosts()
+    }
+  ].map(j => Object.assign({ lease: 0, dependsOn: [], scheduled: true }, j));
+
+  const BY_NAME = new Map(JOBS.map(j => [j.name, j]));
+
+  // A broken graph disables the jobs involved (and everything downstream of them) instead of
+  // throwing: this runs while the global scope loads, so a throw would break every entry point.
+  (function validateGraph_() {
+    const state = new Map(); // name -> 1 visiting, 2 done
+    const disable = (name, why) => {
+      const job = BY_NAME.get(name);
+      if (!job || job.disabled) return;
+      job.disabled = true;
+      job.scheduled = false;
+      LOG.error(`JobRegistry: disabled '${name}': ${why}`);
+    };
+    const visit = (name, path) => {
+      if (state.get(name) === 2) return;
+      if (state.get(name) === 1) {
+        const cycle = path.slice(path.indexOf(name)).concat(name);
+        cycle.forEach(n => disable(n, `dependency cycle ${cycle.join(' -> ')}.`));
+        return;
+      }
+      state.set(name, 1);
+      BY_NAME.get(name).dependsOn.forEach(d => {
+        if (!BY_NAME.has(d)) return disable(name, `depends on unknown job '${d}'.`);
+        visit(d, path.concat(name));
+        if (BY_NAME.get(d).disabled) disable(name, `depends on disabled job '${d}'.`);
+      });
+      state.set(name, 2);
+    };
+    JOBS.forEach(j => visit(j.name, []));
+  })();
+
+  function get(name) {
+    const job = BY_NAME.get(name);
+    if (!job) throw new Error(`JobRegistry: unknown job '${name}'.`);
+    return job;
+  }
+
+  function list() {
+    return JOBS.slice();
+  }
+
+  function getLastRun(name) {
+    const props = PropertiesService.getScriptProperties();
+    const ts = props.getProperty(PROP_LAST_RUN_PREFIX + name) || props.getProperty(LEGACY_LAST_RUN_PREFIX + name) || '0';
+    return parseInt(ts, 10) || 0;
+  }
+
+  function markRun(name, ts) {
+    PropertiesService.getScriptProperties().setProperty(PROP_LAST_RUN_PREFIX + name, String(ts || Date.now()));
+  }
+
+  const leaseKey_ = (job) => job.leaseKey || (PROP_LEASE_PREFIX + job.name);
+
+  // Set after a failed run for jobs without a declared lease, so a throwing job backs off instead of
+  // keeping the top score (overdue ratio stays capped at 10x) and being picked on every tick.
+  const failureBackoffMs_ = (job) => Math.min(job.interval, FAILURE_BACKOFF_MS);
+
+  // Any stored lease counts: declared ones, and failure back-offs on jobs that declare none.
+  function isLeased_(job, nowMs) {
+    return parseInt(PropertiesService.getScriptProperties().getProperty(leaseKey_(job)) || '0', 10) > nowMs;
+  }
+
+  const isDue_ = (job, nowMs) => (nowMs - getLastRun(job.name)) >= job.interval;
+
+  // priority × overdue ratio (capped) — a cheap 10-minute job can't starve the hourly ones.
+  const score_ = (job, nowMs) => job.priority * Math.min(10, (nowMs - getLastRun(job.name)) / job.interval);
+
+  /**
+   * Gate for jobs dispatched outside the scheduler (e.g. the COGS worker): every dependency
+   * has completed at least once. Freshness ordering is the scheduler's job (resolve_).
+   */
+  function dependenciesMet(name) {
+    return get(name).dependsOn.every(d => getLastRun(d) > 0);
+  }
+
+  /**
+   * Resolves what must run for `job` to make progress: the job itself, or the first
+   * overdue dependency (depth-first, so the deepest stale upstream runs first).
+   * Returns null if something on the path is leased.
+   */
+  function resolve_(job, nowMs, seen) {
+    if (seen.has(job.name) || job.disabled) return null;
+    seen.add(job.name);
+    for (const depName of job.dependsOn) {
+      const dep = get(depName);
+      if (getLastRun(dep.name) === 0 || isDue_(dep, nowMs)) {
+        return resolve_(dep, nowMs, seen);
+      }
+    }
+    return isLeased_(job, nowMs) ? null : job;
+  }
+
+  /**
+   * Picks the next job to dispatch: due scheduled jobs by score (priority × overdue ratio),
+   * redirected to any stale dependency first, and skipped if the execution budget left
+   * is smaller than the job's maxRuntimeMs.
+   * @param {number} [nowMs]
+   * @returns {Object|null}
+   */
+  function nextRunnable(nowMs) {
+    nowMs = nowMs || Date.now();
+    const remaining = EXECUTION_BUDGET_MS - (Date.now() - EXECUTION_START_MS);
+
+    const candidates = JOBS
+      .filter(j => j.scheduled && isDue_(j, nowMs))
+      .sort((a, b) => score_(b, nowMs) - score_(a, nowMs));
+
+    for (const job of candidates) {
+      const target = resolve_(job, nowMs, new Set());
+      if (!target) continue;
+      if (target.maxRuntimeMs > remaining) {
+        LOG.info(`Deferring ${target.name}: needs ${target.maxRuntimeMs}ms, ${remaining}ms left in this execution.`);
+        continue;
+      }
+      if (target !== job) LOG.info(`${job.name} is due but waits on ${target.name}.`);
+      return target;
+    }
+    return null;
+  }
+
+  // run() result -> JobRuns.track() result: a row count, or the reported { rows, outcome, error }.
+  function runResult_(out) {
+    if (typeof out === 'number') return { rows: out };
+    if (!out || typeof out !== 'object') return null;
+    return { rows: out.rows, outcome: out.outcome, error: out.error };
+  }
+
+  /**
+   * Runs one job: lease -> run -> stamp last run -> release lease.
+   * On failure (a throw or a reported ERROR outcome) the declared lease is kept until it expires; jobs
+   * without one get a failure lease of min(interval, 30 min). Either way the job backs off and the
+   * error is (re)thrown.
+   * Every dispatch is recorded in Job_Runs with the rows and outcome run() returned.
+   */
+  function dispatch(job) {
+    const props = PropertiesService.getScriptProperties();
+    const started = Date.now();
+    if (job.lease) props.setProperty(leaseKey_(job), String(started + job.lease));
+
+    try {
+      const res = JobRuns.track(job.name, () => runResult_(job.run()));
+      if (res && res.outcome === JobRuns.OUTCOME.ERROR) {
+        throw new Error(`${job.name}: ${res.error || 'reported an error'}`);
+      }
+    } catch (e) {
+      if (!job.lease) props.setProperty(leaseKey_(job), String(Date.now() + failureBackoffMs_(job)));
+      throw e;
+    }
+
+    markRun(job.name, started);
+    props.deleteProperty(leaseKey_(job));
+
+    const took = Date.now() - started;
+    if (took > job.maxRuntimeMs) {
+      LOG.warn(`${job.name} took ${took}ms (declared maxRuntimeMs ${job.maxRuntimeMs}).`);
+    }
+    return took;
+  }
+
+  /** Clears a job's lease and last-run stamp so it is due on the next tick. */
+  function reset(name) {
+    const job = get(name);
+    const props = PropertiesService.getScriptProperties();
+    props.deleteProperty(leaseKey_(job));
+    props.deleteProperty(PROP_LAST_RUN_PREFIX + name);
+    props.deleteProperty(LEGACY_LAST_RUN_PREFIX + name);
+  }
+
+  return {
+    PROP_LAST_RUN_PREFIX,
+    get, list, getLastRun, markRun, dependenciesMet, nextRunnable, dispatch, reset
+  };
+})();
@@ -0,0 +1,144 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, PT, getOrCreateSheet, Alerts, PhasedJob */
+
+/**
+ * JobRuns — One row per orchestrated job execution in the Job_Runs sheet.
+ * Usage:
+ *   const run = JobRuns.begin('updateMarketDataSheet');
+ *   ... run.outcome = JobRuns.OUTCOME.BAILOUT; run.rows = 1200; ...
+ *   JobRuns.end(run);
+ * Recording is best-effort: a failure here is logged and never breaks the job itself.
+ * The sheet is append-only and chronological, so retention trims from the top (once a day).
+ */
+var JobRuns = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('JOB_RUNS') : console;
+
+  const SHEET = 'Job_Runs';
+  const HEADERS = ['job', 'started', 'ended', 'duration_ms', 'outcome', 'rows_written', 'error'];
+  const OUTCOME = { SUCCESS: 'success', SKIPPED: 'skipped', BAILOUT: 'bailout', ERROR: 'error' };
+
+  // --- Script Property Keys (Config + State) ---
+  const PROP_RETENTION_DAYS = 'JOB_RUNS_RETENTION_DAYS';
+  const PROP_LAST_PRUNE = 'JOB_RUNS_LAST_PRUNE_DATE';
+  const DEFAULT_RETENTION_DAYS = 14;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_ERROR_LEN = 500; // keep traces readable in a cell
+
+  /**
+   * Opens a run record. Defaults to success; callers downgrade outcome as they go.
+   * @param {string} job
+   * @returns {{job:string, started:Date, outcome:string, rows:(number|string), error:string}}
+   */
+  function begin(job) {
+    return { job: job, started: new Date(), outcome: OUTCOME.SUCCESS, rows: '', error: '' };
+  }
+
+  /**
+   * Marks a run as failed with the error's message (and stack, if any).
+   * @param {Object} run From begin().
+   * @param {Error|string} err
+   */
+  function fail(run, err) {
+    run.outcome = OUTCOME.ERROR;
+    run.error = (err && err.stack) ? String(err.stack) : String((err && err.message) || err);
+  }
+
+  /**
+   * Folds a PhasedJob result into a run record: an aborted job or a failed phase is an error,
+   * a pass bounced by the job's lock or lease is a skip. Anything else leaves the record as is.
+   * @param {Object} run From begin() (or any { outcome, rows, error } record).
+   * @param {{status:string, phase:(string|undefined), error:(string|undefined)}} res
+   * @returns {Object} run
+   */
+  function notePhasedResult(run, res) {
+    const S = PhasedJob.STATUS;
+    if (res.error || res.status === S.ABORTED) {
+      Object.assign(run, { outcome: OUTCOME.ERROR, error: res.error || `Aborted in ${res.phase}` });
+    } else if (res.status === S.LOCKED || res.status === S.LEASED) {
+      Object.assign(run, { outcome: OUTCOME.SKIPPED, error: `Job ${res.status}` });
+    }
+    return run;
+  }
+
+  /**
+   * Closes and appends a run record. Never throws.
+   * @param {Object} run From begin().
+   * @param {Object} [patch] Fields to merge before writing (outcome, rows, error).
+   */
+  function end(run, patch) {
+    if (!run || run.ended) return;
+    Object.assign(run, patch || {});
+    run.ended = new Date();
+
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sh = getOrCreateSheet(ss, SHEET, HEADERS);
+      const start = sh.getLastRow() + 1;
+      if (sh.getMaxRows() < start) sh.insertRowsAfter(sh.getMaxRows(), start - sh.getMaxRows());
+      sh.getRange(start, 1, 1, HEADERS.length).setValues([[
+        run.job, run.started, run.ended, run.ended.getTime() - run.started.getTime(),
+        run.outcome, run.rows, String(run.error || '').slice(0, MAX_ERROR_LEN)
+      ]]);
+      prune_(sh);
+    } catch (e) {
+      LOG.warn(`Could not record run for ${run.job}: ${e.message}`);
+    }
+
+    Alerts.recordJobOutcome(run.job, run.outcome, run.error);
+  }
+
+  /**
+   * Runs fn inside a begin/end pair. fn may return { outcome, rows, error } to report details.
+   * Errors are recorded and rethrown.
+   */
+  function track(job, fn) {
+    const run = begin(job);
+    try {
+      const res = fn(run);
+      if (res && typeof res === 'object') {
+        if (res.outcome) run.outcome = res.outcome;
+        if (res.rows !== undefined) run.rows = res.rows;
+        if (res.error) run.error = res.error;
+      }
+      return res;
+    } catch (e) {
+      fail(run, e);
+      throw e;
+    } finally {
+      end(run);
+    }
+  }
+
+  /** Drops leading rows older than retention. Runs at most once per day. */
+  function prune_(sh) {
+    const props = PropertiesService.getScriptProperties();
+    const todayKey = PT.yyyymmdd(new Date());
+    if (props.getProperty(PROP_LAST_PRUNE) === todayKey) return;
+
+    const days = parseInt(props.getProperty(PROP_RETENTION_DAYS) || '', 10);
+    const cutoff = Date.now() - ((isFinite(days) && days > 0) ? days : DEFAULT_RETENTION_DAYS) * DAY_MS;
+
+    const lastRow = sh.getLastRow();
+    if (lastRow >= 2) {
+      const started = sh.getRange(2, 2, lastRow - 1, 1).getValues();
+      let n = 0;
+      while (n < started.length) {
+        const d = started[n][0] instanceof Date ? started[n][0] : PT.parseDateSafe(started[n][0]);
+        if (isNaN(d) || d.getTime() >= cutoff) break;
+        n++;
+      }
+      // Keep at least one data row so the sheet never collapses to headers-only mid-write
+      if (n > 0 && n < started.length) {
+        sh.deleteRows(2, n);
+        LOG.info(`Pruned ${n} run rows past retention.`);
+      }
+    }
+    props.setProperty(PROP_LAST_PRUNE, todayKey);
+  }
+
+  return {
+    SHEET, HEADERS, OUTCOME,
+    begin, fail, notePhasedResult, end, track
+  };
+})();
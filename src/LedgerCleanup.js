@@ -1,4 +1,4 @@
-/* global SpreadsheetApp, LoggerEx, PT, writeDataToSheet */
+/* global SpreadsheetApp, LoggerEx, PT, writeDataToSheet, LedgerSchema, ML */
 
 /**
  * Utility function to clean and normalize all data in the Material Ledger sheet.
@@ -14,8 +14,8 @@ function cleanupLedgerSheet(sheetName) {
   // A helper to get the spreadsheet object
   const getSS_ = () => SpreadsheetApp.getActiveSpreadsheet();
 
-  // Header definition - MUST match the column order in your sheet
-  const HEAD = ['date', 'type_id', 'item_name', 'qty', 'unit_value', 'source', 'contract_id', 'char', 'unit_value_filled'];
+  // Header definition - the sheet is migrated to this order before cleaning
+  const HEAD = LedgerSchema.HEAD;
 
   // Logger instance
   const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ML_CLEANUP') : console;
@@ -66,6 +66,9 @@ function cleanupLedgerSheet(sheetName) {
     var finalUnitValue = u0 > 0 ? u0 : (u1 > 0 ? u1 : 0);
     out.unit_value_filled = finalUnitValue > 0 ? finalUnitValue : '';
 
+    // Newer schema columns pass through as-is
+    HEAD.forEach(function (k) { if (!(k in out)) out[k] = r[k]; });
+
     // --- Final Mapping to Array ---
     return HEAD.map(function (k) { return (out[k] == null ? '' : out[k]); });
   }
@@ -80,6 +83,7 @@ function cleanupLedgerSheet(sheetName) {
         return;
     }
 
+    LedgerSchema.ensure(sh);
     const lastRow = sh.getLastRow();
     
     // If empty, stop
@@ -89,10 +93,12 @@ function cleanupLedgerSheet(sheetName) {
     }
 
     // 1. Read all data including header
-    // We strictly read the width of HEAD to avoid grabbing empty columns
-    const rawValues = sh.getRange(1, 1, lastRow, HEAD.length).getValues();
+    // Full width: columns beyond the schema (kept by migrations) are carried through untouched
+    const width = Math.max(HEAD.length, sh.getLastColumn());
+    const rawValues = sh.getRange(1, 1, lastRow, width).getValues();
 
     const header = rawValues[0];
+    const col = LedgerSchema.indexMap(header, ['date', 'type_id', 'qty']);
     const dataRows = rawValues.slice(1);
 
     // 2. Process Data
@@ -101,11 +107,11 @@ function cleanupLedgerSheet(sheetName) {
       .map(rowArray => {
           // [CRITICAL FIX]: Map Array -> Object
           let rowObj = {};
-          HEAD.forEach((colName, index) => {
-              rowObj[colName] = rowArray[index];
+          HEAD.forEach(colName => {
+              rowObj[colName] = col[colName] === -1 ? '' : rowArray[col[colName]];
           });
           // Now pass the Object to the normalizer
-          return normalizeRow_(rowObj);
+          return normalizeRow_(rowObj).concat(rowArray.slice(HEAD.length));
       });
 
     // Reconstruct final array
@@ -133,6 +139,7 @@ function cleanupLedgerSheet(sheetName) {
     const result = writeDataToSheet(sheetName, finalData, 1, 1, writeState);
 
     if (result.success) {
+        ML.invalidate(sheetName); // Prices may have been re-parsed: rebuild Blended from the sheet next write
         LOG.info(`Successfully cleaned and rewrote ${cleanedData.length} rows.`);
         SpreadsheetApp.getUi().alert(`Cleanup successful! Processed ${cleanedData.length} rows.`);
     } else {
@@ -154,8 +161,8 @@ function fixMaterialLedgerHeaders() {
   // CORRECT: Only pass the sheet name here
   var sheet = ss.getSheetByName("Material_Ledger");
   
-  // Headers defined locally
-  var HEAD = ['date', 'type_id', 'item_name', 'qty', 'unit_value', 'source', 'contract_id', 'char', 'unit_value_filled'];
+  // Rows without a header were written in the baseline (v1) column order
+  var HEAD = LedgerSchema.columnsAt(1);
   
   if (sheet) {
     // 1. Shift existing data down
@@ -163,6 +170,9 @@ function fixMaterialLedgerHeaders() {
     
     // 2. Write headers into the new empty row
     sheet.getRange(1, 1, 1, HEAD.length).setValues([HEAD]);
+
+    // 3. Bring it up to the current schema
+    LedgerSchema.migrate(sheet);
     
     Logger.log("Success: Material Ledger headers have been restored.");
   } else {
@@ -0,0 +1,264 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, PT, LedgerSchema, ML, getOrCreateSheet, _getColIndexMap */
+
+/**
+ * LotCost — Lot-based cost basis, alongside the all-time weighted average in Blended_Cost.
+ * Every Material_Ledger row with qty > 0 (loot, journal buys, contracts, industry output) opens a lot.
+ * Outflows — Sales_Ledger rows and negative Material_Ledger rows (e.g. loot deltas) — consume lots:
+ *   FIFO      Oldest lot first (default).
+ *   LIFO      Newest lot first.
+ *   SPECIFIC  Lots named in Config_LotAssignments first, then FIFO for the remainder.
+ * Events replay in date order; on the same day inflows land before outflows.
+ * Pruned history is read back from each ledger's _Archive sheet, so every lot keeps its own date and cost
+ * across an ML prune; the CARRY_FORWARD rows only stand in for a ledger whose archive sheet is missing.
+ *
+ * Outputs (rebuilt from scratch each run; the ledgers are the source of truth):
+ *   Lot_Cost       Per type_id: remaining qty/value, unit cost of what is left, open lots, uncovered outflow qty.
+ *   Lot_Inventory  Every lot with quantity remaining.
+ * _getBlendedCostMap reads Lot_Cost instead of Blended_Cost when COST_BASIS_SOURCE = LOTS
+ * (types with nothing left in stock still fall back to Blended_Cost).
+ */
+var LotCost = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('LOT_COST') : console;
+
+  const MATERIAL_LEDGER = 'Material_Ledger';
+  const SALES_LEDGER = 'Sales_Ledger';
+  const LEDGER_COLS = ['date', 'type_id', 'qty', 'unit_value', 'source', 'contract_id', 'char', 'unit_value_filled'];
+
+  const COST_SHEET = 'Lot_Cost';
+  const COST_HEADERS = ['type_id', 'remaining_qty', 'remaining_value', 'unit_cost', 'open_lots', 'oldest_open_lot', 'uncovered_qty', 'method'];
+  const INVENTORY_SHEET = 'Lot_Inventory';
+  const INVENTORY_HEADERS = ['lot_id', 'type_id', 'date', 'source', 'ref', 'qty_in', 'qty_remaining', 'unit_cost'];
+  const ASSIGNMENT_SHEET = 'Config_LotAssignments';
+  const ASSIGNMENT_HEADERS = ['outflow_ref', 'type_id', 'lot_ref', 'qty'];
+
+  const METHOD = { FIFO: 'FIFO', LIFO: 'LIFO', SPECIFIC: 'SPECIFIC' };
+  const COST_SOURCE = { BLENDED: 'BLENDED', LOTS: 'LOTS' };
+
+  // --- Script Property Keys (Config) ---
+  const PROP_METHOD = 'LOT_COST_METHOD';
+  const PROP_COST_SOURCE = 'COST_BASIS_SOURCE';
+
+  function getConfig() {
+    const p = PropertiesService.getScriptProperties();
+    const method = String(p.getProperty(PROP_METHOD) || METHOD.FIFO).toUpperCase();
+    const source = String(p.getProperty(PROP_COST_SOURCE) || COST_SOURCE.BLENDED).toUpperCase();
+    return {
+      method: METHOD[method] || METHOD.FIFO,
+      costSource: COST_SOURCE[source] || COST_SOURCE.BLENDED
+    };
+  }
+
+  function toMs_(v) {
+    const d = (typeof PT !== 'undefined' && PT.parseDateSafe) ? PT.parseDateSafe(v) : new Date(v);
+    return isNaN(d) ? 0 : d.getTime();
+  }
+
+  /** Rows of one ledger or archive sheet, tagged with the ledger they belong to. */
+  function readSheet_(ss, sheetName, ledger) {
+    const sh = ss.getSheetByName(sheetName);
+    if (!sh || sh.getLastRow() < 2) return [];
+    const values = sh.getDataRange().getValues();
+    const col = LedgerSchema.indexMap(values[0], LEDGER_COLS);
+    return values.slice(1).map(r => {
+      const u0 = Number(r[col.unit_value]) || 0;
+      const u1 = Number(r[col.unit_value_filled]) || 0;
+      return {
+        ledger: ledger,
+        ms: toMs_(r[col.date]),
+        type_id: Number(r[col.type_id]) || 0,
+        qty: Number(String(r[col.qty]).replace(/,/g, '')) || 0,
+        unit: u0 > 0 ? u0 : u1,
+        unitValue: u0,
+        unitFilled: u1,
+        source: String(r[col.source] || ''),
+        ref: String(r[col.contract_id] || ''),
+        char: String(r[col.char] || '')
+      };
+    }).filter(e => e.type_id && e.qty);
+  }
+
+  /**
+   * A ledger's full history: its _Archive rows plus the live rows. Once an archive exists it holds what the
+   * CARRY_FORWARD rows summarise, so those are dropped. A row found twice (a prune interrupted after
+   * archiving) counts once.
+   */
+  function readLedger_(ss, name) {
+    const live = readSheet_(ss, name, name);
+    if (!ss.getSheetByName(name + LedgerSchema.ARCHIVE_SUFFIX)) return live;
+
+    const seen = new Set();
+    return readSheet_(ss, name + LedgerSchema.ARCHIVE_SUFFIX, name)
+      .concat(live.filter(e => e.source !== ML.CARRY_SOURCE))
+      .filter(e => {
+        const k = [e.ms, e.type_id, e.qty, e.unit, e.source, e.ref, e.char].join('|');
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+  }
+
+  /** outflow_ref|type_id -> [{lotRef, qty}] */
+  function readAssignments_(ss) {
+    const sh = getOrCreateSheet(ss, ASSIGNMENT_SHEET, ASSIGNMENT_HEADERS);
+    const out = new Map();
+    if (sh.getLastRow() < 2) return out;
+    sh.getRange(2, 1, sh.getLastRow() - 1, ASSIGNMENT_HEADERS.length).getValues().forEach(r => {
+      if (!r[0] || !r[2]) return;
+      const k = `${String(r[0]).trim()}|${Number(r[1]) || 0}`;
+      if (!out.has(k)) out.set(k, []);
+      out.get(k).push({ lotRef: String(r[2]).trim(), qty: Number(r[3]) || Infinity });
+    });
+    return out;
+  }
+
+  /**
+   * Replays both ledgers into lots.
+   * @param {Spreadsheet} [ss]
+   * @param {{method?: string}} [opts] Overrides LOT_COST_METHOD.
+   * @returns {{method:string, lots:Map<number,Array<Object>>, consumptions:Array<Object>, uncovered:Map<number,number>}}
+   *   consumptions: one per outflow — { outflow, draws: [{lot, qty}], uncoveredQty }. outflow.ledger tells
+   *   Sales_Ledger sales apart from Material_Ledger write-downs.
+   */
+  function build(ss, opts = {}) {
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const method = METHOD[String(opts.method || getConfig().method).toUpperCase()] || METHOD.FIFO;
+    const assignments = method === METHOD.SPECIFIC ? readAssignments_(ss) : new Map();
+
+    const events = readLedger_(ss, MATERIAL_LEDGER)
+      .concat(readLedger_(ss, SALES_LEDGER).filter(e => e.qty < 0)) // Sales_Ledger is outflow-only
+      .map((e, i) => Object.assign(e, { seq: i }));
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    events.sort((a, b) => {
+      const da = Math.floor(a.ms / DAY_MS), db = Math.floor(b.ms / DAY_MS);
+      if (da !== db) return da - db;
+      if ((a.qty > 0) !== (b.qty > 0)) return a.qty > 0 ? -1 : 1;
+      return a.ms - b.ms || a.seq - b.seq;
+    });
+
+    const lots = new Map();      // type_id -> open lots, oldest first
+    const uncovered = new Map(); // type_id -> qty sold with no lot to draw from
+    const consumptions = [];
+
+    const draw = (lot, want, draws) => {
+      const take = Math.min(lot.remaining, want);
+      lot.remaining -= take;
+      draws.push({ lot: lot, qty: take });
+      return want - take;
+    };
+
+    events.forEach(e => {
+      if (!lots.has(e.type_id)) lots.set(e.type_id, []);
+      const queue = lots.get(e.type_id);
+
+      if (e.qty > 0) {
+        queue.push({
+          lot_id: `${e.source}/${e.ref}/${e.type_id}`, type_id: e.type_id, ms: e.ms,
+          source: e.source, ref: e.ref, qty: e.qty, remaining: e.qty, unit: e.unit
+        });
+        return;
+      }
+
+      let want = -e.qty;
+      const draws = [];
+      (assignments.get(`${e.ref}|${e.type_id}`) || []).forEach(a => {
+        if (want <= 0) return;
+        const lot = queue.find(l => l.ref === a.lotRef && l.remaining > 0);
+        if (!lot) return;
+        const cap = Math.min(want, a.qty);
+        want -= cap - draw(lot, cap, draws);
+      });
+      const order = method === METHOD.LIFO ? queue.slice().reverse() : queue;
+      for (let i = 0; i < order.length && want > 0; i++) {
+        if (order[i].remaining > 0) want = draw(order[i], want, draws);
+      }
+      if (want > 0) uncovered.set(e.type_id, (uncovered.get(e.type_id) || 0) + want);
+      consumptions.push({ outflow: e, draws: draws, uncoveredQty: want });
+
+      // Drop exhausted lots from the front so long histories stay cheap to scan
+      while (queue.length && queue[0].remaining <= 0) queue.shift();
+    });
+
+    return { method: method, lots: lots, consumptions: consumptions, uncovered: uncovered };
+  }
+
+  /** type_id -> { qty, value, unit, open, oldestMs } over lots with quantity left. */
+  function summarize_(lots) {
+    const out = new Map();
+    lots.forEach((queue, tid) => {
+      const open = queue.filter(l => l.remaining > 0);
+      if (open.length === 0) return;
+      const qty = open.reduce((s, l) => s + l.remaining, 0);
+      const value = open.reduce((s, l) => s + l.remaining * l.unit, 0);
+      out.set(tid, { qty: qty, value: value, unit: qty > 0 ? value / qty : 0, open: open.length, oldestMs: Math.min.apply(null, open.map(l => l.ms)) });
+    });
+    return out;
+  }
+
+  function writeSheet_(ss, name, headers, rows) {
+    const sh = getOrCreateSheet(ss, name, headers);
+    const last = sh.getLastRow();
+    if (last > 1) sh.getRange(2, 1, last - 1, headers.length).clearContent();
+    if (rows.length === 0) return;
+    if (sh.getMaxRows() < rows.length + 1) sh.insertRowsAfter(sh.getMaxRows(), rows.length + 1 - sh.getMaxRows());
+    sh.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+
+  /**
+   * Rebuilds Lot_Cost and Lot_Inventory.
+   * @returns {{types:number, openLots:number, method:string, rows:number}} rows = Lot_Cost + Lot_Inventory rows written.
+   */
+  function rebuild(ss, opts = {}) {
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const res = build(ss, opts);
+    const summary = summarize_(res.lots);
+    const tids = new Set([...summary.keys(), ...res.uncovered.keys()]);
+
+    const costRows = Array.from(tids).sort((a, b) => a - b).map(tid => {
+      const s = summary.get(tid) || { qty: 0, value: 0, unit: 0, open: 0, oldestMs: 0 };
+      return [tid, s.qty, Math.round(s.value * 100) / 100, Math.round(s.unit * 100) / 100, s.open,
+        s.oldestMs ? new Date(s.oldestMs) : '', res.uncovered.get(tid) || 0, res.method];
+    });
+
+    const invRows = [];
+    res.lots.forEach(queue => queue.filter(l => l.remaining > 0).forEach(l => invRows.push([
+      l.lot_id, l.type_id, l.ms ? new Date(l.ms) : '', l.source, l.ref, l.qty, l.remaining, l.unit
+    ])));
+
+    writeSheet_(ss, COST_SHEET, COST_HEADERS, costRows);
+    writeSheet_(ss, INVENTORY_SHEET, INVENTORY_HEADERS, invRows);
+    LOG.info(`${res.method}: ${summary.size} types in stock across ${invRows.length} open lots.`);
+    return { types: summary.size, openLots: invRows.length, method: res.method, rows: costRows.length + invRows.length };
+  }
+
+  /** Lot_Cost as type_id -> unit cost of the remaining stock (types with stock only). */
+  function readCostMap(ss) {
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const out = new Map();
+    const sh = ss.getSheetByName(COST_SHEET);
+    if (!sh || sh.getLastRow() < 2) return out;
+    const values = sh.getDataRange().getValues();
+    const col = _getColIndexMap(values[0], ['type_id', 'remaining_qty', 'unit_cost']);
+    values.slice(1).forEach(r => {
+      const unit = Number(r[col.unit_cost]);
+      if (Number(r[col.remaining_qty]) > 0 && unit > 0) out.set(Number(r[col.type_id]), unit);
+    });
+    return out;
+  }
+
+  /** True when COST_BASIS_SOURCE = LOTS. */
+  function isSelected() {
+    return getConfig().costSource === COST_SOURCE.LOTS;
+  }
+
+  return {
+    METHOD, COST_SOURCE, COST_SHEET, INVENTORY_SHEET,
+    getConfig, build, rebuild, readCostMap, isSelected
+  };
+})();
+
+/** Maintenance / manual entry point: rebuild Lot_Cost and Lot_Inventory from the ledgers. */
+function rebuildLotCosts() {
+  return LotCost.rebuild().rows;
+}
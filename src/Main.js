@@ -23,7 +23,8 @@ function GET_SDE_CONFIG() {
 function GET_UTILITY_CONFIG() {
   return {
     sheetName: "Utility",
-    range: "B3:C3"
+    range: "B3:C3",
+    maintenanceStatusRange: "MAINTENANCE_STATUS" // Named range on this sheet for the Maintenance.js status panel (label/value, 5 rows)
   };
 }
 
@@ -36,11 +37,26 @@ function onOpen() {
     .addItem('♻️ Refresh Formula Flags', 'refreshData')
     .addSeparator()
     .addItem('📊 Update SDE Database', 'sde_job_START')
+    .addItem('🛑 Enter Maintenance Mode', 'enterMaintenanceMode')
+    .addItem('▶️ Exit Maintenance Mode', 'exitMaintenanceMode')
     .addItem('🛠️ Rebuild Control Sheet', 'updateControlSheet')
+    .addItem('🩺 Validate & Repair Market_Control', 'repairMarketControl')
+    .addItem('🐕 Run Watchdog Health Check', 'runWatchdog')
+    .addItem('🗝️ Inspect Script Properties', 'inspectProperties')
+    .addItem('⏰ Reconcile Triggers', 'reconcileTriggers')
+    .addItem('🧪 Preview Generators (Dry Run)', 'previewGenerators')
+    .addItem('💰 Rebuild Realized P&L', 'generateRealizedPnL')
+    .addItem('🗜️ Prune Ledgers (keep 90 days)', 'pruneLedger')
+    .addItem('🧬 Migrate Ledger Schema', 'migrateLedgers')
     .addItem('Generate Projected Build Costs', 'generateProjectedCostTable')
     .addToUi();
 }
 
+function onEdit(e) {
+  // Hand edits to a ledger leave the persisted Blended aggregate (MaterialLedger.js) stale.
+  ML.onLedgerEdit(e);
+}
+
 
 function NUKE_LOADING_ISSUES() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -113,9 +129,15 @@ function NUKE_LOADING_ISSUES() {
 }
 
 
-function triggerRestockSync() {
+/**
+ * Runs the restock generators against one market profile's overview sheet.
+ * @param {string} [profileName] Market profile; defaults to the setting_market_profile named range.
+ */
+function triggerRestockSync(profileName) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const props = PropertiesService.getScriptProperties();
+  // Trigger/menu invocations pass an event object, not a name
+  const profile = MarketProfiles.resolve(ss, typeof profileName === 'string' ? profileName : null);
 
   ss.toast("🚀 Nitro Sync: Locking RAM...", "Engine Room", 5);
 
@@ -123,17 +145,17 @@ function triggerRestockSync() {
     // Set a lock so Maintenance Jobs don't start and cause a timeout
     props.setProperty('MANUAL_SYNC_ACTIVE', 'TRUE');
 
-    const dataSheet = ss.getSheetByName('MarketOverviewData');
+    const dataSheet = ss.getSheetByName(profile.overviewSheet);
     // Speed Move: Load the entire market state into memory once
     const fullData = dataSheet.getDataRange().getValues();
 
     // 1. RECONCILIATION: Generate Dump list FIRST and capture the Ban List
-    const dumpedItems = generateDumpToBuyOrder(ss, fullData) || new Set();
+    const dumpedItems = generateDumpToBuyOrder(ss, fullData, profile.name) || new Set();
 
     // 2. Pass the Ban List to the restock functions so they ignore dumped items
-    generateRestockQuery(ss, fullData, dumpedItems);
-    generateRestockItemsOnHand(ss, fullData);
-    generatePVPTrap(ss, fullData);
+    generateRestockQuery(ss, fullData, dumpedItems, profile.name);
+    generateRestockItemsOnHand(ss, fullData, profile.name);
+    generatePVPTrap(ss, fullData, profile.name);
     generateConsolidatedRequirements(ss);
     
     ss.toast("✅ Sync Complete. Releasing Lock.", "Engine Room", 3);
@@ -171,20 +193,22 @@ function respondToEdit(e) {
     // If you edit the Dump sheet itself, update it, then instantly sync the Buy sheets
     const dumpedItems = generateDumpToBuyOrder(e.source) || new Set();
     generateRestockQuery(e.source, null, dumpedItems);
-    generateRestockItemsOnHand(e.source, null, dumpedItems);
+    generateRestockItemsOnHand(e.source, null);
   }
 }
 
 /**
  * Generates List for Dumping Profitable Overstocks to Buy Orders
  * RECONCILIATION PATCH: Now returns a Set() of dumped items to ban from Buy lists.
+ * profileName picks the market profile's overview sheet (default: setting_market_profile).
+ * opts.dryRun (or DRY_RUN_ENABLED) diffs into DryRun_Report instead of writing; the ban list is still returned.
  */
-function generateDumpToBuyOrder(ss, fullData) {
+function generateDumpToBuyOrder(ss, fullData, profileName, opts) {
   const TARGET_SHEET = 'Dump to Buy';
-  const DATA_SHEET = 'MarketOverviewData';
   const CORP_ORDERS_SHEET = 'CorpOrdersCalc';
 
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  const DATA_SHEET = MarketProfiles.resolve(ss, profileName).overviewSheet;
   const sheet = ss.getSheetByName(TARGET_SHEET);
   const dataSheet = ss.getSheetByName(DATA_SHEET);
   const corpOrdersSheet = ss.getSheetByName(CORP_ORDERS_SHEET);
@@ -205,8 +229,9 @@ function generateDumpToBuyOrder(ss, fullData) {
   const filterMinMargin = parseFloat(bParams[4][0]) || 0;
   const filterGroupName = String(bParams[6][0] || "").toLowerCase().trim();
 
+  const dryRun = DryRun.active(opts);
   const headerLabels = [["Item Name", "Manufacturing Projected Cost", "Effective Cost", "Hub Median Buy", "Forensic Margin", "Warehouse Qty", "Total Dump ISK"]];
-  sheet.getRange("C4:I4").setValues(headerLabels).setFontWeight("bold").setBackground("#f3f3f3");
+  if (!dryRun) sheet.getRange("C4:I4").setValues(headerLabels).setFontWeight("bold").setBackground("#f3f3f3");
 
   const corpBuyPrices = new Set();
   if (corpOrdersSheet) {
@@ -299,6 +324,11 @@ function generateDumpToBuyOrder(ss, fullData) {
   dumpResults.sort((a, b) => b[4] - a[4]);
 
   const START_ROW = 5;
+  if (dryRun) {
+    DryRun.report(ss, TARGET_SHEET, { headers: headerLabels[0], before: DryRun.readBlock(sheet, START_ROW, 3, 7), after: dumpResults });
+    return dumpedItems;
+  }
+
   const maxRows = Math.max(sheet.getMaxRows(), START_ROW);
   if (maxRows >= START_ROW) {
     sheet.getRange(START_ROW, 3, maxRows - (START_ROW - 1), 7).clearContent();
@@ -313,12 +343,12 @@ function generateDumpToBuyOrder(ss, fullData) {
 }
 
 
-function generatePVPTrap(ss, fullData) {
+function generatePVPTrap(ss, fullData, profileName, opts) {
   const TARGET_SHEET = 'PVP Trap';
-  const DATA_SHEET = 'MarketOverviewData';
   const AUDIT_SHEET = 'Audit items';
 
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  const DATA_SHEET = MarketProfiles.resolve(ss, profileName).overviewSheet;
   const LOG = (typeof LoggerEx !== 'undefined') ? LoggerEx.withTag('PVPTrap') : console;
   
   const sheet = ss.getSheetByName(TARGET_SHEET);
@@ -429,7 +459,16 @@ function generatePVPTrap(ss, fullData) {
     }
   }
 
+  if (DryRun.active(opts)) {
+    DryRun.report(ss, TARGET_SHEET, { headers: OUT_HEADERS, before: DryRun.readBlock(sheet, 4, 3, 21), after: resultRows });
+    return;
+  }
+
   const maxRows = Math.max(1, sheet.getLastRow());
+  // Items already on the trap before this pass, so only new hits are alerted
+  const previousHits = new Set(maxRows >= 4
+    ? sheet.getRange(4, 3, maxRows - 3, 1).getValues().map(r => String(r[0])).filter(Boolean)
+    : []);
   if (maxRows >= 3) {
     sheet.getRange(3, 3, maxRows, 21).clearContent();
   }
@@ -439,15 +478,23 @@ function generatePVPTrap(ss, fullData) {
   if (resultRows.length > 0) {
     sheet.getRange(4, 3, resultRows.length, 21).setValues(resultRows);
   }
+
+  const newHits = resultRows.filter(r => !previousHits.has(r[0]));
+  if (newHits.length > 0) {
+    LOG.info(`${newHits.length} new PVP Trap hit(s).`);
+    Alerts.raise(Alerts.TYPES.PVP_TRAP, Alerts.SEVERITY.INFO, `${newHits.length} new PVP Trap hit(s)`,
+      newHits.map(r => `${r[0]}: ${r[3]} @ ${r[1]} (hub buy ${r[16]})`).join('\n'),
+      { dedupKey: newHits.map(r => r[0]).sort().join('|') });
+  }
 }
 
-function generateRestockQuery(ss, fullData, dumpedItems = new Set()) {
+function generateRestockQuery(ss, fullData, dumpedItems = new Set(), profileName = null, opts = {}) {
   const TARGET_SHEET_NAME = 'Need To Buy';
-  const DATA_SHEET_NAME = 'MarketOverviewData';
   const AUDIT_SHEET_NAME = 'Audit items';
   const CONFIG_SHEET_NAME = 'Config_BPC_Runs'; 
 
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  const DATA_SHEET_NAME = MarketProfiles.resolve(ss, profileName).overviewSheet;
   const sheet = ss.getSheetByName(TARGET_SHEET_NAME);
   const dataSheet = ss.getSheetByName(DATA_SHEET_NAME);
   const auditSheet = ss.getSheetByName(AUDIT_SHEET_NAME);
@@ -627,6 +674,12 @@ function generateRestockQuery(ss, fullData, dumpedItems = new Set()) {
   });
 
   const output = results.slice(0, cfg.limit).map(r => r.data);
+  if (DryRun.active(opts)) {
+    const headerRow = sheet.getRange(4, 3, 1, 12).getValues()[0].map(String);
+    DryRun.report(ss, TARGET_SHEET_NAME, { headers: headerRow, before: DryRun.readBlock(sheet, 5, 3, 12), after: output });
+    return;
+  }
+
   const maxRows = Math.max(sheet.getMaxRows(), 5);
 
   if (maxRows >= 5) {
@@ -639,12 +692,12 @@ function generateRestockQuery(ss, fullData, dumpedItems = new Set()) {
 }
 
 
-function generateRestockItemsOnHand(ss, fullData) {
+function generateRestockItemsOnHand(ss, fullData, profileName, opts) {
   const TARGET_SHEET = 'Restock Items On Hand';
-  const DATA_SHEET = 'MarketOverviewData';
   const AUDIT_SHEET = 'Audit items';
 
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  const DATA_SHEET = MarketProfiles.resolve(ss, profileName).overviewSheet;
   const LOG = (typeof LoggerEx !== 'undefined') ? LoggerEx.withTag('Restock') : console;
   
   const sheet = ss.getSheetByName(TARGET_SHEET);
@@ -745,6 +798,11 @@ function generateRestockItemsOnHand(ss, fullData) {
     ]);
   }
 
+  if (DryRun.active(opts)) {
+    DryRun.report(ss, TARGET_SHEET, { headers: OUT_HEADERS, before: DryRun.readBlock(sheet, 4, 3, 21), after: resultRows });
+    return;
+  }
+
   const maxRows = Math.max(1, sheet.getLastRow());
   if (maxRows >= 3) {
     sheet.getRange(3, 3, maxRows, 21).clearContent();
@@ -773,7 +831,7 @@ function _manageOrchestrator(turnOn) {
   const FUNCTION_NAME = 'masterOrchestrator';
   const allTriggers = ScriptApp.getProjectTriggers();
   allTriggers.forEach(t => { if (t.getHandlerFunction() === FUNCTION_NAME) ScriptApp.deleteTrigger(t); });
-  if (turnOn) ScriptApp.newTrigger(FUNCTION_NAME).timeBased().everyMinutes(10).create();
+  if (turnOn) TriggerManifest.install(FUNCTION_NAME);
 }
 
 function sqlFromHeaderNames(rangeName, queryString, useColNums) {
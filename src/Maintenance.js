@@ -0,0 +1,258 @@
+/* global SpreadsheetApp, PropertiesService, ScriptApp, LoggerEx, TriggerManifest, scheduleOneTimeTrigger, deleteTriggersByName,
+  sde_job_FINALIZE, GET_UTILITY_CONFIG */
+
+/**
+ * Maintenance — Deliberate entry/exit of GLOBAL_SYSTEM_STATE = MAINTENANCE, with a reason and an expiry.
+ * Everything that already honours MAINTENANCE (executeWithTryLock, scheduleOneTimeTrigger, PhasedJob, ...)
+ * keeps reading the state key directly; this module owns writing it.
+ *
+ * enter(): pending one-shot triggers (TriggerManifest one_shot entries) are deleted and remembered,
+ *          together with any scheduleOneTimeTrigger call blocked while inside; an expiry trigger is set.
+ * exit():  state back to RUNNING, remembered triggers are re-created (staggered), and recurring
+ *          triggers are reconciled against the manifest (masterOrchestrator comes back if it was removed).
+ * Expiry:  the expiry trigger (and every masterOrchestrator tick) exits once the TTL has passed.
+ *          SDE-owned maintenance is extended while sde_job_PROCESS is still scheduled; if the SDE job
+ *          died, sde_job_FINALIZE() restores the Utility switches and exits.
+ * The current state is mirrored to the Utility sheet through the named range GET_UTILITY_CONFIG().maintenanceStatusRange
+ * (label/value, 5 rows). If the name is not defined yet, it is created on Utility past the last used column, so
+ * nothing already on the sheet is overwritten; move the name to place the panel elsewhere.
+ */
+var Maintenance = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('MAINTENANCE') : console;
+
+  const STATE_KEY = 'GLOBAL_SYSTEM_STATE'; // see Orchestrator.js / SDE_Job_Controller
+  const STATE = { RUNNING: 'RUNNING', MAINTENANCE: 'MAINTENANCE' };
+  const SOURCE = { MANUAL: 'manual', SDE: 'sde' };
+
+  // --- Script Property Keys (State) ---
+  const PROP_INFO = 'SYSTEM_MAINTENANCE_INFO';     // { reason, source, since, until }
+  const PROP_PAUSED = 'SYSTEM_MAINTENANCE_PAUSED'; // [handler, ...] to re-create on exit
+
+  const EXPIRY_HANDLER = 'maintenanceExpiryCheck';
+  const SDE_HANDLER = 'sde_job_PROCESS';
+  const NEVER_PAUSE = new Set([EXPIRY_HANDLER, SDE_HANDLER]); // maintenance's own machinery
+
+  const DEFAULT_TTL_MIN = 120;
+  const SDE_EXTEND_MIN = 30;
+  const RESUME_STAGGER_MS = 15000;
+  const MIN_MS = 60 * 1000;
+
+  const DEFAULT_STATUS_RANGE = 'MAINTENANCE_STATUS';
+
+  function readJson_(props, key, fallback) {
+    try {
+      return JSON.parse(props.getProperty(key) || 'null') || fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * @returns {{active:boolean, reason:string, source:string, since:(Date|null), until:(Date|null), expired:boolean}}
+   * A MAINTENANCE state set outside this module reports an empty reason/source.
+   */
+  function status(nowMs) {
+    nowMs = nowMs || Date.now();
+    const props = PropertiesService.getScriptProperties();
+    const active = (props.getProperty(STATE_KEY) || STATE.RUNNING) === STATE.MAINTENANCE;
+    const info = active ? readJson_(props, PROP_INFO, {}) : {};
+    return {
+      active: active,
+      reason: info.reason || '',
+      source: info.source || '',
+      since: info.since ? new Date(info.since) : null,
+      until: info.until ? new Date(info.until) : null,
+      expired: active && !!info.until && info.until <= nowMs
+    };
+  }
+
+  function clockHandlers_() {
+    return ScriptApp.getProjectTriggers()
+      .filter(t => t.getEventType() === ScriptApp.EventType.CLOCK)
+      .map(t => t.getHandlerFunction());
+  }
+
+  function armExpiry_(untilMs) {
+    deleteTriggersByName(EXPIRY_HANDLER);
+    // Created directly: scheduleOneTimeTrigger refuses to schedule anything while in MAINTENANCE.
+    ScriptApp.newTrigger(EXPIRY_HANDLER).timeBased().after(Math.max(60000, untilMs - Date.now())).create();
+  }
+
+  /** Remembers a handler to re-create on exit (scheduleOneTimeTrigger calls this when it blocks one). */
+  function notePaused(handler) {
+    if (!handler || NEVER_PAUSE.has(handler)) return;
+    const props = PropertiesService.getScriptProperties();
+    const paused = readJson_(props, PROP_PAUSED, []);
+    if (paused.indexOf(handler) !== -1) return;
+    paused.push(handler);
+    props.setProperty(PROP_PAUSED, JSON.stringify(paused));
+  }
+
+  /**
+   * @param {string} reason Shown on the Utility sheet and in logs.
+   * @param {number} [ttlMin] Minutes until automatic exit (default 120).
+   * @param {{source?: string}} [opts] SOURCE.SDE marks maintenance owned by the SDE job.
+   */
+  function enter(reason, ttlMin, opts = {}) {
+    const props = PropertiesService.getScriptProperties();
+    const nowMs = Date.now();
+    const ttl = (isFinite(ttlMin) && ttlMin > 0) ? ttlMin : DEFAULT_TTL_MIN;
+    const info = { reason: String(reason || 'Unspecified'), source: opts.source || SOURCE.MANUAL, since: nowMs, until: nowMs + ttl * MIN_MS };
+
+    props.setProperty(STATE_KEY, STATE.MAINTENANCE);
+    props.setProperty(PROP_INFO, JSON.stringify(info));
+
+    const pending = new Set(clockHandlers_());
+    TriggerManifest.list()
+      .filter(e => e.kind === TriggerManifest.KIND.ONE_SHOT && !NEVER_PAUSE.has(e.handler) && pending.has(e.handler))
+      .forEach(e => {
+        deleteTriggersByName(e.handler);
+        notePaused(e.handler);
+      });
+
+    armExpiry_(info.until);
+    LOG.warn(`Entered MAINTENANCE (${info.source}): ${info.reason}. Expires ${new Date(info.until).toISOString()}.`);
+    renderStatus();
+    return status(nowMs);
+  }
+
+  /** Leaves maintenance and restores paused triggers. Safe to call when not in maintenance. */
+  function exit(note) {
+    const props = PropertiesService.getScriptProperties();
+    const paused = readJson_(props, PROP_PAUSED, []);
+
+    props.setProperty(STATE_KEY, STATE.RUNNING);
+    props.deleteProperty(PROP_INFO);
+    props.deleteProperty(PROP_PAUSED);
+    deleteTriggersByName(EXPIRY_HANDLER);
+
+    paused.forEach((handler, i) => scheduleOneTimeTrigger(handler, RESUME_STAGGER_MS * (i + 1)));
+    try {
+      TriggerManifest.reconcile();
+    } catch (e) {
+      LOG.warn(`Trigger reconcile after exit failed: ${e.message}`);
+    }
+
+    LOG.info(`Exited MAINTENANCE${note ? ` (${note})` : ''}. Resumed ${paused.length} paused trigger(s).`);
+    renderStatus();
+  }
+
+  /**
+   * Exits maintenance whose TTL has passed (see module comment for the SDE case).
+   * @returns {boolean} true while maintenance is still active.
+   */
+  function checkExpiry(nowMs) {
+    nowMs = nowMs || Date.now();
+    const s = status(nowMs);
+    if (!s.active) return false;
+    if (!s.expired) return true;
+
+    if (s.source === SOURCE.SDE) {
+      const props = PropertiesService.getScriptProperties();
+      const sdeRunning = props.getProperty('SDE_JOB_RUNNING') === 'true';
+      if (sdeRunning && clockHandlers_().indexOf(SDE_HANDLER) !== -1) {
+        const info = readJson_(props, PROP_INFO, {});
+        info.until = nowMs + SDE_EXTEND_MIN * MIN_MS;
+        props.setProperty(PROP_INFO, JSON.stringify(info));
+        armExpiry_(info.until);
+        LOG.warn(`SDE job still scheduled; maintenance extended ${SDE_EXTEND_MIN} min.`);
+        renderStatus();
+        return true;
+      }
+      if (sdeRunning) {
+        LOG.error('Maintenance expired with the SDE job flagged running but no sde_job_PROCESS trigger. Finalizing.');
+        sde_job_FINALIZE(); // restores Utility switches and exits via Maintenance.exit
+        return status().active;
+      }
+    }
+
+    exit(`expired after ${Math.round((nowMs - s.since) / MIN_MS)} min`);
+    return false;
+  }
+
+  /**
+   * Dispatcher gate, like ScheduleWindows.blackout: expires stale maintenance, then returns the
+   * status while maintenance is active, or null.
+   */
+  function gate(caller, nowMs) {
+    if (!checkExpiry(nowMs)) return null;
+    const s = status(nowMs);
+    LOG.info(`${caller}: MAINTENANCE${s.reason ? ` (${s.reason})` : ''}. Standing down.`);
+    return s;
+  }
+
+  /** The 5x2 status panel: the named range's top-left cell, or a fresh name on the Utility sheet (null without one). */
+  function statusRange_(ss, conf) {
+    const name = conf.maintenanceStatusRange || DEFAULT_STATUS_RANGE;
+    const named = ss.getRangeByName(name);
+    if (named) return named.getSheet().getRange(named.getRow(), named.getColumn(), 5, 2);
+
+    const sheetName = conf.sheetName || 'Utility';
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) return null;
+    const col = sheet.getLastColumn() + 2;
+    if (sheet.getMaxColumns() < col + 1) sheet.insertColumnsAfter(sheet.getMaxColumns(), col + 1 - sheet.getMaxColumns());
+    const range = sheet.getRange(1, col, 5, 2);
+    ss.setNamedRange(name, range);
+    LOG.info(`Named range ${name} created on ${sheetName}!${range.getA1Notation()}.`);
+    return range;
+  }
+
+  /** Mirrors the state to the status panel. Never throws. */
+  function renderStatus(ss) {
+    try {
+      if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+      const conf = typeof GET_UTILITY_CONFIG === 'function' ? GET_UTILITY_CONFIG() : {};
+
+      const range = statusRange_(ss, conf);
+      if (!range) return;
+
+      const s = status();
+      range.setValues([
+        ['System State', s.active ? STATE.MAINTENANCE : STATE.RUNNING],
+        ['Reason', s.reason],
+        ['Source', s.source],
+        ['Since', s.since || ''],
+        ['Expires', s.until || '']
+      ]);
+    } catch (e) {
+      LOG.warn(`Could not render maintenance status: ${e.message}`);
+    }
+  }
+
+  return {
+    STATE, SOURCE,
+    status, enter, exit, notePaused, checkExpiry, gate, renderStatus
+  };
+})();
+
+/** Trigger handler armed by Maintenance.enter(). */
+function maintenanceExpiryCheck() {
+  Maintenance.checkExpiry();
+}
+
+/** Menu: asks for a reason and a TTL, then enters maintenance. */
+function enterMaintenanceMode() {
+  const ui = SpreadsheetApp.getUi();
+  const reasonRes = ui.prompt('🛑 Enter Maintenance Mode', 'Reason:', ui.ButtonSet.OK_CANCEL);
+  if (reasonRes.getSelectedButton() !== ui.Button.OK) return;
+  const ttlRes = ui.prompt('🛑 Enter Maintenance Mode', 'Auto-exit after how many minutes? (blank = 120)', ui.ButtonSet.OK_CANCEL);
+  if (ttlRes.getSelectedButton() !== ui.Button.OK) return;
+
+  const s = Maintenance.enter(reasonRes.getResponseText(), parseInt(ttlRes.getResponseText(), 10));
+  SpreadsheetApp.getActiveSpreadsheet().toast(`Maintenance until ${s.until.toLocaleTimeString()}`, 'Engine Room', 5);
+}
+
+/** Menu: leaves maintenance now. */
+function exitMaintenanceMode() {
+  const s = Maintenance.status();
+  if (s.active && s.source === Maintenance.SOURCE.SDE) {
+    const ui = SpreadsheetApp.getUi();
+    const res = ui.alert('▶️ Exit Maintenance Mode', 'The SDE update owns this maintenance window. Exit anyway?', ui.ButtonSet.YES_NO);
+    if (res !== ui.Button.YES) return;
+  }
+  Maintenance.exit('manual');
+  SpreadsheetApp.getActiveSpreadsheet().toast('System RUNNING', 'Engine Room', 3);
+}
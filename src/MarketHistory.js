@@ -0,0 +1,296 @@
+/* global SpreadsheetApp, PropertiesService, LockService, LoggerEx, PT, getOrCreateSheet */
+
+/**
+ * MarketHistory — Price time-series built from finalized market data runs.
+ * - Every successful swap into Market_Data_Raw appends a compact snapshot to Market_History.
+ * - Completed days are rolled up into Market_History_Daily (open/close/min/max/avg).
+ * - Raw snapshots are pruned after MARKET_HISTORY_RETENTION_DAYS (only once rolled up).
+ * - Daily rollups are pruned after MARKET_HISTORY_DAILY_RETENTION_DAYS.
+ * Both sheets are append-only and chronological, so pruning always trims from the top.
+ */
+var MarketHistory = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('MARKET_HISTORY') : console;
+
+  const HISTORY_SHEET = 'Market_History';
+  const DAILY_SHEET = 'Market_History_Daily';
+
+  const HISTORY_HEADERS = ['snapshot_ts', 'type_id', 'location_type', 'location_id', 'sell_min', 'buy_max', 'sell_volume', 'buy_volume'];
+  const DAILY_HEADERS = [
+    'date', 'type_id', 'location_type', 'location_id',
+    'sell_open', 'sell_close', 'sell_min', 'sell_max', 'sell_avg',
+    'buy_open', 'buy_close', 'buy_min', 'buy_max', 'buy_avg',
+    'sell_volume_avg', 'buy_volume_avg', 'samples'
+  ];
+
+  // --- Script Property Keys (Config + State) ---
+  const PROP_ENABLED = 'MARKET_HISTORY_ENABLED';
+  const PROP_RETENTION_DAYS = 'MARKET_HISTORY_RETENTION_DAYS';
+  const PROP_DAILY_RETENTION_DAYS = 'MARKET_HISTORY_DAILY_RETENTION_DAYS';
+  const PROP_LAST_ROLLUP = 'MARKET_HISTORY_LAST_ROLLUP_DATE';
+
+  // Raw snapshots are large (one row per control entry per run), keep them short-lived.
+  const DEFAULTS = { retentionDays: 3, dailyRetentionDays: 365 };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function getConfig() {
+    const props = PropertiesService.getScriptProperties();
+    const num = (key, fallback) => {
+      const n = parseInt(props.getProperty(key) || '', 10);
+      return (isFinite(n) && n > 0) ? n : fallback;
+    };
+    return {
+      enabled: String(props.getProperty(PROP_ENABLED) || 'TRUE').toUpperCase() !== 'FALSE',
+      retentionDays: num(PROP_RETENTION_DAYS, DEFAULTS.retentionDays),
+      dailyRetentionDays: num(PROP_DAILY_RETENTION_DAYS, DEFAULTS.dailyRetentionDays)
+    };
+  }
+
+  function dayKey_(v) {
+    const d = (v instanceof Date) ? v : PT.parseDateSafe(v);
+    return isNaN(d) ? '' : PT.yyyymmdd(d);
+  }
+
+  function num_(v) {
+    const n = (typeof v === 'number') ? v : Number(v);
+    return isFinite(n) && v !== '' ? n : null;
+  }
+
+  /** Grows the sheet so a block of rows can be written below lastRow. */
+  function ensureRows_(sh, needed) {
+    const maxRows = sh.getMaxRows();
+    if (maxRows < needed) sh.insertRowsAfter(maxRows, needed - maxRows);
+  }
+
+  /**
+   * Builds snapshot rows from a finalized market sheet using header-name lookups.
+   * @param {Array<Array>} values Full sheet values (row 0 = headers).
+   * @param {Date} snapshotTs Timestamp stamped on every row of this snapshot.
+   */
+  function buildSnapshotRows_(values, snapshotTs) {
+    if (!values || values.length < 2) return [];
+    const h = values[0].map(x => String(x).trim());
+    const col = {
+      type_id: h.indexOf('type_id'),
+      location_type: h.indexOf('location_type'),
+      location_id: h.indexOf('location_id'),
+      sell_min: h.indexOf('sell_min'),
+      buy_max: h.indexOf('buy_max'),
+      sell_volume: h.indexOf('sell_volume'),
+      buy_volume: h.indexOf('buy_volume')
+    };
+    if (col.type_id === -1 || col.location_id === -1) {
+      throw new Error("Market sheet is missing 'type_id' or 'location_id' header.");
+    }
+    const pick = (row, idx) => (idx === -1 ? '' : row[idx]);
+
+    const out = [];
+    for (let i = 1; i < values.length; i++) {
+      const r = values[i];
+      if (!r[col.type_id]) continue;
+      out.push([
+        snapshotTs, Number(r[col.type_id]),
+        pick(r, col.location_type), Number(pick(r, col.location_id)) || pick(r, col.location_id),
+        pick(r, col.sell_min), pick(r, col.buy_max),
+        pick(r, col.sell_volume), pick(r, col.buy_volume)
+      ]);
+    }
+    return out;
+  }
+
+  /**
+   * Aggregates chronological snapshot rows into one daily row per day/type/location.
+   */
+  function aggregateDaily_(rows) {
+    const buckets = new Map();
+    const newStat = () => ({ open: null, close: null, min: null, max: null, sum: 0, n: 0 });
+    const push = (s, v) => {
+      if (v === null) return;
+      if (s.open === null) s.open = v;
+      s.close = v;
+      s.min = (s.min === null) ? v : Math.min(s.min, v);
+      s.max = (s.max === null) ? v : Math.max(s.max, v);
+      s.sum += v; s.n++;
+    };
+
+    rows.forEach(r => {
+      const day = dayKey_(r[0]);
+      if (!day) return;
+      const key = [day, r[1], r[2], r[3]].join('|');
+      let b = buckets.get(key);
+      if (!b) {
+        b = { day: day, type_id: r[1], lt: r[2], lid: r[3], sell: newStat(), buy: newStat(), sv: 0, bv: 0, samples: 0 };
+        buckets.set(key, b);
+      }
+      push(b.sell, num_(r[4]));
+      push(b.buy, num_(r[5]));
+      b.sv += num_(r[6]) || 0;
+      b.bv += num_(r[7]) || 0;
+      b.samples++;
+    });
+
+    const blank = v => (v === null ? '' : v);
+    const avg = s => (s.n > 0 ? Math.round((s.sum / s.n) * 100) / 100 : '');
+    const out = [];
+    buckets.forEach(b => {
+      out.push([
+        b.day, b.type_id, b.lt, b.lid,
+        blank(b.sell.open), blank(b.sell.close), blank(b.sell.min), blank(b.sell.max), avg(b.sell),
+        blank(b.buy.open), blank(b.buy.close), blank(b.buy.min), blank(b.buy.max), avg(b.buy),
+        Math.round(b.sv / b.samples), Math.round(b.bv / b.samples), b.samples
+      ]);
+    });
+    return out;
+  }
+
+  /**
+   * Rolls completed days (before today) into the daily sheet, then prunes both sheets.
+   * Raw rows are only pruned once their day has been rolled up.
+   */
+  function rollupAndPrune_(ss, cfg) {
+    const props = PropertiesService.getScriptProperties();
+    const histSheet = getOrCreateSheet(ss, HISTORY_SHEET, HISTORY_HEADERS);
+    const dailySheet = getOrCreateSheet(ss, DAILY_SHEET, DAILY_HEADERS);
+
+    const todayKey = PT.yyyymmdd(new Date());
+    let lastRolled = props.getProperty(PROP_LAST_ROLLUP) || '';
+    let rolledRows = 0, prunedRaw = 0, prunedDaily = 0;
+
+    const lastRow = histSheet.getLastRow();
+    if (lastRow >= 2) {
+      const stamps = histSheet.getRange(2, 1, lastRow - 1, 1).getValues().map(r => dayKey_(r[0]));
+
+      // 1. ROLLUP: contiguous block of days in (lastRolled, today)
+      let first = -1, last = -1;
+      for (let i = 0; i < stamps.length; i++) {
+        const d = stamps[i];
+        if (d && d > lastRolled && d < todayKey) {
+          if (first === -1) first = i;
+          last = i;
+        }
+      }
+
+      if (first !== -1) {
+        const block = histSheet.getRange(first + 2, 1, last - first + 1, HISTORY_HEADERS.length).getValues();
+        const daily = aggregateDaily_(block);
+        if (daily.length > 0) {
+          const start = dailySheet.getLastRow() + 1;
+          ensureRows_(dailySheet, start + daily.length - 1);
+          dailySheet.getRange(start, 1, daily.length, DAILY_HEADERS.length).setValues(daily);
+          rolledRows = daily.length;
+        }
+        lastRolled = stamps[last];
+        props.setProperty(PROP_LAST_ROLLUP, lastRolled);
+      }
+
+      // 2. PRUNE RAW: leading rows older than retention that are already rolled up
+      const cutoffKey = PT.yyyymmdd(new Date(Date.now() - cfg.retentionDays * DAY_MS));
+      while (prunedRaw < stamps.length) {
+        const d = stamps[prunedRaw];
+        if (d && (d >= cutoffKey || d > lastRolled)) break;
+        prunedRaw++;
+      }
+      if (prunedRaw > 0) {
+        // Never delete every data row; Sheets refuses to delete all non-frozen rows.
+        if (prunedRaw >= histSheet.getMaxRows() - 1) histSheet.insertRowsAfter(histSheet.getMaxRows(), 1);
+        histSheet.deleteRows(2, prunedRaw);
+      }
+    }
+
+    // 3. PRUNE DAILY
+    const dailyLast = dailySheet.getLastRow();
+    if (dailyLast >= 2) {
+      const cutoffKey = PT.yyyymmdd(new Date(Date.now() - cfg.dailyRetentionDays * DAY_MS));
+      const days = dailySheet.getRange(2, 1, dailyLast - 1, 1).getValues().map(r => dayKey_(r[0]));
+      while (prunedDaily < days.length && days[prunedDaily] && days[prunedDaily] < cutoffKey) prunedDaily++;
+      if (prunedDaily > 0) {
+        if (prunedDaily >= dailySheet.getMaxRows() - 1) dailySheet.insertRowsAfter(dailySheet.getMaxRows(), 1);
+        dailySheet.deleteRows(2, prunedDaily);
+      }
+    }
+
+    return { rolledRows: rolledRows, prunedRaw: prunedRaw, prunedDaily: prunedDaily };
+  }
+
+  /**
+   * Appends the current contents of a finalized market sheet to Market_History,
+   * then rolls up completed days and applies retention.
+   * Never throws: history is a side-channel and must not fail the market job.
+   * @param {Spreadsheet} ss
+   * @param {string} sourceSheetName Usually 'Market_Data_Raw'.
+   * @returns {{success:boolean, rows:number, error:(string|null)}}
+   */
+  function recordSnapshot(ss, sourceSheetName) {
+    const cfg = getConfig();
+    if (!cfg.enabled) return { success: true, rows: 0, error: null };
+
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const docLock = LockService.getDocumentLock();
+    if (!docLock.tryLock(30000)) {
+      LOG.warn('Snapshot skipped: Document Lock busy.');
+      return { success: false, rows: 0, error: 'Could not acquire Document Lock.' };
+    }
+
+    try {
+      const src = ss.getSheetByName(sourceSheetName || 'Market_Data_Raw');
+      if (!src) throw new Error(`Source sheet '${sourceSheetName}' not found.`);
+
+      const rows = buildSnapshotRows_(src.getDataRange().getValues(), new Date());
+      if (rows.length > 0) {
+        const sh = getOrCreateSheet(ss, HISTORY_SHEET, HISTORY_HEADERS);
+        const start = sh.getLastRow() + 1;
+        ensureRows_(sh, start + rows.length - 1);
+        sh.getRange(start, 1, rows.length, HISTORY_HEADERS.length).setValues(rows);
+      }
+
+      const res = rollupAndPrune_(ss, cfg);
+      LOG.info(`Snapshot appended: ${rows.length} rows. Rolled ${res.rolledRows} daily rows. Pruned raw=${res.prunedRaw}, daily=${res.prunedDaily}.`);
+      return { success: true, rows: rows.length, error: null };
+    } catch (e) {
+      LOG.error('Snapshot failed: ' + e.message);
+      return { success: false, rows: 0, error: e.message };
+    } finally {
+      docLock.releaseLock();
+    }
+  }
+
+  /**
+   * Mean / standard deviation of daily sell_avg and buy_avg per type+location.
+   * @param {Spreadsheet} ss
+   * @param {number} lookbackDays Only rollups newer than this are used.
+   * @returns {Map<string, {sell:{mean:number, sd:number, n:number}, buy:{mean:number, sd:number, n:number}}>} keyed "type_id|location_id"
+   */
+  function getDailyStats(ss, lookbackDays) {
+    const stats = new Map();
+    const sh = (ss || SpreadsheetApp.getActiveSpreadsheet()).getSheetByName(DAILY_SHEET);
+    if (!sh || sh.getLastRow() < 2) return stats;
+
+    const cutoffKey = PT.yyyymmdd(new Date(Date.now() - (lookbackDays || 14) * DAY_MS));
+    const iSell = DAILY_HEADERS.indexOf('sell_avg'), iBuy = DAILY_HEADERS.indexOf('buy_avg');
+    const acc = new Map();
+    sh.getRange(2, 1, sh.getLastRow() - 1, DAILY_HEADERS.length).getValues().forEach(r => {
+      if (dayKey_(r[0]) < cutoffKey) return;
+      const key = `${Number(r[1])}|${Number(r[3])}`;
+      if (!acc.has(key)) acc.set(key, { sell: [], buy: [] });
+      const a = acc.get(key);
+      const sv = num_(r[iSell]), bv = num_(r[iBuy]);
+      if (sv !== null && sv > 0) a.sell.push(sv);
+      if (bv !== null && bv > 0) a.buy.push(bv);
+    });
+
+    const summarize = (xs) => {
+      if (xs.length === 0) return { mean: 0, sd: 0, n: 0 };
+      const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+      const sd = Math.sqrt(xs.reduce((s, x) => s + Math.pow(x - mean, 2), 0) / xs.length);
+      return { mean: mean, sd: sd, n: xs.length };
+    };
+    acc.forEach((a, key) => stats.set(key, { sell: summarize(a.sell), buy: summarize(a.buy) }));
+    return stats;
+  }
+
+  return {
+    HISTORY_SHEET, DAILY_SHEET, HISTORY_HEADERS, DAILY_HEADERS,
+    getConfig, recordSnapshot, getDailyStats
+  };
+})();
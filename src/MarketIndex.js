@@ -0,0 +1,204 @@
+/* global SpreadsheetApp, LoggerEx, MarketProfiles, _chunkAndPut, _getAndDechunk, _deleteShardedData, _as2D, _flatten2D, _reshape */
+
+/**
+ * MarketIndex — O(1) price lookups over Market_Data_Raw (or a market profile's final sheet).
+ * - Rows are keyed by cacheKey = "location_type:location_id:type_id" (see makeKey).
+ * - Lookup order: per-execution memo -> ScriptCache (sharded) -> one sheet scan.
+ * - One index per market profile; every lookup takes an optional profile name (default 'default').
+ * - The market job calls rebuild() after every successful swap / delta write,
+ *   so readers never see an index older than the live board.
+ */
+var MarketIndex = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('MARKET_INDEX') : console;
+
+  const SOURCE_SHEET = 'Market_Data_Raw';
+  const DEFAULT_PROFILE = 'default';
+  const CACHE_KEY = 'MARKET_INDEX_V1'; // 'default' keeps the bare key; others get a _NAME suffix
+  const CACHE_TTL_SEC = 6 * 60 * 60; // CacheService maximum; rebuild() refreshes it every cycle anyway
+  // Compact cache payload: one array per key, in this field order.
+  const FIELDS = ['type_id', 'location_type', 'location_id', 'sell_min', 'buy_max', 'sell_volume', 'buy_volume', 'data_status'];
+
+  const memo_ = {}; // profile -> { byKey: Map<string, Array>, byType: Map<number, Array<string>>, priceMaps: {field: Map} }
+
+  const profile_ = (name) => String(name || DEFAULT_PROFILE);
+  const cacheKey_ = (name) => (name === DEFAULT_PROFILE ? CACHE_KEY : `${CACHE_KEY}_${name.toUpperCase()}`);
+
+  function sourceSheet_(ss, name) {
+    if (typeof MarketProfiles === 'undefined') return SOURCE_SHEET;
+    return MarketProfiles.get(name, ss).finalSheet;
+  }
+
+  /**
+   * Deterministic row key used in Market_Data_Raw's cacheKey column.
+   * @param {string} locationType region|system|station|structure
+   * @param {number|string} locationId
+   * @param {number|string} typeId
+   * @returns {string}
+   */
+  function makeKey(locationType, locationId, typeId) {
+    return `${String(locationType || '').trim().toLowerCase()}:${Number(locationId)}:${Number(typeId)}`;
+  }
+
+  function toEntry_(arr) {
+    if (!arr) return null;
+    const o = {};
+    FIELDS.forEach((f, i) => { o[f] = arr[i]; });
+    return o;
+  }
+
+  function index_(entries) {
+    const byKey = new Map();
+    const byType = new Map();
+    Object.keys(entries).forEach(k => {
+      const arr = entries[k];
+      byKey.set(k, arr);
+      const tid = Number(arr[0]);
+      if (!byType.has(tid)) byType.set(tid, []);
+      byType.get(tid).push(k);
+    });
+    return { byKey: byKey, byType: byType, priceMaps: {} };
+  }
+
+  /** Reads the profile's final sheet by header name into the compact { key: [..FIELDS] } shape. */
+  function scan_(ss, name) {
+    const entries = {};
+    const sheetName = sourceSheet_(ss, name);
+    const sh = ss.getSheetByName(sheetName);
+    if (!sh || sh.getLastRow() < 2) return entries;
+
+    const values = sh.getDataRange().getValues();
+    const h = values[0].map(x => String(x).trim());
+    const idx = FIELDS.map(f => h.indexOf(f));
+    const iKey = h.indexOf('cacheKey');
+    if (idx[0] === -1 || idx[2] === -1) {
+      LOG.warn(`${sheetName} is missing 'type_id' or 'location_id' header. Index empty.`);
+      return entries;
+    }
+
+    for (let r = 1; r < values.length; r++) {
+      const row = values[r];
+      if (!row[idx[0]]) continue;
+      const arr = idx.map(i => (i === -1 ? '' : row[i]));
+      // Prefer the stored key; derive it for boards written before cacheKey was populated.
+      const key = (iKey !== -1 && row[iKey]) ? String(row[iKey]) : makeKey(arr[1], arr[2], arr[0]);
+      entries[key] = arr;
+    }
+    return entries;
+  }
+
+  function load_(profile) {
+    const name = profile_(profile);
+    if (memo_[name]) return memo_[name];
+
+    const cached = _getAndDechunk(cacheKey_(name));
+    if (cached) {
+      try {
+        memo_[name] = index_(JSON.parse(cached));
+        return memo_[name];
+      } catch (e) {
+        LOG.warn(`Cached index '${name}' unreadable, rescanning: ${e.message}`);
+      }
+    }
+    return rebuild(null, name);
+  }
+
+  /**
+   * Rescans the profile's final sheet and republishes the index to ScriptCache.
+   * @param {Spreadsheet} [ss]
+   * @param {string} [profile]
+   */
+  function rebuild(ss, profile) {
+    const name = profile_(profile);
+    const entries = scan_(ss || SpreadsheetApp.getActiveSpreadsheet(), name);
+    memo_[name] = index_(entries);
+    if (!_chunkAndPut(cacheKey_(name), JSON.stringify(entries), CACHE_TTL_SEC)) {
+      LOG.warn(`Index '${name}' built in memory only (cache write failed).`);
+    }
+    LOG.info(`Index '${name}' rebuilt: ${memo_[name].byKey.size} keys.`);
+    return memo_[name];
+  }
+
+  /** Drops the memo and the cached copy; the next lookup rescans. */
+  function invalidate(profile) {
+    const name = profile_(profile);
+    delete memo_[name];
+    _deleteShardedData(cacheKey_(name));
+  }
+
+  /**
+   * Exact lookup for one market.
+   * @returns {{type_id, location_type, location_id, sell_min, buy_max, sell_volume, buy_volume, data_status}|null}
+   */
+  function get(locationType, locationId, typeId, profile) {
+    return toEntry_(load_(profile).byKey.get(makeKey(locationType, locationId, typeId)));
+  }
+
+  /**
+   * All indexed markets for a type (any location), in board order.
+   * @returns {Array<Object>}
+   */
+  function findByType(typeId, profile) {
+    const idx = load_(profile);
+    return (idx.byType.get(Number(typeId)) || []).map(k => toEntry_(idx.byKey.get(k)));
+  }
+
+  /**
+   * type_id -> value map across the board, for generators that price by type only.
+   * Blank and zero values are skipped, so a hub with no orders never masks another hub's price;
+   * among the rest, later rows win, matching the old "scan Market_Data_Raw into a Map" generators.
+   * @param {string} field e.g. 'buy_max' or 'sell_min'
+   * @param {string} [profile] Market profile name (default 'default').
+   * @returns {Map<number, *>}
+   */
+  function priceMap(field, profile) {
+    const col = FIELDS.indexOf(field);
+    if (col === -1) throw new Error(`MarketIndex: unknown field '${field}'.`);
+    const idx = load_(profile);
+    if (!idx.priceMaps[field]) {
+      const out = new Map();
+      idx.byKey.forEach(arr => {
+        const v = arr[col];
+        if (v === '' || v === null || v === undefined || v === 0 || v === '0') return;
+        out.set(Number(arr[0]), v);
+      });
+      idx.priceMaps[field] = out;
+    }
+    return idx.priceMaps[field];
+  }
+
+  return {
+    SOURCE_SHEET, FIELDS,
+    makeKey, rebuild, invalidate, get, findByType, priceMap
+  };
+})();
+
+/**
+ * Reads prices straight from the Market_Data_Raw index (no API call, no sheet scan).
+ * Preserves the input shape (rows x cols).
+ * @param {number|Array<Array<number>>} type_ids
+ * @param {string} location_type region|system|station|structure
+ * @param {number} location_id
+ * @param {string} [field] sell_min (default), buy_max, sell_volume, buy_volume or data_status
+ * @param {string} [profile] Market profile name (default 'default').
+ * @customfunction
+ */
+function marketIndexPrice(type_ids, location_type, location_id, field = 'sell_min', profile = 'default') {
+  if (!type_ids) throw new Error("type_ids is required");
+  if (MarketIndex.FIELDS.indexOf(field) === -1) {
+    throw new Error(`Unknown field "${field}". Valid fields are ${MarketIndex.FIELDS.join(', ')}.`);
+  }
+
+  const in2D = _as2D(type_ids);
+  const rows = in2D.length, cols = in2D[0].length;
+
+  const outFlat = _flatten2D(in2D).map(v => {
+    const n = Number(v);
+    if (v === '' || !Number.isFinite(n)) return "";
+    const entry = MarketIndex.get(location_type, location_id, n, profile);
+    return entry ? entry[field] : "";
+  });
+
+  return _reshape(outFlat, rows, cols);
+}
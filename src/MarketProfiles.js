@@ -0,0 +1,162 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, getOrCreateSheet, _getNamedOr_ */
+
+/**
+ * MarketProfiles — Named market boards (e.g. Jita, Amarr, home structure).
+ * Each profile owns its control sheet, temp/final sheets, named range, overview sheet and cadence.
+ * The orchestrator round-robins due profiles; only one market job is in flight at a time,
+ * and MARKET_ACTIVE_PROFILE tells the worker/finalizer which profile that is.
+ *
+ * Registry sheet: Config_MarketProfiles (seeded with the legacy single-board layout as 'default').
+ *   name            Unique handle. 'default' keeps the legacy property keys.
+ *   control_sheet   Market_Control rows for this profile.
+ *   final_sheet     Live board (Market_Data_Raw for 'default').
+ *   temp_sheet      Staging sheet for the full-swap path.
+ *   named_range     Named range stretched over final_sheet.
+ *   overview_sheet  Formula sheet the Main.js generators read (MarketOverviewData for 'default').
+ *   interval_min    Minutes between runs.
+ *   hubs            "type:id,type:id" for generateMarketControl. Blank = MARKET_CONTROL_HUBS / setting_sell_loc.
+ *   enabled         FALSE skips the profile in the rotation.
+ */
+var MarketProfiles = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('MARKET_PROFILES') : console;
+
+  const REGISTRY_SHEET = 'Config_MarketProfiles';
+  const REGISTRY_HEADERS = ['name', 'control_sheet', 'final_sheet', 'temp_sheet', 'named_range', 'overview_sheet', 'interval_min', 'hubs', 'enabled'];
+  const DEFAULT_PROFILE = 'default';
+  const DEFAULT_ROW = [DEFAULT_PROFILE, 'Market_Control', 'Market_Data_Raw', 'Market_Data_Temp', 'NR_MARKET_DATA', 'MarketOverviewData', 28, '', true];
+
+  // --- Script Property Keys (State) ---
+  const PROP_ACTIVE = 'MARKET_ACTIVE_PROFILE';
+  const PROP_RR_INDEX = 'MARKET_PROFILE_RR_INDEX';
+  const PROP_LAST_RUN = 'MARKET_DATA_LAST_RUN_TS'; // 'default' keeps the bare key; others get a _NAME suffix
+  // Named range generators read to pick a profile when none is passed
+  const SETTING_PROFILE_RANGE = 'setting_market_profile';
+
+  let registry_ = null; // Per-execution memo: Array<profile> in sheet order
+
+  function toProfile_(r) {
+    const text = (v, fallback) => String(v || '').trim() || fallback;
+    return {
+      name: text(r[0], DEFAULT_PROFILE),
+      controlSheet: text(r[1], DEFAULT_ROW[1]),
+      finalSheet: text(r[2], DEFAULT_ROW[2]),
+      tempSheet: text(r[3], DEFAULT_ROW[3]),
+      namedRange: text(r[4], ''),
+      overviewSheet: text(r[5], DEFAULT_ROW[5]),
+      intervalMs: Math.max(1, Number(r[6]) || DEFAULT_ROW[6]) * 60000,
+      hubs: text(r[7], ''),
+      enabled: String(r[8] === '' ? 'TRUE' : r[8]).toUpperCase() !== 'FALSE'
+    };
+  }
+
+  function load_(ss) {
+    if (registry_) return registry_;
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const sh = getOrCreateSheet(ss, REGISTRY_SHEET, REGISTRY_HEADERS);
+    if (sh.getLastRow() < 2) {
+      sh.getRange(2, 1, 1, REGISTRY_HEADERS.length).setValues([DEFAULT_ROW]);
+      LOG.info(`Seeded ${REGISTRY_SHEET} with the '${DEFAULT_PROFILE}' profile.`);
+    }
+
+    const seen = new Set();
+    registry_ = [];
+    sh.getRange(2, 1, sh.getLastRow() - 1, REGISTRY_HEADERS.length).getValues().forEach(r => {
+      if (!r[0]) return;
+      const p = toProfile_(r);
+      if (seen.has(p.name)) {
+        LOG.warn(`Duplicate market profile '${p.name}' ignored.`);
+        return;
+      }
+      seen.add(p.name);
+      registry_.push(p);
+    });
+    return registry_;
+  }
+
+  /** @returns {Array<Object>} All profiles in registry order. */
+  function list(ss) {
+    return load_(ss).slice();
+  }
+
+  /** @throws if the profile is not registered. */
+  function get(name, ss) {
+    const p = load_(ss).find(x => x.name === name);
+    if (!p) throw new Error(`Market profile '${name}' is not registered in ${REGISTRY_SHEET}.`);
+    return p;
+  }
+
+  /**
+   * Profile for a generator: explicit name, else the setting_market_profile named range, else 'default'.
+   * Unknown names fall back to 'default' (with a warning) so a typo never blanks a report.
+   */
+  function resolve(ss, name) {
+    const wanted = String(name || _getNamedOr_(ss, SETTING_PROFILE_RANGE, DEFAULT_PROFILE) || DEFAULT_PROFILE).trim();
+    const p = load_(ss).find(x => x.name === wanted);
+    if (p) return p;
+    LOG.warn(`Unknown market profile '${wanted}'. Using '${DEFAULT_PROFILE}'.`);
+    return get(DEFAULT_PROFILE, ss);
+  }
+
+  function lastRunKey_(name) {
+    return name === DEFAULT_PROFILE ? PROP_LAST_RUN : `${PROP_LAST_RUN}_${name.toUpperCase()}`;
+  }
+
+  function getLastRun(name) {
+    return parseInt(PropertiesService.getScriptProperties().getProperty(lastRunKey_(name)) || '0', 10);
+  }
+
+  function markRun(name, ts) {
+    PropertiesService.getScriptProperties().setProperty(lastRunKey_(name), String(ts || Date.now()));
+  }
+
+  /** Profile the in-flight market job belongs to ('default' when none is recorded). */
+  function getActive(ss) {
+    const name = PropertiesService.getScriptProperties().getProperty(PROP_ACTIVE) || DEFAULT_PROFILE;
+    return load_(ss).find(x => x.name === name) || get(DEFAULT_PROFILE, ss);
+  }
+
+  function setActive(name) {
+    PropertiesService.getScriptProperties().setProperty(PROP_ACTIVE, name);
+  }
+
+  function clearActive() {
+    PropertiesService.getScriptProperties().deleteProperty(PROP_ACTIVE);
+  }
+
+  /**
+   * Next enabled profile whose interval has elapsed, scanning round-robin from the
+   * last dispatched position so a busy profile can't starve the others.
+   * Advances the rotation when one is returned.
+   * @param {number} nowMs
+   * @param {Spreadsheet} [ss]
+   * @param {number} [catchUpSince] Post-blackout catch-up: profiles not run since this are due regardless of interval.
+   * @returns {Object|null}
+   */
+  function nextDue(nowMs, ss, catchUpSince) {
+    const profiles = load_(ss);
+    if (profiles.length === 0) return null;
+
+    const props = PropertiesService.getScriptProperties();
+    const start = (parseInt(props.getProperty(PROP_RR_INDEX) || '0', 10) || 0) % profiles.length;
+
+    for (let i = 0; i < profiles.length; i++) {
+      const idx = (start + i) % profiles.length;
+      const p = profiles[idx];
+      if (!p.enabled) continue;
+      const lastRun = getLastRun(p.name);
+      if (nowMs - lastRun > p.intervalMs || (catchUpSince && lastRun < catchUpSince)) {
+        props.setProperty(PROP_RR_INDEX, String((idx + 1) % profiles.length));
+        return p;
+      }
+    }
+    return null;
+  }
+
+  return {
+    REGISTRY_SHEET, REGISTRY_HEADERS, DEFAULT_PROFILE,
+    list, get, resolve, getLastRun, markRun, getActive, setActive, clearActive, nextDue
+  };
+})();
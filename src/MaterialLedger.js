@@ -1,6 +1,160 @@
+/**
+ * LedgerSchema — The one column definition for Material_Ledger, Sales_Ledger and their _Archive sheets.
+ * Each sheet records the schema version it was written at (developer metadata LEDGER_SCHEMA_VERSION);
+ * ensure() migrates an older sheet before ML writes to it, migrate() does it on demand.
+ *
+ * A migration lists the complete column order of its version (plus `renamed: {old: new}`). Rows are moved
+ * by header name, so migrations may add, rename or reorder columns; columns no version knows about are
+ * kept to the right rather than dropped. New columns go at the end so formulas on NR_*_LEDGER keep their positions.
+ *
+ * Readers look columns up by name: LedgerSchema.indexMap(headerRow, required).
+ *
+ * v2 columns by writer: the journal buffer fills tax, wallet_division and ref_type; wallet transactions fill
+ * location_id, wallet_division and ref_type; contracts fill location_id; industry fills location_id and fee
+ * (install cost). Loot deltas leave them blank.
+ */
+var LedgerSchema = (function () {
+    'use strict';
+
+    const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('LEDGER_SCHEMA') : console;
+
+    const V1 = ['date', 'type_id', 'item_name', 'qty', 'unit_value', 'source', 'contract_id', 'char', 'unit_value_filled'];
+    const MIGRATIONS = [
+        { version: 1, note: 'Baseline ledger', columns: V1 },
+        { version: 2, note: 'Wallet detail: location, fee/tax split, division, journal ref_type', columns: V1.concat(['location_id', 'fee', 'tax', 'wallet_division', 'ref_type']) }
+    ];
+
+    const VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+    const HEAD = MIGRATIONS[MIGRATIONS.length - 1].columns.slice();
+    const INDEX = HEAD.reduce((m, k, i) => { m[k] = i; return m; }, {});
+    const LEDGERS = ['Material_Ledger', 'Sales_Ledger'];
+    const ARCHIVE_SUFFIX = '_Archive';
+    const META_KEY = 'LEDGER_SCHEMA_VERSION';
+
+    const ensured_ = new Set(); // Per-execution memo (sheet ids)
+
+    const clean_ = h => String(h || '').toLowerCase().trim();
+
+    /**
+     * name -> column index in `headers` (-1 when absent).
+     * @throws "CRITICAL: ..." when a required column is missing, like _getColIndexMap.
+     */
+    function indexMap(headers, required) {
+        const lower = (headers || []).map(clean_);
+        const col = {};
+        HEAD.concat(required || []).forEach(k => { col[k] = lower.indexOf(clean_(k)); });
+        (required || []).forEach(k => {
+            if (col[k] === -1) throw new Error(`CRITICAL: Ledger sheet is missing required column: ${k}`);
+        });
+        return col;
+    }
+
+    function metadata_(sheet) {
+        return sheet.getDeveloperMetadata().filter(m => m.getKey() === META_KEY)[0] || null;
+    }
+
+    /** Stored version, else inferred from the header (0 = no recognisable ledger header). */
+    function versionOf(sheet) {
+        const meta = metadata_(sheet);
+        if (meta) return Number(meta.getValue()) || 0;
+        if (sheet.getLastColumn() < 1) return 0;
+        const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(clean_);
+        for (let i = MIGRATIONS.length - 1; i >= 0; i--) {
+            if (MIGRATIONS[i].columns.every(k => header.indexOf(k) !== -1)) return MIGRATIONS[i].version;
+        }
+        return 0;
+    }
+
+    function stamp_(sheet, version) {
+        const meta = metadata_(sheet);
+        if (meta) meta.setValue(String(version));
+        else sheet.addDeveloperMetadata(META_KEY, String(version));
+    }
+
+    /**
+     * Brings one ledger sheet up to VERSION: rewrites header and rows in the target column order.
+     * @returns {{sheet:string, from:number, to:number, rows:number}}
+     * @throws when the sheet has no ledger header (see fixMaterialLedgerHeaders).
+     */
+    function migrate(sheet) {
+        const from = versionOf(sheet);
+        const res = { sheet: sheet.getName(), from: from, to: VERSION, rows: 0 };
+        const lastCol = sheet.getLastColumn(), lastRow = sheet.getLastRow();
+        let header = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim()) : [];
+
+        // Current version in HEAD order: nothing to move (columns reordered by hand still get rewritten)
+        if (from >= VERSION && HEAD.every((k, i) => clean_(header[i]) === k)) {
+            if (!metadata_(sheet)) stamp_(sheet, from);
+            return res;
+        }
+        if (from === 0 && lastRow > 0) {
+            throw new Error(`CRITICAL: '${sheet.getName()}' has no recognisable ledger header. Restore it before migrating.`);
+        }
+
+        const values = lastRow > 0 ? sheet.getRange(1, 1, lastRow, lastCol).getValues() : [[]];
+        const renames = {};
+        MIGRATIONS.filter(m => m.version > from).forEach(m => Object.assign(renames, m.renamed || {}));
+        header = header.map(h => renames[clean_(h)] || h);
+
+        const known = new Set(HEAD);
+        const extras = header.filter(h => h && !known.has(clean_(h)));
+        const target = HEAD.concat(extras);
+        const src = target.map(k => header.map(clean_).indexOf(clean_(k)));
+        const out = [target].concat(values.slice(1).map(r => src.map(i => (i === -1 ? '' : r[i]))));
+
+        const width = Math.max(lastCol, target.length);
+        if (sheet.getMaxColumns() < width) sheet.insertColumnsAfter(sheet.getMaxColumns(), width - sheet.getMaxColumns());
+        if (lastRow > 0) sheet.getRange(1, 1, lastRow, width).clearContent();
+        sheet.getRange(1, 1, out.length, target.length).setValues(out);
+        stamp_(sheet, VERSION);
+
+        if (extras.length) LOG.warn(`${res.sheet}: kept unknown columns at the end: ${extras.join(', ')}`);
+        LOG.info(`${res.sheet}: migrated schema v${from} -> v${VERSION} (${out.length - 1} rows).`);
+        res.rows = out.length - 1;
+        return res;
+    }
+
+    /** Migrates at most once per execution; cheap afterwards. Call before writing rows in HEAD order. */
+    function ensure(sheet) {
+        const id = sheet.getSheetId();
+        if (ensured_.has(id)) return;
+        migrate(sheet);
+        ensured_.add(id);
+    }
+
+    /** Every ledger and archive sheet that exists. */
+    function sheets(ss) {
+        if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+        return LEDGERS.concat(LEDGERS.map(n => n + ARCHIVE_SUFFIX)).map(n => ss.getSheetByName(n)).filter(Boolean);
+    }
+
+    /** The header a sheet written at `version` would have (used to restore lost headers). */
+    function columnsAt(version) {
+        const m = MIGRATIONS.filter(x => x.version <= version).pop();
+        return (m || MIGRATIONS[0]).columns.slice();
+    }
+
+    return {
+        VERSION, HEAD, INDEX, LEDGERS, ARCHIVE_SUFFIX,
+        indexMap, versionOf, migrate, ensure, sheets, columnsAt
+    };
+})();
+
 var ML = (function () {
-    var HEAD = ['date', 'type_id', 'item_name', 'qty', 'unit_value', 'source', 'contract_id', 'char', 'unit_value_filled'];
+    var HEAD = LedgerSchema.HEAD, C = LedgerSchema.INDEX; // Same file, defined above: safe at load time
     var LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('ML_LEDGER') : console;
+    var CARRY_SOURCE = 'CARRY_FORWARD';
+    var ARCHIVE_SUFFIX = LedgerSchema.ARCHIVE_SUFFIX;
+    var MIN_PRUNE_DAYS = 45; // importers re-read ~30 days; pruned rows must never be re-imported as new
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    var MODE = { FULL: 'full', APPEND: 'append', INCREMENTAL: 'incremental' };
+    var AGG_SHEET = '_ML_Aggregate';
+    var AGG_HEAD = ['ledger', 'type_id', 'total_sum', 'total_qty'];
+    var MAX_WRITE_RUNS = 40;
+    var AGG_MAX_AGE_MS = 6 * 60 * 60 * 1000; // periodic full re-crunch: catches edits neither stamp nor onEdit sees
+    // --- Script Property Keys (State) ---
+    var PROP_AGG_ROWS = 'ML_AGGREGATE_ROWS'; // { sheetName: { rows, at } } ledger row count and time of the last full crunch
 
     function getSS_() { return SpreadsheetApp.getActiveSpreadsheet(); }
 
@@ -23,21 +177,154 @@ var ML = (function () {
         out.char = r.char || '';
         var finalVal = u0 > 0 ? u0 : (u1 > 0 ? u1 : 0);
         out.unit_value_filled = finalVal > 0 ? finalVal : '';
+        out.location_id = r.location_id || '';
+        out.fee = (r.fee === '' || r.fee == null) ? '' : (Number(r.fee) || 0);
+        out.tax = (r.tax === '' || r.tax == null) ? '' : (Number(r.tax) || 0);
+        out.wallet_division = r.wallet_division || '';
+        out.ref_type = r.ref_type || '';
         return HEAD.map(k => (out[k] == null ? '' : out[k]));
     }
 
 
+    // --- Blended aggregate: per-type { i: Σ|qty|·price, q: Σ|qty| } over priced rows, persisted per ledger ---
+
+    function contribution_(row) {
+        const qty = Math.abs(Number(row[C.qty])), tid = row[C.type_id];
+        const price = (+row[C.unit_value] > 0) ? +row[C.unit_value] : (+row[C.unit_value_filled] || 0);
+        return (tid && qty > 0 && price > 0) ? { tid: String(tid), i: qty * price, q: qty } : null;
+    }
+
+    function applyRow_(totals, row, sign) {
+        const c = contribution_(row);
+        if (!c) return;
+        if (!totals[c.tid]) totals[c.tid] = { i: 0, q: 0 };
+        totals[c.tid].i += sign * c.i; totals[c.tid].q += sign * c.q;
+        if (totals[c.tid].q <= 1e-9) delete totals[c.tid]; // fully reversed (floating-point residue included)
+    }
+
+    function crunch_(allValues) {
+        const totals = {};
+        allValues.forEach(row => applyRow_(totals, row, 1));
+        return totals;
+    }
+
+    function readStamps_() {
+        try { return JSON.parse(PropertiesService.getScriptProperties().getProperty(PROP_AGG_ROWS) || '{}'); } catch (e) { return {}; }
+    }
+
+    /**
+     * The persisted aggregate, or null when missing or stale: the ledger row count changed outside ML,
+     * ML.invalidate ran (hand edits, via onEdit), or the last full crunch is older than AGG_MAX_AGE_MS.
+     */
+    function loadAggregate_(ss, sheetName, ledgerRows) {
+        const stamp = readStamps_()[sheetName];
+        if (!stamp || stamp.rows !== ledgerRows || !(Date.now() - stamp.at < AGG_MAX_AGE_MS)) return null;
+        const aSh = ss.getSheetByName(AGG_SHEET);
+        if (!aSh) return null;
+        const totals = {};
+        if (aSh.getLastRow() >= 2) {
+            aSh.getRange(2, 1, aSh.getLastRow() - 1, AGG_HEAD.length).getValues().forEach(r => {
+                if (r[0] === sheetName && r[1] !== '') totals[String(r[1])] = { i: Number(r[2]) || 0, q: Number(r[3]) || 0 };
+            });
+        }
+        return totals;
+    }
+
+    /** `crunchedAt`: when the totals were last recomputed from the whole ledger (kept across incremental saves). */
+    function saveAggregate_(ss, sheetName, totals, ledgerRows, crunchedAt) {
+        const aSh = getOrCreateSheet(ss, AGG_SHEET, AGG_HEAD);
+        if (!aSh.isSheetHidden()) aSh.hideSheet();
+        const last = aSh.getLastRow();
+        const others = last >= 2 ? aSh.getRange(2, 1, last - 1, AGG_HEAD.length).getValues().filter(r => r[0] && r[0] !== sheetName) : [];
+        const out = others.concat(Object.keys(totals).map(id => [sheetName, id, totals[id].i, totals[id].q]));
+        if (last >= 2) aSh.getRange(2, 1, last - 1, AGG_HEAD.length).clearContent();
+        if (out.length) {
+            if (aSh.getMaxRows() < out.length + 1) aSh.insertRowsAfter(aSh.getMaxRows(), out.length + 1 - aSh.getMaxRows());
+            aSh.getRange(2, 1, out.length, AGG_HEAD.length).setValues(out);
+        }
+        const stamps = readStamps_();
+        stamps[sheetName] = { rows: ledgerRows, at: crunchedAt };
+        PropertiesService.getScriptProperties().setProperty(PROP_AGG_ROWS, JSON.stringify(stamps));
+    }
+
+    /**
+     * Snaps the ledger named range, persists the aggregate and rewrites Blended_Cost / Blended_Sales from it.
+     * `crunchedAt` is now after a full crunch_; omitted, the previous stamp's time carries over.
+     */
+    function refreshSummaries_(ss, sh, sheetName, ledgerRows, totals, crunchedAt) {
+        // 1. SNAP THE LEDGER RANGE
+        const rangeName = (sheetName === "Material_Ledger") ? "NR_MATERIAL_LEDGER" : "NR_SALES_LEDGER";
+        ss.setNamedRange(rangeName, sh.getRange(1, 1, ledgerRows + 1, HEAD.length));
+
+        // 2. BLENDED SUMMARIES FROM THE AGGREGATE
+        if (!crunchedAt) crunchedAt = (readStamps_()[sheetName] || {}).at || Date.now();
+        saveAggregate_(ss, sheetName, totals, ledgerRows, crunchedAt);
+        const summary = [["type_id", "total_sum", "unit_weighted_average"]];
+        Object.keys(totals).forEach(id => summary.push([id, totals[id].i, Math.round((totals[id].i / totals[id].q) * 100) / 100]));
+
+        const tName = (sheetName === "Material_Ledger") ? "Blended_Cost" : "Blended_Sales";
+        const tSh = ss.getSheetByName(tName);
+        if (tSh) {
+            tSh.clearContents();
+            tSh.getRange(1, 1, summary.length, 3).setValues(summary);
+            // 3. SNAP THE BLENDED RANGE
+            const bName = (tName === "Blended_Cost") ? "NR_BLENDED_COST" : "NR_BLENDED_SALES";
+            ss.setNamedRange(bName, tSh.getRange(1, 1, summary.length, 3));
+            if (tSh.getMaxRows() > summary.length) tSh.deleteRows(summary.length + 1, tSh.getMaxRows() - summary.length);
+        }
+    }
+
+    /** Cell-level equality between a sheet row and a normalized row (Sheets turns the date string into a Date). */
+    function sameRow_(a, b) {
+        const PT_API = (typeof PT !== 'undefined' && PT.yyyymmdd) ? PT : null;
+        const cell = v => {
+            if (v instanceof Date) return PT_API ? PT_API.yyyymmdd(v) : Utilities.formatDate(v, Session.getScriptTimeZone(), "yyyy-MM-dd");
+            if (v !== '' && v !== null && isFinite(Number(v))) return String(Number(v));
+            return String(v == null ? '' : v);
+        };
+        return HEAD.every((_, c) => cell(a[c]) === cell(b[c]));
+    }
+
+    /** Writes the given row indices (0-based ledger rows) as contiguous runs; many scattered runs become one span. */
+    function writeRows_(sh, allValues, indices) {
+        if (!indices.length) return;
+        indices.sort((a, b) => a - b);
+        const runs = [];
+        indices.forEach(i => {
+            const run = runs[runs.length - 1];
+            if (run && i === run[1] + 1) run[1] = i;
+            else runs.push([i, i]);
+        });
+        if (runs.length > MAX_WRITE_RUNS) runs.splice(0, runs.length, [indices[0], indices[indices.length - 1]]);
+        runs.forEach(([a, b]) => sh.getRange(a + 2, 1, b - a + 1, HEAD.length).setValues(allValues.slice(a, b + 1)));
+    }
 
     function forSheet(sheetName) {
         var sh = getSS_().getSheetByName(sheetName);
         if (!sh) sh = getOrCreateSheet(getSS_(), sheetName, HEAD);
+        LedgerSchema.ensure(sh);
 
-        function upsertBy(keys, rows) {
+        /**
+         * opts.mode (ML.MODE):
+         *   full         (default) Reads, merges and rewrites the whole ledger; rebuilds the Blended aggregate from it.
+         *   incremental  Reads the ledger, writes only changed and new rows, and adjusts the persisted aggregate.
+         *   append       No read at all: rows go below the last row. Only for keys that cannot collide (fresh UUIDs).
+         * incremental/append fall back to a one-off full crunch when the aggregate is stale (ledger edited outside ML,
+         * or AGG_MAX_AGE_MS since the last full crunch).
+         * opts.dryRun (or DRY_RUN_ENABLED, see DryRun.active) diffs the merged ledger into DryRun_Report and
+         * writes nothing: status "DRY_RUN", rows 0. Importers must not advance their anchors, snapshots or
+         * buffers on that status, or the next real run would skip what was only previewed.
+         */
+        function upsertBy(keys, rows, opts) {
             if (!rows || !rows.length) return { rows: 0, status: "SUCCESS" };
-            let updateCount = 0, totalWritten = 0, needsWakeUp = false;
+            opts = opts || {};
+            const mode = opts.mode || MODE.FULL;
+            if (mode === MODE.APPEND) return appendRows_(rows, opts);
+
+            let updateCount = 0, totalWritten = 0, unchanged = 0, needsWakeUp = false;
             const ss = getSS_(), existingKeys = new Map();
             const keyIndices = keys.map(k => HEAD.indexOf(k));
-            const normalizeK = (v, i) => (i === 1) ? String(Math.round(Number(v || 0))) : String(v || '');
+            const normalizeK = (v, i) => (i === C.type_id) ? String(Math.round(Number(v || 0))) : String(v || '');
 
             const last = sh.getLastRow();
             if (last >= 2) {
@@ -45,54 +332,188 @@ var ML = (function () {
                 data.forEach((row, i) => existingKeys.set(keyIndices.map(idx => normalizeK(row[idx], idx)).join('|'), i));
                 var allValues = data;
             } else { var allValues = []; }
+            const existingRows = allValues.length;
 
+            const incremental = mode === MODE.INCREMENTAL;
+            let totals = incremental ? loadAggregate_(ss, sheetName, existingRows) : null;
+            let crunchedAt = 0;
+            if (incremental && !totals) { totals = crunch_(allValues); crunchedAt = Date.now(); }
+            const changed = new Set();
             rows.forEach(obj => {
                 const out = normalizeRow_(obj);
                 const k = keyIndices.map(idx => normalizeK(out[idx], idx)).join('|');
-                if (existingKeys.has(k)) { allValues[existingKeys.get(k)] = out; updateCount++; }
-                else { allValues.push(out); totalWritten++; }
+                if (existingKeys.has(k)) {
+                    const i = existingKeys.get(k);
+                    if (incremental) {
+                        if (sameRow_(allValues[i], out)) { unchanged++; return; }
+                        applyRow_(totals, allValues[i], -1);
+                        applyRow_(totals, out, 1);
+                        changed.add(i);
+                    }
+                    allValues[i] = out; updateCount++;
+                }
+                else {
+                    if (incremental) applyRow_(totals, out, 1);
+                    allValues.push(out); totalWritten++;
+                }
             });
 
+            if (DryRun.active(opts)) {
+                const before = last >= 2 ? sh.getRange(2, 1, last - 1, HEAD.length).getValues() : [];
+                DryRun.report(ss, sheetName, { headers: HEAD, keyCols: keyIndices, before: before, after: allValues });
+                return { rows: 0, status: "DRY_RUN", updated: updateCount, appended: totalWritten };
+            }
+            if (incremental && updateCount + totalWritten === 0) return { rows: 0, status: "SUCCESS", unchanged: unchanged };
+
             try {
                 if (typeof pauseSheet === 'function') needsWakeUp = pauseSheet(ss);
-                // Full Write/Overwrite for atomicity and cleaning
-                sh.getRange(2, 1, allValues.length, HEAD.length).setValues(allValues);
-
-                // 1. SNAP THE LEDGER RANGE
-                const rangeName = (sheetName === "Material_Ledger") ? "NR_MATERIAL_LEDGER" : "NR_SALES_LEDGER";
-                ss.setNamedRange(rangeName, sh.getRange(1, 1, allValues.length + 1, HEAD.length));
-
-                // 2. CRUNCH BLENDED SUMMARIES
-                const totals = {};
-                allValues.forEach(row => {
-                    const qty = Math.abs(Number(row[3])), tid = row[1];
-                    const price = (+row[4] > 0) ? +row[4] : (+row[8] || 0);
-                    if (tid && qty > 0 && price > 0) {
-                        if (!totals[tid]) totals[tid] = { i: 0, q: 0 };
-                        totals[tid].i += (qty * price); totals[tid].q += qty;
+                if (incremental) {
+                    writeRows_(sh, allValues, Array.from(changed));
+                    if (totalWritten) {
+                        if (sh.getMaxRows() < allValues.length + 1) sh.insertRowsAfter(sh.getMaxRows(), allValues.length + 1 - sh.getMaxRows());
+                        sh.getRange(existingRows + 2, 1, totalWritten, HEAD.length).setValues(allValues.slice(existingRows));
                     }
-                });
-
-                const summary = [["type_id", "total_sum", "unit_weighted_average"]];
-                Object.keys(totals).forEach(id => summary.push([id, totals[id].i, Math.round((totals[id].i / totals[id].q) * 100) / 100]));
-
-                const tName = (sheetName === "Material_Ledger") ? "Blended_Cost" : "Blended_Sales";
-                const tSh = ss.getSheetByName(tName);
-                if (tSh) {
-                    tSh.clearContents();
-                    tSh.getRange(1, 1, summary.length, 3).setValues(summary);
-                    // 3. SNAP THE BLENDED RANGE
-                    const bName = (tName === "Blended_Cost") ? "NR_BLENDED_COST" : "NR_BLENDED_SALES";
-                    ss.setNamedRange(bName, tSh.getRange(1, 1, summary.length, 3));
-                    if (tSh.getMaxRows() > summary.length) tSh.deleteRows(summary.length + 1, tSh.getMaxRows() - summary.length);
+                    refreshSummaries_(ss, sh, sheetName, allValues.length, totals, crunchedAt);
+                } else {
+                    // Full Write/Overwrite for atomicity and cleaning
+                    sh.getRange(2, 1, allValues.length, HEAD.length).setValues(allValues);
+                    refreshSummaries_(ss, sh, sheetName, allValues.length, crunch_(allValues), Date.now());
                 }
 
-
                 return { rows: updateCount + totalWritten, status: "SUCCESS" };
             } finally { if (needsWakeUp && typeof wakeUpSheet === 'function') wakeUpSheet(ss); }
         }
 
-        return { upsert: upsertBy, sheetName: sheetName };
+        /** MODE.APPEND: writes below the last row without reading the ledger (unless the aggregate is stale). */
+        function appendRows_(rows, opts) {
+            const ss = getSS_();
+            const out = rows.map(normalizeRow_);
+            const existingRows = Math.max(0, sh.getLastRow() - 1);
+
+            if (DryRun.active(opts)) {
+                DryRun.report(ss, sheetName, { headers: HEAD, keyCols: [C.contract_id], before: [], after: out });
+                return { rows: 0, status: "DRY_RUN", updated: 0, appended: out.length };
+            }
+
+            let totals = loadAggregate_(ss, sheetName, existingRows), crunchedAt = 0;
+            if (!totals) {
+                totals = crunch_(existingRows ? sh.getRange(2, 1, existingRows, HEAD.length).getValues() : []);
+                crunchedAt = Date.now();
+            }
+            out.forEach(row => applyRow_(totals, row, 1));
+
+            let needsWakeUp = false;
+            try {
+                if (typeof pauseSheet === 'function') needsWakeUp = pauseSheet(ss);
+                if (sh.getMaxRows() < existingRows + 1 + out.length) sh.insertRowsAfter(sh.getMaxRows(), existingRows + 1 + out.length - sh.getMaxRows());
+                sh.getRange(existingRows + 2, 1, out.length, HEAD.length).setValues(out);
+                refreshSummaries_(ss, sh, sheetName, existingRows + out.length, totals, crunchedAt);
+                return { rows: out.length, status: "SUCCESS" };
+            } finally { if (needsWakeUp && typeof wakeUpSheet === 'function') wakeUpSheet(ss); }
+        }
+
+        /**
+         * Moves rows dated before (today - days) to <sheetName>_Archive and replaces them with CARRY_FORWARD rows,
+         * one per type_id in the usual case. Blended_* averages |qty| over priced rows while net stock needs the
+         * sign, so each type carries one row per sign and per priced/unpriced: quantity, net stock and
+         * weighted value (hence Blended_Cost) are unchanged. Earlier carry rows fold into the new ones and
+         * are not archived again. LotCost (and RealizedPnL through it) reads the archive back instead of the carry rows,
+         * so individual lots and pre-cutoff months survive the prune.
+         * opts.dryRun (or DRY_RUN_ENABLED) diffs the pruned ledger into DryRun_Report instead.
+         */
+        function pruneBefore(days, opts) {
+            days = Math.max(MIN_PRUNE_DAYS, Math.floor(Number(days) || 90));
+            const ss = getSS_(), PT_API = (typeof PT !== 'undefined' && PT.yyyymmdd) ? PT : null;
+            const last = sh.getLastRow();
+            if (last < 2) return { archived: 0, carried: 0, status: "SUCCESS" };
+
+            const today = new Date(); today.setHours(0, 0, 0, 0);
+            const cutoffMs = today.getTime() - days * DAY_MS;
+            const carryDate = new Date(cutoffMs - DAY_MS);
+            const carryTag = PT_API ? PT_API.yyyymmdd(carryDate) : Utilities.formatDate(carryDate, Session.getScriptTimeZone(), "yyyy-MM-dd");
+
+            const data = sh.getRange(2, 1, last - 1, HEAD.length).getValues();
+            const kept = [], archived = [], buckets = new Map();
+            data.forEach(row => {
+                const d = row[C.date] instanceof Date ? row[C.date] : (PT_API ? PT_API.parseDateSafe(row[C.date]) : new Date(row[C.date]));
+                if (!(d instanceof Date) || isNaN(d) || d.getTime() >= cutoffMs) { kept.push(row); return; }
+
+                if (row[C.source] !== CARRY_SOURCE) archived.push(row);
+                const qty = Number(row[C.qty]) || 0, tid = row[C.type_id];
+                if (!tid || !qty) return;
+                const price = (+row[C.unit_value] > 0) ? +row[C.unit_value] : (+row[C.unit_value_filled] || 0);
+                const k = `${tid}|${qty > 0 ? '+' : '-'}|${price > 0 ? 'v' : 'nv'}`;
+                if (!buckets.has(k)) buckets.set(k, { tid: tid, name: '', sign: qty > 0 ? 1 : -1, priced: price > 0, q: 0, i: 0 });
+                const b = buckets.get(k);
+                b.q += Math.abs(qty);
+                b.i += Math.abs(qty) * price;
+                if (row[C.item_name]) b.name = row[C.item_name];
+            });
+            // Nothing new past the cutoff: only the previous carry rows, already one per bucket
+            if (archived.length === 0 && data.length - kept.length === buckets.size) return { archived: 0, carried: buckets.size, status: "SUCCESS" };
+
+            const carried = Array.from(buckets.values()).map(b => normalizeRow_({
+                date: carryDate, type_id: b.tid, item_name: b.name, qty: b.sign * b.q,
+                unit_value: b.priced ? b.i / b.q : '', source: CARRY_SOURCE,
+                contract_id: `CF:${carryTag}:${b.tid}:${b.sign > 0 ? '+' : '-'}${b.priced ? '' : ':nv'}`
+            }));
+            const allValues = carried.concat(kept);
+
+            if (DryRun.active(opts)) {
+                DryRun.report(ss, sheetName, { headers: HEAD, keyCols: [C.contract_id, C.type_id, C.date, C.qty], before: data, after: allValues });
+                return { archived: archived.length, carried: carried.length, status: "DRY_RUN" };
+            }
+
+            let needsWakeUp = false;
+            try {
+                if (typeof pauseSheet === 'function') needsWakeUp = pauseSheet(ss);
+                // Archive first: a failure after this leaves duplicates in the archive, never lost rows.
+                if (archived.length) {
+                    const ash = getOrCreateSheet(ss, sheetName + ARCHIVE_SUFFIX, HEAD);
+                    LedgerSchema.ensure(ash);
+                    const start = ash.getLastRow() + 1;
+                    if (ash.getMaxRows() < start + archived.length - 1) ash.insertRowsAfter(ash.getMaxRows(), start + archived.length - 1 - ash.getMaxRows());
+                    ash.getRange(start, 1, archived.length, HEAD.length).setValues(archived);
+                }
+
+                sh.getRange(2, 1, last - 1, HEAD.length).clearContent();
+                if (allValues.length) sh.getRange(2, 1, allValues.length, HEAD.length).setValues(allValues);
+                refreshSummaries_(ss, sh, sheetName, allValues.length, crunch_(allValues), Date.now());
+
+                LOG.info(`${sheetName}: archived ${archived.length} rows before ${carryTag} into ${carried.length} carry-forward rows.`);
+                return { archived: archived.length, carried: carried.length, status: "SUCCESS" };
+            } finally { if (needsWakeUp && typeof wakeUpSheet === 'function') wakeUpSheet(ss); }
+        }
+
+        return { upsert: upsertBy, prune: pruneBefore, sheetName: sheetName };
+    }
+    /** Marks the persisted aggregate stale (after rewriting a ledger outside ML); the next write re-crunches. */
+    function invalidate(sheetName) {
+        const stamps = readStamps_();
+        delete stamps[sheetName];
+        PropertiesService.getScriptProperties().setProperty(PROP_AGG_ROWS, JSON.stringify(stamps));
     }
-    return { forSheet: forSheet };
-})();
\ No newline at end of file
+
+    /** Simple-trigger hook (Main.js onEdit): a hand edit on a ledger invalidates its aggregate. Script writes do not fire it. */
+    function onLedgerEdit(e) {
+        const name = e && e.range ? e.range.getSheet().getName() : '';
+        if (LedgerSchema.LEDGERS.indexOf(name) !== -1) invalidate(name);
+    }
+
+    return { forSheet: forSheet, invalidate: invalidate, onLedgerEdit: onLedgerEdit, HEAD: HEAD, MODE: MODE, CARRY_SOURCE: CARRY_SOURCE };
+})();
+
+/** Menu / manual entry point: migrates every ledger and archive sheet to LedgerSchema.VERSION. */
+function migrateLedgers() {
+  return executeWithTryLock(() => LedgerSchema.sheets().map(sh => LedgerSchema.migrate(sh))
+    .filter(r => r.from !== r.to).length, 'migrateLedgers');
+}
+
+/**
+ * Menu / manual entry point: prunes Material_Ledger and Sales_Ledger to the last `days` (default 90),
+ * archiving older rows behind carry-forward balances. Runs under the script lock so no importer writes mid-prune.
+ */
+function pruneLedger(days) {
+  return executeWithTryLock(() => ['Material_Ledger', 'Sales_Ledger'].reduce((n, name) =>
+    n + ML.forSheet(name).prune(typeof days === 'number' ? days : 90).archived, 0), 'pruneLedger');
+}
\ No newline at end of file
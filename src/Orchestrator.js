@@ -1,8 +1,9 @@
 /* global GESI, SpreadsheetApp, Logger, UrlFetchApp, Utilities, LockService, PropertiesService, ScriptApp, 
   getMasterBatchFromControlTable, withSheetLock, getOrCreateSheet, 
-cacheAllCorporateAssetsTrigger, triggerLedgerImportCycle, fuzAPI, _fetchProcessedLootData, 
+cacheAllCorporateAssetsTrigger, triggerLedgerImportCycle, fuzAPI, _fetchProcessedLootData, DataSources, importDataSource, 
 runLootLedgerDelta, Ledger_Import_CorpJournal, syncContracts, runIndustryLedgerPhase,
-  runLootDeltaPhase, runContractLedgerPhase,  LoggerEx, writeDataToSheet, guardedSheetTransaction, atomicSwapAndFlush, deleteTriggersByName, pauseSheet, wakeUpSheet, prepareTempSheet */
+  runLootDeltaPhase, runContractLedgerPhase,  LoggerEx, writeDataToSheet, guardedSheetTransaction, atomicSwapAndFlush, deleteTriggersByName, pauseSheet, wakeUpSheet, prepareTempSheet, applyKeyedDelta, MarketHistory, PriceQuarantine, MarketIndex, MarketProfiles, JobRegistry, JobRuns, ScheduleWindows, Watchdog,
+  Maintenance, validateMarketControl, MARKET_CONTROL_AUTOFIX_PROP, PhasedJob, isSdeJobRunning, isEngineRunning_, RESCHEDULE_DELAY_MS */
 
 // Global variable to track recursion depth for this lock type
 var EXECUTION_LOCK_DEPTH_TRY = 0;
@@ -16,8 +17,10 @@ const tempSheetName = 'Market_Data_Temp';
 const MARKET_NAMED_RANGE = 'NR_MARKET_DATA';
 const RETRY_DELAY_MS = 30 * 1000;
 const PROP_KEY_FINALIZER_STEP = 'marketDataFinalizeStep';
+const PROP_KEY_WRITE_MODE = 'MARKET_DATA_WRITE_MODE'; // 'DELTA' (default) | 'FULL'
 
 // --- TIME GATING CONSTANTS ---
+// Maintenance intervals/leases live in JobRegistry.js
 const HOURLY_RUN_INTERVAL_MS = 60 * 60 * 1000;
 const JOURNAL_RUN_INTERVAL_MS = 10 * 60 * 1000;
 const PROP_KEY_LAST_RUN_TS = 'MAINTENANCE_LAST_RUN_TS_';
@@ -42,58 +45,13 @@ const PROP_KEY_SETUP_STAGE = 'marketDataSetupStage';
 /**
  * Replaces IMPORTRANGE. Fetches static market prices from the external hub.
  * This completely kills the continuous recalculation loop caused by live linking.
+ * Source/target now live in Config_DataSources ('filtered_prices').
  */
 function fetchFilteredPricesSync(ss) {
-  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('PRICE_SYNC') : console;
-
-  // --- CONFIGURATION ---
-  const SOURCE_SHEET_ID = "1L37sYZPznkNu3EJy554nmaclXQl6DpvERc_N6ans76M";
-  const SOURCE_RANGE = "'filtered prices'!E7:L750";
-  const TARGET_SHEET_NAME = "market price Tracker"; // Change to whatever you want
-
   if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
-
-  try {
-    LOG.info("Connecting to external price database...");
-
-    // 1. Fetch the data from the external sheet
-    const sourceBook = SpreadsheetApp.openById(SOURCE_SHEET_ID);
-    const rawValues = sourceBook.getRange(SOURCE_RANGE).getValues();
-
-    if (!rawValues || rawValues.length === 0) {
-      LOG.warn("Fetch aborted: No data found in the source range.");
-      return;
-    }
-
-    // 2. Prepare the Target Sheet
-    let targetSheet = ss.getSheetByName(TARGET_SHEET_NAME);
-    if (!targetSheet) {
-      targetSheet = ss.insertSheet(TARGET_SHEET_NAME);
-      LOG.info(`Created new target sheet: ${TARGET_SHEET_NAME}`);
-    }
-
-    // 3. Optional: Filter out completely empty rows to save memory
-    // (Assuming Column A of the fetched data is the Item Name or ID)
-    const cleanValues = rawValues.filter(row => row[0] !== "" && row[0] != null);
-    const dataToWrite = cleanValues.length > 0 ? cleanValues : rawValues;
-
-    // 4. Wipe old data and write the fresh snapshot
-    targetSheet.clearContents(); // Clears everything for a fresh paste
-    targetSheet.getRange(1, 1, dataToWrite.length, dataToWrite[0].length).setValues(dataToWrite);
-
-    // 5. Trim excess rows (The same optimization you used in the ML Ledger)
-    const maxRows = targetSheet.getMaxRows();
-    if (maxRows > dataToWrite.length) {
-      targetSheet.deleteRows(dataToWrite.length + 1, maxRows - dataToWrite.length);
-    }
-
-    LOG.info(`Price Sync Complete. Wrote ${dataToWrite.length} rows.`);
-    ss.toast("✅ External Prices Synced", "Engine Room", 3);
-
-  } catch (e) {
-    LOG.error("Failed to sync external prices: " + e.message);
-    ss.toast("❌ Price Sync Failed", "Engine Room Error");
-  }
+  const res = importDataSource('filtered_prices', ss);
+  if (res.skipped) return;
+  ss.toast(res.success ? "✅ External Prices Synced" : "❌ Price Sync Failed", res.success ? "Engine Room" : "Engine Room Error", 3);
 }
 
 /**
@@ -110,7 +68,8 @@ function scheduleOneTimeTrigger(functionName, delayMs) {
   try {
     deleteTriggersByName(functionName);
     if (systemState === 'MAINTENANCE') {
-      console.warn(`Blocking trigger for ${functionName}: MAINTENANCE mode.`);
+      console.warn(`Blocking trigger for ${functionName}: MAINTENANCE mode. Re-created on exit.`);
+      Maintenance.notePaused(functionName);
       return;
     }
     ScriptApp.newTrigger(functionName).timeBased().after(delayMs).create();
@@ -122,55 +81,10 @@ function scheduleOneTimeTrigger(functionName, delayMs) {
 
 /**
  * Grabs Regional Pricing from Market Price Tracker.
- * UPGRADED: Now pulls the widened 7-day and 5-day radar data.
+ * Source/target/named range now live in Config_DataSources ('esi_region').
  */
 function syncESIRegionData(ss) {
-  const log = LoggerEx.withTag('REGION_SYNC');
-  const sourceId = "1L37sYZPznkNu3EJy554nmaclXQl6DpvERc_N6ans76M";
-  
-  // 1. CHANGED: Pointing to the newly upgraded pipeline sheet
-  const sourceSheetName = "Publish_ESI_Region"; 
-  const targetSheetName = "ESI_Region";
-  const NAMED_RANGE_NAME = "ESI_Region_Data"; 
-
-  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
-  const targetSheet = ss.getSheetByName(targetSheetName);
-
-  if (!targetSheet) return;
-
-  try {
-    const sourceData = SpreadsheetApp.openById(sourceId)
-      .getSheetByName(sourceSheetName)
-      .getDataRange()
-      .getValues();
-
-    // 2. SAFETY CATCH: Widen the destination sheet if the incoming data is wider
-    const requiredCols = sourceData[0].length;
-    const currentCols = targetSheet.getMaxColumns();
-    if (currentCols < requiredCols) {
-      targetSheet.insertColumnsAfter(currentCols, requiredCols - currentCols);
-    }
-
-    // 3. CLEAR & WRITE
-    targetSheet.clearContents();
-    const newRange = targetSheet.getRange(1, 1, sourceData.length, requiredCols);
-    newRange.setValues(sourceData);
-
-    // 4. UPDATE NAMED RANGE (The "Range Stretcher")
-    ss.setNamedRange(NAMED_RANGE_NAME, newRange);
-    log.info(`Named Range '${NAMED_RANGE_NAME}' updated to ${sourceData.length} rows and ${requiredCols} cols.`);
-
-    // 5. THE TRIM
-    const lastRow = sourceData.length;
-    const currentMax = targetSheet.getMaxRows();
-    if (currentMax > lastRow) {
-      targetSheet.deleteRows(lastRow + 1, currentMax - lastRow);
-    }
-
-    log.info("ESI_Region: Sync & Named Range Update Complete.");
-  } catch (e) {
-    log.error("ESI_Region Sync Error: " + e.message);
-  }
+  importDataSource('esi_region', ss);
 }
 
 /**
@@ -198,26 +112,10 @@ function deleteTriggersByName(functionName) {
 }
 
 /**
- * Internal reset helper.
+ * Internal reset helper: resets the market data PhasedJob (phase, checkpoint, triggers; onReset clears the lease and active profile).
  */
 function _resetMarketDataJobState(error) {
-  console.warn(`RESETTING Market Data Job State: ${error ? error.message : 'Manual'}.`);
-
-  const SCRIPT_PROP = PropertiesService.getScriptProperties();
-  const keysToDelete = [
-    'marketDataJobStep', 'marketDataRequestIndex', 'marketDataNextWriteRow',
-    'marketDataFinalizeStep', 'marketDataSetupStep', 'marketDataJobLeaseUntil',
-    'marketDataJobIsActive'
-  ];
-
-  try {
-    keysToDelete.forEach(k => SCRIPT_PROP.deleteProperty(k));
-  } catch (propError) {
-    console.error(`Error deleting properties: ${propError.message}`);
-  }
-
-  deleteTriggersByName('updateMarketDataSheet');
-  deleteTriggersByName('finalizeMarketDataUpdate');
+  _marketDataJob().reset(error ? error.message : 'Manual');
   console.log("Market data job state reset complete.");
 }
 
@@ -285,9 +183,6 @@ function executeWithWaitLock(funcToRun, functionName, timeoutMs = LOCK_WAIT_TIME
 
 function masterOrchestrator() {
   const SCRIPT_PROP = PropertiesService.getScriptProperties();
-  const marketDataStep = SCRIPT_PROP.getProperty('marketDataJobStep');
-  const PROP_KEY_MARKET_LAST_RUN = 'MARKET_DATA_LAST_RUN_TS';
-  const lastMarketRun = parseInt(SCRIPT_PROP.getProperty(PROP_KEY_MARKET_LAST_RUN) || '0', 10);
 
   const currentMinute = new Date().getMinutes();
   const NOW_MS = new Date().getTime();
@@ -302,6 +197,21 @@ function masterOrchestrator() {
     isJobActive = false;
   }
 
+  // Stuck leases / stale steps / orphaned triggers (Watchdog.js). Runs ahead of every gate below.
+  Watchdog.maybeRun(NOW_MS);
+  // Read after the watchdog: it may have reset the step.
+  const marketDataStep = SCRIPT_PROP.getProperty('marketDataJobStep');
+
+  // Deliberate maintenance (Maintenance.js). Also where an expired window gets closed.
+  if (Maintenance.gate('Orchestrator', NOW_MS)) {
+    return;
+  }
+
+  // Downtime / quiet hours (ScheduleWindows.js): nothing is dispatched; in-flight jobs resume afterwards.
+  if (ScheduleWindows.blackout('Orchestrator', NOW_MS)) {
+    return;
+  }
+  const catchUpSince = ScheduleWindows.catchUpSince();
 
   // NEW: Check for pending COGS Finalization and process it immediately.
   if (_nudgeCogsFinalizer()) {
@@ -313,7 +223,7 @@ function masterOrchestrator() {
     if (lock.tryLock(0)) {
       lock.releaseLock();
       console.log(`Orchestrator: Finalizing Market Data.`);
-      scheduleOneTimeTrigger("finalizeMarketDataUpdate", 5000);
+      scheduleOneTimeTrigger("updateMarketDataSheet", 5000);
     } else {
       console.log(`Orchestrator: Finalizer already running (Lock busy). Skipping.`);
     }
@@ -322,14 +232,21 @@ function masterOrchestrator() {
 
   console.log(`Orchestrator (min ${currentMinute}): High-Frequency Check.`);
 
-  const timeSinceLastRun = NOW_MS - lastMarketRun;
-  const RUN_INTERVAL_MS = 28 * 60 * 1000;
+  // A profile already in flight keeps the engine until it finalizes (one market job at a time).
+  const isMidRun = marketDataStep === STATE_FLAGS.PROCESSING || marketDataStep === STATE_FLAGS.NEW_RUN;
+  const activeProfile = MarketProfiles.getActive();
+  const timeSinceLastRun = NOW_MS - MarketProfiles.getLastRun(activeProfile.name);
+
+  const dueProfile = isMidRun
+    ? (timeSinceLastRun > activeProfile.intervalMs ? activeProfile : null)
+    : MarketProfiles.nextDue(NOW_MS, null, catchUpSince);
 
-  if (timeSinceLastRun > RUN_INTERVAL_MS) {
+  if (dueProfile) {
     if (isJobActive) {
       console.log(`Orchestrator: Market Data Active. Skipping NEW dispatch.`);
     } else {
-      console.log(`Orchestrator: DISPATCHING NEW MARKET DATA JOB (30m Cycle).`);
+      console.log(`Orchestrator: DISPATCHING NEW MARKET DATA JOB (profile '${dueProfile.name}')${catchUpSince ? ' [catch-up]' : ''}.`);
+      MarketProfiles.setActive(dueProfile.name);
       const launchResult = updateMarketDataSheet();
 
       if (launchResult !== null) {
@@ -344,22 +261,22 @@ function masterOrchestrator() {
     return;
   }
 
-  if (marketDataStep === STATE_FLAGS.PROCESSING || marketDataStep === STATE_FLAGS.NEW_RUN) {
-    console.log(`Orchestrator: Market Data Active (${marketDataStep}). Nudging.`);
+  if (isMidRun) {
+    console.log(`Orchestrator: Market Data Active (${marketDataStep}, profile '${activeProfile.name}'). Nudging.`);
     updateMarketDataSheet();
     return;
   }
 
+  // Every profile has refreshed since the last window closed; maintenance may resume.
+  if (catchUpSince) ScheduleWindows.clearCatchUp();
+
   console.log(`Orchestrator: Market Data Idle. Attempting Maintenance.`);
   executeWithTryLock(runMaintenanceJobs, 'runMaintenanceJobs');
 }
 
 function forceResetMaint() {
-  const props = PropertiesService.getScriptProperties();
-  props.deleteProperty('BOM_MAINTENANCE_LEASE');
-  props.deleteProperty('LAST_RUN_generateFullBOMData');
-  props.setProperty('MAINTENANCE_QUEUE_INDEX', '0');
-  console.log("State cleared. BOM Engine is now next in queue.");
+  JobRegistry.reset('generateFullBOMData');
+  console.log("State cleared. BOM Engine is now due on the next maintenance tick.");
 }
 
 function runMaintenanceJobs() {
@@ -372,303 +289,370 @@ function runMaintenanceJobs() {
     console.warn("[Maintenance] Aborted: Market Engine or Manual Sync is active.");
     return;
   }
+  if (ScheduleWindows.blackout('Maintenance')) return;
 
-  const NOW_MS = new Date().getTime();
-  const STANDARD_INTERVAL = 3600000; // 60m default
-
-  // 2. Job Registry with targeted intervals
-  const JOB_QUEUE = [
-    { name: 'generateFullBOMData', interval: 2700000, lease: 1200000 },
-    { name: 'runLootDeltaPhase', interval: STANDARD_INTERVAL },
-    { name: 'Ledger_Import_CorpJournal', interval: 1800000 },
-    { name: 'processInternalBuffer', interval: 600000 }, // <--- ADD THIS LINE (Every 10 mins)
-    { name: 'runContractLedgerPhase', interval: STANDARD_INTERVAL },
-    { name: 'runIndustryLedgerPhase', interval: STANDARD_INTERVAL },
-    { name: 'cacheAllCorporateAssetsTrigger', interval: STANDARD_INTERVAL }
-  ];
-
-  const QUEUE_INDEX_KEY = 'MAINTENANCE_QUEUE_INDEX';
-  let currentIndex = parseInt(SCRIPT_PROP.getProperty(QUEUE_INDEX_KEY) || '0', 10);
-  if (currentIndex >= JOB_QUEUE.length) currentIndex = 0;
-
-  let iterations = 0;
-  while (iterations < JOB_QUEUE.length) {
-    const job = JOB_QUEUE[currentIndex];
-    const lastRunKey = 'LAST_RUN_' + job.name;
-    const lastRunTs = parseInt(SCRIPT_PROP.getProperty(lastRunKey) || '0', 10);
-    const isDue = (NOW_MS - lastRunTs) >= job.interval;
-
-    // 3. Lease Management: If the job is due, the lease is ignored/cleared.
-    if (job.name === 'generateFullBOMData') {
-      const activeLease = parseInt(SCRIPT_PROP.getProperty('BOM_MAINTENANCE_LEASE') || '0', 10);
-      if (isDue) {
-        SCRIPT_PROP.deleteProperty('BOM_MAINTENANCE_LEASE');
-      } else if (activeLease > NOW_MS) {
-        currentIndex = (currentIndex + 1) % JOB_QUEUE.length;
-        iterations++;
-        continue;
-      }
-    }
+  // 2. Ask the job graph (JobRegistry.js) for the next runnable job: due, not leased,
+  //    stale dependencies first, and only if it fits in what is left of this execution.
+  const job = JobRegistry.nextRunnable(new Date().getTime());
+  if (!job) {
+    console.log("Maintenance Cycle: All jobs are currently within their interval windows.");
+    return;
+  }
 
-    // 4. Execution Logic
-    if (isDue) {
-      console.log(`[Maintenance] Dispatching: ${job.name}`);
+  // 3. Execution Logic (one job per Orchestrator tick to save RAM)
+  console.log(`[Maintenance] Dispatching: ${job.name}`);
+  try {
+    JobRegistry.dispatch(job);
+    console.log(`[Maintenance] ${job.name} completed successfully.`);
+  } catch (e) {
+    console.error(`[Maintenance] Critical Failure in ${job.name}: ${e.message}`);
+  }
+}
 
-      if (job.lease) {
-        SCRIPT_PROP.setProperty('BOM_MAINTENANCE_LEASE', (NOW_MS + job.lease).toString());
-      }
+// data_status/data_age_min: LIVE rows are fresh; STALE rows came from fuzAPI's last-known-good store
+const MARKET_DATA_HEADERS = ["cacheKey", "type_id", "location_type", "location_id", "sell_min", "buy_max", "sell_volume", "buy_volume", "last_updated", "data_status", "data_age_min"];
+
+var marketDataJob_ = null;
+/**
+ * The market data job as a PhasedJob: NEW_RUN -> PROCESSING -> FINALIZING, phase kept in 'marketDataJobStep'
+ * (the orchestrator and Watchdog read it). Checkpoint: { writeIndex, chunkSize } for a resumed FULL write.
+ * Every phase reports into the caller's JobRuns record (ctx.args.jobRun).
+ */
+function _marketDataJob() {
+  if (marketDataJob_) return marketDataJob_;
+  const RUN = JobRuns.OUTCOME;
+
+  // Phase failures that used to reset the job: record the error on the run, then abort (onReset clears the rest).
+  const fail = (ctx, msg) => {
+    Object.assign(ctx.args.jobRun || {}, { outcome: RUN.ERROR, error: msg });
+    return ctx.abort(msg);
+  };
+  const bailout = (ctx, msg, delayMs) => {
+    Object.assign(ctx.args.jobRun || {}, { outcome: RUN.BAILOUT, error: msg });
+    return ctx.retry(delayMs);
+  };
+
+  marketDataJob_ = PhasedJob.define({
+    name: 'MarketData',
+    stateKey: 'marketDataJobStep',
+    trigger: 'updateMarketDataSheet',
+    legacyTriggers: ['finalizeMarketDataUpdate'],
+    lockWaitMs: 1000,
+    onReset: () => {
+      const SCRIPT_PROP = PropertiesService.getScriptProperties();
+      // Orchestrator lease plus the pre-PhasedJob cursor keys a run started before the upgrade left behind
+      ['marketDataRequestIndex', 'marketDataNextWriteRow', 'marketDataChunkSize',
+        'marketDataFinalizeStep', 'marketDataSetupStep', 'marketDataJobLeaseUntil', 'marketDataJobIsActive']
+        .forEach(k => SCRIPT_PROP.deleteProperty(k));
+      MarketProfiles.clearActive();
+    },
+    phases: [
+      {
+        // --- Phase 1: NEW_RUN (SURGICAL PAUSE) ---
+        name: STATE_FLAGS.NEW_RUN,
+        run: (ctx) => {
+          const profile = MarketProfiles.getActive(ctx.ss);
+          MarketProfiles.markRun(profile.name, ctx.startMs);
+          const masterRequests = getMasterBatchFromControlTable(ctx.ss, profile.controlSheet);
+          if (!masterRequests || masterRequests.length === 0) return fail(ctx, 'Control Table empty');
+
+          // Pre-dispatch Market_Control check (repairs in place when MARKET_CONTROL_AUTOFIX = TRUE)
+          try {
+            const autoFix = PropertiesService.getScriptProperties().getProperty(MARKET_CONTROL_AUTOFIX_PROP) === 'TRUE';
+            validateMarketControl(ctx.ss, { autoFix: autoFix, controlSheet: profile.controlSheet });
+          } catch (e) {
+            console.warn(`Market_Control validation skipped: ${e.message}`);
+          }
+
+          // DELTA runs patch the final sheet in place; the temp sheet is only prepared if one falls back to FULL.
+          const setupResult = _marketWriteMode() === 'DELTA' ? { success: true } : _prepareMarketTempSheet(ctx.ss, profile, MARKET_DATA_HEADERS);
+          if (!setupResult.success) {
+            console.warn(`[Worker] Sheet prep failed: ${setupResult.error}`);
+            return bailout(ctx, `Sheet prep failed: ${setupResult.error}`, RESCHEDULE_DELAY_MS);
+          }
+
+          ctx.checkpoint.writeIndex = 0;
+          delete ctx.checkpoint.chunkSize;
+          return ctx.next(STATE_FLAGS.PROCESSING, 1000);
+        }
+      },
+      {
+        // --- Phase 2: WRITE (Nitro Mode - LIVE/UNPAUSED) ---
+        name: STATE_FLAGS.PROCESSING,
+        run: (ctx) => {
+          const profile = MarketProfiles.getActive(ctx.ss);
+          MarketProfiles.markRun(profile.name, ctx.startMs);
+          const masterRequests = getMasterBatchFromControlTable(ctx.ss, profile.controlSheet);
+          if (!masterRequests || masterRequests.length === 0) return fail(ctx, 'Control Table empty');
+
+          let allRowsToWrite = [];
+          try {
+            const marketDataCrates = fuzAPI.getDataForRequests(masterRequests);
+            const currentTimeStamp = new Date();
+            let staleCount = 0;
+            marketDataCrates.forEach(crate => {
+              if (crate && crate.fuzObjects) {
+                crate.fuzObjects.forEach(item => {
+                  if (item && item.type_id != null) {
+                    const isStale = item.stale === true;
+                    if (isStale) staleCount++;
+                    allRowsToWrite.push([
+                      MarketIndex.makeKey(crate.market_type, crate.market_id, item.type_id), item.type_id,
+                      crate.market_type || '', crate.market_id || '',
+                      item.sell?.min ?? '', item.buy?.max ?? '',
+                      item.sell?.volume ?? 0, item.buy?.volume ?? 0,
+                      isStale ? new Date(item.last_updated) : currentTimeStamp,
+                      isStale ? 'STALE' : 'LIVE',
+                      isStale ? Math.round((item.age_ms || 0) / 60000) : 0
+                    ]);
+                  }
+                });
+              }
+            });
+
+            if (staleCount > 0) {
+              console.warn(`Worker: ${staleCount}/${allRowsToWrite.length} rows served STALE (provider circuit/quota open).`);
+            }
+          } catch (e) {
+            return bailout(ctx, `Fetch failed, rescheduled: ${e.message}`, RESCHEDULE_DELAY_MS * 2);
+          }
+
+          if (allRowsToWrite.length === 0) {
+            console.error("Worker: allRowsToWrite is empty! Aborting write to prevent data wipe.");
+            return fail(ctx, 'Zero rows returned from API - Aborted Write');
+          }
+
+          const ss = SpreadsheetApp.getActiveSpreadsheet();
+          const jobRun = ctx.args.jobRun || {};
+
+          // DELTA mode: patch Market_Data_Raw in place. Only on a fresh write (not a resumed full write).
+          if (_marketWriteMode() === 'DELTA' && !ctx.checkpoint.writeIndex) {
+            const deltaRes = _tryMarketDeltaWrite(ss, profile, MARKET_DATA_HEADERS, allRowsToWrite);
+            if (deltaRes) {
+              jobRun.rows = deltaRes.updated + deltaRes.appended;
+              return _completeMarketDataJob(ctx);
+            }
+
+            // Falling back to FULL: NEW_RUN skipped the temp sheet for this run, so stage it now.
+            const setupResult = _prepareMarketTempSheet(ss, profile, MARKET_DATA_HEADERS);
+            if (!setupResult.success) {
+              console.warn(`[Worker] Sheet prep failed: ${setupResult.error}`);
+              return bailout(ctx, `Sheet prep failed: ${setupResult.error}`, RESCHEDULE_DELAY_MS);
+            }
+          }
+
+          const writeState = {
+            logInfo: console.log, logError: console.error, logWarn: console.warn,
+            nextBatchIndex: ctx.checkpoint.writeIndex || 0,
+            ss: ss,
+            metrics: { startTime: ctx.startMs },
+            config: {
+              ...(typeof NITRO_CONFIG !== 'undefined' ? NITRO_CONFIG : {}),
+              MAX_CELLS_PER_CHUNK: 40000,
+              MAX_CHUNK_SIZE: 2000,
+              currentChunkSize: ctx.checkpoint.chunkSize || 1000
+            }
+          };
+
+          const writeResult = writeDataToSheet(profile.tempSheet, allRowsToWrite, 2, 1, writeState);
+
+          if (writeResult.success) {
+            console.log("Write SUCCESS. Transitioning to FINALIZING.");
+            jobRun.rows = allRowsToWrite.length;
+            PropertiesService.getScriptProperties().deleteProperty('marketDataJobLeaseUntil');
+            delete ctx.checkpoint.writeIndex;
+            delete ctx.checkpoint.chunkSize;
+            return ctx.next(STATE_FLAGS.FINALIZING, RESCHEDULE_DELAY_MS);
+          }
+          if (writeResult.bailout_reason === "PREDICTIVE_BAILOUT" || (writeResult.error && writeResult.error.includes("timed out"))) {
+            const reason = writeResult.error ? writeResult.error : "Predictive Bailout";
+            console.warn(`Write phase interrupted. Reason: ${reason}. Rescheduling.`);
+            ctx.checkpoint.writeIndex = writeResult.state.nextBatchIndex;
+            ctx.checkpoint.chunkSize = writeResult.error
+              ? Math.max(100, Math.floor(writeResult.state.config.currentChunkSize / 2))
+              : writeResult.state.config.currentChunkSize;
+            return bailout(ctx, reason, 30000);
+          }
+          if (writeResult.error && (writeResult.error.includes("Lock Failed") || writeResult.error.includes("Lock timeout"))) {
+            // Pause for the sheet to breathe; keep the index so it picks up where it left off. DO NOT RESET.
+            console.warn("Lock Conflict detected. Pausing for Sheet to breathe. DO NOT RESET.");
+            ctx.checkpoint.writeIndex = writeResult.state.nextBatchIndex || 0;
+            return bailout(ctx, writeResult.error, 30000);
+          }
+          // Only reset on actual data corruption or API failures
+          return fail(ctx, `Write Failure: ${writeResult.error}`);
+        }
+      },
+      {
+        // --- Phase 3: FINALIZING (swap the staged board in) ---
+        name: STATE_FLAGS.FINALIZING,
+        run: (ctx) => {
+          // Fresh handle: the one from the long write phase may be dead
+          const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+          // Sheet names come from the profile this run belongs to ('default' = Market_Data_Raw / NR_MARKET_DATA)
+          const profile = MarketProfiles.getActive(ss);
+          const finalSheetName = profile.finalSheet;
+          const tempSheetName = profile.tempSheet;
+          const repairMap = profile.namedRange ? { [profile.namedRange]: 'A:G' } : null;
+
+          const transactionResult = guardedSheetTransaction(() => {
+            // --- START ANESTHESIA ---
+
+            // 0. Hold back price outliers in the staged board (non-fatal)
+            PriceQuarantine.screenStagedBoard(ss, tempSheetName, finalSheetName);
+
+            // 1. Perform the Atomic Swap (Hot Swap)
+            const swapRes = atomicSwapAndFlush(ss, finalSheetName, tempSheetName, repairMap);
+
+            // 2. Sync External Prices and Region Data while locked (Config_DataSources, run_with = 'finalize')
+            // This prevents the sheet from waking up and calculating until all data is fresh.
+            DataSources.importAll('finalize', ss);
+
+            return swapRes;
+            // --- END ANESTHESIA ---
+          }, 60000);
+
+          if (transactionResult.success && transactionResult.state.success) {
+            // Append the fresh board to Market_History (non-fatal side-channel)
+            MarketHistory.recordSnapshot(ss, finalSheetName);
+
+            // Republish the cacheKey index so lookups match the new board
+            MarketIndex.rebuild(ss, profile.name);
+
+            console.log("SUCCESS: Finalization complete.");
+            return _completeMarketDataJob(ctx);
+          }
 
-      try {
-        // Fallback check for function scope
-        const fn = this[job.name] || eval(job.name);
-        if (typeof fn === 'function') {
-          fn();
-          SCRIPT_PROP.setProperty(lastRunKey, NOW_MS.toString());
-          SCRIPT_PROP.setProperty(QUEUE_INDEX_KEY, ((currentIndex + 1) % JOB_QUEUE.length).toString());
-          console.log(`[Maintenance] ${job.name} completed successfully.`);
-          return; // One job per Orchestrator tick to save RAM
+          // Stay in FINALIZING: the orchestrator nudges the job again (Watchdog resets it if it never swaps).
+          const swapError = transactionResult.error || transactionResult.state.errorMessage;
+          console.warn(`[Finalizer] Swap Failed: ${swapError}`);
+          Object.assign(ctx.args.jobRun || {}, { outcome: RUN.ERROR, error: `Swap failed: ${swapError}` });
+          return ctx.wait();
         }
-      } catch (e) {
-        console.error(`[Maintenance] Critical Failure in ${job.name}: ${e.message}`);
       }
-    }
+    ]
+  });
+  return marketDataJob_;
+}
 
-    currentIndex = (currentIndex + 1) % JOB_QUEUE.length;
-    iterations++;
-  }
-  console.log("Maintenance Cycle: All jobs are currently within their interval windows.");
+/** End of a run (delta applied or board swapped): the job clears its own state; the profile is released here. */
+function _completeMarketDataJob(ctx) {
+  PropertiesService.getScriptProperties().deleteProperty('marketDataJobLeaseUntil');
+  MarketProfiles.clearActive();
+  return ctx.complete();
 }
 
 /**
  * Market Data Worker (Nitro Edition - HYBRID)
+ * Gates, then resumes the market data PhasedJob (see _marketDataJob) from whatever phase it is in.
  * Phase 1: Surgical Pause (Prevent creation crash)
  * Phase 2: Live Write (No pause, allows dashboard use)
+ * @returns {Object|null|undefined} the PhasedJob result; null when the script lock was busy (orchestrator: no lease).
  */
 function updateMarketDataSheet() {
+  const jobRun = JobRuns.begin('updateMarketDataSheet');
+  const RUN = JobRuns.OUTCOME;
+
   if (isSdeJobRunning()) {
     console.warn("ABORT: SDE Update in progress. Parking Market Tycoon.");
+    JobRuns.end(jobRun, { outcome: RUN.SKIPPED, error: 'SDE update in progress' });
+    return;
+  }
+
+  const maintenance = Maintenance.gate('updateMarketDataSheet');
+  if (maintenance) {
+    JobRuns.end(jobRun, { outcome: RUN.SKIPPED, error: `Maintenance${maintenance.reason ? `: ${maintenance.reason}` : ''}` });
     return;
   }
 
   if (!isEngineRunning_()) {
     console.warn("ABORT: Engine is parked. Market Tycoon skipping fetch.");
+    JobRuns.end(jobRun, { outcome: RUN.SKIPPED, error: 'Engine parked' });
     return;
   }
 
-  // --- THE BOUNCER: STRICT SCRIPT LOCK ---
-  // Prevents the Orchestrator "Nudge" and Time-Driven triggers from overlapping.
-  const scriptLock = LockService.getScriptLock();
-  if (!scriptLock.tryLock(1000)) { // Fail fast (1 second)
-    console.warn("ABORT: updateMarketDataSheet is already running. Bouncing overlapping trigger.");
+  const blackoutWindow = ScheduleWindows.deferTrigger('updateMarketDataSheet');
+  if (blackoutWindow) {
+    JobRuns.end(jobRun, { outcome: RUN.SKIPPED, error: `Inside ${blackoutWindow.name} window` });
     return;
   }
 
   try {
-    const START_TIME = new Date().getTime();
-    const SCRIPT_PROP = PropertiesService.getScriptProperties();
-
-    const PROP_KEY_STEP = 'marketDataJobStep';
-    const PROP_KEY_WRITE_INDEX = 'marketDataNextWriteRow';
-    const PROP_KEY_CHUNK_SIZE = 'marketDataChunkSize';
-    const PROP_KEY_LEASE = 'marketDataJobLeaseUntil';
-    const PROP_KEY_MARKET_LAST_RUN = 'MARKET_DATA_LAST_RUN_TS';
-
-    SCRIPT_PROP.setProperty(PROP_KEY_MARKET_LAST_RUN, START_TIME.toString());
-
-    const COLUMN_COUNT = 9;
-    const START_ROW = 2;
-    const DATA_SHEET_HEADERS = ["cacheKey", "type_id", "location_type", "location_id", "sell_min", "buy_max", "sell_volume", "buy_volume", "last_updated"];
-
-    var ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-    const masterRequests = getMasterBatchFromControlTable(ss_anchor);
-
-    let currentStep = SCRIPT_PROP.getProperty(PROP_KEY_STEP) || STATE_FLAGS.NEW_RUN;
-
-    // --- Phase 1: NEW_RUN (SURGICAL PAUSE) ---
-    if (currentStep === STATE_FLAGS.NEW_RUN || !masterRequests || masterRequests.length === 0) {
-      console.log(`State: ${STATE_FLAGS.NEW_RUN}.`);
-
-      if (!masterRequests || masterRequests.length === 0) {
-        _resetMarketDataJobState(new Error("Control Table empty"));
-        return;
-      }
-
-      const setupResult = guardedSheetTransaction(() => {
-        const result = prepareTempSheet(ss_anchor, tempSheetName, DATA_SHEET_HEADERS);
-        if (!result.success) {
-          throw new Error(result.error || "Unknown Prep Failure");
-        }
-        if (result.state) {
-          result.state.hideSheet();
-        }
-        return true;
-      }, 60000);
-
-      if (!setupResult.success) {
-        console.warn(`[Worker] Sheet prep failed: ${setupResult.error}`);
-        scheduleOneTimeTrigger('updateMarketDataSheet', RESCHEDULE_DELAY_MS);
-        return;
-      }
-
-      SCRIPT_PROP.setProperty(PROP_KEY_WRITE_INDEX, '0');
-      SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-      currentStep = 'PROCESSING';
-      SCRIPT_PROP.setProperty(PROP_KEY_STEP, 'PROCESSING');
-
-      scheduleOneTimeTrigger('updateMarketDataSheet', 1000);
-      return;
-    }
-
-    // --- Phase 2: WRITE (Nitro Mode - LIVE/UNPAUSED) ---
-    if (currentStep === 'PROCESSING' || currentStep === 'WRITE') {
-
-      const masterRequests_stable = getMasterBatchFromControlTable(ss_anchor);
-      let allRowsToWrite = [];
-
-      try {
-        const marketDataCrates = fuzAPI.getDataForRequests(masterRequests_stable);
-        const currentTimeStamp = new Date();
-        marketDataCrates.forEach(crate => {
-          if (crate && crate.fuzObjects) {
-            crate.fuzObjects.forEach(item => {
-              if (item && item.type_id != null) {
-                allRowsToWrite.push([
-                  "", item.type_id,
-                  crate.market_type || '', crate.market_id || '',
-                  item.sell?.min ?? '', item.buy?.max ?? '',
-                  item.sell?.volume ?? 0, item.buy?.volume ?? 0,
-                  currentTimeStamp
-                ]);
-              }
-            });
-          }
-        });
-
-        if (allRowsToWrite.length === 0) {
-          console.error("Worker: allRowsToWrite is empty! Aborting write to prevent data wipe.");
-          _resetMarketDataJobState(new Error("Zero rows returned from API - Aborted Write"));
-          return;
-        }
-      } catch (e) {
-        scheduleOneTimeTrigger('updateMarketDataSheet', RESCHEDULE_DELAY_MS * 2);
-        return;
-      }
-
-      ss_anchor = SpreadsheetApp.getActiveSpreadsheet();
-
-      let writeState = {
-        logInfo: console.log, logError: console.error, logWarn: console.warn,
-        nextBatchIndex: parseInt(SCRIPT_PROP.getProperty(PROP_KEY_WRITE_INDEX) || '0'),
-        ss: ss_anchor,
-        metrics: { startTime: START_TIME },
-        config: {
-          ...(typeof NITRO_CONFIG !== 'undefined' ? NITRO_CONFIG : {}),
-          MAX_CELLS_PER_CHUNK: 40000,
-          MAX_CHUNK_SIZE: 2000,
-          currentChunkSize: parseInt(SCRIPT_PROP.getProperty(PROP_KEY_CHUNK_SIZE) || '1000')
-        }
-      };
-
-      const writeResult = writeDataToSheet(tempSheetName, allRowsToWrite, START_ROW, 1, writeState);
-
-      if (writeResult.success) {
-        console.log("Write SUCCESS. Transitioning to FINALIZING.");
-        SCRIPT_PROP.setProperty(PROP_KEY_STEP, STATE_FLAGS.FINALIZING);
-        SCRIPT_PROP.deleteProperty(PROP_KEY_LEASE);
-        SCRIPT_PROP.deleteProperty(PROP_KEY_CHUNK_SIZE);
-        SCRIPT_PROP.deleteProperty(PROP_KEY_WRITE_INDEX);
-        scheduleOneTimeTrigger('finalizeMarketDataUpdate', RESCHEDULE_DELAY_MS);
-      }
-      else if (writeResult.bailout_reason === "PREDICTIVE_BAILOUT" || (writeResult.error && writeResult.error.includes("timed out"))) {
-        const reason = writeResult.error ? writeResult.error : "Predictive Bailout";
-        console.warn(`Write phase interrupted. Reason: ${reason}. Rescheduling.`);
-
-        const nextIndex = writeResult.state.nextBatchIndex.toString();
-        let nextChunkSize = writeResult.state.config.currentChunkSize;
-
-        if (writeResult.error) {
-          nextChunkSize = Math.max(100, Math.floor(nextChunkSize / 2));
-        }
-
-        SCRIPT_PROP.setProperty(PROP_KEY_WRITE_INDEX, nextIndex);
-        SCRIPT_PROP.setProperty(PROP_KEY_CHUNK_SIZE, nextChunkSize.toString());
-        Utilities.sleep(1000);
-        scheduleOneTimeTrigger('updateMarketDataSheet', 30000);
-      }
-      else {
-        // --- CRITICAL FIX START ---
-        if (writeResult.error && (writeResult.error.includes("Lock Failed") || writeResult.error.includes("Lock timeout"))) {
-          console.warn("Lock Conflict detected. Pausing for Sheet to breathe. DO NOT RESET.");
-
-          // Preserve the current index so it picks up where it left off
-          const nextIndex = (writeResult.state.nextBatchIndex || 0).toString();
-          SCRIPT_PROP.setProperty(PROP_KEY_WRITE_INDEX, nextIndex);
-
-          // Force a 30-second delay to allow Google Sheets to finish calculations
-          scheduleOneTimeTrigger('updateMarketDataSheet', 30000);
-        } else {
-          // Only reset on actual data corruption or API failures
-          _resetMarketDataJobState(new Error(`Write Failure: ${writeResult.error}`));
-        }
-        // --- CRITICAL FIX END ---
-      }
+    // THE BOUNCER: PhasedJob's script lock (1 s) keeps the orchestrator nudge and the trigger from overlapping.
+    const res = _marketDataJob().resume({ args: { jobRun: jobRun } });
+    if (res.status === PhasedJob.STATUS.LOCKED) {
+      console.warn("ABORT: updateMarketDataSheet is already running. Bouncing overlapping trigger.");
+      Object.assign(jobRun, { outcome: RUN.SKIPPED, error: 'Overlapping run bounced' });
+      return null;
     }
+    if (res.error && !jobRun.error) Object.assign(jobRun, { outcome: RUN.ERROR, error: res.error });
+    return res;
+  } catch (e) {
+    JobRuns.fail(jobRun, e);
+    throw e;
   } finally {
-    // ALWAYS release the script lock so the next trigger can run
-    scriptLock.releaseLock();
+    JobRuns.end(jobRun);
   }
 }
 
-function finalizeMarketDataUpdate() {
-  const SCRIPT_PROP = PropertiesService.getScriptProperties();
-  const PROP_KEY_STEP = 'marketDataJobStep';
-  const finalSheetName = 'Market_Data_Raw';
-  const tempSheetName = 'Market_Data_Temp';
-
-  const funcName = 'finalizeMarketDataUpdate';
-
-  executeWithTryLock(() => {
+/** MARKET_DATA_WRITE_MODE: 'DELTA' (default) or 'FULL'. */
+function _marketWriteMode() {
+  return (PropertiesService.getScriptProperties().getProperty(PROP_KEY_WRITE_MODE) || 'DELTA').toUpperCase();
+}
 
-    if (SCRIPT_PROP.getProperty(PROP_KEY_STEP) !== 'FINALIZING') {
-      _resetMarketDataJobState(new Error(`Wrong state.`));
-      return;
+/** Clears and hides the profile's temp sheet for a FULL write + swap. Returns the guardedSheetTransaction result. */
+function _prepareMarketTempSheet(ss, profile, headers) {
+  return guardedSheetTransaction(() => {
+    const result = prepareTempSheet(ss, profile.tempSheet, headers);
+    if (!result.success) {
+      throw new Error(result.error || "Unknown Prep Failure");
     }
+    if (result.state) {
+      result.state.hideSheet();
+    }
+    return true;
+  }, 60000);
+}
 
-    var ss_inner = SpreadsheetApp.getActiveSpreadsheet();
-
-    // [CRITICAL FIX] REFRESH CONNECTION
-    // The previous 'ss_inner' is dead after the long flush. Get a new one.
-    ss_inner = SpreadsheetApp.getActiveSpreadsheet();
-
-    const repairMap = { ['NR_MARKET_DATA']: 'A:G' };
-
-    const transactionResult = guardedSheetTransaction(() => {
-      // --- START ANESTHESIA ---
-
-      // 1. Perform the Atomic Swap (Hot Swap)
-      const swapRes = atomicSwapAndFlush(ss_inner, finalSheetName, tempSheetName, repairMap);
-
-      // 2. Sync External Prices and Region Data while locked
-      // This prevents the sheet from waking up and calculating until all data is fresh.
-      fetchFilteredPricesSync(ss_inner);
-      syncESIRegionData(ss_inner);
-
-      return swapRes;
-      // --- END ANESTHESIA ---
-    }, 60000);
-
-
-
-    let swapSuccess = (transactionResult.success && transactionResult.state.success);
+/**
+ * Delta-write path for the market job. Diffs the fresh rows against Market_Data_Raw
+ * (keyed type_id + location_id) and rewrites only what changed, then runs the same
+ * post-swap work as the FINALIZING phase (the caller completes the job).
+ * last_updated / data_age_min are excluded from the diff, so on unchanged rows they
+ * reflect the last time that row's values actually moved.
+ * @param {Object} profile MarketProfiles entry being written.
+ * @returns {Object|null} applyKeyedDelta result if the delta was applied; null means "fall back to the full swap".
+ */
+function _tryMarketDeltaWrite(ss, profile, headers, rows) {
+  const transactionResult = guardedSheetTransaction(() => {
+    const deltaRes = applyKeyedDelta(ss, profile.finalSheet, headers, rows, {
+      keyColumns: ['type_id', 'location_id'],
+      ignoreColumns: ['last_updated', 'data_age_min'],
+      repairMap: profile.namedRange ? { [profile.namedRange]: 'A:G' } : null,
+      beforeApply: (incoming) => PriceQuarantine.screenRows(ss, headers, incoming, profile.finalSheet),
+      lockHeld: true // guardedSheetTransaction holds the Document Lock through the finalize imports below
+    });
 
-    if (swapSuccess) {
+    if (deltaRes.success) {
+      DataSources.importAll('finalize', ss);
+    }
+    return deltaRes;
+  }, 60000);
 
-      _resetMarketDataJobState(null);
-      console.log("SUCCESS: Finalization complete.");
+  const res = transactionResult.state;
+  if (!transactionResult.success || !res.success) {
+    console.warn(`[Delta] Falling back to full swap: ${transactionResult.error || res.errorMessage}`);
+    return null;
+  }
 
-    } else {
-      console.warn(`[Finalizer] Swap Failed: ${transactionResult.error || transactionResult.state.errorMessage}`);
-    }
+  console.log(`[Delta] Applied: updated=${res.updated}, appended=${res.appended}, deleted=${res.deleted} in ${res.ranges} range writes.`);
+  MarketHistory.recordSnapshot(ss, profile.finalSheet);
+  MarketIndex.rebuild(ss, profile.name);
+  return res;
+}
 
-  }, funcName);
+/** Legacy trigger name for the FINALIZING phase; any still-pending trigger just resumes the job. */
+function finalizeMarketDataUpdate() {
+  return updateMarketDataSheet();
 }
\ No newline at end of file
@@ -0,0 +1,322 @@
+/* global SpreadsheetApp, PropertiesService, LockService, ScriptApp, LoggerEx, GLOBAL_STATE_KEY, scheduleOneTimeTrigger, deleteTriggersByName,
+  _chunkAndPut, _getAndDechunk, _deleteShardedData, _chunkAndPut_Permanent, _getAndDechunk_Permanent, ScheduleWindows */
+
+/**
+ * PhasedJob — Resumable multi-phase jobs.
+ * A job declares an ordered list of named phases and keeps its progress in a checkpoint object;
+ * the framework owns the control flow the workers used to hand-roll:
+ *   - current phase in one property (stateKey), so existing readers of e.g. 'AssetCache_JobStatus' keep working
+ *   - checkpoint JSON sharded across script properties (durable), bulk data stashed in sharded ScriptCache
+ *   - script lock (re-entrant: reuses a lock the caller already holds), lease while a resume trigger is pending
+ *   - soft time limit: the next phase is not started once it is spent; the job resumes on its trigger
+ *   - reset: clears phase, checkpoint, stash, lease and triggers in one place
+ *
+ * Spec:
+ *   name          Unique job name (property prefix).
+ *   stateKey      Property holding the current phase name. Default PHASED_JOB_<name>_PHASE.
+ *   trigger       Global function the resume trigger calls; it must call job.resume(). Omit for jobs that
+ *                 only advance when dispatched (e.g. from JobRegistry) — yields then wait for the next dispatch.
+ *   legacyTriggers Other handler names to purge on reset (entry points the job replaced).
+ *   leaseMs       How long a pending resume keeps run() from starting a second pass. Default 10 min.
+ *   softLimitMs   Execution budget before yielding. Default 280000.
+ *   lockWaitMs    tryLock wait. On contention the job is rescheduled. Default 5000.
+ *   ownsMaintenance The job runs while it holds MAINTENANCE itself (SDE): skip the maintenance gate and
+ *                 create resume triggers with ScriptApp directly (scheduleOneTimeTrigger parks them).
+ *   phases        [{ name, run(ctx) }]. run returns a directive from ctx (below); nothing = ctx.wait().
+ *   onReset       Optional (reason) => void for job-specific cleanup (e.g. temp sheets).
+ *
+ * run/resume opts: { ss, args } — args reaches the phases as ctx.args (e.g. the caller's JobRuns record).
+ *
+ * Directives:
+ *   ctx.next([phase], [delayMs])  Advance (default: the following phase). With delayMs the rest runs on the trigger.
+ *   ctx.retry([delayMs])          Stay in this phase and resume on the trigger (checkpoint is saved).
+ *   ctx.wait()                    Stay in this phase until the next run()/resume().
+ *   ctx.complete()                Finished: clear all state.
+ *   ctx.abort(reason)             Unrecoverable: reset.
+ * A phase that throws is logged and treated as ctx.wait() — the next dispatch retries it.
+ */
+var PhasedJob = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('PHASED_JOB') : console;
+
+  const PROP_PREFIX = 'PHASED_JOB_';
+  const STASH_TTL_SEC = 21600; // CacheService maximum
+  const DEFAULTS = {
+    leaseMs: 10 * 60 * 1000,
+    softLimitMs: 280000,
+    lockWaitMs: 5000,
+    resumeDelayMs: 1000,
+    lockRetryDelayMs: 10000
+  };
+
+  const STATUS = { COMPLETE: 'complete', SCHEDULED: 'scheduled', WAITING: 'waiting', ABORTED: 'aborted', LEASED: 'leased', LOCKED: 'locked' };
+
+  const REGISTRY = new Map();
+
+  const keys_ = (name) => ({
+    checkpoint: `${PROP_PREFIX}${name}_CKPT`,
+    lease: `${PROP_PREFIX}${name}_LEASE`,
+    stash: `${PROP_PREFIX}${name}_STASH_`
+  });
+
+  /**
+   * Registers a job. Defining the same name twice returns the first definition, so callers can
+   * define lazily from any file without worrying about load order.
+   * @returns {{name:string, run:Function, resume:Function, reset:Function, status:Function}}
+   */
+  function define(spec) {
+    if (!spec || !spec.name) throw new Error('PhasedJob: spec.name is required.');
+    if (REGISTRY.has(spec.name)) return REGISTRY.get(spec.name);
+    if (!Array.isArray(spec.phases) || spec.phases.length === 0) throw new Error(`PhasedJob '${spec.name}': no phases declared.`);
+
+    const phaseNames = spec.phases.map(p => p.name);
+    const dup = phaseNames.find((n, i) => phaseNames.indexOf(n) !== i);
+    if (dup) throw new Error(`PhasedJob '${spec.name}': duplicate phase '${dup}'.`);
+
+    const job = Object.assign({}, DEFAULTS, {
+      stateKey: `${PROP_PREFIX}${spec.name}_PHASE`,
+      legacyTriggers: []
+    }, spec, { phaseNames: phaseNames, keys: keys_(spec.name) });
+    if (!job.trigger) job.leaseMs = 0;
+
+    const handle = {
+      name: job.name,
+      run: (opts) => run_(job, Object.assign({}, opts, { resume: false })),
+      resume: (opts) => run_(job, Object.assign({}, opts, { resume: true })),
+      reset: (reason) => reset_(job, reason),
+      status: () => status_(job)
+    };
+    REGISTRY.set(job.name, handle);
+    return handle;
+  }
+
+  function get(name) {
+    const handle = REGISTRY.get(name);
+    if (!handle) throw new Error(`PhasedJob: unknown job '${name}'.`);
+    return handle;
+  }
+
+  function list() {
+    return Array.from(REGISTRY.values());
+  }
+
+  // --- Checkpoint / stash storage ---
+
+  function loadCheckpoint_(job) {
+    const raw = _getAndDechunk_Permanent(job.keys.checkpoint);
+    if (!raw) return { data: {}, stash: [] };
+    try {
+      const parsed = JSON.parse(raw);
+      return { data: parsed.data || {}, stash: parsed.stash || [] };
+    } catch (e) {
+      LOG.warn(`${job.name}: checkpoint unreadable, starting empty: ${e.message}`);
+      return { data: {}, stash: [] };
+    }
+  }
+
+  function saveCheckpoint_(job, ckpt) {
+    deleteShards_(job.keys.checkpoint);
+    _chunkAndPut_Permanent(job.keys.checkpoint, JSON.stringify(ckpt));
+  }
+
+  /** Deletes a sharded property and every shard it ever had (a shrinking payload leaves orphans otherwise). */
+  function deleteShards_(key) {
+    const props = PropertiesService.getScriptProperties();
+    props.getKeys()
+      .filter(k => k === key || k.indexOf(key + '_') === 0)
+      .forEach(k => props.deleteProperty(k));
+  }
+
+  function schedule_(job, delayMs) {
+    if (!job.trigger) return false;
+    if (job.leaseMs) {
+      PropertiesService.getScriptProperties().setProperty(job.keys.lease, String(Date.now() + delayMs + job.leaseMs));
+    }
+    if (job.ownsMaintenance) {
+      deleteTriggersByName(job.trigger);
+      ScriptApp.newTrigger(job.trigger).timeBased().after(delayMs).create();
+    } else {
+      scheduleOneTimeTrigger(job.trigger, delayMs);
+    }
+    return true;
+  }
+
+  // --- Execution ---
+
+  function makeCtx_(job, phase, ckpt, startMs, ss, args) {
+    return {
+      job: job.name,
+      phase: phase,
+      checkpoint: ckpt.data,
+      args: args || {},
+      startMs: startMs,
+      get ss() { return ss || (ss = SpreadsheetApp.getActiveSpreadsheet()); },
+      elapsedMs: () => Date.now() - startMs,
+      remainingMs: () => job.softLimitMs - (Date.now() - startMs),
+
+      stash: (key, value) => {
+        const k = job.keys.stash + key;
+        if (!_chunkAndPut(k, JSON.stringify(value), STASH_TTL_SEC)) throw new Error(`Stash '${key}' could not be written.`);
+        if (ckpt.stash.indexOf(k) === -1) ckpt.stash.push(k);
+      },
+      unstash: (key) => {
+        const raw = _getAndDechunk(job.keys.stash + key);
+        return raw ? JSON.parse(raw) : null;
+      },
+
+      next: (nextPhase, delayMs) => ({ type: 'next', phase: nextPhase, delayMs: delayMs }),
+      retry: (delayMs) => ({ type: 'retry', delayMs: delayMs }),
+      wait: () => ({ type: 'wait' }),
+      complete: () => ({ type: 'complete' }),
+      abort: (reason) => ({ type: 'abort', reason: reason })
+    };
+  }
+
+  function run_(job, opts) {
+    const startMs = Date.now();
+    const props = PropertiesService.getScriptProperties();
+
+    if (!opts.resume && job.leaseMs) {
+      const leaseUntil = parseInt(props.getProperty(job.keys.lease) || '0', 10);
+      if (leaseUntil > startMs) {
+        LOG.info(`${job.name}: resume already pending (lease until ${new Date(leaseUntil).toISOString()}). Skipping.`);
+        return { status: STATUS.LEASED };
+      }
+    }
+
+    if (!job.ownsMaintenance && (props.getProperty(GLOBAL_STATE_KEY) || 'RUNNING') === 'MAINTENANCE') {
+      LOG.warn(`Skipping ${job.name}: MAINTENANCE mode.`);
+      return { status: STATUS.WAITING };
+    }
+
+    // Downtime / quiet hours: a resume re-arms its trigger for after the window; a dispatch waits for the next one.
+    const blackoutWindow = ScheduleWindows.blackout(job.name, startMs);
+    if (blackoutWindow) {
+      const scheduled = opts.resume && schedule_(job, ScheduleWindows.resumeDelayMs(blackoutWindow, startMs));
+      return { status: scheduled ? STATUS.SCHEDULED : STATUS.WAITING };
+    }
+
+    const lock = LockService.getScriptLock();
+    const ownsLock = !lock.hasLock();
+    if (ownsLock && !lock.tryLock(job.lockWaitMs)) {
+      LOG.warn(`${job.name}: script lock busy. Rescheduling.`);
+      schedule_(job, job.lockRetryDelayMs);
+      return { status: STATUS.LOCKED };
+    }
+
+    try {
+      props.deleteProperty(job.keys.lease);
+
+      let phase = props.getProperty(job.stateKey);
+      const ckpt = loadCheckpoint_(job);
+      if (phase && job.phaseNames.indexOf(phase) === -1) {
+        LOG.warn(`${job.name}: unknown phase '${phase}' in ${job.stateKey}. Restarting from '${job.phaseNames[0]}'.`);
+        phase = null;
+        ckpt.data = {};
+      }
+      if (!phase) {
+        phase = job.phaseNames[0];
+        props.setProperty(job.stateKey, phase);
+      }
+
+      while (true) {
+        if (Date.now() - startMs > job.softLimitMs) {
+          saveCheckpoint_(job, ckpt);
+          const scheduled = schedule_(job, job.resumeDelayMs);
+          LOG.info(`${job.name}: soft limit reached before '${phase}'. ${scheduled ? 'Resume scheduled.' : 'Waiting for next dispatch.'}`);
+          return { status: scheduled ? STATUS.SCHEDULED : STATUS.WAITING, phase: phase };
+        }
+
+        const def = job.phases[job.phaseNames.indexOf(phase)];
+        const ctx = makeCtx_(job, phase, ckpt, startMs, opts.ss, opts.args);
+        let directive;
+        try {
+          LOG.info(`${job.name}: running phase '${phase}'.`);
+          directive = def.run(ctx) || ctx.wait();
+        } catch (e) {
+          LOG.error(`${job.name}: phase '${phase}' failed: ${e.message}`);
+          directive = Object.assign(ctx.wait(), { error: e.message });
+        }
+
+        switch (directive.type) {
+          case 'complete':
+            clear_(job);
+            LOG.info(`${job.name}: complete.`);
+            return { status: STATUS.COMPLETE, phase: phase };
+
+          case 'abort':
+            reset_(job, directive.reason);
+            return { status: STATUS.ABORTED, phase: phase, error: directive.reason };
+
+          case 'next': {
+            const nextPhase = directive.phase || job.phaseNames[job.phaseNames.indexOf(phase) + 1];
+            if (!nextPhase) {
+              clear_(job);
+              LOG.info(`${job.name}: complete.`);
+              return { status: STATUS.COMPLETE, phase: phase };
+            }
+            if (job.phaseNames.indexOf(nextPhase) === -1) throw new Error(`PhasedJob '${job.name}': unknown phase '${nextPhase}'.`);
+            phase = nextPhase;
+            props.setProperty(job.stateKey, phase);
+            if (directive.delayMs === undefined) continue;
+            saveCheckpoint_(job, ckpt);
+            if (schedule_(job, directive.delayMs)) return { status: STATUS.SCHEDULED, phase: phase };
+            return { status: STATUS.WAITING, phase: phase };
+          }
+
+          case 'retry':
+            saveCheckpoint_(job, ckpt);
+            if (schedule_(job, directive.delayMs === undefined ? job.resumeDelayMs : directive.delayMs)) {
+              return { status: STATUS.SCHEDULED, phase: phase };
+            }
+            return { status: STATUS.WAITING, phase: phase };
+
+          default: // wait
+            saveCheckpoint_(job, ckpt);
+            return { status: STATUS.WAITING, phase: phase, error: directive.error };
+        }
+      }
+    } finally {
+      if (ownsLock) lock.releaseLock();
+    }
+  }
+
+  function clear_(job) {
+    const props = PropertiesService.getScriptProperties();
+    const ckpt = loadCheckpoint_(job);
+    ckpt.stash.forEach(k => _deleteShardedData(k));
+    deleteShards_(job.keys.checkpoint);
+    props.deleteProperty(job.keys.lease);
+    props.deleteProperty(job.stateKey);
+    if (job.trigger) deleteTriggersByName(job.trigger);
+    job.legacyTriggers.forEach(t => deleteTriggersByName(t));
+  }
+
+  function reset_(job, reason) {
+    LOG.warn(`${job.name}: RESET (${reason || 'manual'}).`);
+    clear_(job);
+    if (typeof job.onReset === 'function') {
+      try {
+        job.onReset(reason);
+      } catch (e) {
+        LOG.warn(`${job.name}: onReset failed: ${e.message}`);
+      }
+    }
+  }
+
+  function status_(job) {
+    const props = PropertiesService.getScriptProperties();
+    return {
+      name: job.name,
+      phase: props.getProperty(job.stateKey),
+      leaseUntil: parseInt(props.getProperty(job.keys.lease) || '0', 10),
+      checkpoint: loadCheckpoint_(job).data
+    };
+  }
+
+  return {
+    STATUS,
+    define, get, list
+  };
+})();
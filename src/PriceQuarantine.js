@@ -0,0 +1,263 @@
+/* global SpreadsheetApp, PropertiesService, LoggerEx, MarketHistory, getOrCreateSheet */
+
+/**
+ * PriceQuarantine — Screens a staged market board before it is swapped live.
+ * - Each sell_min / buy_max in the staged board (Market_Data_Temp, or the in-memory rows on the
+ *   delta-write path) is compared to the live Market_Data_Raw value.
+ * - A move beyond the percent band is an outlier, unless Market_History_Daily shows it is
+ *   within the sigma band of recent daily averages (history overrules the percent check).
+ * - Outliers are logged to Market_Quarantine and the previous value is written back into the board.
+ * - An outlier that persists for PRICE_QUARANTINE_CONFIRM_RUNS consecutive runs is accepted.
+ * Market_Quarantine doubles as the state store: it is rewritten each run with only the open entries
+ * (entries belonging to other market profiles' boards are carried over).
+ */
+var PriceQuarantine = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('QUARANTINE') : console;
+
+  const QUARANTINE_SHEET = 'Market_Quarantine';
+  const QUARANTINE_HEADERS = [
+    'key', 'type_id', 'location_type', 'location_id', 'field',
+    'previous_value', 'candidate_value', 'pct_change', 'z_score',
+    'consecutive_runs', 'first_seen', 'last_seen', 'status'
+  ];
+  const SCREENED_FIELDS = ['sell_min', 'buy_max'];
+
+  // --- Script Property Keys (Config) ---
+  const PROP_ENABLED = 'PRICE_QUARANTINE_ENABLED';
+  const PROP_PCT_BAND = 'PRICE_QUARANTINE_PCT_BAND';
+  const PROP_SIGMA_BAND = 'PRICE_QUARANTINE_SIGMA_BAND';
+  const PROP_CONFIRM_RUNS = 'PRICE_QUARANTINE_CONFIRM_RUNS';
+  const PROP_LOOKBACK_DAYS = 'PRICE_QUARANTINE_LOOKBACK_DAYS';
+
+  // pctBand is a fraction (0.5 = ±50%). Sigma check needs a minimum of daily samples to be trusted.
+  const DEFAULTS = { pctBand: 0.5, sigmaBand: 4, confirmRuns: 3, lookbackDays: 14 };
+  const MIN_SIGMA_SAMPLES = 5;
+
+  function getConfig() {
+    const props = PropertiesService.getScriptProperties();
+    const num = (key, fallback) => {
+      const n = parseFloat(props.getProperty(key) || '');
+      return (isFinite(n) && n > 0) ? n : fallback;
+    };
+    return {
+      enabled: String(props.getProperty(PROP_ENABLED) || 'TRUE').toUpperCase() !== 'FALSE',
+      pctBand: num(PROP_PCT_BAND, DEFAULTS.pctBand),
+      sigmaBand: num(PROP_SIGMA_BAND, DEFAULTS.sigmaBand),
+      confirmRuns: Math.round(num(PROP_CONFIRM_RUNS, DEFAULTS.confirmRuns)),
+      lookbackDays: Math.round(num(PROP_LOOKBACK_DAYS, DEFAULTS.lookbackDays))
+    };
+  }
+
+  function num_(v) {
+    const n = (typeof v === 'number') ? v : Number(v);
+    return isFinite(n) && v !== '' && v !== null ? n : null;
+  }
+
+  function round_(v, places) {
+    const f = Math.pow(10, places);
+    return Math.round(v * f) / f;
+  }
+
+  /** Maps header name -> column index for the fields this module touches. */
+  function columns_(headerRow) {
+    const h = headerRow.map(x => String(x).trim());
+    const col = { type_id: h.indexOf('type_id'), location_type: h.indexOf('location_type'), location_id: h.indexOf('location_id') };
+    SCREENED_FIELDS.forEach(f => { col[f] = h.indexOf(f); });
+    return col;
+  }
+
+  const rowKey_ = (typeId, locationId) => `${Number(typeId)}|${Number(locationId)}`;
+
+  /** Live board values keyed "type_id|location_id". */
+  function readLiveBoard_(sheet) {
+    const board = new Map();
+    if (!sheet || sheet.getLastRow() < 2) return board;
+    const values = sheet.getDataRange().getValues();
+    const col = columns_(values[0]);
+    if (col.type_id === -1 || col.location_id === -1) return board;
+
+    for (let i = 1; i < values.length; i++) {
+      const r = values[i];
+      if (!r[col.type_id]) continue;
+      const entry = {};
+      SCREENED_FIELDS.forEach(f => { entry[f] = col[f] === -1 ? null : num_(r[col[f]]); });
+      board.set(rowKey_(r[col.type_id], r[col.location_id]), entry);
+    }
+    return board;
+  }
+
+  /**
+   * Current quarantine sheet rows.
+   * open: entries keyed "type_id|location_id|field" (CONFIRMED rows are closed).
+   */
+  function readEntries_(sheet) {
+    const rows = sheet.getLastRow() < 2 ? [] : sheet.getRange(2, 1, sheet.getLastRow() - 1, QUARANTINE_HEADERS.length).getValues().filter(r => r[0]);
+    const open = new Map();
+    rows.forEach(r => {
+      if (r[12] === 'CONFIRMED') return;
+      open.set(`${r[0]}|${r[4]}`, { candidate: num_(r[6]), runs: Number(r[9]) || 0, firstSeen: r[10] });
+    });
+    return { rows: rows, open: open };
+  }
+
+  /**
+   * Core screen over in-memory rows. Quarantined cells are reset to the live value in place.
+   * @returns {{checked:number, quarantined:number, confirmed:number, dirtyCols:Set<number>}}
+   */
+  function screen_(ss, cfg, headerRow, rows, liveSheetName) {
+    const out = { checked: 0, quarantined: 0, confirmed: 0, dirtyCols: new Set() };
+    const col = columns_(headerRow);
+    if (col.type_id === -1 || col.location_id === -1) {
+      throw new Error("Board is missing 'type_id' or 'location_id' header.");
+    }
+
+    const live = readLiveBoard_(ss.getSheetByName(liveSheetName));
+    if (live.size === 0) {
+      LOG.info('No live board to compare against. Screening skipped.');
+      return out;
+    }
+
+    const stats = (typeof MarketHistory !== 'undefined') ? MarketHistory.getDailyStats(ss, cfg.lookbackDays) : new Map();
+    const qSheet = getOrCreateSheet(ss, QUARANTINE_SHEET, QUARANTINE_HEADERS);
+    const existing = readEntries_(qSheet);
+    const open = existing.open;
+
+    const now = new Date();
+    const report = [];
+    const boardKeys = new Set();
+
+    rows.forEach(r => {
+      if (!r[col.type_id]) return;
+      const key = rowKey_(r[col.type_id], r[col.location_id]);
+      boardKeys.add(key);
+      const prev = live.get(key);
+      if (!prev) return; // New listing: nothing to compare against.
+
+      SCREENED_FIELDS.forEach(field => {
+        if (col[field] === -1) return;
+        const before = prev[field];
+        const cand = num_(r[col[field]]);
+        // Empty or zero books are "no orders", not a price move.
+        if (before === null || before <= 0 || cand === null || cand <= 0) return;
+        out.checked++;
+
+        const pct = (cand - before) / before;
+        if (Math.abs(pct) <= cfg.pctBand) return;
+
+        let z = '';
+        const s = stats.get(key);
+        const band = s && (field === 'sell_min' ? s.sell : s.buy);
+        if (band && band.n >= MIN_SIGMA_SAMPLES && band.sd > 0) {
+          z = (cand - band.mean) / band.sd;
+          if (Math.abs(z) <= cfg.sigmaBand) return;
+        }
+
+        // Same outlier as last run (candidate still near the previous candidate) keeps counting.
+        const prior = open.get(`${key}|${field}`);
+        const sameLevel = prior && prior.candidate > 0 && Math.abs(cand - prior.candidate) / prior.candidate <= cfg.pctBand;
+        const runs = sameLevel ? prior.runs + 1 : 1;
+        const confirmed = runs >= cfg.confirmRuns;
+
+        if (confirmed) {
+          out.confirmed++;
+        } else {
+          r[col[field]] = before;
+          out.dirtyCols.add(col[field]);
+          out.quarantined++;
+        }
+
+        report.push([
+          key, Number(r[col.type_id]), col.location_type === -1 ? '' : r[col.location_type], Number(r[col.location_id]), field,
+          before, cand, round_(pct * 100, 1), z === '' ? '' : round_(z, 2),
+          runs, sameLevel ? prior.firstSeen : now, now, confirmed ? 'CONFIRMED' : 'QUARANTINED'
+        ]);
+      });
+    });
+
+    // Rewrite the quarantine sheet with this run's entries (resolved ones drop off).
+    // Entries for markets outside this board (other market profiles) are carried over untouched.
+    existing.rows.forEach(r => { if (!boardKeys.has(String(r[0]))) report.push(r); });
+    if (qSheet.getLastRow() > 1) {
+      qSheet.getRange(2, 1, qSheet.getLastRow() - 1, QUARANTINE_HEADERS.length).clearContent();
+    }
+    if (report.length > 0) {
+      const maxRows = qSheet.getMaxRows();
+      if (maxRows < report.length + 1) qSheet.insertRowsAfter(maxRows, report.length + 1 - maxRows);
+      qSheet.getRange(2, 1, report.length, QUARANTINE_HEADERS.length).setValues(report);
+    }
+
+    LOG.info(`Screened ${out.checked} prices. Quarantined=${out.quarantined}, Confirmed=${out.confirmed}.`);
+    return out;
+  }
+
+  /**
+   * Screens in-memory board rows (delta-write path). Rows are modified in place.
+   * Must be called while the caller holds the Document Lock. Never throws.
+   * @param {Spreadsheet} ss
+   * @param {Array<string>} headers Column headers matching the row layout.
+   * @param {Array<Array>} rows Incoming board rows (no header row).
+   * @param {string} liveSheetName Currently live sheet used as the baseline.
+   * @returns {{success:boolean, checked:number, quarantined:number, confirmed:number, error:(string|null)}}
+   */
+  function screenRows(ss, headers, rows, liveSheetName) {
+    const result = { success: true, checked: 0, quarantined: 0, confirmed: 0, error: null };
+    const cfg = getConfig();
+    if (!cfg.enabled || !rows || rows.length === 0) return result;
+
+    try {
+      const res = screen_(ss || SpreadsheetApp.getActiveSpreadsheet(), cfg, headers, rows, liveSheetName);
+      result.checked = res.checked; result.quarantined = res.quarantined; result.confirmed = res.confirmed;
+      return result;
+    } catch (e) {
+      LOG.error('Screening failed (board passed through unscreened): ' + e.message);
+      result.success = false;
+      result.error = e.message;
+      return result;
+    }
+  }
+
+  /**
+   * Screens the staged sheet in place. Must be called while the caller holds the Document Lock
+   * (i.e. inside guardedSheetTransaction, before atomicSwapAndFlush).
+   * Never throws: a screening failure must not block the swap.
+   * @param {Spreadsheet} ss
+   * @param {string} tempSheetName Staged sheet (modified in place).
+   * @param {string} liveSheetName Currently live sheet used as the baseline.
+   * @returns {{success:boolean, checked:number, quarantined:number, confirmed:number, error:(string|null)}}
+   */
+  function screenStagedBoard(ss, tempSheetName, liveSheetName) {
+    const result = { success: true, checked: 0, quarantined: 0, confirmed: 0, error: null };
+    const cfg = getConfig();
+    if (!cfg.enabled) return result;
+
+    try {
+      if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+      const temp = ss.getSheetByName(tempSheetName);
+      if (!temp || temp.getLastRow() < 2) return result;
+
+      const values = temp.getDataRange().getValues();
+      const rows = values.slice(1);
+      const res = screen_(ss, cfg, values[0], rows, liveSheetName);
+
+      // Write back only the touched price columns.
+      res.dirtyCols.forEach(c => {
+        temp.getRange(2, c + 1, rows.length, 1).setValues(rows.map(r => [r[c]]));
+      });
+
+      result.checked = res.checked; result.quarantined = res.quarantined; result.confirmed = res.confirmed;
+      return result;
+    } catch (e) {
+      LOG.error('Screening failed (board passed through unscreened): ' + e.message);
+      result.success = false;
+      result.error = e.message;
+      return result;
+    }
+  }
+
+  return {
+    QUARANTINE_SHEET, QUARANTINE_HEADERS,
+    getConfig, screenRows, screenStagedBoard
+  };
+})();
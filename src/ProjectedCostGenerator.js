@@ -33,17 +33,12 @@ function generateProjectedCostTable(ss) {
   const costData = costSheet ? costSheet.getDataRange().getValues() : [];
   const myCostMap = new Map(costData.slice(1).map(r => [Number(r[0]), parseFloat(String(r[1]).replace(/[^0-9.]/g, ''))]).filter(r => r[1] > 0));
 
-  // B. Market Cache Map (Market_Data_Raw)
-  const rawMarketSheet = ss.getSheetByName("Market_Data_Raw");
-  const rawMarketData = rawMarketSheet ? rawMarketSheet.getDataRange().getValues() : [];
+  // B. Market Cache Map (Market_Data_Raw via MarketIndex)
   const marketFeedMap = new Map();
-  if (rawMarketData.length > 1) {
-    for (let i = 1; i < rawMarketData.length; i++) {
-      const id = Number(rawMarketData[i][1]);
-      const buyMax = Number(rawMarketData[i][5]);
-      if (buyMax > 0) marketFeedMap.set(id, buyMax * ACQUISITION_MULTIPLIER);
-    }
-  }
+  MarketIndex.priceMap('buy_max').forEach((v, id) => {
+    const buyMax = Number(v);
+    if (buyMax > 0) marketFeedMap.set(id, buyMax * ACQUISITION_MULTIPLIER);
+  });
 
   // --- 2. SDE Mapping & API Prep ---
   const { sdeMatMap, sdeProdMap } = _getSdeMaps(ss);
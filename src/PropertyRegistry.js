@@ -0,0 +1,290 @@
+/* global SpreadsheetApp, PropertiesService, Utilities, LoggerEx, getOrCreateSheet */
+
+/**
+ * PropertyRegistry — Every script/document property key family, who owns it and what it holds.
+ * - inspect(): writes Property_Inspector (key, size, owner, shape check, last modified).
+ * - gc():      deletes orphaned chunk sets (_chunkAndPut_Permanent shards without a valid _chunks
+ *              meta, or beyond it) and — only with PROPERTY_GC_DELETE_UNKNOWN = TRUE — unregistered keys.
+ * Properties carry no timestamps, so "last modified" is when the inspector first saw the current
+ * value digest (carried forward from the previous Property_Inspector sheet).
+ *
+ * New modules that persist state should add their family here; unknown keys show up as 'unregistered'.
+ */
+var PropertyRegistry = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('PROPERTY_REGISTRY') : console;
+
+  const SHEET = 'Property_Inspector';
+  const HEADERS = ['store', 'key', 'bytes', 'owner', 'family', 'shape', 'shape_ok', 'last_modified', 'digest'];
+  const QUOTA_BYTES = 500 * 1024; // Apps Script per-store total
+  const PRESSURE_RATIO = 0.8;
+
+  // --- Script Property Keys (Config) ---
+  const PROP_DELETE_UNKNOWN = 'PROPERTY_GC_DELETE_UNKNOWN';
+
+  // match: exact key | prefix: key prefix. shape: text | int | bool | json. sharded: written via _chunkAndPut_Permanent.
+  const FAMILIES = [
+    // Orchestrator / market job
+    { family: 'market_job_state', owner: 'Orchestrator.js', shape: 'text', match: ['marketDataJobStep', 'marketDataFinalizeStep', 'marketDataSetupStep', 'marketDataSetupStage', 'marketDataJobIsActive', 'MARKET_DATA_WRITE_MODE'] },
+    { family: 'market_job_cursor', owner: 'Orchestrator.js', shape: 'int', match: ['marketDataJobLeaseUntil'] },
+    { family: 'history_pull', owner: 'Orchestrator.js', shape: 'text', match: ['HISTORY_PULL_COMPLETED_DATE'] },
+    { family: 'system_state', owner: 'Orchestrator.js / SDE_Job_Controller', shape: 'text', match: ['GLOBAL_SYSTEM_STATE'] },
+    { family: 'system_maintenance', owner: 'Maintenance.js', shape: 'json', match: ['SYSTEM_MAINTENANCE_INFO', 'SYSTEM_MAINTENANCE_PAUSED'] },
+    { family: 'market_profiles', owner: 'MarketProfiles.js', shape: 'text', match: ['MARKET_ACTIVE_PROFILE', 'MARKET_PROFILE_RR_INDEX'] },
+    { family: 'market_profile_last_run', owner: 'MarketProfiles.js', shape: 'int', prefix: 'MARKET_DATA_LAST_RUN_TS' },
+    { family: 'market_control', owner: 'fuzHelpers.js', shape: 'text', match: ['MARKET_CONTROL_HUBS', 'MARKET_CONTROL_AUTOFIX'] },
+    { family: 'market_history', owner: 'MarketHistory.js', shape: 'text', prefix: 'MARKET_HISTORY_' },
+    { family: 'price_quarantine', owner: 'PriceQuarantine.js', shape: 'text', prefix: 'PRICE_QUARANTINE_' },
+    { family: 'data_sources', owner: 'ConfigHandler.js', shape: 'int', prefix: 'DATA_SOURCE_LAST_RUN_' },
+
+    // Scheduling / jobs
+    { family: 'job_last_run', owner: 'JobRegistry.js', shape: 'int', prefix: 'MAINTENANCE_LAST_RUN_TS_' },
+    { family: 'job_last_run_legacy', owner: 'JobRegistry.js (legacy scheduler)', shape: 'int', prefix: 'LAST_RUN_' },
+    { family: 'job_lease', owner: 'JobRegistry.js', shape: 'int', prefix: 'JOB_LEASE_' },
+    { family: 'bom_lease', owner: 'JobRegistry.js', shape: 'int', match: ['BOM_MAINTENANCE_LEASE'] },
+    { family: 'job_runs', owner: 'JobRuns.js', shape: 'text', prefix: 'JOB_RUNS_' },
+    { family: 'schedule_windows', owner: 'ScheduleWindows.js', shape: 'text', prefix: 'SCHEDULE_' },
+    { family: 'watchdog', owner: 'Watchdog.js', shape: 'text', prefix: 'WATCHDOG_' },
+    { family: 'phased_job', owner: 'PhasedJob.js', shape: 'text', prefix: 'PHASED_JOB_', sharded: true },
+    { family: 'property_gc', owner: 'PropertyRegistry.js', shape: 'bool', prefix: 'PROPERTY_GC_' },
+    { family: 'alerts', owner: 'Alerts.js', shape: 'text', prefix: 'ALERT_' },
+    { family: 'dry_run', owner: 'DryRun.js', shape: 'bool', match: ['DRY_RUN_ENABLED'] },
+    { family: 'lot_cost', owner: 'LotCost.js', shape: 'text', match: ['LOT_COST_METHOD', 'COST_BASIS_SOURCE'] },
+
+    // Asset cache / industry
+    { family: 'asset_cache', owner: 'InventoryManager.js', shape: 'text', prefix: 'AssetCache_' },
+    { family: 'industry_phase', owner: 'IndustryLedger.gs.js', shape: 'text', match: ['IndustryJobPhase'] },
+    { family: 'industry_processed_ids', owner: 'IndustryLedger.gs.js', shape: 'json', match: ['processedIndustryJobIds', 'processedBpcJobIds'] },
+    { family: 'bpc_costing', owner: 'IndustryLedger.gs.js', shape: 'json', match: ['BpcWeightedAverageCost', 'BpcHistoryData'] },
+
+    // SDE
+    { family: 'sde_job', owner: 'SDE_Job_Controller.gs.js', shape: 'text', prefix: 'SDE_JOB_' },
+    { family: 'sde_backup', owner: 'SDE_Job_Controller.gs.js', shape: 'json', match: ['SDE_BACKUP_SETTINGS'] },
+    { family: 'sde_finalize', owner: 'SDE_Job_Controller.gs.js', shape: 'text', match: ['finalizationStep'] },
+
+    // Ledgers (GESI Extentions)
+    { family: 'cogs_state', owner: 'GESI Extentions.js', shape: 'text', match: ['cogsJobStep'] },
+    { family: 'contract_cursor', owner: 'GESI Extentions.js', shape: 'text', match: ['lastProcessedContractId', 'contractJobLeaseUntil'] },
+    { family: 'corp_journal', owner: 'GESI Extentions.js', shape: 'text', prefix: 'CORP_JOURNAL_' },
+    { family: 'ledger_buffer', owner: 'GESI Extentions.js', shape: 'json', prefix: 'LEDGER_PENDING_BUFFER', sharded: true },
+    { family: 'ml_aggregate', owner: 'MaterialLedger.js', shape: 'json', match: ['ML_AGGREGATE_ROWS'] },
+    { family: 'corp_auth', owner: 'GESI Extentions.js', shape: 'text', match: ['GESI_PERSISTED_CORP_AUTH_CHAR'] },
+    { family: 'loot_snapshot', owner: 'GESI Extentions.js', shape: 'json', match: ['raw_loot:snapshot:v2'], store: 'document' },
+
+    // fuzAPI
+    { family: 'fuz_circuit', owner: 'fuzAPI_combined.js', shape: 'text', prefix: 'FuzCircuit' },
+    { family: 'fuz_quota', owner: 'fuzAPI_combined.js', shape: 'int', match: ['FuzQuotaOpenUntilMs'] },
+    { family: 'fuz_config', owner: 'fuzAPI_combined.js', shape: 'text', prefix: 'FUZ_' },
+
+    // Main.js
+    { family: 'manual_sync', owner: 'Main.js', shape: 'bool', match: ['MANUAL_SYNC_ACTIVE'] },
+    { family: 'edit_gate', owner: 'Main.js', shape: 'int', match: ['LAST_EDIT_TS'] }
+  ].map(f => Object.assign({ store: 'script', sharded: false }, f));
+
+  const STORES = {
+    script: () => PropertiesService.getScriptProperties(),
+    document: () => PropertiesService.getDocumentProperties()
+  };
+
+  const CHUNK_META = '_chunks';
+  const CHUNK_PART_RE = /^(.*)_(\d+)$/;
+
+  /**
+   * Family for a key, or null if unregistered. Shards resolve to the family of their base key.
+   * Exact matches win over prefixes; longer prefixes win over shorter ones.
+   */
+  function classify(key, store) {
+    store = store || 'script';
+    const candidates = FAMILIES.filter(f => f.store === store);
+    const exact = candidates.find(f => f.match && f.match.indexOf(key) !== -1);
+    if (exact) return exact;
+
+    let best = null;
+    candidates.forEach(f => {
+      if (f.prefix && key.indexOf(f.prefix) === 0 && (!best || f.prefix.length > best.prefix.length)) best = f;
+    });
+    if (best) return best;
+
+    // Chunk parts / meta of a registered base key
+    const base = key.endsWith(CHUNK_META) ? key.slice(0, -CHUNK_META.length) : (CHUNK_PART_RE.exec(key) || [])[1];
+    return (base && base !== key) ? classify(base, store) : null;
+  }
+
+  function shapeOk_(shape, value) {
+    switch (shape) {
+      case 'int': return /^-?\d+$/.test(String(value).trim());
+      case 'bool': return /^(true|false)$/i.test(String(value).trim());
+      case 'json':
+        try { JSON.parse(value); return true; } catch (e) { return false; }
+      default: return true;
+    }
+  }
+
+  const bytes_ = (s) => Utilities.newBlob(String(s)).getBytes().length;
+
+  function digest_(value) {
+    const raw = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, String(value), Utilities.Charset.UTF_8);
+    return Utilities.base64Encode(raw).slice(0, 12);
+  }
+
+  /**
+   * Finds chunk sets that can no longer be read back:
+   *   - parts with no <base>_chunks meta (in a sharded family)
+   *   - parts at or beyond the meta count (left by a larger earlier write)
+   *   - every part + meta of a set whose meta points at a missing part
+   * @returns {Array<string>} keys to delete
+   */
+  function findOrphanChunks_(all, store) {
+    const orphans = [];
+    const metaCount = {};
+    Object.keys(all).forEach(k => {
+      if (k.endsWith(CHUNK_META)) metaCount[k.slice(0, -CHUNK_META.length)] = parseInt(all[k], 10);
+    });
+
+    Object.keys(metaCount).forEach(base => {
+      const n = metaCount[base];
+      let broken = !(n >= 0);
+      for (let i = 0; !broken && i < n; i++) if (!(`${base}_${i}` in all)) broken = true;
+      if (broken) {
+        orphans.push(base + CHUNK_META);
+        Object.keys(all).forEach(k => {
+          const m = CHUNK_PART_RE.exec(k);
+          if (m && m[1] === base) orphans.push(k);
+        });
+      }
+    });
+
+    Object.keys(all).forEach(k => {
+      const m = CHUNK_PART_RE.exec(k);
+      if (!m || orphans.indexOf(k) !== -1) return;
+      const base = m[1], idx = parseInt(m[2], 10);
+      if (base in metaCount) {
+        if (idx >= metaCount[base]) orphans.push(k);
+      } else {
+        const fam = classify(base, store);
+        if (fam && fam.sharded && !(base in all)) orphans.push(k);
+      }
+    });
+    return orphans;
+  }
+
+  /** Previous inspector rows: "store|key" -> { digest, lastModified }. */
+  function readPrevious_(sh) {
+    const prev = {};
+    if (sh.getLastRow() < 2) return prev;
+    sh.getRange(2, 1, sh.getLastRow() - 1, HEADERS.length).getValues().forEach(r => {
+      prev[`${r[0]}|${r[1]}`] = { lastModified: r[7], digest: r[8] };
+    });
+    return prev;
+  }
+
+  /**
+   * Writes one row per property (both stores) to Property_Inspector, largest first.
+   * @returns {Object<string, {bytes:number, keys:number, unregistered:number, badShape:number}>} per-store totals
+   */
+  function inspect(ss) {
+    ss = ss || SpreadsheetApp.getActiveSpreadsheet();
+    const sh = getOrCreateSheet(ss, SHEET, HEADERS);
+    const prev = readPrevious_(sh);
+    const now = new Date();
+    const rows = [];
+    const totals = {};
+
+    Object.keys(STORES).forEach(store => {
+      const all = STORES[store]().getProperties();
+      const t = totals[store] = { bytes: 0, keys: 0, unregistered: 0, badShape: 0 };
+
+      Object.keys(all).forEach(key => {
+        const value = all[key];
+        const fam = classify(key, store);
+        const size = bytes_(key) + bytes_(value);
+        const isShard = key.endsWith(CHUNK_META) || (fam && fam.sharded && CHUNK_PART_RE.test(key));
+        const ok = !fam || isShard || shapeOk_(fam.shape, value);
+        const digest = digest_(value);
+        const before = prev[`${store}|${key}`];
+        const lastModified = (before && before.digest === digest && before.lastModified) ? before.lastModified : now;
+
+        t.bytes += size;
+        t.keys++;
+        if (!fam) t.unregistered++;
+        if (!ok) t.badShape++;
+        rows.push([store, key, size, fam ? fam.owner : '', fam ? fam.family : 'unregistered',
+          fam ? (isShard ? 'shard' : fam.shape) : '', ok, lastModified, digest]);
+      });
+    });
+
+    rows.sort((a, b) => b[2] - a[2]);
+    const last = sh.getLastRow();
+    if (last > 1) sh.getRange(2, 1, last - 1, HEADERS.length).clearContent();
+    if (rows.length > 0) {
+      if (sh.getMaxRows() < rows.length + 1) sh.insertRowsAfter(sh.getMaxRows(), rows.length + 1 - sh.getMaxRows());
+      sh.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    }
+
+    Object.keys(totals).forEach(store => {
+      const t = totals[store];
+      const pct = Math.round(100 * t.bytes / QUOTA_BYTES);
+      const msg = `${store}: ${t.keys} keys, ${t.bytes} bytes (${pct}% of quota), ${t.unregistered} unregistered, ${t.badShape} bad shape.`;
+      if (t.bytes > QUOTA_BYTES * PRESSURE_RATIO) LOG.warn(msg); else LOG.info(msg);
+    });
+    return totals;
+  }
+
+  /**
+   * Deletes orphaned chunk sets in both stores, plus unregistered keys when
+   * opts.deleteUnknown (or PROPERTY_GC_DELETE_UNKNOWN = TRUE).
+   * @param {{dryRun?: boolean, deleteUnknown?: boolean}} [opts]
+   * @returns {{orphans: Array<string>, unknown: Array<string>, deleted: number, freedBytes: number}}
+   */
+  function gc(opts = {}) {
+    const deleteUnknown = opts.deleteUnknown !== undefined
+      ? !!opts.deleteUnknown
+      : String(PropertiesService.getScriptProperties().getProperty(PROP_DELETE_UNKNOWN) || '').toUpperCase() === 'TRUE';
+    const result = { orphans: [], unknown: [], deleted: 0, freedBytes: 0 };
+
+    Object.keys(STORES).forEach(store => {
+      const props = STORES[store]();
+      const all = props.getProperties();
+      const orphans = findOrphanChunks_(all, store);
+      const unknown = Object.keys(all).filter(k => orphans.indexOf(k) === -1 && !classify(k, store));
+
+      const doomed = orphans.concat(deleteUnknown ? unknown : []);
+      result.orphans.push(...orphans.map(k => `${store}:${k}`));
+      result.unknown.push(...unknown.map(k => `${store}:${k}`));
+      if (opts.dryRun) return;
+
+      doomed.forEach(k => {
+        result.freedBytes += bytes_(k) + bytes_(all[k]);
+        props.deleteProperty(k);
+        result.deleted++;
+      });
+    });
+
+    LOG.info(`GC${opts.dryRun ? ' (dry run)' : ''}: ${result.orphans.length} orphan chunks, ${result.unknown.length} unregistered keys` +
+      `${deleteUnknown ? '' : ' (kept)'}; deleted ${result.deleted}, freed ${result.freedBytes} bytes.`);
+    return result;
+  }
+
+  /** @returns {Array<Object>} Registered families (copy). */
+  function list() {
+    return FAMILIES.map(f => Object.assign({}, f));
+  }
+
+  return {
+    SHEET, QUOTA_BYTES,
+    classify, list, inspect, gc
+  };
+})();
+
+/** Menu / manual entry point: refresh the Property_Inspector sheet. */
+function inspectProperties() {
+  return PropertyRegistry.inspect();
+}
+
+/** Maintenance entry point: orphan-chunk GC, then a fresh inspector snapshot. */
+function collectPropertyGarbage() {
+  const res = PropertyRegistry.gc();
+  PropertyRegistry.inspect();
+  return res.deleted;
+}
@@ -0,0 +1,187 @@
+/* global SpreadsheetApp, LoggerEx, LotCost, DryRun, ML, PT, getOrCreateSheet, _getColIndexMap, _getNamedOr_, _getSdeNameMap */
+
+/**
+ * RealizedPnL — What each sale actually earned: Sales_Ledger revenue against the cost basis at the time of sale.
+ *
+ * COGS comes from the LotCost replay (LOT_COST_METHOD), so a sale is charged the lots it drew, not today's average.
+ * Quantity sold with no lot left to draw from is costed at the Blended_Cost average and reported as uncovered_qty.
+ *
+ * Revenue and fees per Sales_Ledger row:
+ *   unit_value > unit_value_filled   Gross and net both known (processInternalBuffer): fees = the difference.
+ *   source SALE (contracts)          unit_value_filled is the price share; no fees.
+ *   anything else (market sells)     unit_value_filled is gross; fees estimated at TAX_RATE + FEE_RATE.
+ * Buffer rows carry the buyer ID in type_id; they have no item, group or cost and land under '(unitemized)'.
+ * Sales moved to Sales_Ledger_Archive by an ML prune are read back through LotCost, so months before the cutoff
+ * stay reported. CARRY_FORWARD rows (used only when an archive sheet is missing) consume lots but are not reported.
+ *
+ * Realized_PnL (rebuilt each run) holds one block per dimension: type, group, char, month and type_month.
+ */
+var RealizedPnL = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('REALIZED_PNL') : console;
+
+  const SHEET = 'Realized_PnL';
+  const HEADERS = ['dimension', 'key', 'name', 'qty', 'revenue', 'cogs', 'fees', 'gross_margin', 'margin_pct', 'uncovered_qty'];
+  const DIMENSION = { TOTAL: 'total', TYPE: 'type', GROUP: 'group', CHAR: 'char', MONTH: 'month', TYPE_MONTH: 'type_month' };
+
+  const SALES_LEDGER = 'Sales_Ledger';
+  const CONTRACT_SALE_SOURCE = 'SALE';
+  const UNITEMIZED = '(unitemized)';
+
+  /** type_id -> { name, groupId }, groupId -> groupName, from the SDE sheets. */
+  function readSde_(ss) {
+    const names = _getSdeNameMap(ss);
+    const groupOf = new Map();
+    const groupNames = new Map();
+
+    const read = (sheetName, cols, fn) => {
+      const sh = ss.getSheetByName(sheetName);
+      if (!sh || sh.getLastRow() < 2) return;
+      try {
+        const values = sh.getDataRange().getValues();
+        const col = _getColIndexMap(values[0], cols);
+        values.slice(1).forEach(r => fn(r, col));
+      } catch (e) {
+        LOG.warn(`${sheetName}: ${e.message}`);
+      }
+    };
+    read('SDE_invTypes', ['typeID', 'groupID'], (r, col) => groupOf.set(Number(r[col.typeID]), Number(r[col.groupID])));
+    read('SDE_invGroups', ['groupID', 'groupName'], (r, col) => groupNames.set(Number(r[col.groupID]), r[col.groupName]));
+    return { names, groupOf, groupNames };
+  }
+
+  /** Blended_Cost as type_id -> unit_weighted_average (fallback for uncovered quantity). */
+  function readBlended_(ss) {
+    const out = new Map();
+    const sh = ss.getSheetByName('Blended_Cost');
+    if (!sh || sh.getLastRow() < 2) return out;
+    try {
+      const values = sh.getDataRange().getValues();
+      const col = _getColIndexMap(values[0], ['type_id', 'unit_weighted_average']);
+      values.slice(1).forEach(r => {
+        const cost = Number(r[col.unit_weighted_average]);
+        if (cost > 0) out.set(Number(r[col.type_id]), cost);
+      });
+    } catch (e) {
+      LOG.warn(`Blended_Cost: ${e.message}`);
+    }
+    return out;
+  }
+
+  function monthOf_(ms) {
+    if (!ms) return 'unknown';
+    const d = new Date(ms);
+    return (typeof PT !== 'undefined' && PT.yyyymmdd) ? PT.yyyymmdd(d).slice(0, 7) : d.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Prices every Sales_Ledger outflow in the LotCost replay.
+   * @returns {Array<{type_id:number, char:string, month:string, qty:number, revenue:number, cogs:number, fees:number, uncoveredQty:number}>}
+   */
+  function lines_(ss, opts) {
+    const res = LotCost.build(ss, { method: opts.method });
+    const blended = readBlended_(ss);
+    const sellFeeRate = Number(_getNamedOr_('TAX_RATE', 0.075)) + Number(_getNamedOr_('FEE_RATE', 0.03));
+
+    return res.consumptions
+      .filter(c => c.outflow.ledger === SALES_LEDGER && c.outflow.source !== ML.CARRY_SOURCE)
+      .map(c => {
+        const e = c.outflow;
+        const qty = -e.qty;
+        let gross = e.unit;
+        let fees = 0;
+        if (e.unitValue > 0 && e.unitFilled > 0 && e.unitFilled < e.unitValue) {
+          fees = (e.unitValue - e.unitFilled) * qty;
+        } else if (e.source.toUpperCase() !== CONTRACT_SALE_SOURCE) {
+          gross = e.unitFilled || e.unitValue;
+          fees = gross * qty * sellFeeRate;
+        }
+        const drawn = c.draws.reduce((s, d) => s + d.qty * d.lot.unit, 0);
+        return {
+          type_id: e.type_id, char: e.char || '', month: monthOf_(e.ms), qty: qty,
+          revenue: gross * qty, cogs: drawn + c.uncoveredQty * (blended.get(e.type_id) || 0),
+          fees: fees, uncoveredQty: c.uncoveredQty
+        };
+      });
+  }
+
+  const round2_ = n => Math.round(n * 100) / 100;
+
+  function toRows_(lines, sde) {
+    const buckets = new Map(); // dimension|key -> totals
+    const add = (dimension, key, name, l) => {
+      const k = `${dimension}|${key}`;
+      if (!buckets.has(k)) buckets.set(k, { dimension, key, name, qty: 0, revenue: 0, cogs: 0, fees: 0, uncoveredQty: 0 });
+      const b = buckets.get(k);
+      b.qty += l.qty;
+      b.revenue += l.revenue;
+      b.cogs += l.cogs;
+      b.fees += l.fees;
+      b.uncoveredQty += l.uncoveredQty;
+    };
+
+    lines.forEach(l => {
+      const itemName = sde.names.get(l.type_id);
+      const typeKey = itemName ? l.type_id : UNITEMIZED;
+      const groupId = itemName ? sde.groupOf.get(l.type_id) : null;
+      add(DIMENSION.TOTAL, 'all', '', l);
+      add(DIMENSION.TYPE, typeKey, itemName || '', l);
+      add(DIMENSION.GROUP, groupId || UNITEMIZED, groupId ? (sde.groupNames.get(groupId) || '') : '', l);
+      add(DIMENSION.CHAR, l.char || '(none)', '', l);
+      add(DIMENSION.MONTH, l.month, '', l);
+      add(DIMENSION.TYPE_MONTH, `${l.month}|${typeKey}`, itemName || '', l);
+    });
+
+    const order = Object.keys(DIMENSION).map(k => DIMENSION[k]);
+    return Array.from(buckets.values())
+      .sort((a, b) => order.indexOf(a.dimension) - order.indexOf(b.dimension) ||
+        (a.dimension === DIMENSION.MONTH || a.dimension === DIMENSION.TYPE_MONTH
+          ? String(b.key).localeCompare(String(a.key)) // newest month first
+          : b.revenue - a.revenue))
+      .map(b => {
+        const margin = b.revenue - b.cogs - b.fees;
+        return [b.dimension, b.key, b.name, b.qty, round2_(b.revenue), round2_(b.cogs), round2_(b.fees), round2_(margin),
+          b.revenue > 0 ? Math.round(margin / b.revenue * 10000) / 10000 : '', b.uncoveredQty];
+      });
+  }
+
+  /**
+   * Rebuilds Realized_PnL.
+   * @param {Spreadsheet} [ss]
+   * @param {{method?: string, dryRun?: boolean}} [opts] method overrides LOT_COST_METHOD.
+   * @returns {{sales:number, revenue:number, grossMargin:number, rows:number}}
+   */
+  function generate(ss, opts = {}) {
+    if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+    const lines = lines_(ss, opts);
+    const rows = toRows_(lines, readSde_(ss));
+    const total = rows.find(r => r[0] === DIMENSION.TOTAL) || [];
+    const result = { sales: lines.length, revenue: total[4] || 0, grossMargin: total[7] || 0, rows: rows.length };
+
+    const sh = getOrCreateSheet(ss, SHEET, HEADERS);
+    if (DryRun.active(opts)) {
+      DryRun.report(ss, SHEET, { before: DryRun.readBlock(sh, 2, 1, HEADERS.length, [0, 1]), after: rows, keyCols: [0, 1], headers: HEADERS });
+      return result;
+    }
+
+    const last = sh.getLastRow();
+    if (last > 1) sh.getRange(2, 1, last - 1, HEADERS.length).clearContent();
+    if (rows.length > 0) {
+      if (sh.getMaxRows() < rows.length + 1) sh.insertRowsAfter(sh.getMaxRows(), rows.length + 1 - sh.getMaxRows());
+      sh.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    }
+    LOG.info(`${lines.length} sales: revenue ${result.revenue}, gross margin ${result.grossMargin}.`);
+    return result;
+  }
+
+  return {
+    SHEET, DIMENSION,
+    generate
+  };
+})();
+
+/** Menu / maintenance entry point: rebuild Realized_PnL from Sales_Ledger and the lot replay. */
+function generateRealizedPnL() {
+  return RealizedPnL.generate().rows;
+}
@@ -4,6 +4,9 @@
 /**
  * SDE_Job_Controller.gs
  * Stateful, multi-step SDE import job resilient to execution limits.
+ * Runs as a PhasedJob (SETUP -> PAGES -> FINALIZE): the page list, page index and row cursor live in
+ * its checkpoint. SDE_JOB_RUNNING stays the flag other modules read; SDE_BACKUP_SETTINGS holds the
+ * Utility switches until cleanup restores them, so FINALIZE can still run after the job died.
  */
 
 // --- Safely define global constants ---
@@ -13,6 +16,7 @@ if (typeof KEY_JOB_INDEX === 'undefined') { var KEY_JOB_INDEX = 'SDE_JOB_INDEX';
 if (typeof KEY_BACKUP_SETTINGS === 'undefined') { var KEY_BACKUP_SETTINGS = 'SDE_BACKUP_SETTINGS'; }
 if (typeof GLOBAL_STATE_KEY === 'undefined') { var GLOBAL_STATE_KEY = 'GLOBAL_SYSTEM_STATE'; }
 if (typeof KEY_JOB_CHUNK_INDEX === 'undefined') { var KEY_JOB_CHUNK_INDEX = 'SDE_JOB_CHUNK_INDEX'; }
+if (typeof SDE_MAINTENANCE_TTL_MIN === 'undefined') { var SDE_MAINTENANCE_TTL_MIN = 180; } // extended while sde_job_PROCESS is scheduled
 
 var SS;
 function getSS() {
@@ -36,10 +40,9 @@ const sdeLib = () => {
       console.timeEnd("downloadTextData( csvFile:" + csvFile + " )");
       return csvContent.trim().replace(/\n$/, "");
     } catch (e) {
-      // --- ABORT ON ERROR: Quota/Limit Detection ---
+      // --- ABORT ON ERROR: Quota/Limit Detection (the PAGES phase aborts the job on it) ---
       if (e.message.includes('too many times') || e.message.includes('limit exceeded')) {
         console.error("CRITICAL: SDE Download hit Google Quota. Shutting down SDE Job.");
-        sde_job_KILL_ALL_TRIGGERS(); // Hard stop
       }
       throw e; 
     }
@@ -151,7 +154,8 @@ const sdeLib = () => {
     }
   }
 
-  const buildSDEs = (sdePage, scriptStartTime) => {
+  /** cursor.row: next CSV row to write (0 = clear the sheet first); saved in the job checkpoint between runs. */
+  const buildSDEs = (sdePage, scriptStartTime, cursor) => {
     if (sdePage == null) throw "sdePage is required";
     const activeSpreadsheet = getSS();
 
@@ -161,7 +165,7 @@ const sdeLib = () => {
     if (!csvData || csvData.length < 1) return true;
 
     const numCols = csvData[0].length;
-    let currentRow = parseInt(SCRIPT_PROPS.getProperty(KEY_JOB_CHUNK_INDEX) || '0', 10);
+    let currentRow = cursor.row || 0;
     let finalSheetReference;
 
     if (currentRow === 0) {
@@ -174,7 +178,7 @@ const sdeLib = () => {
     while (currentRow < csvData.length) {
       // 285000ms = 4.75 minutes (Safety margin for 6-minute limit)
       if ((new Date().getTime() - scriptStartTime) > 285000) {
-        SCRIPT_PROPS.setProperty(KEY_JOB_CHUNK_INDEX, currentRow.toString());
+        cursor.row = currentRow;
         return false;
       }
 
@@ -192,7 +196,7 @@ const sdeLib = () => {
 
     // --- Final Trimming ---
     // This runs only when the loop completes successfully
-    SCRIPT_PROPS.setProperty(KEY_JOB_CHUNK_INDEX, '0');
+    cursor.row = 0;
 
     const maxCols = finalSheetReference.getMaxColumns();
     const maxRows = finalSheetReference.getMaxRows();
@@ -237,9 +241,171 @@ function _deleteTriggersFor(functionName) {
   }
 }
 
+/** Utility switches that hold formulas off while the SDE sheets are rewritten. */
+function _sdeUtilityRange() {
+  let utilConf = { sheetName: "Utility", range: "B3:C3" }; // Default Fallback
+  if (typeof GET_UTILITY_CONFIG === 'function') {
+    utilConf = GET_UTILITY_CONFIG();
+  }
+  return getSS().getRange(`'${utilConf.sheetName}'!${utilConf.range}`);
+}
+
+/** SDE page list from GET_SDE_CONFIG (Main.js), as plain SdePage objects for the checkpoint. */
+function _sdeLoadPages() {
+  const { SdePage } = sdeLib();
+  let configRaw = [];
+
+  // 1. Check if the active project has a specific config function
+  if (typeof GET_SDE_CONFIG === 'function') {
+    console.log('START: Loading project-specific SDE configuration.');
+    configRaw = GET_SDE_CONFIG();
+  } else {
+    // 2. Fallback Default (If you forget to add the config to Main.js)
+    console.warn('START: No GET_SDE_CONFIG found. Using DEFAULT fallback list.');
+    configRaw = [
+      { name: "SDE_invTypes", file: "invTypes.csv", cols: ["typeID", "groupID", "typeName", "volume", "marketGroupID", "basePrice"] },
+      { name: "SDE_invGroups", file: "invGroups.csv", cols: null },
+    ];
+  }
+
+  // 3. Convert JSON Config to SdePage Objects
+  const sdePages = configRaw.map(item => new SdePage(item.name, item.file, item.cols));
+
+  if (sdePages.length === 0) {
+    throw new Error("SDE Config is empty! Check GET_SDE_CONFIG in Main.js");
+  }
+  return JSON.parse(JSON.stringify(sdePages));
+}
+
+/**
+ * Restores the Utility switches, exits maintenance, runs ON_SDE_COMPLETE and clears the SDE flags.
+ * Shared by the FINALIZE phase and by reset (abort, sde_job_FINALIZE, sde_job_KILL_ALL_TRIGGERS).
+ */
+function _sdeCleanup() {
+  // 1. Release formula lock
+  const backupSettingsJSON = SCRIPT_PROPS.getProperty(KEY_BACKUP_SETTINGS);
+  if (backupSettingsJSON) {
+    const loadingHelper = _sdeUtilityRange();
+    loadingHelper.setValues(JSON.parse(backupSettingsJSON));
+    Logger.log(`FINALIZE: Restored formula settings to ${loadingHelper.getSheet().getName()}!${loadingHelper.getA1Notation()}.`);
+  }
+
+  // 2. Clear Maintenance Flag (WITHOUT restarting Orchestrator; ON_SDE_COMPLETE does that)
+  if (typeof Maintenance !== 'undefined') {
+    Maintenance.exit('SDE update finalized');
+  } else {
+    SCRIPT_PROPS.setProperty(GLOBAL_STATE_KEY, 'RUNNING');
+  }
+  Logger.log('FINALIZE: System state set to RUNNING.');
+
+  tryCallHook('ON_SDE_COMPLETE');
+
+  // 3. Clear the flags (plus the pre-PhasedJob cursor keys a job started before the upgrade left behind)
+  [KEY_JOB_RUNNING, KEY_BACKUP_SETTINGS, KEY_JOB_LIST, KEY_JOB_INDEX, KEY_JOB_CHUNK_INDEX, 'finalizationStep']
+    .forEach(k => SCRIPT_PROPS.deleteProperty(k));
+  Logger.log('FINALIZE: All state properties cleared. Cleanup complete.');
+}
+
+var sdeJob_ = null;
+/** The SDE import as a PhasedJob. Checkpoint: { pages, index, row }. */
+function _sdeJob() {
+  if (sdeJob_) return sdeJob_;
+  sdeJob_ = PhasedJob.define({
+    name: 'SDE',
+    trigger: 'sde_job_PROCESS',
+    ownsMaintenance: true,     // the job enters MAINTENANCE in SETUP and keeps it until cleanup
+    resumeDelayMs: 2000,
+    lockWaitMs: 5000,
+    lockRetryDelayMs: 30000,
+    onReset: () => _sdeCleanup(),
+    phases: [
+      {
+        // Formulas off, maintenance on, page list into the checkpoint
+        name: 'SETUP',
+        run: (ctx) => {
+          const loadingHelper = _sdeUtilityRange();
+          // Capture current values to restore later
+          const backupSettings = loadingHelper.getValues();
+          SCRIPT_PROPS.setProperty(KEY_BACKUP_SETTINGS, JSON.stringify(backupSettings));
+
+          // Create a zero-filled array matching the range size (Dynamic "Off" Switch)
+          loadingHelper.setValues(backupSettings.map(r => r.map(() => 0)));
+          SpreadsheetApp.flush();
+
+          // --- Setting MAINTENANCE FLAG (Maintenance.js adds reason + expiry when present) ---
+          console.log('START: Setting system to MAINTENANCE mode.');
+          if (typeof Maintenance !== 'undefined') {
+            Maintenance.enter('SDE update', SDE_MAINTENANCE_TTL_MIN, { source: Maintenance.SOURCE.SDE });
+          } else {
+            SCRIPT_PROPS.setProperty(GLOBAL_STATE_KEY, 'MAINTENANCE');
+          }
+
+          ctx.checkpoint.pages = _sdeLoadPages();
+          ctx.checkpoint.index = 0;
+          ctx.checkpoint.row = 0;
+          Logger.log(`START: Saved ${ctx.checkpoint.pages.length} pages. Creating trigger for sde_job_PROCESS.`);
+          return ctx.next('PAGES', 5000);
+        }
+      },
+      {
+        // One page (or one time-boxed slice of it) per execution
+        name: 'PAGES',
+        run: (ctx) => {
+          const cp = ctx.checkpoint;
+          if (!cp.pages || cp.index >= cp.pages.length) {
+            Logger.log('PROCESS: Index reached end of list. Finalizing.');
+            return ctx.next('FINALIZE');
+          }
+
+          const SDE = sdeLib();
+          const currentJob = cp.pages[cp.index];
+          // Reconstruct the SdePage object from the plain JSON
+          const sdePage = new SDE.SdePage(currentJob.sheet, currentJob.csvFile, currentJob.headers, currentJob.backupRanges, currentJob.publishedOnly);
+          Logger.log(`PROCESS: Running Job ${cp.index + 1} of ${cp.pages.length}: ${currentJob.sheet}`);
+
+          try {
+            // RUN THE ACTUAL FILE TRANSFER (handles chunking/pausing internally)
+            if (SDE.buildSDEs(sdePage, ctx.startMs, cp)) {
+              Logger.log(`PROCESS: Finished job ${currentJob.sheet}. Scheduling next job.`);
+              cp.index++;
+            } else {
+              // Hit the time limit: buildSDEs saved the row cursor, re-run this same page
+              Logger.log(`PROCESS: Pausing job ${currentJob.sheet}. Re-scheduling to resume.`);
+            }
+            return ctx.retry();
+          } catch (e) {
+            const errorMessage = String(e.message || e).toLowerCase();
+
+            // Quota: stop the loop now rather than burn more fetches
+            if (errorMessage.includes("too many times") || errorMessage.includes("limit exceeded")) {
+              return ctx.abort(`Quota reached on ${currentJob.sheet}`);
+            }
+            // Fatal errors that should NOT resume
+            if (errorMessage.includes("csvtoarray") || errorMessage.includes("not found") || errorMessage.includes("critical")) {
+              return ctx.abort(`Fatal error on ${currentJob.sheet}: ${e.message}`);
+            }
+            // Assume it's a temporary timeout (like a network hiccup), re-trigger to attempt resume.
+            Logger.log(`RESUMABLE ERROR in sde_job_PROCESS (Job ${cp.index}): ${e.message}. Re-triggering to attempt resume.`);
+            return ctx.retry(10000);
+          }
+        }
+      },
+      {
+        name: 'FINALIZE',
+        run: (ctx) => {
+          console.log('--- SDE JOB FINALIZE STARTED (Silent Mode) ---');
+          _sdeCleanup();
+          return ctx.complete();
+        }
+      }
+    ]
+  });
+  return sdeJob_;
+}
+
 /**
  * STAGE 1: START (Called by user)
- * Updated: Orchestrator trigger logic removed.
+ * Runs the hook, takes the script lock and hands over to the SDE PhasedJob (SETUP schedules PROCESS).
  */
 function sde_job_START() {
   console.log('--- SDE JOB START INITIATED (Silent Mode) ---');
@@ -248,6 +414,13 @@ function sde_job_START() {
     Logger.log('START: Job already running. Aborting new request.');
     return;
   }
+
+  const blackoutWindow = ScheduleWindows.blackout('sde_job_START');
+  if (blackoutWindow) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `Inside the ${blackoutWindow.name} window until ${blackoutWindow.end.toLocaleTimeString()}. Start the SDE update after it.`, "System", 8);
+    return;
+  }
   // 1. RUN THE HOOK FIRST (Before locking anything)
   const shouldContinue = tryCallHook('ON_SDE_START');
 
@@ -257,7 +430,7 @@ function sde_job_START() {
     return; // STOP EVERYTHING
   }
 
-  // --- Robust Lock Handling ---
+  // --- Robust Lock Handling (PhasedJob reuses the lock held here) ---
   const lock = LockService.getScriptLock();
   let lockAcquired = false;
   try {
@@ -267,64 +440,13 @@ function sde_job_START() {
     console.log('START: ScriptLock acquired.');
 
     SCRIPT_PROPS.setProperty(KEY_JOB_RUNNING, 'true');
-
-    // --- DYNAMIC UTILITY CONFIG ---
-    let utilConf = { sheetName: "Utility", range: "B3:C3" }; // Default Fallback
-    if (typeof GET_UTILITY_CONFIG === 'function') {
-      utilConf = GET_UTILITY_CONFIG();
-    }
-
-    // Halt Formulas
-    const ss = getSS();
-    const loadingHelper = ss.getRange(`'${utilConf.sheetName}'!${utilConf.range}`);
-
-    // Capture current values to restore later
-    const backupSettings = loadingHelper.getValues();
-    SCRIPT_PROPS.setProperty(KEY_BACKUP_SETTINGS, JSON.stringify(backupSettings));
-
-    // Create a zero-filled array matching the range size (Dynamic "Off" Switch)
-    const zeroValues = backupSettings.map(r => r.map(() => 0));
-    loadingHelper.setValues(zeroValues);
-    SpreadsheetApp.flush();
-
-    // --- Setting MAINTENANCE FLAG (Optional: Keep if other tools use it, otherwise safe to remove) ---
-    console.log('START: Setting system to MAINTENANCE mode.');
-    SCRIPT_PROPS.setProperty(GLOBAL_STATE_KEY, 'MAINTENANCE');
-
-
-
-    // --- DYNAMIC CONFIGURATION LOADER ---
-    const { SdePage } = sdeLib();
-    let configRaw = [];
-
-    // 1. Check if the active project has a specific config function
-    if (typeof GET_SDE_CONFIG === 'function') {
-      console.log('START: Loading project-specific SDE configuration.');
-      configRaw = GET_SDE_CONFIG();
-    } else {
-      // 2. Fallback Default (If you forget to add the config to Main.js)
-      console.warn('START: No GET_SDE_CONFIG found. Using DEFAULT fallback list.');
-      configRaw = [
-        { name: "SDE_invTypes", file: "invTypes.csv", cols: ["typeID", "groupID", "typeName", "volume", "marketGroupID", "basePrice"] },
-        { name: "SDE_invGroups", file: "invGroups.csv", cols: null },
-      ];
-    }
-
-    // 3. Convert JSON Config to SdePage Objects
-    const sdePages = configRaw.map(item => new SdePage(item.name, item.file, item.cols));
-
-    if (sdePages.length === 0) {
-      throw new Error("SDE Config is empty! Check GET_SDE_CONFIG in Main.js");
+    const res = _sdeJob().run();
+    if (res.status === PhasedJob.STATUS.WAITING) {
+      // SETUP threw: undo whatever it got to (switches, maintenance, flag) instead of leaving the flag stuck
+      Logger.log(`ERROR in sde_job_START: ${res.error || 'setup failed'}. Resetting.`);
+      _sdeJob().reset(res.error || 'setup failed');
     }
 
-    // Save State & Start First Trigger
-    SCRIPT_PROPS.setProperty(KEY_JOB_LIST, JSON.stringify(sdePages));
-    SCRIPT_PROPS.setProperty(KEY_JOB_INDEX, '0');
-    SCRIPT_PROPS.setProperty(KEY_JOB_CHUNK_INDEX, '0');
-    _deleteTriggersFor('sde_job_PROCESS');
-    Logger.log(`START: Saved ${sdePages.length} pages. Creating trigger for sde_job_PROCESS.`);
-    ScriptApp.newTrigger('sde_job_PROCESS').timeBased().after(5000).create();
-
   } catch (e) {
     if (!lockAcquired) {
       console.error(`START: Failed to acquire ScriptLock. Another process is running. Aborting. ${e.message}`);
@@ -359,128 +481,31 @@ function tryCallHook(functionName) {
 }
 
 /**
- * Hard abort for emergency quota saving.
- * Must be a top-level function to be visible to the PROCESS catch block.
+ * Hard abort for emergency quota saving: purges the sde_job_PROCESS trigger and the job state without
+ * waiting for the script lock, then runs the same cleanup as FINALIZE.
  */
 function sde_job_KILL_ALL_TRIGGERS() {
-  const SCRIPT_PROPS = PropertiesService.getScriptProperties();
-  
-  // 1. Delete the repeating SDE trigger to stop the loop
-  ScriptApp.getProjectTriggers().forEach(t => {
-    if (t.getHandlerFunction() === 'sde_job_PROCESS') {
-      ScriptApp.deleteTrigger(t);
-    }
-  });
-  
-  // 2. Clear the running flag so other workers know the job is dead
-  SCRIPT_PROPS.deleteProperty('SDE_JOB_RUNNING');
-  
-  console.error("SYSTEM: Emergency Shutdown. SDE triggers purged due to Quota exhaustion.");
+  _sdeJob().reset('Emergency shutdown');
+  console.error("SYSTEM: Emergency Shutdown. SDE triggers purged.");
 }
 
 /**
  * STAGE 2: PROCESS (Run by a trigger)
- * Checks return value of buildSDEs for resume/advance logic.
- * Includes resilience fix for API timeouts.
+ * Resumes the SDE PhasedJob; lock contention, time limits and downtime re-trigger it.
  */
 function sde_job_PROCESS() {
-  const SCRIPT_START_TIME = new Date().getTime(); // Pass this to buildSDEs for timeout check
-
-  if (SCRIPT_PROPS.getProperty(KEY_JOB_RUNNING) !== 'true') {
+  if (!isSdeJobRunning()) {
     Logger.log('PROCESS: Job flag cleared (cancelled). Aborting trigger.');
-    return;
-  }
-
-  // --- ScriptLock acquisition (prevents concurrent PROCESS executions) ---
-  const lock = LockService.getScriptLock();
-  try {
-    console.log('PROCESS: Attempting to acquire ScriptLock (max wait 5s)...');
-    if (!lock.tryLock(5000)) {
-      Logger.log('PROCESS: Lock contention. Re-triggering for later attempt.');
-      _deleteTriggersFor('sde_job_PROCESS');
-      ScriptApp.newTrigger('sde_job_PROCESS').timeBased().after(30000).create();
-      Logger.log('PROCESS: Created new trigger to retry in 30 seconds.');
-      return;
-    }
-    console.log('PROCESS: ScriptLock acquired.');
-  } catch (e) {
-    // This should only happen if tryLock itself fails unexpectedly (not contention)
-    Logger.log('PROCESS: Lock acquisition error. Re-triggering for later attempt.');
     _deleteTriggersFor('sde_job_PROCESS');
-    ScriptApp.newTrigger('sde_job_PROCESS').timeBased().after(30000).create();
     return;
   }
-  // --- END ScriptLock ---
-
-  let jobIndex = -1;
-  try {
-    const jobListJSON = SCRIPT_PROPS.getProperty(KEY_JOB_LIST);
-    const jobIndexStr = SCRIPT_PROPS.getProperty(KEY_JOB_INDEX);
-    const jobList = JSON.parse(jobListJSON);
-    jobIndex = parseInt(jobIndexStr, 10);
-
-    if (jobIndex >= jobList.length) {
-      Logger.log('PROCESS: Index reached end of list. Calling FINALIZE.');
-      sde_job_FINALIZE();
-      return;
-    }
-
-    const SDE = sdeLib();
-    const currentJob = jobList[jobIndex];
-    // Reconstruct the SdePage object from the plain JSON
-    const sdePage = new SDE.SdePage(currentJob.sheet, currentJob.csvFile, currentJob.headers, currentJob.backupRanges, currentJob.publishedOnly);
-
-    Logger.log(`PROCESS: Running Job ${jobIndex + 1} of ${jobList.length}: ${currentJob.sheet}`);
-
-    // RUN THE ACTUAL FILE TRANSFER (handles chunking/pausing internally)
-    const jobFinished = SDE.buildSDEs(sdePage, SCRIPT_START_TIME);
-
-    // Check return value
-    if (jobFinished === true) {
-      // Job is done, advance to next job
-      Logger.log(`PROCESS: Finished job ${currentJob.sheet}. Scheduling next job.`);
-      SCRIPT_PROPS.setProperty(KEY_JOB_INDEX, (jobIndex + 1).toString());
-    } else {
-      // Job is NOT done (hit time limit or lock contention on initial clear), re-run this same job
-      Logger.log(`PROCESS: Pausing job ${currentJob.sheet}. Re-scheduling to resume.`);
-      // Do not change jobIndex. buildSDEs already saved the chunkIndex.
-    }
-
-    // Re-trigger for the next step (either resume or new job)
-    _deleteTriggersFor('sde_job_PROCESS');
-    ScriptApp.newTrigger('sde_job_PROCESS').timeBased().after(2000).create();
-
-} catch (e) {
-    const errorMessage = e.message.toLowerCase();
-
-    // --- NEW: QUOTA CHECK ---
-    // If we hit the quota, we MUST kill all triggers immediately to stop the loop.
-    if (errorMessage.includes("too many times") || errorMessage.includes("limit exceeded")) {
-      console.error("ABORTING: Quota reached. Shutting down SDE Job.");
-      sde_job_KILL_ALL_TRIGGERS(); 
-      return; // Do not schedule any further triggers
-    }
-
-    // Check for fatal errors that should NOT resume
-    if (errorMessage.includes("csvtoarray") || errorMessage.includes("not found") || errorMessage.includes("critical")) {
-      Logger.log(`FATAL ERROR in sde_job_PROCESS (Job ${jobIndex}): ${e.message}. Calling FINALIZE to abort.`);
-      sde_job_FINALIZE(); 
-
-    } else {
-      // Assume it's a temporary timeout (like a network hiccup), re-trigger to attempt resume.
-      Logger.log(`RESUMABLE ERROR in sde_job_PROCESS (Job ${jobIndex}): ${e.message}. Re-triggering to attempt resume.`);
-      _deleteTriggersFor('sde_job_PROCESS');
-      ScriptApp.newTrigger('sde_job_PROCESS').timeBased().after(10000).create();
-    }
-  } finally {
-    lock.releaseLock();
-    console.log('PROCESS: Lock released.');
-  }
+  _sdeJob().resume();
 }
 
 
 /**
- * STAGE 3: FINALIZE (Called by user or by process)
+ * STAGE 3: FINALIZE (Called by user, or by Maintenance when the job died)
+ * Resets the SDE job: restores the Utility switches, exits maintenance and clears its state.
  */
 function sde_job_FINALIZE() {
   // --- Robust Lock Handling ---
@@ -493,38 +518,7 @@ function sde_job_FINALIZE() {
     console.log('FINALIZE: ScriptLock acquired.');
 
     console.log('--- SDE JOB FINALIZE STARTED (Silent Mode) ---');
-
-    // 1. Release formula lock
-    const backupSettingsJSON = SCRIPT_PROPS.getProperty(KEY_BACKUP_SETTINGS);
-    if (backupSettingsJSON) {
-      // Re-fetch config in case it changed (or just to get location)
-      let utilConf = { sheetName: "Utility", range: "B3:C3" };
-      if (typeof GET_UTILITY_CONFIG === 'function') {
-        utilConf = GET_UTILITY_CONFIG();
-      }
-
-      const backupSettings = JSON.parse(backupSettingsJSON);
-      const ss = getSS();
-      const loadingHelper = ss.getRange(`'${utilConf.sheetName}'!${utilConf.range}`);
-      loadingHelper.setValues(backupSettings);
-      Logger.log(`FINALIZE: Restored formula settings to ${utilConf.sheetName}!${utilConf.range}.`);
-    }
-
-    // 2. Clear Maintenance Flag (WITHOUT restarting Orchestrator)
-    SCRIPT_PROPS.setProperty(GLOBAL_STATE_KEY, 'RUNNING');
-    Logger.log('FINALIZE: System state set to RUNNING.');
-
-    tryCallHook('ON_SDE_COMPLETE');
-
-    // 3. Clear all state properties and triggers
-    SCRIPT_PROPS.deleteProperty(KEY_JOB_RUNNING);
-    SCRIPT_PROPS.deleteProperty(KEY_JOB_LIST);
-    SCRIPT_PROPS.deleteProperty(KEY_JOB_INDEX);
-    SCRIPT_PROPS.deleteProperty(KEY_JOB_CHUNK_INDEX);
-    SCRIPT_PROPS.deleteProperty(KEY_BACKUP_SETTINGS);
-    SCRIPT_PROPS.deleteProperty('finalizationStep');
-    _deleteTriggersFor('sde_job_PROCESS');
-    Logger.log('FINALIZE: All state properties and job triggers cleared. Cleanup complete.');
+    _sdeJob().reset('sde_job_FINALIZE');
 
   } catch (e) {
     if (!lockAcquired) {
@@ -538,4 +532,4 @@ function sde_job_FINALIZE() {
       console.log('--- SDE JOB FINALIZE COMPLETE ---');
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,170 @@
+/* global PropertiesService, ScriptApp, LoggerEx, PT, deleteTriggersByName */
+
+/**
+ * ScheduleWindows — Blackout windows every dispatcher respects.
+ * - downtime:  EVE daily downtime (11:00 UTC), padded before/after while ESI recovers.
+ * - quiet:     Optional user quiet hours in project-local time, e.g. "01:00-06:00; 22:30-23:30".
+ * Nothing ESI-bound is dispatched inside a window; in-flight jobs park and resume afterwards.
+ * Dispatchers (orchestrator, maintenance, recurring triggers) call blackout() and stand down: their next
+ * tick comes anyway. One-shot trigger handlers call deferTrigger(), which also re-creates their trigger
+ * just after the window, since nothing else would fire them again. PhasedJob gates every run/resume.
+ * Handlers that only touch local state (manual_FuzAPI_Reset, maintenanceExpiryCheck) are not gated.
+ * Leaving a window arms a catch-up pass: every enabled market profile that has not run since the
+ * window ended is treated as due (ahead of maintenance) until all of them have refreshed.
+ */
+var ScheduleWindows = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('SCHEDULE') : console;
+
+  // --- Script Property Keys (Config) ---
+  const PROP_DOWNTIME_ENABLED = 'SCHEDULE_DOWNTIME_ENABLED';
+  const PROP_DOWNTIME_UTC = 'SCHEDULE_DOWNTIME_UTC';
+  const PROP_DOWNTIME_BEFORE_MIN = 'SCHEDULE_DOWNTIME_BEFORE_MIN';
+  const PROP_DOWNTIME_AFTER_MIN = 'SCHEDULE_DOWNTIME_AFTER_MIN';
+  const PROP_QUIET_HOURS = 'SCHEDULE_QUIET_HOURS';
+  // --- Script Property Keys (State) ---
+  const PROP_CATCHUP_SINCE = 'SCHEDULE_CATCHUP_SINCE';
+
+  const DEFAULTS = {
+    downtimeEnabled: true,
+    downtimeUtc: '11:00',
+    downtimeBeforeMin: 5,   // don't start a fetch that would straddle the shutdown
+    downtimeAfterMin: 20    // ESI typically answers 5xx for a while after the server is back
+  };
+
+  const MIN_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MIN_MS;
+  const RESUME_PAD_MS = 2 * MIN_MS; // clear of the window edge and of the orchestrator tick that lands on it
+
+  function getConfig() {
+    const p = PropertiesService.getScriptProperties();
+    const num = (k, d) => {
+      const n = parseInt(p.getProperty(k) || '', 10);
+      return (isFinite(n) && n >= 0) ? n : d;
+    };
+    return {
+      downtimeEnabled: String(p.getProperty(PROP_DOWNTIME_ENABLED) || String(DEFAULTS.downtimeEnabled)).toUpperCase() !== 'FALSE',
+      downtimeUtc: PT.coerceHM(p.getProperty(PROP_DOWNTIME_UTC) || DEFAULTS.downtimeUtc),
+      downtimeBeforeMin: num(PROP_DOWNTIME_BEFORE_MIN, DEFAULTS.downtimeBeforeMin),
+      downtimeAfterMin: num(PROP_DOWNTIME_AFTER_MIN, DEFAULTS.downtimeAfterMin),
+      quietHours: parseQuietHours_(p.getProperty(PROP_QUIET_HOURS) || '')
+    };
+  }
+
+  /** "01:00-06:00; 22:30-23:30" -> [{from:{h,m}, to:{h,m}}]. Malformed entries are logged and dropped. */
+  function parseQuietHours_(raw) {
+    return String(raw).split(/[;,]/).map(s => s.trim()).filter(Boolean).map(s => {
+      const parts = s.split(/\s*-\s*/);
+      if (parts.length !== 2) {
+        LOG.warn(`Ignoring malformed quiet-hours entry '${s}' (expected HH:MM-HH:MM).`);
+        return null;
+      }
+      return { from: PT.coerceHM(parts[0]), to: PT.coerceHM(parts[1]) };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Concrete windows overlapping `nowMs`: today's and yesterday's occurrence of each
+   * (yesterday's covers quiet hours that wrap past midnight).
+   * @returns {Array<{name:string, start:Date, end:Date}>}
+   */
+  function windowsAround_(cfg, nowMs) {
+    const out = [];
+    [-1, 0].forEach(dayOffset => {
+      const ref = new Date(nowMs + dayOffset * DAY_MS);
+
+      if (cfg.downtimeEnabled) {
+        const dt = PT.utcHMToProjectToday(cfg.downtimeUtc, ref).getTime();
+        out.push({
+          name: 'downtime',
+          start: new Date(dt - cfg.downtimeBeforeMin * MIN_MS),
+          end: new Date(dt + cfg.downtimeAfterMin * MIN_MS)
+        });
+      }
+
+      cfg.quietHours.forEach(q => {
+        const start = PT.projectDate(ref.getFullYear(), ref.getMonth(), ref.getDate(), q.from.h, q.from.m);
+        const spanMin = ((q.to.h * 60 + q.to.m) - (q.from.h * 60 + q.from.m) + 1440) % 1440;
+        if (spanMin === 0) return;
+        out.push({ name: 'quiet', start: start, end: new Date(start.getTime() + spanMin * MIN_MS) });
+      });
+    });
+    return out;
+  }
+
+  /**
+   * The blackout window `nowMs` falls in, or null. Overlapping windows report the one ending last.
+   * @param {number} [nowMs]
+   * @returns {{name:string, start:Date, end:Date}|null}
+   */
+  function activeWindow(nowMs) {
+    nowMs = nowMs || Date.now();
+    let hit = null;
+    windowsAround_(getConfig(), nowMs).forEach(w => {
+      if (w.start.getTime() <= nowMs && nowMs < w.end.getTime()) {
+        if (!hit || w.end > hit.end) hit = w;
+      }
+    });
+    return hit;
+  }
+
+  /**
+   * Dispatcher gate. Inside a window it arms the post-window catch-up and returns the window;
+   * outside, returns null.
+   * @param {string} caller Used in the log line.
+   * @param {number} [nowMs]
+   */
+  function blackout(caller, nowMs) {
+    const w = activeWindow(nowMs);
+    if (!w) return null;
+
+    const props = PropertiesService.getScriptProperties();
+    const since = parseInt(props.getProperty(PROP_CATCHUP_SINCE) || '0', 10);
+    if (since < w.end.getTime()) props.setProperty(PROP_CATCHUP_SINCE, String(w.end.getTime()));
+
+    LOG.info(`${caller}: inside ${w.name} window until ${w.end.toISOString()}. Standing down.`);
+    return w;
+  }
+
+  /** Delay (ms) from `nowMs` to just after window `w`. */
+  function resumeDelayMs(w, nowMs) {
+    return Math.max(0, w.end.getTime() - (nowMs || Date.now())) + RESUME_PAD_MS;
+  }
+
+  /**
+   * One-shot trigger gate: blackout(), and inside a window replace `handler`'s pending trigger with one
+   * that fires just after it. Uses ScriptApp directly so jobs that run under maintenance (SDE) keep
+   * their trigger. Returns the window, or null outside one.
+   * @param {string} handler Global function name of the trigger being deferred.
+   * @param {number} [nowMs]
+   */
+  function deferTrigger(handler, nowMs) {
+    const w = blackout(handler, nowMs);
+    if (!w) return null;
+
+    const delayMs = resumeDelayMs(w, nowMs);
+    try {
+      deleteTriggersByName(handler);
+      ScriptApp.newTrigger(handler).timeBased().after(delayMs).create();
+      LOG.info(`${handler}: re-triggered for ${new Date(Date.now() + delayMs).toISOString()}.`);
+    } catch (e) {
+      LOG.error(`${handler}: could not re-trigger after ${w.name} window: ${e.message}`);
+    }
+    return w;
+  }
+
+  /** End of the last window a catch-up is pending for (ms), or 0 if none. */
+  function catchUpSince() {
+    return parseInt(PropertiesService.getScriptProperties().getProperty(PROP_CATCHUP_SINCE) || '0', 10);
+  }
+
+  function clearCatchUp() {
+    PropertiesService.getScriptProperties().deleteProperty(PROP_CATCHUP_SINCE);
+    LOG.info('Post-window catch-up complete.');
+  }
+
+  return {
+    getConfig, activeWindow, blackout, deferTrigger, resumeDelayMs, catchUpSince, clearCatchUp
+  };
+})();
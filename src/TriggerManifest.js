@@ -0,0 +1,185 @@
+/* global SpreadsheetApp, PropertiesService, LockService, ScriptApp, LoggerEx, getOrCreateSheet */
+
+/**
+ * TriggerManifest — Every clock trigger this project may own, and how many of each.
+ *   recurring  Installed schedules. Missing ones are recreated by reconcile() (while `active`).
+ *   one_shot   .after() retries/continuations created at runtime (scheduleOneTimeTrigger, PhasedJob,
+ *              the SDE controller). Never created here; only capped.
+ * reconcile() diffs the manifest against ScriptApp.getProjectTriggers(): undeclared handlers and
+ * copies beyond `max` are deleted, missing recurring triggers are installed, and the result is
+ * written to Trigger_Report. Changes are only made while this execution holds the script lock.
+ * Spreadsheet/installable event triggers are not clock triggers and are left alone.
+ *
+ * A new handler that creates its own trigger must be declared here, or the next reconcile removes it.
+ */
+var TriggerManifest = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('TRIGGERS') : console;
+
+  const REPORT_SHEET = 'Trigger_Report';
+  const REPORT_HEADERS = ['checked_at', 'handler', 'kind', 'allowed', 'found', 'action'];
+  const KIND = { RECURRING: 'recurring', ONE_SHOT: 'one_shot' };
+
+  const SDE_RUNNING_KEY = 'SDE_JOB_RUNNING'; // see SDE_Job_Controller
+
+  // min/max: how many clock triggers for the handler may exist. active(props) = false suspends `min`.
+  const MANIFEST = [
+    // --- Recurring ---
+    {
+      handler: 'masterOrchestrator', kind: KIND.RECURRING, min: 1, max: 1, schedule: { everyMinutes: 10 },
+      owner: 'Main.js _manageOrchestrator',
+      active: props => props.getProperty(SDE_RUNNING_KEY) !== 'true' // ON_SDE_START parks it on purpose
+    },
+    { handler: 'manual_FuzAPI_Reset', kind: KIND.RECURRING, min: 1, max: 1, schedule: { everyDays: 1, atHour: 5 }, owner: 'fuzAPI_combined.js setupDailyFuzReset' },
+    { handler: 'triggerLedgerImportCycle', kind: KIND.RECURRING, min: 0, max: 1, schedule: { everyHours: 1 }, owner: 'GESI Extentions.js (optional, installed by hand)' },
+
+    // --- One-shot ---
+    { handler: 'updateMarketDataSheet', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'Orchestrator.js' },
+    { handler: '_runRebuildContractUnitCostsWorker', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'GESI Extentions.js' },
+    { handler: 'runAllLedgerImports', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'GESI Extentions.js triggerLedgerImportCycle' },
+    { handler: 'cacheAllCorporateAssetsWorker', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'InventoryManager.js (PhasedJob)' },
+    { handler: 'sde_job_PROCESS', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'SDE_Job_Controller.gs.js' },
+    { handler: 'maintenanceExpiryCheck', kind: KIND.ONE_SHOT, min: 0, max: 1, owner: 'Maintenance.js' }
+  ].map(e => Object.assign({ active: () => true }, e));
+
+  const BY_HANDLER = new Map(MANIFEST.map(e => [e.handler, e]));
+
+  /** @returns {Array<Object>} Manifest entries in declaration order. */
+  function list() {
+    return MANIFEST.slice();
+  }
+
+  /**
+   * Creates the declared recurring trigger for `handler` (no dedup — callers delete first or use reconcile).
+   * @throws if the handler is not a declared recurring trigger.
+   */
+  function install(handler) {
+    const entry = BY_HANDLER.get(handler);
+    if (!entry || entry.kind !== KIND.RECURRING) throw new Error(`'${handler}' is not a recurring trigger in the manifest.`);
+
+    const s = entry.schedule;
+    let builder = ScriptApp.newTrigger(handler).timeBased();
+    if (s.everyMinutes) builder = builder.everyMinutes(s.everyMinutes);
+    if (s.everyHours) builder = builder.everyHours(s.everyHours);
+    if (s.everyDays) builder = builder.everyDays(s.everyDays);
+    if (s.atHour !== undefined) builder = builder.atHour(s.atHour);
+    builder.create();
+    LOG.info(`Installed recurring trigger for ${handler}.`);
+  }
+
+  function writeReport_(ss, rows, nowMs) {
+    const sh = getOrCreateSheet(ss, REPORT_SHEET, REPORT_HEADERS);
+    const last = sh.getLastRow();
+    if (last > 1) sh.getRange(2, 1, last - 1, REPORT_HEADERS.length).clearContent();
+    if (rows.length === 0) return;
+    const at = new Date(nowMs);
+    const values = rows.map(r => [at, r.handler, r.kind, r.allowed, r.found, r.action]);
+    if (sh.getMaxRows() < values.length + 1) sh.insertRowsAfter(sh.getMaxRows(), values.length + 1 - sh.getMaxRows());
+    sh.getRange(2, 1, values.length, REPORT_HEADERS.length).setValues(values);
+  }
+
+  /**
+   * Diffs installed clock triggers against the manifest and repairs the difference.
+   * @param {{dryRun?: boolean, ss?: Spreadsheet}} [opts] dryRun reports what would change.
+   * @returns {{created:number, removed:number, dryRun:boolean, rows:Array<Object>}}
+   */
+  function reconcile(opts = {}) {
+    const nowMs = Date.now();
+    const props = PropertiesService.getScriptProperties();
+
+    const lock = LockService.getScriptLock();
+    const ownsLock = !lock.hasLock() && lock.tryLock(0);
+    const dryRun = !!opts.dryRun || !lock.hasLock();
+    if (!opts.dryRun && dryRun) LOG.warn('Script lock busy: reporting only.');
+
+    const rows = [];
+    let created = 0;
+    let removed = 0;
+
+    try {
+      const byHandler = new Map();
+      ScriptApp.getProjectTriggers()
+        .filter(t => t.getEventType() === ScriptApp.EventType.CLOCK)
+        .forEach(t => {
+          const h = t.getHandlerFunction();
+          if (!byHandler.has(h)) byHandler.set(h, []);
+          byHandler.get(h).push(t);
+        });
+
+      const drop = (triggers) => {
+        if (dryRun) return triggers.length;
+        let n = 0;
+        triggers.forEach(t => {
+          try {
+            ScriptApp.deleteTrigger(t);
+            n++;
+          } catch (e) {
+            LOG.warn(`Could not delete trigger for ${t.getHandlerFunction()}: ${e.message}`);
+          }
+        });
+        return n;
+      };
+      const said = (done, planned) => dryRun ? `Would ${planned}` : done;
+
+      // Declared handlers
+      MANIFEST.forEach(entry => {
+        const found = byHandler.get(entry.handler) || [];
+        byHandler.delete(entry.handler);
+        const min = entry.active(props) ? entry.min : 0;
+        const row = { handler: entry.handler, kind: entry.kind, allowed: `${min}-${entry.max}`, found: found.length, action: 'ok' };
+
+        if (found.length > entry.max) {
+          const n = drop(found.slice(entry.max));
+          removed += n;
+          row.action = said(`Removed ${n} duplicate(s)`, `remove ${n} duplicate(s)`);
+        } else if (found.length < min) {
+          if (!dryRun) {
+            try {
+              for (let i = found.length; i < min; i++) install(entry.handler);
+              created += min - found.length;
+            } catch (e) {
+              row.action = `Create failed: ${e.message}`;
+              rows.push(row);
+              return;
+            }
+          }
+          row.action = said(`Created ${min - found.length}`, `create ${min - found.length}`);
+        } else if (min === 0 && entry.min > 0) {
+          row.action = 'ok (suspended)';
+        }
+        rows.push(row);
+      });
+
+      // Undeclared handlers
+      byHandler.forEach((found, handler) => {
+        const n = drop(found);
+        removed += n;
+        rows.push({ handler: handler, kind: 'undeclared', allowed: '0-0', found: found.length, action: said(`Removed ${n}`, `remove ${n}`) });
+      });
+    } finally {
+      if (ownsLock) lock.releaseLock();
+    }
+
+    try {
+      writeReport_(opts.ss || SpreadsheetApp.getActiveSpreadsheet(), rows, nowMs);
+    } catch (e) {
+      LOG.warn(`Could not write ${REPORT_SHEET}: ${e.message}`);
+    }
+
+    rows.filter(r => r.action !== 'ok' && r.action !== 'ok (suspended)').forEach(r => LOG.warn(`${r.handler}: ${r.action}`));
+    LOG.info(`Reconcile${dryRun ? ' (dry run)' : ''}: ${created} created, ${removed} removed.`);
+    return { created, removed, dryRun, rows };
+  }
+
+  return {
+    REPORT_SHEET, KIND,
+    list, install, reconcile
+  };
+})();
+
+/** Menu / maintenance entry point: bring installed clock triggers in line with the manifest. */
+function reconcileTriggers() {
+  const res = TriggerManifest.reconcile();
+  return res.created + res.removed;
+}
@@ -265,24 +265,7 @@ function atomicSwapAndFlush(ss, targetName, tempName, repairMap = null) {
     // 4. REWIRE NAMED RANGES (If map provided)
     // Since we overwrote the target sheet (kept ID), most ranges persist.
     // However, if the data size changed drastically, we might need to resize them.
-    if (repairMap && finalSheet) {
-      const lastRow = finalSheet.getLastRow();
-      const lastCol = finalSheet.getLastColumn();
-
-      for (const [rangeName, a1Ref] of Object.entries(repairMap)) {
-        try {
-          // Logic to set named range to the full data extent minus header (usually)
-          // Defaulting to "Full Sheet Data" logic if specific logic isn't passed
-          if (lastRow > 1) {
-            const range = finalSheet.getRange(1, 1, lastRow - 1, lastCol);
-            ss.setNamedRange(rangeName, range);
-            console.log(`[AtomicSwap] Updated Named Range '${rangeName}'`);
-          }
-        } catch (e) {
-          console.warn(`[AtomicSwap] Failed to update Named Range '${rangeName}': ${e.message}`);
-        }
-      }
-    }
+    if (repairMap && finalSheet) _repairNamedRanges_(ss, finalSheet, repairMap, 'AtomicSwap');
 
     // 5. CLEANUP Temp (Just Clear, Don't Delete)
     try {
@@ -301,6 +284,173 @@ function atomicSwapAndFlush(ss, targetName, tempName, repairMap = null) {
   }
 }
 
+/**
+ * Stretches each named range in the map over the sheet's current data extent.
+ * Shared by the full swap and the delta writer so both leave identical ranges behind.
+ */
+function _repairNamedRanges_(ss, sheet, repairMap, tag) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+
+  for (const [rangeName, a1Ref] of Object.entries(repairMap)) {
+    try {
+      // Logic to set named range to the full data extent minus header (usually)
+      // Defaulting to "Full Sheet Data" logic if specific logic isn't passed
+      if (lastRow > 1) {
+        const range = sheet.getRange(1, 1, lastRow - 1, lastCol);
+        ss.setNamedRange(rangeName, range);
+        console.log(`[${tag}] Updated Named Range '${rangeName}'`);
+      }
+    } catch (e) {
+      console.warn(`[${tag}] Failed to update Named Range '${rangeName}': ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Applies a keyed diff to a live sheet instead of rebuilding it.
+ * 1. Rows whose compared cells changed are rewritten (contiguous rows batched into one setValues).
+ * 2. Keys missing from the incoming set are deleted (bottom-up, contiguous runs batched).
+ * 3. New keys are appended at the bottom.
+ * Returns { fallback: true } whenever a full rebuild is the safer/cheaper option
+ * (missing sheet, header drift, duplicate keys, or too much churn).
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} targetName Live sheet (header in row 1).
+ * @param {Array<string>} headers Expected header row; must match the sheet exactly.
+ * @param {Array<Array>} rows Incoming data rows (no header).
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.keyColumns] Header names forming the row key.
+ * @param {Array<string>} [opts.ignoreColumns] Header names excluded from the change check.
+ * @param {number} [opts.maxChangeRatio] Touched rows / existing rows above which we fall back.
+ * @param {Object} [opts.repairMap] Named ranges to stretch afterwards (see atomicSwapAndFlush).
+ * @param {Function} [opts.beforeApply] Called with rows once the delta is accepted, before any write. May mutate rows.
+ * @param {boolean} [opts.lockHeld] The caller already holds the Document Lock (e.g. inside guardedSheetTransaction):
+ *   it is neither taken nor released here.
+ */
+function applyKeyedDelta(ss, targetName, headers, rows, opts = {}) {
+  const result = { success: false, fallback: false, updated: 0, appended: 0, deleted: 0, ranges: 0, errorMessage: null };
+  const fallback = (reason) => Object.assign(result, { fallback: true, errorMessage: reason });
+
+  const docLock = opts.lockHeld ? null : LockService.getDocumentLock();
+  if (docLock && !docLock.tryLock(30000)) return Object.assign(result, { errorMessage: "Could not acquire Document Lock." });
+
+  try {
+    const sheet = ss.getSheetByName(targetName);
+    if (!sheet || sheet.getLastRow() < 2) return fallback(`Target '${targetName}' missing or empty.`);
+
+    const values = sheet.getDataRange().getValues();
+    const liveHeaders = values[0].map(h => String(h).trim());
+    if (liveHeaders.length !== headers.length || headers.some((h, i) => liveHeaders[i] !== h)) {
+      return fallback("Header drift between live sheet and incoming rows.");
+    }
+
+    const keyIdx = (opts.keyColumns || ['type_id', 'location_id']).map(k => headers.indexOf(k));
+    if (keyIdx.some(i => i === -1)) return fallback("Key column not found in headers.");
+    const ignored = new Set((opts.ignoreColumns || []).map(k => headers.indexOf(k)).filter(i => i !== -1));
+    const keyOf = (r) => keyIdx.map(i => String(r[i]).trim()).join('|');
+
+    // Cells compare by value: numbers numerically, dates by instant, everything else as trimmed text.
+    const norm = (v) => {
+      if (v instanceof Date) return v.getTime();
+      if (v === '' || v === null || v === undefined) return '';
+      const n = Number(v);
+      return isFinite(n) ? n : String(v).trim();
+    };
+    const rowChanged = (a, b) => {
+      for (let c = 0; c < headers.length; c++) {
+        if (!ignored.has(c) && norm(a[c]) !== norm(b[c])) return true;
+      }
+      return false;
+    };
+
+    const incoming = new Map();
+    for (const r of rows) {
+      const k = keyOf(r);
+      if (incoming.has(k)) return fallback(`Duplicate incoming key '${k}'.`);
+      incoming.set(k, r);
+    }
+
+    const existing = new Map();
+    for (let i = 1; i < values.length; i++) {
+      const k = keyOf(values[i]);
+      if (existing.has(k)) return fallback(`Duplicate live key '${k}'.`);
+      existing.set(k, i);
+    }
+
+    const plan = () => {
+      const changed = [], retired = [], added = [];
+      existing.forEach((i, k) => {
+        const r = incoming.get(k);
+        if (!r) retired.push(i);
+        else if (rowChanged(values[i], r)) changed.push(i);
+      });
+      incoming.forEach((r, k) => { if (!existing.has(k)) added.push(r); });
+      return { changed, retired, added };
+    };
+
+    let p = plan();
+    const touched = p.changed.length + p.retired.length + p.added.length;
+    const maxRatio = (typeof opts.maxChangeRatio === 'number') ? opts.maxChangeRatio : 0.6;
+    if (touched / (values.length - 1) > maxRatio) {
+      return fallback(`Churn too high (${touched}/${values.length - 1} rows).`);
+    }
+
+    if (typeof opts.beforeApply === 'function') {
+      opts.beforeApply(rows);
+      p = plan();
+    }
+
+    // Groups sorted sheet-row indexes into [start, length] runs.
+    const toRuns = (idx) => {
+      const runs = [];
+      idx.sort((a, b) => a - b).forEach(i => {
+        const last = runs[runs.length - 1];
+        if (last && last[0] + last[1] === i) last[1]++;
+        else runs.push([i, 1]);
+      });
+      return runs;
+    };
+
+    // 1. UPDATE in place (row indexes are still valid: nothing has been inserted/deleted yet)
+    toRuns(p.changed).forEach(([start, len]) => {
+      const block = [];
+      for (let i = start; i < start + len; i++) block.push(incoming.get(keyOf(values[i])));
+      sheet.getRange(start + 1, 1, len, headers.length).setValues(block);
+      result.ranges++;
+    });
+    result.updated = p.changed.length;
+
+    // 2. DELETE retired keys bottom-up so earlier indexes don't shift
+    toRuns(p.retired).reverse().forEach(([start, len]) => {
+      sheet.deleteRows(start + 1, len);
+    });
+    result.deleted = p.retired.length;
+
+    // 3. APPEND new keys
+    if (p.added.length > 0) {
+      const start = sheet.getLastRow() + 1;
+      const maxRows = sheet.getMaxRows();
+      if (maxRows < start + p.added.length - 1) sheet.insertRowsAfter(maxRows, start + p.added.length - 1 - maxRows);
+      sheet.getRange(start, 1, p.added.length, headers.length).setValues(p.added);
+      result.appended = p.added.length;
+      result.ranges++;
+    }
+
+    if (opts.repairMap && (result.appended > 0 || result.deleted > 0)) {
+      _repairNamedRanges_(ss, sheet, opts.repairMap, 'DeltaWrite');
+    }
+
+    result.success = true;
+    return result;
+
+  } catch (e) {
+    return Object.assign(result, { success: false, errorMessage: e.message });
+  } finally {
+    if (docLock) docLock.releaseLock();
+  }
+}
+
 /**
  * Internal check to see if the refresh "Engine" is active.
  * Returns true if the ESI toggle (D3) in the Utility sheet is set to 1.
@@ -0,0 +1,332 @@
+/* global SpreadsheetApp, PropertiesService, LockService, ScriptApp, LoggerEx, getOrCreateSheet, deleteTriggersByName,
+  JobRegistry, JobRuns, MarketProfiles, Alerts, Maintenance, ScheduleWindows, _resetMarketDataJobState */
+
+/**
+ * Watchdog — Checks job state keys, leases and clock triggers against their invariants.
+ * Runs from masterOrchestrator ahead of every gate (a stuck market step blocks maintenance,
+ * so the watchdog can't live in the maintenance queue), throttled to WATCHDOG_INTERVAL_MIN.
+ *
+ * Each finding is one of:
+ *   ok       Invariant holds.
+ *   fixed    Safe case remediated (expired lease, FINALIZING long past due, stuck MANUAL_SYNC_ACTIVE, trigger to a missing handler).
+ *   flagged  Ambiguous — left alone for a human (stale mid-run step, SDE job without a trigger, ...).
+ * Remediation only happens while this execution holds the script lock, i.e. no locked worker is mid-flight.
+ * The latest report replaces the Watchdog_Report sheet; each pass is also recorded in Job_Runs.
+ * Stale market profiles are also raised through Alerts.
+ *
+ * Nothing here has a "last changed" timestamp, so staleness is measured from when the watchdog
+ * first saw the current value (WATCHDOG_OBSERVED).
+ *
+ * Inside a ScheduleWindows blackout or active maintenance the market and COGS steps are parked on purpose:
+ * their staleness checks are skipped, and the time between passes that end inside such a pause is not
+ * added to their observed age.
+ */
+var Watchdog = (function () {
+  'use strict';
+
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('WATCHDOG') : console;
+
+  const REPORT_SHEET = 'Watchdog_Report';
+  const REPORT_HEADERS = ['checked_at', 'check', 'subject', 'status', 'detail', 'action'];
+  const STATUS = { OK: 'ok', FIXED: 'fixed', FLAGGED: 'flagged' };
+
+  // --- Script Property Keys (Config + State) ---
+  const PROP_AUTOFIX = 'WATCHDOG_AUTOFIX';
+  const PROP_INTERVAL_MIN = 'WATCHDOG_INTERVAL_MIN';
+  const PROP_FINALIZING_STALE_MIN = 'WATCHDOG_FINALIZING_STALE_MIN';
+  const PROP_MIDRUN_STALE_MIN = 'WATCHDOG_MIDRUN_STALE_MIN';
+  const PROP_MANUAL_SYNC_STALE_MIN = 'WATCHDOG_MANUAL_SYNC_STALE_MIN';
+  const PROP_LAST_RUN = 'WATCHDOG_LAST_RUN_TS';
+  const PROP_OBSERVED = 'WATCHDOG_OBSERVED';
+  const GLOBAL_STATE_KEY = 'GLOBAL_SYSTEM_STATE'; // see Orchestrator.js / SDE_Job_Controller
+
+  const DEFAULTS = {
+    autofix: true,
+    intervalMin: 15,
+    finalizingStaleMin: 30,
+    midRunStaleMin: 90,
+    manualSyncStaleMin: 30 // triggerRestockSync can't outlive one execution
+  };
+
+  // Keys whose value age is tracked across passes.
+  const OBSERVED_KEYS = ['marketDataJobStep', 'cogsJobStep', 'MANUAL_SYNC_ACTIVE', 'SDE_JOB_RUNNING', GLOBAL_STATE_KEY];
+  // Steps the dispatchers leave parked during a blackout window or maintenance; their age stops while paused.
+  const PAUSABLE_KEYS = new Set(['marketDataJobStep', 'cogsJobStep']);
+  const TRIGGER_LIMIT = 20; // Apps Script per-user, per-script cap
+  const STALE_MARKET_INTERVALS = 3; // A profile this many intervals behind is alerted as stale
+  const MIN_MS = 60 * 1000;
+
+  function getConfig() {
+    const p = PropertiesService.getScriptProperties();
+    const num = (k, d) => {
+      const n = parseInt(p.getProperty(k) || '', 10);
+      return (isFinite(n) && n > 0) ? n : d;
+    };
+    return {
+      autofix: String(p.getProperty(PROP_AUTOFIX) || String(DEFAULTS.autofix)).toUpperCase() !== 'FALSE',
+      intervalMin: num(PROP_INTERVAL_MIN, DEFAULTS.intervalMin),
+      finalizingStaleMin: num(PROP_FINALIZING_STALE_MIN, DEFAULTS.finalizingStaleMin),
+      midRunStaleMin: num(PROP_MIDRUN_STALE_MIN, DEFAULTS.midRunStaleMin),
+      manualSyncStaleMin: num(PROP_MANUAL_SYNC_STALE_MIN, DEFAULTS.manualSyncStaleMin)
+    };
+  }
+
+  /** What is holding parked jobs right now ('window <name>' / 'maintenance'), or ''. */
+  function pausedBy_(nowMs) {
+    const w = ScheduleWindows.activeWindow(nowMs);
+    if (w) return `window ${w.name}`;
+    const m = Maintenance.status(nowMs);
+    return (m.active && !m.expired) ? 'maintenance' : '';
+  }
+
+  /**
+   * Updates WATCHDOG_OBSERVED and returns key -> ms the current value has been in place.
+   * While paused, pausable keys have `since` pushed forward by the time since the previous pass.
+   */
+  function observe_(props, nowMs, paused) {
+    let seen = {};
+    try { seen = JSON.parse(props.getProperty(PROP_OBSERVED) || '{}'); } catch (e) { seen = {}; }
+
+    const ages = {};
+    const next = {};
+    OBSERVED_KEYS.forEach(k => {
+      const v = props.getProperty(k);
+      if (v === null) return;
+      let since = nowMs;
+      if (seen[k] && seen[k].value === v) {
+        since = seen[k].since;
+        if (paused && PAUSABLE_KEYS.has(k)) since = Math.min(nowMs, since + (nowMs - (seen[k].at || nowMs)));
+      }
+      next[k] = { value: v, since: since, at: nowMs };
+      ages[k] = nowMs - since;
+    });
+    props.setProperty(PROP_OBSERVED, JSON.stringify(next));
+    return ages;
+  }
+
+  // --- Checks: each pushes findings via add(check, subject, status, detail, action) ---
+
+  function checkMarketJob_(env, add) {
+    const { props, nowMs, cfg, ages, fix, handlers } = env;
+
+    const leaseUntil = parseInt(props.getProperty('marketDataJobLeaseUntil') || '0', 10);
+    if (leaseUntil > 0 && leaseUntil <= nowMs) {
+      if (fix) props.deleteProperty('marketDataJobLeaseUntil');
+      add('lease', 'marketDataJobLeaseUntil', fix ? STATUS.FIXED : STATUS.FLAGGED,
+        `Expired ${Math.round((nowMs - leaseUntil) / MIN_MS)} min ago`, fix ? 'Deleted lease' : '');
+    }
+
+    const step = props.getProperty('marketDataJobStep');
+    if (!step) return add('state', 'marketDataJobStep', STATUS.OK, 'Idle', '');
+
+    const ageMin = Math.round((ages.marketDataJobStep || 0) / MIN_MS);
+    if (env.paused) return add('state', 'marketDataJobStep', STATUS.OK, `${step} for ${ageMin} min, parked (${env.paused})`, '');
+    const pending = handlers.has('updateMarketDataSheet') || handlers.has('finalizeMarketDataUpdate');
+
+    if (step === 'FINALIZING' && ageMin >= cfg.finalizingStaleMin) {
+      if (fix) _resetMarketDataJobState(new Error(`Watchdog: FINALIZING unchanged for ${ageMin} min`));
+      return add('state', 'marketDataJobStep', fix ? STATUS.FIXED : STATUS.FLAGGED,
+        `FINALIZING for ${ageMin} min (limit ${cfg.finalizingStaleMin})`, fix ? 'Reset market job state' : '');
+    }
+    if ((step === 'PROCESSING' || step === 'NEW_RUN') && ageMin >= cfg.midRunStaleMin) {
+      return add('state', 'marketDataJobStep', STATUS.FLAGGED,
+        `${step} for ${ageMin} min, ${pending ? 'trigger pending' : 'no trigger pending'}`, 'Check executions; _resetMarketDataJobState() if stuck');
+    }
+    add('state', 'marketDataJobStep', STATUS.OK, `${step} for ${ageMin} min`, '');
+  }
+
+  function checkManualSync_(env, add) {
+    const { props, cfg, ages, fix } = env;
+    if (props.getProperty('MANUAL_SYNC_ACTIVE') !== 'TRUE') return;
+
+    const ageMin = Math.round((ages.MANUAL_SYNC_ACTIVE || 0) / MIN_MS);
+    if (ageMin < cfg.manualSyncStaleMin) return add('state', 'MANUAL_SYNC_ACTIVE', STATUS.OK, `TRUE for ${ageMin} min`, '');
+
+    if (fix) props.setProperty('MANUAL_SYNC_ACTIVE', 'FALSE');
+    add('state', 'MANUAL_SYNC_ACTIVE', fix ? STATUS.FIXED : STATUS.FLAGGED,
+      `TRUE for ${ageMin} min (limit ${cfg.manualSyncStaleMin})`, fix ? 'Set to FALSE' : '');
+  }
+
+  function checkCogs_(env, add) {
+    const { props, cfg, ages, handlers } = env;
+    if (props.getProperty('cogsJobStep') !== 'FINALIZING') return;
+
+    const ageMin = Math.round((ages.cogsJobStep || 0) / MIN_MS);
+    if (env.paused || ageMin < cfg.finalizingStaleMin) return add('state', 'cogsJobStep', STATUS.OK, `FINALIZING for ${ageMin} min`, '');
+    // The orchestrator re-queues the worker every tick, so a stale flag means the worker itself keeps failing.
+    add('state', 'cogsJobStep', STATUS.FLAGGED,
+      `FINALIZING for ${ageMin} min, ${handlers.has('_runRebuildContractUnitCostsWorker') ? 'trigger pending' : 'no trigger pending'}`,
+      'Check _runRebuildContractUnitCostsWorker executions');
+  }
+
+  function checkSde_(env, add) {
+    const { props, cfg, ages, handlers } = env;
+    const running = props.getProperty('SDE_JOB_RUNNING') === 'true';
+    const state = props.getProperty(GLOBAL_STATE_KEY) || 'RUNNING';
+
+    if (running && !handlers.has('sde_job_PROCESS')) {
+      const ageMin = Math.round((ages.SDE_JOB_RUNNING || 0) / MIN_MS);
+      if (ageMin >= cfg.finalizingStaleMin) {
+        add('state', 'SDE_JOB_RUNNING', STATUS.FLAGGED, `Running for ${ageMin} min with no sde_job_PROCESS trigger`,
+          'sde_job_FINALIZE() to restore, or sde_job_KILL_ALL_TRIGGERS()');
+      }
+    }
+    // Maintenance entered through Maintenance.enter() carries a reason and expires on its own
+    if (!running && state === 'MAINTENANCE' && !Maintenance.status().reason) {
+      const ageMin = Math.round((ages[GLOBAL_STATE_KEY] || 0) / MIN_MS);
+      add('state', GLOBAL_STATE_KEY, STATUS.FLAGGED, `MAINTENANCE for ${ageMin} min with no SDE job running`,
+        'Confirm nothing else set it, then set RUNNING');
+    }
+  }
+
+  /** JobRegistry leases past expiry are dead weight: the job would be dispatched anyway once they lapse. */
+  function checkRegistryLeases_(env, add) {
+    const { props, nowMs, fix } = env;
+    JobRegistry.list().filter(j => j.lease).forEach(job => {
+      const key = job.leaseKey || `JOB_LEASE_${job.name}`;
+      const until = parseInt(props.getProperty(key) || '0', 10);
+      if (!until) return;
+      if (until <= nowMs) {
+        if (fix) props.deleteProperty(key);
+        add('lease', key, fix ? STATUS.FIXED : STATUS.FLAGGED, 'Expired', fix ? 'Deleted lease' : '');
+      } else if (until - nowMs > 2 * job.lease) {
+        add('lease', key, STATUS.FLAGGED, `Runs ${Math.round((until - nowMs) / MIN_MS)} min into the future (lease is ${job.lease / MIN_MS} min)`, 'Clock skew or manual edit?');
+      }
+    });
+  }
+
+  /** PhasedJob resume leases: expired with no resume trigger means the trigger was lost. */
+  function checkPhasedLeases_(env, add) {
+    const { props, nowMs, fix } = env;
+    props.getKeys().filter(k => /^PHASED_JOB_.+_LEASE$/.test(k)).forEach(key => {
+      const until = parseInt(props.getProperty(key) || '0', 10);
+      if (until > nowMs) return;
+      if (fix) props.deleteProperty(key);
+      add('lease', key, fix ? STATUS.FIXED : STATUS.FLAGGED, 'Expired; resume trigger never fired', fix ? 'Deleted lease (next dispatch resumes)' : '');
+    });
+  }
+
+  /** Enabled market profiles that have fallen well behind their interval. Report + alert only. */
+  function checkMarketFreshness_(env, add) {
+    const { nowMs } = env;
+    MarketProfiles.list().filter(p => p.enabled).forEach(p => {
+      const lastRun = MarketProfiles.getLastRun(p.name);
+      if (!lastRun) return; // Never run yet; nothing to be stale against
+      const ageMin = Math.round((nowMs - lastRun) / MIN_MS);
+      if (nowMs - lastRun <= STALE_MARKET_INTERVALS * p.intervalMs) return;
+
+      add('market', p.name, STATUS.FLAGGED, `Last refreshed ${ageMin} min ago (interval ${Math.round(p.intervalMs / MIN_MS)} min)`,
+        'Check Job_Runs for updateMarketDataSheet');
+      Alerts.raise(Alerts.TYPES.STALE_MARKET, Alerts.SEVERITY.WARNING, `Market data stale: ${p.name}`,
+        `Profile '${p.name}' was last refreshed ${ageMin} min ago.`, { dedupKey: p.name });
+    });
+  }
+
+  function checkTriggers_(env, add) {
+    const { fix, triggers } = env;
+    if (triggers.length >= TRIGGER_LIMIT - 2) {
+      add('triggers', 'project', STATUS.FLAGGED, `${triggers.length} of ${TRIGGER_LIMIT} triggers in use`, 'Review installed triggers');
+    }
+
+    const orphans = new Set(triggers
+      .filter(t => t.getEventType() === ScriptApp.EventType.CLOCK)
+      .map(t => t.getHandlerFunction())
+      .filter(name => typeof globalThis[name] !== 'function'));
+    orphans.forEach(name => {
+      if (fix) deleteTriggersByName(name);
+      add('triggers', name, fix ? STATUS.FIXED : STATUS.FLAGGED, 'Clock trigger for a function that no longer exists', fix ? 'Deleted trigger' : '');
+    });
+  }
+
+  const CHECKS = [checkMarketJob_, checkManualSync_, checkCogs_, checkSde_, checkRegistryLeases_, checkPhasedLeases_, checkMarketFreshness_, checkTriggers_];
+
+  function writeReport_(ss, findings, nowMs) {
+    const sh = getOrCreateSheet(ss, REPORT_SHEET, REPORT_HEADERS);
+    const last = sh.getLastRow();
+    if (last > 1) sh.getRange(2, 1, last - 1, REPORT_HEADERS.length).clearContent();
+    if (findings.length === 0) return;
+    const at = new Date(nowMs);
+    const rows = findings.map(f => [at, f.check, f.subject, f.status, f.detail, f.action]);
+    if (sh.getMaxRows() < rows.length + 1) sh.insertRowsAfter(sh.getMaxRows(), rows.length + 1 - sh.getMaxRows());
+    sh.getRange(2, 1, rows.length, REPORT_HEADERS.length).setValues(rows);
+  }
+
+  /**
+   * Runs every check now. Never throws; a failing check is reported as flagged.
+   * @returns {{fixed:number, flagged:number, findings:Array<Object>}}
+   */
+  function run(ss) {
+    const nowMs = Date.now();
+    const props = PropertiesService.getScriptProperties();
+    const cfg = getConfig();
+
+    const lock = LockService.getScriptLock();
+    const ownsLock = !lock.hasLock() && lock.tryLock(0);
+    const quiet = lock.hasLock(); // held by us (or our caller): no locked worker is mid-flight
+    const fix = cfg.autofix && quiet;
+
+    const findings = [];
+    const add = (check, subject, status, detail, action) => findings.push({ check, subject, status, detail, action });
+
+    try {
+      const triggers = ScriptApp.getProjectTriggers();
+      const paused = pausedBy_(nowMs);
+      const env = {
+        props, nowMs, cfg, fix, triggers, paused,
+        ages: observe_(props, nowMs, paused),
+        handlers: new Set(triggers.map(t => t.getHandlerFunction()))
+      };
+      if (!quiet) add('lock', 'script', STATUS.FLAGGED, 'Script lock busy', 'Report only; no remediation this pass');
+
+      CHECKS.forEach(check => {
+        try {
+          check(env, add);
+        } catch (e) {
+          add(check.name.replace(/_$/, ''), '', STATUS.FLAGGED, `Check failed: ${e.message}`, '');
+        }
+      });
+    } finally {
+      if (ownsLock) lock.releaseLock();
+    }
+
+    try {
+      writeReport_(ss || SpreadsheetApp.getActiveSpreadsheet(), findings, nowMs);
+    } catch (e) {
+      LOG.warn(`Could not write ${REPORT_SHEET}: ${e.message}`);
+    }
+    props.setProperty(PROP_LAST_RUN, String(nowMs));
+
+    const fixed = findings.filter(f => f.status === STATUS.FIXED);
+    const flagged = findings.filter(f => f.status === STATUS.FLAGGED);
+    fixed.forEach(f => LOG.warn(`FIXED ${f.subject}: ${f.detail} -> ${f.action}`));
+    flagged.forEach(f => LOG.warn(`FLAGGED ${f.subject}: ${f.detail}`));
+    return { fixed: fixed.length, flagged: flagged.length, findings: findings };
+  }
+
+  /** Orchestrator hook: runs at most once per WATCHDOG_INTERVAL_MIN. */
+  function maybeRun(nowMs) {
+    nowMs = nowMs || Date.now();
+    const last = parseInt(PropertiesService.getScriptProperties().getProperty(PROP_LAST_RUN) || '0', 10);
+    if (nowMs - last < getConfig().intervalMin * MIN_MS) return null;
+
+    return JobRuns.track('watchdog', () => {
+      const res = run();
+      return Object.assign(res, {
+        rows: res.fixed + res.flagged,
+        error: res.flagged ? `${res.flagged} flagged` : ''
+      });
+    });
+  }
+
+  return {
+    REPORT_SHEET, STATUS,
+    getConfig, run, maybeRun
+  };
+})();
+
+/** Menu / manual entry point: full watchdog pass, ignoring the interval. */
+function runWatchdog() {
+  const res = Watchdog.run();
+  console.log(`Watchdog: ${res.fixed} fixed, ${res.flagged} flagged. See ${Watchdog.REPORT_SHEET}.`);
+  return res;
+}
@@ -128,15 +128,25 @@ const fuzAPI = (() => {
   const FUZ_CACHE_VER = 1;
   const CACHE_CHUNK_SIZE = 8000;
 
+  // Legacy keys belong to the Fuzzwork provider; other providers get a suffixed set.
   const CIRCUIT_PROPS = {
     STATE: 'FuzCircuitState',
     FAIL_COUNT: 'FuzCircuitFailCount',
     OPEN_UNTIL: 'FuzCircuitOpenUntilMs'
   };
+  // Google UrlFetch quota is account-wide, so it gates every provider at once.
+  const QUOTA_OPEN_UNTIL = 'FuzQuotaOpenUntilMs';
   const CIRCUIT_THRESHOLD = 3;
   const CIRCUIT_COOLDOWN_MS = 60 * 60 * 1000;
   const _props = PropertiesService.getScriptProperties();
 
+  // --- PROVIDER CONFIG ---
+  const DEFAULT_PROVIDER = 'fuzzwork';
+  const PROP_PROVIDER_ORDER = 'FUZ_PROVIDER_ORDER';      // e.g. "fuzzwork,esi"
+  const PROP_FIXTURE_SHEET = 'FUZ_FIXTURE_SHEET';        // default 'Market_Fixture'
+  const DEFAULT_PROVIDER_ORDER = ['fuzzwork', 'esi'];
+  const FETCH_ALL_BATCH = 100;
+
 function withRetries(fn, tries = 3, base = 300) {
       var retryPattern = /(?:\b(429|420|5\d\d)\b|dns|socket|ssl|handsh|timeout|temporar|rate|quota|Service invoked|empty-200|bad[-\s]?json)/i;
       var lastErr;
@@ -160,40 +170,87 @@ function withRetries(fn, tries = 3, base = 300) {
       throw lastErr;
   }
 
-  function _isCircuitOpen() {
-    const state = _props.getProperty(CIRCUIT_PROPS.STATE);
+  function _isQuotaError(e) {
+    const msg = String((e && e.message) || e).toLowerCase();
+    return msg.includes("too many times") || msg.includes("limit exceeded");
+  }
+
+  /** Runs UrlFetchApp.fetchAll in fixed-size batches (keeps single calls under the fetchAll ceiling). */
+  function _fetchAllBatched(requests) {
+    const responses = [];
+    for (let i = 0; i < requests.length; i += FETCH_ALL_BATCH) {
+      const batch = requests.slice(i, i + FETCH_ALL_BATCH);
+      responses.push(...withRetries(() => UrlFetchApp.fetchAll(batch)));
+    }
+    return responses;
+  }
+
+  // --- CIRCUIT BREAKER (Per Provider) ---
+
+  function _circuitKeys(provider) {
+    if (!provider || provider === DEFAULT_PROVIDER) return CIRCUIT_PROPS;
+    const sfx = '_' + String(provider).toUpperCase();
+    return {
+      STATE: CIRCUIT_PROPS.STATE + sfx,
+      FAIL_COUNT: CIRCUIT_PROPS.FAIL_COUNT + sfx,
+      OPEN_UNTIL: CIRCUIT_PROPS.OPEN_UNTIL + sfx
+    };
+  }
+
+  function _isCircuitOpen(provider) {
+    const keys = _circuitKeys(provider);
+    const state = _props.getProperty(keys.STATE);
     if (state === 'OPEN') {
-      const openUntil = parseInt(_props.getProperty(CIRCUIT_PROPS.OPEN_UNTIL) || '0', 10);
+      const openUntil = parseInt(_props.getProperty(keys.OPEN_UNTIL) || '0', 10);
       if (Date.now() < openUntil) return true;
-      _props.setProperty(CIRCUIT_PROPS.STATE, 'HALF_OPEN');
+      _props.setProperty(keys.STATE, 'HALF_OPEN');
     }
     return false;
   }
-  function _tripCircuit(error) {
-    const failCount = parseInt(_props.getProperty(CIRCUIT_PROPS.FAIL_COUNT) || '0', 10) + 1;
-    _props.setProperty(CIRCUIT_PROPS.FAIL_COUNT, String(failCount));
+  function _tripCircuit(error, provider) {
+    const keys = _circuitKeys(provider);
+    const failCount = parseInt(_props.getProperty(keys.FAIL_COUNT) || '0', 10) + 1;
+    _props.setProperty(keys.FAIL_COUNT, String(failCount));
 
     if (failCount >= CIRCUIT_THRESHOLD) {
       const openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
       _props.setProperties({
-        [CIRCUIT_PROPS.STATE]: 'OPEN',
-        [CIRCUIT_PROPS.OPEN_UNTIL]: String(openUntil)
+        [keys.STATE]: 'OPEN',
+        [keys.OPEN_UNTIL]: String(openUntil)
       });
-      console.error(`Circuit Breaker TRIPPED: ${error}`);
+      console.error(`Circuit Breaker TRIPPED [${provider || DEFAULT_PROVIDER}]: ${error}`);
+      if (typeof Alerts !== 'undefined') {
+        Alerts.raise(Alerts.TYPES.CIRCUIT_TRIPPED, Alerts.SEVERITY.WARNING,
+          `Circuit breaker tripped: ${provider || DEFAULT_PROVIDER}`,
+          `${failCount} consecutive failures. Open until ${new Date(openUntil).toISOString()}.\n${error}`,
+          { dedupKey: provider || DEFAULT_PROVIDER });
+      }
     } else {
-      console.warn(`Circuit Breaker failure count: ${failCount}/${CIRCUIT_THRESHOLD}.`);
+      console.warn(`Circuit Breaker [${provider || DEFAULT_PROVIDER}] failure count: ${failCount}/${CIRCUIT_THRESHOLD}.`);
     }
   }
-  function _resetCircuit() {
-    const state = _props.getProperty(CIRCUIT_PROPS.STATE);
-    if (state === 'OPEN' || state === 'HALF_OPEN' || _props.getProperty(CIRCUIT_PROPS.FAIL_COUNT) !== null) {
-      _props.deleteProperty(CIRCUIT_PROPS.FAIL_COUNT);
-      _props.deleteProperty(CIRCUIT_PROPS.OPEN_UNTIL);
-      _props.setProperty(CIRCUIT_PROPS.STATE, 'CLOSED');
+  function _resetCircuit(provider) {
+    const keys = _circuitKeys(provider);
+    const state = _props.getProperty(keys.STATE);
+    if (state === 'OPEN' || state === 'HALF_OPEN' || _props.getProperty(keys.FAIL_COUNT) !== null) {
+      _props.deleteProperty(keys.FAIL_COUNT);
+      _props.deleteProperty(keys.OPEN_UNTIL);
+      _props.setProperty(keys.STATE, 'CLOSED');
     }
   }
-  function _fuzKey(location_type, location_id, type_id) {
-    return `fuz:${FUZ_CACHE_VER}:${location_type}:${location_id}:${type_id}`;
+  function _tripQuota() {
+    _props.setProperty(QUOTA_OPEN_UNTIL, String(Date.now() + CIRCUIT_COOLDOWN_MS));
+    console.error("fuzAPI: Google Account Quota Exhausted. All providers blocked for cooldown.");
+  }
+
+  /**
+   * Cache and LKG key for one (location, type) as served by one provider.
+   * Fuzzwork keeps the legacy unsuffixed key so existing cache and Fuz_LKG entries stay valid.
+   */
+  function _fuzKey(location_type, location_id, type_id, provider) {
+    const base = `fuz:${FUZ_CACHE_VER}:${location_type}:${location_id}:${type_id}`;
+    const name = String(provider || DEFAULT_PROVIDER).toLowerCase();
+    return name === DEFAULT_PROVIDER ? base : `${base}:${name}`;
   }
   function _groupRequestsByLocation(missingRequests) {
     const grouped = {};
@@ -209,70 +266,301 @@ function withRetries(fn, tries = 3, base = 300) {
     Object.values(grouped).forEach(group => { group.items = Array.from(group.items); });
     return grouped;
   }
-  function _buildFetchAllRequests(groupedCalls) {
-    const requests = [];
-    for (const key in groupedCalls) {
-      const call = groupedCalls[key];
-      if (!call.items || call.items.length === 0) continue;
-
-      const url = "https://market.fuzzwork.co.uk/aggregates/";
-      
-      // --- THE FIX ---
-      // Force the parameter key to be 'region' even if we are looking up a system.
-      // This forces Fuzzworks to filter by the ID we provide (3000xxxx), 
-      // instead of ignoring the 'system' tag and returning the whole region.
-      let paramKey = 'region'; 
-      
-      // Note: We still send the System ID (3000...) or Station ID (6000...)
-      // We just call it a "region" in the JSON payload so the API respects it.
-      const payload = { [paramKey]: call.locationId, types: call.items.join(",") };
-      // ----------------
-
-      requests.push({
-        url: url,
-        method: 'post',
-        contentType: 'application/json',
-        payload: JSON.stringify(payload),
-        muteHttpExceptions: true,
-        headers: { 'Accept': 'application/json' },
-        fuz_context: { locationId: call.locationId, locationType: call.locationType, requestedIds: new Set(call.items) }
+
+  // ==========================================================================
+  // PROVIDERS
+  // Contract: { name, supports(group) -> bool, fetchGroups(groups) -> results[] }
+  //   group  = { locationId, locationType, items: [type_id] }
+  //   result = { ok: true, data: { [type_id]: { buy: {...}, sell: {...} } }, failed?: [type_id] } | { ok: false, error }
+  //   failed lists types the provider could not fetch; they fail over alone instead of the whole group.
+  // Raw side objects use the Fuzzwork aggregate field names
+  // (weightedAverage, max, min, stddev, median, volume, orderCount) so every
+  // provider feeds the same FuzDataObject constructor.
+  // Throwing from fetchGroups fails the whole batch (network/transport error).
+  // ==========================================================================
+
+  const FuzzworkProvider = {
+    name: 'fuzzwork',
+    supports: () => true,
+    fetchGroups(groups) {
+      const requests = groups.map(call => {
+        const url = "https://market.fuzzwork.co.uk/aggregates/";
+
+        // --- THE FIX ---
+        // Force the parameter key to be 'region' even if we are looking up a system.
+        // This forces Fuzzworks to filter by the ID we provide (3000xxxx),
+        // instead of ignoring the 'system' tag and returning the whole region.
+        let paramKey = 'region';
+
+        // Note: We still send the System ID (3000...) or Station ID (6000...)
+        // We just call it a "region" in the JSON payload so the API respects it.
+        const payload = { [paramKey]: call.locationId, types: call.items.join(",") };
+        // ----------------
+
+        return {
+          url: url,
+          method: 'post',
+          contentType: 'application/json',
+          payload: JSON.stringify(payload),
+          muteHttpExceptions: true,
+          headers: { 'Accept': 'application/json' }
+        };
+      });
+
+      const responses = _fetchAllBatched(requests);
+      return responses.map(response => {
+        if (response.getResponseCode() !== 200) return { ok: false, error: `HTTP ${response.getResponseCode()}` };
+        return { ok: true, data: JSON.parse(response.getContentText() || "{}") };
+      });
+    }
+  };
+
+  /**
+   * ESI orderbook provider: pulls markets/{region}/orders per type and aggregates locally.
+   * Station and system IDs are resolved to their region via SDE_staStations.
+   * Player structures (1e12+) need an authed token and are not supported here.
+   */
+  const EsiOrderbookProvider = (() => {
+    const ESI_BASE = 'https://esi.evetech.net/latest';
+    let _regionIndex = null;
+
+    function _loadRegionIndex() {
+      if (_regionIndex) return _regionIndex;
+      _regionIndex = { station: new Map(), system: new Map() };
+      const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('SDE_staStations');
+      if (!sh || sh.getLastRow() < 2) {
+        console.warn("fuzAPI[esi]: SDE_staStations missing. Only region lookups are available.");
+        return _regionIndex;
+      }
+      const values = sh.getDataRange().getValues();
+      const h = values[0].map(x => String(x).replace(/^'/, '').trim());
+      const iSta = h.indexOf('stationID'), iSys = h.indexOf('solarSystemID'), iReg = h.indexOf('regionID');
+      if (iSta === -1 || iSys === -1 || iReg === -1) return _regionIndex;
+      for (let r = 1; r < values.length; r++) {
+        const reg = Number(values[r][iReg]);
+        if (!reg) continue;
+        _regionIndex.station.set(Number(values[r][iSta]), reg);
+        _regionIndex.system.set(Number(values[r][iSys]), reg);
+      }
+      return _regionIndex;
+    }
+
+    function _regionFor(group) {
+      const lt = String(group.locationType || '').toLowerCase();
+      if (lt === 'region') return group.locationId;
+      const idx = _loadRegionIndex();
+      if (lt === 'station') return idx.station.get(group.locationId) || null;
+      if (lt === 'system') return idx.system.get(group.locationId) || null;
+      return null;
+    }
+
+    function _matchesLocation(order, group) {
+      const lt = String(group.locationType || '').toLowerCase();
+      if (lt === 'station') return order.location_id === group.locationId;
+      if (lt === 'system') return order.system_id === group.locationId;
+      return true;
+    }
+
+    /** Reduces one side of an orderbook to the Fuzzwork aggregate shape. */
+    function _aggregateSide(orders, isBuy) {
+      if (!orders.length) {
+        return { weightedAverage: 0, max: 0, min: 0, stddev: 0, median: 0, volume: 0, orderCount: 0 };
+      }
+      let vol = 0, notional = 0, max = -Infinity, min = Infinity;
+      orders.forEach(o => {
+        vol += o.volume_remain; notional += o.price * o.volume_remain;
+        max = Math.max(max, o.price); min = Math.min(min, o.price);
       });
+      const mean = orders.reduce((s, o) => s + o.price, 0) / orders.length;
+      const variance = orders.reduce((s, o) => s + Math.pow(o.price - mean, 2), 0) / orders.length;
+
+      // Volume-weighted median, walking from the best price
+      const sorted = orders.slice().sort((a, b) => isBuy ? b.price - a.price : a.price - b.price);
+      let acc = 0, median = sorted[0].price;
+      for (let i = 0; i < sorted.length; i++) {
+        acc += sorted[i].volume_remain;
+        if (acc >= vol / 2) { median = sorted[i].price; break; }
+      }
+
+      return {
+        weightedAverage: vol > 0 ? notional / vol : mean,
+        max: max, min: min, stddev: Math.sqrt(variance), median: median,
+        volume: vol, orderCount: orders.length
+      };
+    }
+
+    function _orderUrl(regionId, typeId, page) {
+      return `${ESI_BASE}/markets/${regionId}/orders/?datasource=tranquility&order_type=all&type_id=${typeId}&page=${page}`;
     }
-    return requests;
+
+    return {
+      name: 'esi',
+      supports: (group) => _regionFor(group) !== null,
+      fetchGroups(groups) {
+        // 1. Page 1 for every (group, type)
+        const tasks = [];
+        groups.forEach((g, gi) => {
+          const regionId = _regionFor(g);
+          g.items.forEach(tid => tasks.push({ gi: gi, tid: tid, regionId: regionId, orders: [], failed: false }));
+        });
+        const fetchOpts = { muteHttpExceptions: true, headers: { 'Accept': 'application/json' } };
+        const first = _fetchAllBatched(tasks.map(t => Object.assign({ url: _orderUrl(t.regionId, t.tid, 1) }, fetchOpts)));
+
+        // 2. Remaining pages (rare when filtering by type_id)
+        const extra = [];
+        first.forEach((res, i) => {
+          const t = tasks[i], code = res.getResponseCode();
+          if (code === 200) {
+            t.orders.push(...JSON.parse(res.getContentText() || "[]"));
+            const pages = parseInt((res.getHeaders() || {})['x-pages'] || (res.getHeaders() || {})['X-Pages'] || '1', 10);
+            for (let p = 2; p <= pages; p++) extra.push({ task: t, url: _orderUrl(t.regionId, t.tid, p) });
+          } else if (code !== 404 && code !== 400) {
+            t.failed = true; // 400/404 = unknown/unmarketable type, treated as "no orders"
+          }
+        });
+        if (extra.length > 0) {
+          const more = _fetchAllBatched(extra.map(x => Object.assign({ url: x.url }, fetchOpts)));
+          more.forEach((res, i) => {
+            if (res.getResponseCode() === 200) extra[i].task.orders.push(...JSON.parse(res.getContentText() || "[]"));
+            else extra[i].task.failed = true;
+          });
+        }
+
+        // 3. Fold per group; a failed type is reported on its own so the rest of the group still lands
+        const results = groups.map(() => ({ ok: true, data: {}, failed: [] }));
+        tasks.forEach(t => {
+          const g = groups[t.gi], result = results[t.gi];
+          if (t.failed) { result.failed.push(t.tid); return; }
+          const local = t.orders.filter(o => _matchesLocation(o, g));
+          result.data[t.tid] = {
+            buy: _aggregateSide(local.filter(o => o.is_buy_order), true),
+            sell: _aggregateSide(local.filter(o => !o.is_buy_order), false)
+          };
+        });
+        results.forEach(r => {
+          if (r.failed.length > 0 && Object.keys(r.data).length === 0) { r.ok = false; r.error = `ESI orders failed for types ${r.failed.join(',')}`; }
+        });
+        return results;
+      }
+    };
+  })();
+
+  /**
+   * Fixture provider for offline runs. Reads a sheet (FUZ_FIXTURE_SHEET, default 'Market_Fixture')
+   * by header name: type_id, location_id, and any of sell_/buy_ + min, max, avg, median, stddev, volume, orders.
+   * A copy of Market_Data_Raw works as-is.
+   */
+  const FixtureProvider = (() => {
+    const FIELD_MAP = { min: 'min', max: 'max', avg: 'weightedAverage', median: 'median', stddev: 'stddev', volume: 'volume', orders: 'orderCount' };
+    let _index = null;
+
+    function _loadIndex() {
+      if (_index) return _index;
+      const sheetName = _props.getProperty(PROP_FIXTURE_SHEET) || 'Market_Fixture';
+      const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+      if (!sh) throw new Error(`Fixture sheet '${sheetName}' not found.`);
+      const values = sh.getDataRange().getValues();
+      const h = values[0].map(x => String(x).trim());
+      const iTid = h.indexOf('type_id'), iLid = h.indexOf('location_id');
+      if (iTid === -1 || iLid === -1) throw new Error(`Fixture sheet '${sheetName}' needs type_id and location_id headers.`);
+
+      const cols = [];
+      h.forEach((name, i) => {
+        const m = /^(buy|sell)_(\w+)$/.exec(name);
+        if (m && FIELD_MAP[m[2]]) cols.push({ side: m[1], field: FIELD_MAP[m[2]], i: i });
+      });
+
+      _index = new Map();
+      for (let r = 1; r < values.length; r++) {
+        const row = values[r];
+        if (!row[iTid]) continue;
+        const raw = { buy: {}, sell: {} };
+        cols.forEach(c => { raw[c.side][c.field] = row[c.i]; });
+        _index.set(`${Number(row[iLid])}|${Number(row[iTid])}`, raw);
+      }
+      return _index;
+    }
+
+    return {
+      name: 'fixture',
+      supports: () => true,
+      fetchGroups(groups) {
+        const idx = _loadIndex();
+        return groups.map(g => {
+          const data = {};
+          g.items.forEach(tid => {
+            const raw = idx.get(`${g.locationId}|${tid}`);
+            if (raw) data[tid] = raw;
+          });
+          return { ok: true, data: data };
+        });
+      }
+    };
+  })();
+
+  const PROVIDERS = {};
+  function registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.fetchGroups !== 'function') {
+      throw new Error("fuzAPI: Provider must declare a name and fetchGroups(groups).");
+    }
+    if (typeof provider.supports !== 'function') provider.supports = () => true;
+    PROVIDERS[String(provider.name).toLowerCase()] = provider;
   }
-  function _executeFetchAll(tasksToFetch) {
-    if (!tasksToFetch || tasksToFetch.length === 0) return { newlyFetchedData: [], dataToCache: {} };
+  [FuzzworkProvider, EsiOrderbookProvider, FixtureProvider].forEach(registerProvider);
+
+  /** Preferred provider first, then the configured default order (failover chain). */
+  function _providerChain(preferred) {
+    const configured = (_props.getProperty(PROP_PROVIDER_ORDER) || '')
+      .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const order = configured.length > 0 ? configured : DEFAULT_PROVIDER_ORDER;
+    const chain = [];
+    [String(preferred || '').trim().toLowerCase()].concat(order).forEach(name => {
+      if (name && PROVIDERS[name] && chain.indexOf(name) === -1) chain.push(name);
+    });
+    return chain;
+  }
+
+  /**
+   * Runs one provider over a set of requests.
+   * Returns crates, cache writes, and the requests this provider could not serve.
+   */
+  function _executeFetchAll(tasksToFetch, provider) {
+    const empty = { newlyFetchedData: [], dataToCache: {}, failedRequests: [] };
+    if (!tasksToFetch || tasksToFetch.length === 0) return empty;
 
-    const groupedCalls = _groupRequestsByLocation(tasksToFetch);
-    const fetchRequests = _buildFetchAllRequests(groupedCalls);
-    if (fetchRequests.length === 0) return { newlyFetchedData: [], dataToCache: {} };
+    const groups = Object.values(_groupRequestsByLocation(tasksToFetch));
+    if (groups.length === 0) return empty;
 
-    let responses;
+    const failedRequests = [];
+    const failGroup = (g) => g.items.forEach(tid => failedRequests.push({ type_id: tid, market_type: g.locationType, market_id: g.locationId }));
+
+    const supported = [];
+    groups.forEach(g => { if (provider.supports(g)) supported.push(g); else failGroup(g); });
+    if (supported.length === 0) return { newlyFetchedData: [], dataToCache: {}, failedRequests };
+
+    let results;
     try {
-      responses = withRetries(() => { return UrlFetchApp.fetchAll(fetchRequests); });
-      _resetCircuit();
+      results = provider.fetchGroups(supported);
     } catch (e) {
-      _tripCircuit(e.message);
-      const dataToCache = {};
-      tasksToFetch.forEach(req => {
-        dataToCache[_fuzKey(req.market_type, req.market_id, req.type_id)] = "null";
-      });
-      return { newlyFetchedData: [], dataToCache };
+      if (_isQuotaError(e)) throw e;
+      _tripCircuit(e.message, provider.name);
+      supported.forEach(failGroup);
+      return { newlyFetchedData: [], dataToCache: {}, failedRequests };
     }
 
     const dataToCache = {};
     const processedDataByLocation = {};
     let apiErrorOccurred = false;
 
-    responses.forEach((response, index) => {
-      const originalRequestContext = fetchRequests[index].fuz_context;
-      if (!originalRequestContext) return;
-      const { locationId, locationType, requestedIds } = originalRequestContext;
+    results.forEach((result, index) => {
+      const { locationId, locationType, items } = supported[index];
 
-      if (response.getResponseCode() === 200) {
-        const parsed = JSON.parse(response.getContentText() || "{}");
+      if (result && result.ok) {
+        const parsed = result.data || {};
         const locationKey = `${locationType}_${locationId}`;
         const receivedIds = new Set(Object.keys(parsed).map(Number));
+        const failedIds = new Set((result.failed || []).map(Number));
+        failedIds.forEach(tid => failedRequests.push({ type_id: tid, market_type: locationType, market_id: locationId }));
 
         if (!processedDataByLocation[locationKey]) processedDataByLocation[locationKey] = { market_type: locationType, market_id: locationId, fuzObjects: [] };
 
@@ -280,25 +568,200 @@ function withRetries(fn, tries = 3, base = 300) {
           const rawItemData = parsed[String(typeIdNum)];
           const dataObject = new FuzDataObject(typeIdNum, rawItemData);
           processedDataByLocation[locationKey].fuzObjects.push(dataObject);
-          dataToCache[_fuzKey(locationType, locationId, typeIdNum)] = JSON.stringify(dataObject);
+          dataToCache[_fuzKey(locationType, locationId, typeIdNum, provider.name)] = JSON.stringify(dataObject);
         });
 
-        requestedIds.forEach(requestedIdNum => {
-          if (!receivedIds.has(requestedIdNum)) {
-            dataToCache[_fuzKey(locationType, locationId, requestedIdNum)] = "null";
+        items.forEach(requestedIdNum => {
+          if (!receivedIds.has(requestedIdNum) && !failedIds.has(requestedIdNum)) {
+            dataToCache[_fuzKey(locationType, locationId, requestedIdNum, provider.name)] = "null";
           }
         });
       } else {
         apiErrorOccurred = true;
-        requestedIds.forEach(requestedIdNum => {
-          dataToCache[_fuzKey(locationType, locationId, requestedIdNum)] = "null";
+        failGroup(supported[index]);
+      }
+    });
+
+    if (apiErrorOccurred) _tripCircuit(`API failed for one or more batches.`, provider.name);
+    else _resetCircuit(provider.name);
+    return { newlyFetchedData: Object.values(processedDataByLocation), dataToCache, failedRequests };
+  }
+
+  /**
+   * Walks each request down its provider chain, skipping providers whose circuit is open.
+   * Requests that fail on every attempted provider are returned as unresolved (not
+   * negative-cached) so the caller can serve them from the last-known-good store.
+   * A provider that throws trips its own circuit and fails over; a quota error trips the
+   * quota gate and leaves everything not yet fetched unresolved. Never throws.
+   */
+  function _fetchWithFailover(missingRequests) {
+    let pending = missingRequests.map(req => ({ req: req, chain: _providerChain(req.provider), pos: 0, attempted: false }));
+    const crates = [];
+    const dataToCache = {};
+    const unresolved = [];
+
+    while (pending.length > 0) {
+      const byProvider = {};
+      const exhausted = [];
+
+      pending.forEach(p => {
+        while (p.pos < p.chain.length && _isCircuitOpen(p.chain[p.pos])) p.pos++;
+        if (p.pos >= p.chain.length) exhausted.push(p);
+        else (byProvider[p.chain[p.pos]] = byProvider[p.chain[p.pos]] || []).push(p);
+      });
+
+      exhausted.forEach(p => unresolved.push(p.req));
+
+      const next = [];
+      const names = Object.keys(byProvider);
+      for (let n = 0; n < names.length; n++) {
+        const name = names[n];
+        const batch = byProvider[name];
+        const byKey = new Map(batch.map(p => [_fuzKey(p.req.market_type, Number(p.req.market_id), Number(p.req.type_id), name), p]));
+        let res;
+        try {
+          res = _executeFetchAll(batch.map(p => p.req), PROVIDERS[name]);
+        } catch (e) {
+          if (_isQuotaError(e)) {
+            _tripQuota();
+            names.slice(n).forEach(rest => byProvider[rest].forEach(p => unresolved.push(p.req)));
+            next.forEach(p => unresolved.push(p.req));
+            return { newlyFetchedData: crates, dataToCache, unresolved };
+          }
+          _tripCircuit(e.message, name);
+          res = { newlyFetchedData: [], dataToCache: {}, failedRequests: batch.map(p => p.req) };
+        }
+
+        crates.push(...res.newlyFetchedData);
+        Object.assign(dataToCache, res.dataToCache);
+
+        const failedKeys = new Set(res.failedRequests.map(f => _fuzKey(f.market_type, Number(f.market_id), Number(f.type_id), name)));
+        byKey.forEach((p, key) => {
+          if (!failedKeys.has(key)) return;
+          if (p.pos + 1 < p.chain.length) console.warn(`fuzAPI: '${name}' failed for ${key}. Failing over to '${p.chain[p.pos + 1]}'.`);
+          p.pos++;
+          p.attempted = true;
+          next.push(p);
         });
       }
+      pending = next;
+    }
+
+    return { newlyFetchedData: crates, dataToCache, unresolved };
+  }
+
+  // ==========================================================================
+  // LAST-KNOWN-GOOD STORE (Stale-While-Revalidate)
+  // Every successful fetch is persisted to a hidden sheet keyed by _fuzKey.
+  // When the quota gate or every provider circuit is open, requests are served
+  // from here with stale=true and age_ms instead of returning nothing.
+  // Sheet writes are not allowed from custom functions, so saving is best-effort.
+  // ==========================================================================
+
+  const LKG_SHEET = 'Fuz_LKG';
+  const LKG_HEADERS = ['key', 'fetched_at_ms', 'payload'];
+  let _lkgIndex = null;
+
+  function _lkgLoad() {
+    if (_lkgIndex) return _lkgIndex;
+    _lkgIndex = new Map();
+    const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LKG_SHEET);
+    if (!sh || sh.getLastRow() < 2) return _lkgIndex;
+    sh.getRange(2, 1, sh.getLastRow() - 1, LKG_HEADERS.length).getValues().forEach(r => {
+      if (r[0]) _lkgIndex.set(String(r[0]), { fetchedAt: Number(r[1]) || 0, payload: String(r[2] || '') });
+    });
+    return _lkgIndex;
+  }
+
+  /**
+   * Upserts the freshly fetched keys into Fuz_LKG under the document lock: rows for known keys are
+   * rewritten in place (contiguous runs batched), new keys are appended. Rows of other keys are never
+   * touched, so concurrent executions saving different keys can't clobber each other.
+   */
+  function _lkgSave(dataToCache) {
+    const fresh = Object.keys(dataToCache).filter(k => dataToCache[k] && dataToCache[k] !== "null");
+    if (fresh.length === 0) return;
+    const now = Date.now();
+    try {
+      const tx = guardedSheetTransaction(() => {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sh = ss.getSheetByName(LKG_SHEET);
+        if (!sh) {
+          sh = ss.insertSheet(LKG_SHEET);
+          sh.getRange(1, 1, 1, LKG_HEADERS.length).setValues([LKG_HEADERS]);
+          sh.hideSheet();
+        }
+
+        // Re-read the key column under the lock: another execution may have appended since _lkgLoad().
+        const lastRow = sh.getLastRow();
+        const rowOf = new Map();
+        if (lastRow >= 2) {
+          sh.getRange(2, 1, lastRow - 1, 1).getValues().forEach((r, i) => { if (r[0]) rowOf.set(String(r[0]), i + 2); });
+        }
+
+        let nextRow = Math.max(lastRow, 1) + 1;
+        const writes = fresh.map(k => ({ row: rowOf.get(k) || nextRow++, values: [k, now, dataToCache[k]] }))
+          .sort((a, b) => a.row - b.row);
+        if (sh.getMaxRows() < nextRow - 1) sh.insertRowsAfter(sh.getMaxRows(), nextRow - 1 - sh.getMaxRows());
+
+        for (let i = 0; i < writes.length;) {
+          let j = i + 1;
+          while (j < writes.length && writes[j].row === writes[j - 1].row + 1) j++;
+          sh.getRange(writes[i].row, 1, j - i, LKG_HEADERS.length).setValues(writes.slice(i, j).map(w => w.values));
+          i = j;
+        }
+      }, 5000);
+      if (!tx.success) throw new Error(tx.error);
+      if (_lkgIndex) fresh.forEach(k => _lkgIndex.set(k, { fetchedAt: now, payload: dataToCache[k] }));
+    } catch (e) {
+      console.warn(`fuzAPI: LKG save skipped (${e.message}).`);
+    }
+  }
+
+  /** Rebuilds a FuzDataObject-shaped record from the store and stamps its age. */
+  function _lkgGet(key) {
+    const hit = _lkgLoad().get(key);
+    if (!hit || !hit.payload) return null;
+    try {
+      const obj = JSON.parse(hit.payload);
+      obj.stale = true;
+      obj.age_ms = Date.now() - hit.fetchedAt;
+      obj.last_updated = new Date(hit.fetchedAt);
+      return obj;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Appends stale objects for the given requests into a crate map (keyed market_type_market_id).
+   * Each request takes the first hit along its own provider chain, preferred provider first.
+   */
+  function _fillFromLkg(requests, finalDataMap) {
+    let served = 0;
+    requests.forEach(req => {
+      let obj = null;
+      const chain = _providerChain(req.provider);
+      for (let i = 0; i < chain.length && !obj; i++) obj = _lkgGet(_fuzKey(req.market_type, req.market_id, req.type_id, chain[i]));
+      if (!obj) return;
+      const locationKey = `${req.market_type}_${req.market_id}`;
+      if (!finalDataMap[locationKey]) finalDataMap[locationKey] = { market_type: req.market_type, market_id: req.market_id, fuzObjects: [] };
+      finalDataMap[locationKey].fuzObjects.push(obj);
+      served++;
     });
+    return served;
+  }
 
-    if (apiErrorOccurred) _tripCircuit(`API failed for one or more batches.`);
-    return { newlyFetchedData: Object.values(processedDataByLocation), dataToCache };
+  /** Cache hits are still fresh; everything else comes from the last-known-good store. */
+  function _serveStale(marketRequests) {
+    const { cachedData, missingRequests } = _checkCacheForRequests(marketRequests);
+    const finalDataMap = {};
+    cachedData.forEach(crate => { finalDataMap[`${crate.market_type}_${crate.market_id}`] = crate; });
+    const served = _fillFromLkg(missingRequests, finalDataMap);
+    console.warn(`fuzAPI: STALE mode. Served ${served}/${missingRequests.length} uncached keys from last-known-good store.`);
+    return Object.values(finalDataMap).filter(crate => crate.fuzObjects.length > 0);
   }
+
   function _cacheNewData(dataToCache) {
     const cacheKeys = Object.keys(dataToCache);
     if (cacheKeys.length === 0) return;
@@ -322,8 +785,9 @@ function withRetries(fn, tries = 3, base = 300) {
       try { _cache.putAll(dataToCache, jitteredTtl); } catch (e) { console.error(`Cache putAll failed: ${e.message}`) };
     }
   }
+  /** Cache hits only count for the request's preferred provider; failover data is never served from cache in its place. */
   function _checkCacheForRequests(marketRequests) {
-    const requiredKeys = marketRequests.map(req => _fuzKey(req.market_type, req.market_id, req.type_id));
+    const requiredKeys = marketRequests.map(req => _fuzKey(req.market_type, req.market_id, req.type_id, _providerChain(req.provider)[0]));
     const cachedResults = _cache.getAll(requiredKeys) || {};
     let cachedData = [];
     const missingRequests = [];
@@ -359,49 +823,59 @@ function withRetries(fn, tries = 3, base = 300) {
   }
 
   /** * NEW: Explicit Quota Check for Modular use.
-   * Checks if the circuit is open due to a Google Quota hit.
+   * Checks if fetching is blocked due to a Google Quota hit.
    */
   function _isQuotaExhausted() {
-    const state = _props.getProperty(CIRCUIT_PROPS.STATE);
-    if (state === 'OPEN') {
-      const openUntil = parseInt(_props.getProperty(CIRCUIT_PROPS.OPEN_UNTIL) || '0', 10);
-      if (Date.now() < openUntil) return true;
-      
-      // Cooldown expired, move to HALF_OPEN to test a single fetch
-      _props.setProperty(CIRCUIT_PROPS.STATE, 'HALF_OPEN');
-    }
+    const openUntil = parseInt(_props.getProperty(QUOTA_OPEN_UNTIL) || '0', 10);
+    if (openUntil === 0) return false;
+    if (Date.now() < openUntil) return true;
+
+    // Cooldown expired, allow fetching again
+    _props.deleteProperty(QUOTA_OPEN_UNTIL);
     return false;
   }
 
+  /** True when every provider that could serve these requests has an open circuit. */
+  function _allProvidersOpen(marketRequests) {
+    const names = new Set();
+    marketRequests.forEach(req => _providerChain(req.provider).forEach(n => names.add(n)));
+    for (const name of names) {
+      if (!_isCircuitOpen(name)) return false;
+    }
+    return true;
+  }
+
   function getDataForRequests(marketRequests) {
     if (!marketRequests || marketRequests.length === 0) return [];
 
     // --- QUOTA MAGIC GATE ---
     if (_isQuotaExhausted()) {
-      console.warn("fuzAPI: Circuit is OPEN (Quota hit). Fetching blocked for cooldown.");
-      return []; // Return empty array; calling code handles the data void
+      console.warn("fuzAPI: Quota hit. Fetching blocked for cooldown.");
+      return _serveStale(marketRequests); // Last-known-good; empty only if nothing was ever fetched
     }
 
-    if (_isCircuitOpen()) return [];
+    if (_allProvidersOpen(marketRequests)) {
+      console.warn("fuzAPI: All provider circuits are OPEN. Fetching blocked for cooldown.");
+      return _serveStale(marketRequests);
+    }
 
     const { cachedData, missingRequests } = _checkCacheForRequests(marketRequests);
 
 let newlyFetchedData = [];
+    let unresolved = [];
     if (missingRequests.length > 0) {
       try {
-        const fetchResult = _executeFetchAll(missingRequests);
+        const fetchResult = _fetchWithFailover(missingRequests);
         newlyFetchedData = fetchResult.newlyFetchedData;
+        unresolved = fetchResult.unresolved;
         _cacheNewData(fetchResult.dataToCache);
-        _resetCircuit(); // Success resets failure counts
+        _lkgSave(fetchResult.dataToCache);
       } catch (e) {
-        const msg = e.message.toLowerCase();
-        // Detect Google Account-Wide Quota Limits
-        if (msg.includes("too many times") || msg.includes("limit exceeded")) {
-           _tripCircuit("Google Account Quota Exhausted.");
-        } else {
-           _tripCircuit(e.message);
-        }
-        throw e; 
+        // Circuits and the quota gate are tripped inside _fetchWithFailover; anything else still degrades to STALE
+        if (_isQuotaError(e)) _tripQuota();
+        console.error(`fuzAPI: Fetch failed (${e.message}). Serving uncached keys from last-known-good store.`);
+        newlyFetchedData = [];
+        unresolved = missingRequests;
       }
     }
 
@@ -416,15 +890,21 @@ let newlyFetchedData = [];
       else finalDataMap[key] = newCrate;
     });
 
+    // Keys that failed on every provider degrade to their last-known-good value
+    if (unresolved.length > 0) {
+      const served = _fillFromLkg(unresolved, finalDataMap);
+      console.warn(`fuzAPI: ${unresolved.length} keys failed on all providers. Served ${served} as STALE.`);
+    }
+
     return Object.values(finalDataMap);
   }
 
-  function requestItems(market_id, market_type, type_ids) {
+  function requestItems(market_id, market_type, type_ids, provider) {
     if (!Array.isArray(type_ids)) type_ids = [type_ids];
     const requests = type_ids
       .map(id => Number(id))
       .filter(id => !isNaN(id) && id > 0)
-      .map(id => ({ type_id: id, market_id: Number(market_id), market_type: market_type }));
+      .map(id => ({ type_id: id, market_id: Number(market_id), market_type: market_type, provider: provider || '' }));
 
     if (requests.length === 0) return [];
 
@@ -441,10 +921,25 @@ let newlyFetchedData = [];
     console.log("fuzAPI: Initiating cache refresh. Call to sheet reader is intentionally bypassed.");
   }
 
+  /** Snapshot of every registered provider and its circuit state. */
+  function getProviderStatus() {
+    return Object.keys(PROVIDERS).map(name => {
+      const keys = _circuitKeys(name);
+      return {
+        name: name,
+        state: _props.getProperty(keys.STATE) || 'CLOSED',
+        failCount: parseInt(_props.getProperty(keys.FAIL_COUNT) || '0', 10),
+        openUntil: parseInt(_props.getProperty(keys.OPEN_UNTIL) || '0', 10)
+      };
+    });
+  }
+
   return {
     getDataForRequests: getDataForRequests,
     requestItems: requestItems,
-    cacheRefresh: cacheRefresh
+    cacheRefresh: cacheRefresh,
+    registerProvider: registerProvider,
+    getProviderStatus: getProviderStatus
   };
 
 })();
@@ -458,11 +953,8 @@ let newlyFetchedData = [];
  */
 function manual_FuzAPI_Reset() {
   const props = PropertiesService.getScriptProperties();
-  const keysToReset = [
-    'FuzCircuitState', 
-    'FuzCircuitFailCount', 
-    'FuzCircuitOpenUntilMs'
-  ];
+  // Covers the legacy Fuzzwork keys, every per-provider suffixed set, and the quota gate.
+  const keysToReset = props.getKeys().filter(k => k.indexOf('FuzCircuit') === 0 || k.indexOf('FuzQuota') === 0);
   
   keysToReset.forEach(key => props.deleteProperty(key));
   
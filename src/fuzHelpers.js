@@ -1,13 +1,16 @@
 /**
  * Reads the Control Table and returns a clean, structured array of market requests.
  * This is the single source of truth for what to process.
- * @returns {Array<Object>} An array of objects, e.g., [{type_id: 34, market_id: 60003760, market_type: 'station'}]
+ * Optional 'provider' header (any column) pins a row to a price provider (fuzzwork / esi / fixture).
+ * @param {Spreadsheet} [ss]
+ * @param {string} [controlSheetName] Market profile's control sheet (default 'Market_Control').
+ * @returns {Array<Object>} An array of objects, e.g., [{type_id: 34, market_id: 60003760, market_type: 'station', provider: ''}]
  */
-function getMasterBatchFromControlTable(ss = null) {
+function getMasterBatchFromControlTable(ss = null, controlSheetName = 'Market_Control') {
   try {
     ss = ss || SpreadsheetApp.getActiveSpreadsheet();
-    const controlSheet = ss.getSheetByName('Market_Control');
-    if (!controlSheet) throw new Error("Sheet 'Market_Control' not found.");
+    const controlSheet = ss.getSheetByName(controlSheetName);
+    if (!controlSheet) throw new Error(`Sheet '${controlSheetName}' not found.`);
 
     const lastRow = controlSheet.getLastRow();
     
@@ -17,9 +20,14 @@ function getMasterBatchFromControlTable(ss = null) {
       return [];
     }
 
+    // Optional columns are located by header name (A:C stay positional)
+    const lastCol = Math.max(3, controlSheet.getLastColumn());
+    const headers = controlSheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim().toLowerCase());
+    const providerIdx = headers.indexOf('provider');
+
     // OPTIMIZATION 2: Get Values. 
-    // row 2, col 1 (A), down to last row, 3 columns wide (A,B,C)
-    const values = controlSheet.getRange(2, 1, lastRow - 1, 3).getValues();
+    // row 2, col 1 (A), down to last row, A:C plus any optional columns
+    const values = controlSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
 
     // OPTIMIZATION 3: Single-Pass Pre-allocated Loop
     // Combining filter and map into one loop saves iterating through the list twice.
@@ -33,7 +41,8 @@ function getMasterBatchFromControlTable(ss = null) {
         marketRequests.push({
           type_id: Number(row[0]),      // Number() is generally faster than parseInt in V8
           market_type: String(row[1]),  // stored as-is (e.g. "Station")
-          market_id: Number(row[2])
+          market_id: Number(row[2]),
+          provider: providerIdx > -1 ? String(row[providerIdx] || '').trim().toLowerCase() : ''
         });
       }
     }
@@ -45,4 +54,390 @@ function getMasterBatchFromControlTable(ss = null) {
     console.error(`Failed to read from Control Table: ${e.message}`);
     throw e; 
   }
-}
\ No newline at end of file
+}
+
+// ======================================================================
+// MARKET_CONTROL VALIDATION & AUTO-REPAIR
+// ======================================================================
+
+const MARKET_CONTROL_ISSUES_SHEET = 'Market_Control_Issues';
+const MARKET_CONTROL_AUTOFIX_PROP = 'MARKET_CONTROL_AUTOFIX'; // 'TRUE' = repair before each market dispatch
+const VALID_MARKET_TYPES = ['region', 'system', 'station', 'structure'];
+
+/**
+ * Infers the location type from EVE's ID ranges. Returns null when ambiguous.
+ */
+function _inferMarketTypeFromId_(id) {
+  const n = Number(id);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  if (n >= 1000000000000) return 'structure';
+  if (n >= 10000000 && n < 13000000) return 'region';
+  if (n >= 30000000 && n < 33000000) return 'system';
+  if (n >= 60000000 && n < 64000000) return 'station';
+  return null;
+}
+
+/**
+ * Reads SDE_staStations into ID sets (stations, systems with stations, regions).
+ */
+function _getStationIndex_(ss) {
+  const idx = { stations: new Set(), systems: new Set(), regions: new Set(), loaded: false };
+  const sheet = ss.getSheetByName('SDE_staStations');
+  if (!sheet || sheet.getLastRow() < 2) return idx;
+
+  const values = sheet.getDataRange().getValues();
+  const h = values[0].map(x => String(x).replace(/^'/, '').trim());
+  const iSta = h.indexOf('stationID'), iSys = h.indexOf('solarSystemID'), iReg = h.indexOf('regionID');
+  if (iSta === -1) return idx;
+
+  for (let r = 1; r < values.length; r++) {
+    idx.stations.add(Number(values[r][iSta]));
+    if (iSys > -1) idx.systems.add(Number(values[r][iSys]));
+    if (iReg > -1) idx.regions.add(Number(values[r][iReg]));
+  }
+  idx.loaded = true;
+  return idx;
+}
+
+/**
+ * Validates Market_Control against SDE_invTypes and SDE_staStations and writes
+ * every finding to Market_Control_Issues.
+ * With autoFix, duplicate rows are removed and market_type is normalised (lowercased, or inferred
+ * from the ID range when it contradicts it). Rows only count as duplicates when type, location,
+ * provider and manual all match: a provider pin or a manual row next to a generated one is kept.
+ * Unknown types and unverifiable locations are only reported, never deleted.
+ * Market_Control_Issues is rewritten only when the findings change (its footer time is that change).
+ * @param {Spreadsheet} [ss]
+ * @param {{autoFix?: boolean, controlSheet?: string}} [opts] controlSheet defaults to 'Market_Control'.
+ * @returns {{rows:number, issues:number, errors:number, fixed:number, removed:number}}
+ */
+function validateMarketControl(ss, opts) {
+  ss = ss || SpreadsheetApp.getActiveSpreadsheet();
+  opts = opts || {};
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('CONTROL_CHECK') : console;
+
+  const controlSheetName = opts.controlSheet || 'Market_Control';
+  const controlSheet = ss.getSheetByName(controlSheetName);
+  if (!controlSheet) throw new Error(`Sheet '${controlSheetName}' not found.`);
+
+  const lastRow = controlSheet.getLastRow();
+  const lastCol = Math.max(3, controlSheet.getLastColumn());
+  const values = lastRow >= 2 ? controlSheet.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+  const lowerHeaders = controlSheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim().toLowerCase());
+  const iProvider = lowerHeaders.indexOf('provider'), iManual = lowerHeaders.indexOf('manual');
+
+  const knownTypes = (typeof _getSdeNameMap === 'function') ? _getSdeNameMap(ss) : new Map();
+  const stationIdx = _getStationIndex_(ss);
+
+  const issues = [];
+  const report = (rowNum, row, issue, severity, detail, fix) => {
+    issues.push([rowNum, row[0], row[1], row[2], issue, severity, detail, fix || '']);
+  };
+
+  const seen = new Map(); // "type|location|provider|manual" -> first sheet row
+  const keep = [];
+  let fixed = 0, removed = 0;
+
+  values.forEach((row, i) => {
+    const rowNum = i + 2;
+    if (row[0] === '' && row[1] === '' && row[2] === '') return; // blank spacer rows are dropped silently
+
+    const typeId = Number(row[0]);
+    const locId = Number(row[2]);
+    const rawType = String(row[1] || '').trim();
+    let marketType = rawType.toLowerCase();
+
+    // 1. type_id
+    if (!Number.isFinite(typeId) || typeId <= 0 || Math.floor(typeId) !== typeId) {
+      report(rowNum, row, 'INVALID_TYPE_ID', 'ERROR', `'${row[0]}' is not a positive integer.`);
+    } else if (knownTypes.size > 0 && !knownTypes.has(typeId)) {
+      report(rowNum, row, 'UNKNOWN_TYPE', 'ERROR', 'Not in SDE_invTypes (unpublished or not marketable).');
+    }
+
+    // 2. location_id
+    if (!Number.isFinite(locId) || locId <= 0) {
+      report(rowNum, row, 'INVALID_LOCATION_ID', 'ERROR', `'${row[2]}' is not a positive integer.`);
+    }
+
+    // 3. market_type spelling + agreement with the ID range
+    const inferred = _inferMarketTypeFromId_(locId);
+    if (VALID_MARKET_TYPES.indexOf(marketType) === -1) {
+      if (inferred) {
+        report(rowNum, row, 'INVALID_MARKET_TYPE', 'ERROR', `'${rawType}' is not a market type. ID range says '${inferred}'.`, opts.autoFix ? `set '${inferred}'` : '');
+        marketType = inferred;
+      } else {
+        report(rowNum, row, 'INVALID_MARKET_TYPE', 'ERROR', `'${rawType}' is not one of ${VALID_MARKET_TYPES.join('/')}.`);
+      }
+    } else if (inferred && inferred !== marketType) {
+      report(rowNum, row, 'LOCATION_TYPE_MISMATCH', 'ERROR', `Declared '${marketType}' but ID ${locId} is a ${inferred}.`, opts.autoFix ? `set '${inferred}'` : '');
+      marketType = inferred;
+    } else if (rawType !== marketType) {
+      report(rowNum, row, 'MARKET_TYPE_CASE', 'WARN', `'${rawType}' should be '${marketType}'.`, opts.autoFix ? `set '${marketType}'` : '');
+    }
+
+    // 4. location exists in the SDE (stations are exhaustive; systems/regions only cover stationed space)
+    if (stationIdx.loaded && Number.isFinite(locId)) {
+      if (marketType === 'station' && !stationIdx.stations.has(locId)) {
+        report(rowNum, row, 'UNKNOWN_STATION', 'ERROR', 'Not in SDE_staStations.');
+      } else if (marketType === 'system' && !stationIdx.systems.has(locId)) {
+        report(rowNum, row, 'UNVERIFIED_SYSTEM', 'WARN', 'No NPC station in this system per SDE_staStations.');
+      } else if (marketType === 'region' && !stationIdx.regions.has(locId)) {
+        report(rowNum, row, 'UNVERIFIED_REGION', 'WARN', 'No NPC station in this region per SDE_staStations.');
+      }
+    }
+
+    // 5. duplicates on type + location + provider + manual
+    const provider = iProvider > -1 ? String(row[iProvider] || '').trim().toLowerCase() : '';
+    const isManual = iManual > -1 && String(row[iManual]).toUpperCase() === 'TRUE';
+    const dupKey = `${typeId}|${locId}|${provider}|${isManual}`;
+    if (seen.has(dupKey)) {
+      report(rowNum, row, 'DUPLICATE', 'WARN', `Same type/location/provider/manual as row ${seen.get(dupKey)}.`, opts.autoFix ? 'row removed' : '');
+      removed++;
+      return;
+    }
+    seen.set(dupKey, rowNum);
+
+    if (marketType !== rawType && VALID_MARKET_TYPES.indexOf(marketType) > -1) {
+      const copy = row.slice();
+      copy[1] = marketType;
+      keep.push(copy);
+      fixed++;
+    } else {
+      keep.push(row);
+    }
+  });
+
+  // --- AUTO-FIX: rewrite the data block in place (extra columns preserved) ---
+  if (opts.autoFix && (fixed > 0 || removed > 0)) {
+    const res = guardedSheetTransaction(() => {
+      controlSheet.getRange(2, 1, values.length, lastCol).clearContent();
+      if (keep.length > 0) controlSheet.getRange(2, 1, keep.length, lastCol).setValues(keep);
+      return true;
+    }, 30000);
+    if (!res.success) {
+      LOG.warn(`Auto-fix skipped: ${res.error}`);
+      fixed = 0; removed = 0;
+    }
+  } else if (!opts.autoFix) {
+    fixed = 0; removed = 0;
+  }
+
+  // --- REPORT (skipped when the findings and row count match what the sheet already shows) ---
+  const headers = ['row', 'type_id', 'market_type', 'market_id', 'issue', 'severity', 'detail', 'fix_applied'];
+  const issueSheet = getOrCreateSheet(ss, MARKET_CONTROL_ISSUES_SHEET, headers);
+  const footer = `Checked ${values.length} rows`;
+  const shownLast = issueSheet.getLastRow();
+  const shown = shownLast >= 2 ? issueSheet.getRange(2, 1, shownLast - 1, headers.length).getValues() : [];
+  const asText = rows => JSON.stringify(rows.map(r => r.map(String)));
+  const unchanged = shown.length === issues.length + 1 &&
+    String(shown[shown.length - 1][4]).indexOf(`${footer} at `) === 0 &&
+    asText(shown.slice(0, -1)) === asText(issues);
+  if (!unchanged) {
+    issueSheet.clearContents();
+    const out = [headers].concat(issues);
+    out.push(['', '', '', '', `${footer} at ${new Date().toISOString()}`, '', '', '']);
+    issueSheet.getRange(1, 1, out.length, headers.length).setValues(out);
+  }
+
+  const errors = issues.filter(r => r[5] === 'ERROR').length;
+  LOG.info(`${controlSheetName}: ${values.length} rows, ${issues.length} issues (${errors} errors). Fixed ${fixed}, removed ${removed}.`);
+  return { rows: values.length, issues: issues.length, errors: errors, fixed: fixed, removed: removed };
+}
+
+/**
+ * Menu / manual entry point: validate and repair the selected profile's control sheet (setting_market_profile).
+ */
+function repairMarketControl() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const profile = MarketProfiles.resolve(ss);
+  const res = validateMarketControl(ss, { autoFix: true, controlSheet: profile.controlSheet });
+  ss.toast(`${res.issues} issues, ${res.fixed} fixed, ${res.removed} duplicates removed.`, profile.controlSheet, 5);
+  return res;
+}
+
+
+// ======================================================================
+// MARKET_CONTROL GENERATOR
+// ======================================================================
+
+const MARKET_CONTROL_HUBS_PROP = 'MARKET_CONTROL_HUBS'; // e.g. "station:60003760,region:10000043"
+
+/**
+ * Hubs that every demanded type is priced at.
+ * Explicit hub list (a market profile's 'hubs'), else script property MARKET_CONTROL_HUBS
+ * ("type:id,type:id"), else the setting_sell_loc named range.
+ */
+function _getControlHubs_(ss, hubList) {
+  const raw = hubList || PropertiesService.getScriptProperties().getProperty(MARKET_CONTROL_HUBS_PROP) || '';
+  const hubs = raw.split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+    const parts = pair.split(':');
+    const id = Number(parts.length > 1 ? parts[1] : parts[0]);
+    const type = parts.length > 1 ? parts[0].trim().toLowerCase() : _inferMarketTypeFromId_(id);
+    return { market_type: type, market_id: id };
+  }).filter(h => h.market_id > 0 && VALID_MARKET_TYPES.indexOf(h.market_type) > -1);
+  if (hubs.length > 0) return hubs;
+
+  const sellLoc = Number(_getNamedOr_(ss, 'setting_sell_loc', 60003760));
+  return [{ market_type: _inferMarketTypeFromId_(sellLoc) || 'station', market_id: sellLoc }];
+}
+
+/**
+ * Collects every type the workbook actually needs, tagged with where the demand came from.
+ * @returns {Map<number, Set<string>>} type_id -> sources (AUDIT, PRODUCTION, BOM, WAREHOUSE)
+ */
+function _collectControlDemand_(ss) {
+  const demand = new Map();
+  const add = (tid, src) => {
+    const n = Number(tid);
+    if (!Number.isFinite(n) || n <= 0) return;
+    if (!demand.has(n)) demand.set(n, new Set());
+    demand.get(n).add(src);
+  };
+  const headerIdx = (row, name) => row.map(h => String(h).replace(/^'/, '').trim().toLowerCase()).indexOf(name.toLowerCase());
+
+  // 1. Audit items (A = Item Name, B = audited flag)
+  const audit = ss.getSheetByName('Audit items');
+  if (audit && audit.getLastRow() > 1) {
+    const idByName = new Map();
+    _getSdeNameMap(ss).forEach((name, id) => idByName.set(String(name).trim(), id));
+    audit.getDataRange().getValues().slice(1).forEach(r => {
+      if (String(r[1]).toUpperCase() !== 'TRUE') return;
+      add(idByName.get(String(r[0]).trim()), 'AUDIT');
+    });
+  }
+
+  // 2. ProductionList (headers on row 5)
+  const prod = ss.getSheetByName('ProductionList ');
+  if (prod && prod.getLastRow() > 5) {
+    const values = prod.getDataRange().getValues();
+    const idx = headerIdx(values[4], 'Type ID');
+    if (idx > -1) values.slice(5).forEach(r => add(r[idx], 'PRODUCTION'));
+  }
+
+  // 3. Full_BOM_Data materials
+  const bom = ss.getSheetByName('Full_BOM_Data');
+  if (bom && bom.getLastRow() > 1) {
+    const values = bom.getDataRange().getValues();
+    const idx = headerIdx(values[0], 'Mat ID');
+    if (idx > -1) values.slice(1).forEach(r => add(r[idx], 'BOM'));
+  }
+
+  // 4. CorpWarehouseStock (headers row 1, data from row 3)
+  const wh = ss.getSheetByName('CorpWarehouseStock');
+  if (wh && wh.getLastRow() > 2) {
+    const values = wh.getDataRange().getValues();
+    const idx = headerIdx(values[0], 'type_id');
+    if (idx > -1) values.slice(2).forEach(r => add(r[idx], 'WAREHOUSE'));
+  }
+
+  return demand;
+}
+
+/**
+ * Rebuilds Market_Control from workbook demand × configured hubs.
+ * - Rows with manual = TRUE are never touched (and satisfy their type/location).
+ * - Demanded pairs that are missing get a new row (source = demand tags).
+ * - Rows no longer demanded and not manual are retired (removed), but only for the hubs being rebuilt;
+ *   rows for any other location are left as they are.
+ * Unknown/unmarketable types are skipped via SDE_invTypes.
+ * @param {Spreadsheet} [ss]
+ * @param {Object} [profile] MarketProfiles entry (control sheet + hubs). Defaults to Market_Control.
+ * @returns {{added:number, retired:number, kept:number, manual:number}}
+ */
+function generateMarketControl(ss, profile) {
+  ss = ss || SpreadsheetApp.getActiveSpreadsheet();
+  const LOG = typeof LoggerEx !== 'undefined' ? LoggerEx.withTag('CONTROL_GEN') : console;
+  const controlSheetName = (profile && profile.controlSheet) || 'Market_Control';
+
+  const hubs = _getControlHubs_(ss, profile && profile.hubs);
+  const demand = _collectControlDemand_(ss);
+  const knownTypes = _getSdeNameMap(ss);
+  if (knownTypes.size > 0) {
+    demand.forEach((_, tid) => { if (!knownTypes.has(tid)) demand.delete(tid); });
+  }
+
+  const sheet = getOrCreateSheet(ss, controlSheetName, ['type_id', 'market_type', 'market_id', 'provider', 'source', 'manual']);
+
+  // Ensure the optional columns exist (appended after whatever is there)
+  let lastCol = Math.max(3, sheet.getLastColumn());
+  let headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim());
+  ['source', 'manual'].forEach(name => {
+    if (headers.map(h => h.toLowerCase()).indexOf(name) === -1) {
+      headers.push(name);
+      lastCol = headers.length;
+      if (sheet.getMaxColumns() < lastCol) sheet.insertColumnsAfter(sheet.getMaxColumns(), lastCol - sheet.getMaxColumns());
+      sheet.getRange(1, lastCol).setValue(name);
+    }
+  });
+  const lower = headers.map(h => h.toLowerCase());
+  const iSource = lower.indexOf('source'), iManual = lower.indexOf('manual');
+
+  const lastRow = sheet.getLastRow();
+  const existing = lastRow >= 2 ? sheet.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+
+  const wanted = new Map(); // "tid|locId" -> {tid, hub, sources}
+  demand.forEach((sources, tid) => hubs.forEach(hub => {
+    wanted.set(`${tid}|${hub.market_id}`, { tid: tid, hub: hub, sources: Array.from(sources).sort().join('+') });
+  }));
+
+  const hubIds = new Set(hubs.map(hub => Number(hub.market_id)));
+  const out = [];
+  const satisfied = new Set();
+  let kept = 0, manual = 0, retired = 0;
+
+  existing.forEach(row => {
+    if (row[0] === '' && row[2] === '') return;
+    const key = `${Number(row[0])}|${Number(row[2])}`;
+    if (String(row[iManual]).toUpperCase() === 'TRUE') {
+      out.push(row); satisfied.add(key); manual++;
+      return;
+    }
+    if (!hubIds.has(Number(row[2]))) {
+      out.push(row); kept++;
+      return;
+    }
+    if (wanted.has(key) && !satisfied.has(key)) {
+      const copy = row.slice();
+      copy[iSource] = wanted.get(key).sources;
+      out.push(copy); satisfied.add(key); kept++;
+      return;
+    }
+    retired++;
+  });
+
+  let added = 0;
+  wanted.forEach((w, key) => {
+    if (satisfied.has(key)) return;
+    const row = new Array(lastCol).fill('');
+    row[0] = w.tid; row[1] = w.hub.market_type; row[2] = w.hub.market_id;
+    row[iSource] = w.sources; row[iManual] = false;
+    out.push(row); added++;
+  });
+
+  const res = guardedSheetTransaction(() => {
+    if (existing.length > 0) sheet.getRange(2, 1, existing.length, lastCol).clearContent();
+    if (out.length > 0) {
+      if (sheet.getMaxRows() < out.length + 1) sheet.insertRowsAfter(sheet.getMaxRows(), out.length + 1 - sheet.getMaxRows());
+      sheet.getRange(2, 1, out.length, lastCol).setValues(out);
+    }
+    return true;
+  }, 30000);
+  if (!res.success) throw new Error(`${controlSheetName} rewrite failed: ${res.error}`);
+
+  LOG.info(`${controlSheetName} rebuilt for ${hubs.length} hub(s): +${added} added, ${retired} retired, ${kept} kept, ${manual} manual.`);
+  return { added: added, retired: retired, kept: kept, manual: manual };
+}
+
+/**
+ * Menu entry point ('🛠️ Rebuild Control Sheet'). Rebuilds every enabled market profile's control sheet.
+ */
+function updateControlSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const totals = { added: 0, retired: 0, kept: 0, manual: 0 };
+  MarketProfiles.list(ss).filter(p => p.enabled).forEach(profile => {
+    const res = generateMarketControl(ss, profile);
+    Object.keys(totals).forEach(k => { totals[k] += res[k]; });
+  });
+  ss.toast(`+${totals.added} added, ${totals.retired} retired, ${totals.manual} manual kept.`, "Market_Control", 5);
+  return totals;
+}
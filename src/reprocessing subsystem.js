@@ -12,13 +12,11 @@ function getReprocessValue(typeID, stationYield, playerSkill) {
   // 1. Access Required Sheets
   const matSheet = ss.getSheetByName("SDE_invTypeMaterials");
   const typeSheet = ss.getSheetByName("SDE_invTypes");
-  const priceSheet = ss.getSheetByName("Market_Data_Raw");
   
-  if (!matSheet || !typeSheet || !priceSheet) return 0;
+  if (!matSheet || !typeSheet) return 0;
 
   const matData = matSheet.getDataRange().getValues();
   const typeData = typeSheet.getDataRange().getValues();
-  const priceData = priceSheet.getDataRange().getValues();
 
   // 2. Get portionSize (Batch Size) from SDE_invTypes
   // Note: Ensure your GET_SDE_CONFIG includes 'portionSize' at index 6
@@ -28,11 +26,8 @@ function getReprocessValue(typeID, stationYield, playerSkill) {
     portionSize = typeEntry[6] || 1;
   }
 
-  // 3. Create a Price Map for speed (Buy_Max in Hub)
-  const priceMap = new Map();
-  priceData.forEach(row => {
-    priceMap.set(row[1], row[5]); // type_id -> buy_max
-  });
+  // 3. Price Map for speed (Buy_Max in Hub), served from the shared MarketIndex
+  const priceMap = MarketIndex.priceMap('buy_max'); // type_id -> buy_max
 
   // 4. Calculate the total value of the batch
   let totalBatchIsk = 0;